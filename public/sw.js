@@ -0,0 +1,96 @@
+// Service worker. It keeps the app working offline: the files of the build are precached on
+// install and served from the cache, pages fall back to the cached app shell, and other files
+// (the Tailwind and font CDNs) are cached as they are used. Occasion reminders are shown through
+// it too (see src/lib/reminders.js); clicking one opens the app on a search for that occasion.
+
+// Replaced at build time with { version, files } (see precacheManifest in server/vitePlugin.js).
+// It stays undefined on the dev server, where nothing is precached.
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'gift-finder-';
+const PRECACHE = `${CACHE_PREFIX}precache-${PRECACHE_MANIFEST?.version}`;
+const RUNTIME = `${CACHE_PREFIX}runtime`;
+
+self.addEventListener('install', (event) => {
+    if (!PRECACHE_MANIFEST) return;
+    event.waitUntil(caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_MANIFEST.files)));
+});
+
+// Take control of open tabs straight away, and drop the files of older builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE && name !== RUNTIME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Serves a page from the network, or the cached app shell when offline. The app routes on the client,
+ * so every page is index.html.
+ */
+const handleNavigation = async (request) => {
+    try {
+        return await fetch(request);
+    } catch (err) {
+        const shell = await caches.match('/index.html', { cacheName: PRECACHE });
+        if (shell) return shell;
+        throw err;
+    }
+};
+
+/**
+ * Serves a file from the cache, refreshing the cached copy from the network in the background.
+ * Build files never change under the same name, so they are only fetched when missing.
+ */
+const handleAsset = async (event) => {
+    const cached = await caches.match(event.request);
+    const precached = PRECACHE_MANIFEST && cached && new URL(event.request.url).origin === self.location.origin;
+    if (precached) return cached;
+
+    const refresh = fetch(event.request).then(async (response) => {
+        // Opaque responses from the CDNs (status 0) are cached as well
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(RUNTIME);
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // API calls always go to the network; the app queues the ones made offline
+    if (request.method !== 'GET' || !url.protocol.startsWith('http') || url.pathname.startsWith('/api/')) return;
+    // Nothing is cached on the dev server, where Vite serves changing source files
+    if (!PRECACHE_MANIFEST) return;
+
+    event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(event));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        // Reuse an open tab of the app rather than opening another one
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => new URL(client.url).origin === self.location.origin && 'navigate' in client);
+        if (existing) {
+            try {
+                await existing.focus();
+                await existing.navigate(url);
+                return;
+            } catch {
+                // Tabs the worker does not control cannot be navigated; open a new one instead
+            }
+        }
+        await self.clients.openWindow(url);
+    })());
+});
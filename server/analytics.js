@@ -0,0 +1,45 @@
+import { appendFile } from 'node:fs/promises';
+import { EVENT_TYPES } from './shared.js';
+
+const MAX_EVENTS = 20;
+const MAX_FIELDS = 16;
+const MAX_LENGTH = 120;
+const FIELD_NAME = /^[a-zA-Z]{1,40}$/;
+
+// Keeps the flat fields of an event: strings (shortened), finite numbers and booleans
+const isValue = (value) => typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value);
+
+/**
+ * Reads the events of a POST /api/events body, `{ events: [...] }`. Events of an unknown type are
+ * dropped, and so are nested or oversized fields, so the log only ever holds what the app sends.
+ * The time of each event is the server's, not the browser's.
+ * @param {any} body - The parsed request body.
+ * @param {Date} [now] - The time.
+ * @returns {Array<object>|null} The events, or null when the body has no list of events.
+ */
+export const normalizeEvents = (body, now = new Date()) => {
+    if (!Array.isArray(body?.events)) return null;
+
+    return body.events
+        .slice(0, MAX_EVENTS)
+        .filter(event => event && typeof event === 'object' && EVENT_TYPES.includes(event.type))
+        .map(({ type, ...fields }) => ({
+            type,
+            at: now.toISOString(),
+            ...Object.fromEntries(Object.entries(fields)
+                .filter(([name, value]) => name !== 'at' && FIELD_NAME.test(name) && isValue(value))
+                .slice(0, MAX_FIELDS)
+                .map(([name, value]) => [name, typeof value === 'string' ? value.slice(0, MAX_LENGTH) : value])),
+        }));
+};
+
+/**
+ * Creates an event log appending events to a file, one JSON object per line.
+ * Nothing identifying the client (address, user agent) is written.
+ * @param {string} file - The path of the log.
+ * @returns {(events: Array<object>) => Promise<void>} Appends events.
+ */
+export const createEventLog = (file) => async (events) => {
+    if (events.length === 0) return;
+    await appendFile(file, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+};
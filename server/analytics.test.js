@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { normalizeEvents, createEventLog } from './analytics.js';
+
+const NOW = new Date('2026-03-01T10:00:00Z');
+
+describe('normalizeEvents', () => {
+    it.each([
+        ['no body', null],
+        ['no list', { events: 'search' }],
+    ])('rejects %s', (_case, body) => {
+        expect(normalizeEvents(body, NOW)).toBeNull();
+    });
+
+    it('keeps known events with flat fields and the server time', () => {
+        const events = normalizeEvents({
+            events: [
+                { type: 'purchase_click', at: '1999-01-01', retailer: 'amazon', affiliate: true, count: 3 },
+                { type: 'keylogger', keys: 'secret' },
+                'search',
+            ],
+        }, NOW);
+        expect(events).toEqual([
+            { type: 'purchase_click', at: '2026-03-01T10:00:00.000Z', retailer: 'amazon', affiliate: true, count: 3 },
+        ]);
+    });
+
+    it('drops nested, invalid and oversized fields', () => {
+        const [event] = normalizeEvents({
+            events: [{ type: 'search', nested: { a: 1 }, list: [1], 'bad-name': 'x', missing: null, infinite: Infinity, text: 'x'.repeat(500) }],
+        }, NOW);
+        expect(Object.keys(event)).toEqual(['type', 'at', 'text']);
+        expect(event.text).toHaveLength(120);
+    });
+
+    it('caps the number of events and fields', () => {
+        const fields = Object.fromEntries(Array.from({ length: 30 }, (_, i) => [`field${String.fromCharCode(97 + (i % 26))}${i >= 26 ? 'x' : ''}`, i]));
+        const events = normalizeEvents({ events: Array.from({ length: 50 }, () => ({ type: 'card', ...fields })) }, NOW);
+        expect(events).toHaveLength(20);
+        expect(Object.keys(events[0])).toHaveLength(2 + 16);
+    });
+});
+
+describe('createEventLog', () => {
+    it('appends one line per event', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'gift-events-'));
+        try {
+            const file = join(dir, 'events.ndjson');
+            const log = createEventLog(file);
+            await log([{ type: 'search' }, { type: 'card' }]);
+            await log([]);
+            await log([{ type: 'error' }]);
+            expect(readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).type)).toEqual(['search', 'card', 'error']);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,199 @@
+import { HttpError, sendJson, createNdjsonWriter, readJsonBody, getClientIp } from './http.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createProvider } from './providers/index.js';
+import { normalizeCriteria, normalizeCardOptions, normalizeGroupRequest, buildCardMessageConversation, splitCardVariants } from './prompts.js';
+import { generateGiftIdeas, generateGroupGiftIdeas } from './gifts.js';
+import { promptVersion } from './templates.js';
+import { normalizeEvents, createEventLog } from './analytics.js';
+
+/**
+ * Handles POST /api/gifts. Like every route, it answers with the version of the prompt template
+ * the result was made with (see server/templates.js).
+ */
+const handleGifts = async ({ provider, config }, criteria) => {
+    if (!criteria.occasion) throw new HttpError(400, 'An occasion is required.');
+
+    const gifts = await generateGiftIdeas(provider, criteria, { maxAttempts: config.giftMaxAttempts });
+    return { gifts, promptVersion: promptVersion('gift-ideas') };
+};
+
+/**
+ * Reads a group gift request, rejecting one that can't be planned.
+ */
+const readGroupRequest = (body) => {
+    const group = normalizeGroupRequest(body);
+    if (!group.occasion) throw new HttpError(400, 'An occasion is required.');
+    if (group.recipients.length === 0) throw new HttpError(400, 'At least one recipient is required.');
+    if (Number(group.budget) < group.recipients.length) throw new HttpError(400, 'An overall budget of at least 1 per recipient is required.');
+    return group;
+};
+
+/**
+ * Handles POST /api/group-gifts, returning each recipient's budget and ideas in the order they were sent.
+ */
+const handleGroupGifts = async ({ provider, config }, criteria, { body }) => {
+    const recipients = await generateGroupGiftIdeas(provider, readGroupRequest(body), { maxAttempts: config.giftMaxAttempts });
+    return { recipients, promptVersion: promptVersion('group-gift-ideas') };
+};
+
+/**
+ * Handles POST /api/card-message, returning every version the model wrote.
+ */
+const handleCardMessage = async ({ provider }, criteria, { body }) => {
+    if (!criteria.occasion) throw new HttpError(400, 'An occasion is required.');
+
+    const text = await provider.generateText(buildCardMessageConversation(criteria, normalizeCardOptions(body)));
+    return { variants: splitCardVariants(text), promptVersion: promptVersion('card-message') };
+};
+
+/**
+ * Handles POST /api/gifts/stream, sending each gift idea as soon as it is accepted.
+ */
+const streamGifts = async ({ provider, config }, criteria, { send, signal }) => {
+    if (!criteria.occasion) throw new HttpError(400, 'An occasion is required.');
+
+    await generateGiftIdeas(provider, criteria, {
+        maxAttempts: config.giftMaxAttempts,
+        onGift: gift => send({ type: 'gift', gift }),
+        signal
+    });
+    return { promptVersion: promptVersion('gift-ideas') };
+};
+
+/**
+ * Handles POST /api/group-gifts/stream: a `plan` event with each recipient's budget,
+ * then a `gift` event for each idea with the index of its recipient.
+ */
+const streamGroupGifts = async ({ provider, config }, criteria, { body, send, signal }) => {
+    const group = readGroupRequest(body);
+
+    await generateGroupGiftIdeas(provider, group, {
+        maxAttempts: config.giftMaxAttempts,
+        onPlan: budgets => send({ type: 'plan', budgets }),
+        onGift: (recipient, gift) => send({ type: 'gift', recipient, gift }),
+        signal
+    });
+    return { promptVersion: promptVersion('group-gift-ideas') };
+};
+
+/**
+ * Handles POST /api/card-message/stream, sending the message in pieces as the model writes it.
+ * The versions are separated by `---` lines, which the client splits on.
+ */
+const streamCardMessage = async ({ provider }, criteria, { body, send, signal }) => {
+    if (!criteria.occasion) throw new HttpError(400, 'An occasion is required.');
+
+    const conversation = buildCardMessageConversation(criteria, normalizeCardOptions(body));
+    for await (const text of provider.streamText({ ...conversation, signal })) {
+        send({ type: 'delta', text });
+    }
+    return { promptVersion: promptVersion('card-message') };
+};
+
+/**
+ * Handles POST /api/events, appending usage events to ANALYTICS_FILE. The route only exists
+ * when the file is configured.
+ */
+const handleEvents = async ({ eventLog }, criteria, { body }) => {
+    if (!eventLog) throw new HttpError(404, 'Not found.');
+
+    const events = normalizeEvents(body);
+    if (!events) throw new HttpError(400, 'A list of events is required.');
+    await eventLog(events);
+    return { accepted: events.length };
+};
+
+/**
+ * Describes an error for the client: its message, its code and, when it is known, how long to wait before retrying.
+ * Streamed errors can't carry a Retry-After header, so the wait is part of the description.
+ * @param {HttpError} err - The error.
+ * @returns {{ message: string, code?: string, retryAfterSeconds?: number }} The error body.
+ */
+const describeError = (err) => ({
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    ...(err.headers['Retry-After'] && { retryAfterSeconds: Number(err.headers['Retry-After']) }),
+});
+
+const routes = {
+    '/api/gifts': handleGifts,
+    '/api/group-gifts': handleGroupGifts,
+    '/api/card-message': handleCardMessage,
+    '/api/events': handleEvents,
+};
+
+// Usage events have their own, more generous limit, so recording them never uses up the requests for ideas
+const EVENT_ROUTE = '/api/events';
+
+// Streaming routes answer with NDJSON events: plan / gift / delta while generating, then done (with the
+// prompt version the route returns) or error
+const streamRoutes = {
+    '/api/gifts/stream': streamGifts,
+    '/api/group-gifts/stream': streamGroupGifts,
+    '/api/card-message/stream': streamCardMessage,
+};
+
+/**
+ * Creates a connect-style middleware serving the gift finder API.
+ * Requests outside /api are passed to next(), so it can be mounted in
+ * Vite's dev server or in front of the static file server.
+ * @param {object} config - The server configuration (see loadConfig).
+ * @param {object} [overrides] - Test hooks.
+ * @param {import('./providers/index.js').Provider} [overrides.provider] - A provider to use instead of the configured one.
+ * @returns {(req, res, next?) => Promise<void>} The middleware.
+ */
+export const createApiHandler = (config, { provider = createProvider(config.llm) } = {}) => {
+    const isAllowed = createRateLimiter(config.rateLimit);
+    const isEventAllowed = createRateLimiter(config.analytics.rateLimit);
+    const eventLog = config.analytics.file ? createEventLog(config.analytics.file) : null;
+
+    return async (req, res, next) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!pathname.startsWith('/api/')) {
+            if (next) next();
+            else sendJson(res, 404, { error: { message: 'Not found.' } });
+            return;
+        }
+
+        let stream = null;
+        const upstream = new AbortController();
+
+        try {
+            const route = routes[pathname] || streamRoutes[pathname];
+            if (!route) throw new HttpError(404, 'Not found.');
+            if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed.', { Allow: 'POST' });
+
+            const limit = pathname === EVENT_ROUTE ? isEventAllowed : isAllowed;
+            const { allowed, retryAfterSeconds } = limit(getClientIp(req, config.trustProxy));
+            if (!allowed) {
+                throw new HttpError(429, 'Too many requests. Please wait a moment and try again.', { 'Retry-After': String(retryAfterSeconds) }, 'rate_limited');
+            }
+
+            const body = await readJsonBody(req, config.maxBodyBytes);
+            if (route === streamRoutes[pathname]) {
+                // Stop generating (and paying for) output nobody will read
+                res.on('close', () => upstream.abort());
+                stream = createNdjsonWriter(res);
+                const result = await route({ provider, config }, normalizeCriteria(body), { body, send: stream.write, signal: upstream.signal });
+                stream.end({ type: 'done', ...result });
+                return;
+            }
+
+            const result = await route({ provider, config, eventLog }, normalizeCriteria(body), { body });
+            sendJson(res, 200, result);
+        } catch (err) {
+            if (upstream.signal.aborted) return;
+
+            if (stream?.started) {
+                console.error(`[api] ${pathname}:`, err instanceof HttpError ? err.message : err);
+                stream.end({ type: 'error', error: err instanceof HttpError ? describeError(err) : { message: 'Internal server error.' } });
+            } else if (err instanceof HttpError) {
+                if (err.status >= 500) console.error(`[api] ${pathname}:`, err.message);
+                sendJson(res, err.status, { error: describeError(err) }, err.headers);
+            } else {
+                console.error(`[api] ${pathname}:`, err);
+                sendJson(res, 500, { error: { message: 'Internal server error.' } });
+            }
+        }
+    };
+};
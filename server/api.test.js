@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+import { createApiHandler } from './api.js';
+import { loadConfig } from './config.js';
+import { createFixtureProvider } from './providers/fixture.js';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    const config = loadConfig({ LLM_PROVIDER: 'fixture', RATE_LIMIT_MAX: '8', MAX_BODY_BYTES: '1024' });
+    const handleApi = createApiHandler(config, { provider: createFixtureProvider() });
+    server = createServer((req, res) => handleApi(req, res, () => {
+        res.writeHead(204, { 'X-Next': 'static' });
+        res.end();
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+// The tests share one limiter of 8 requests, so the rate limit is checked last
+describe('createApiHandler', () => {
+    it('passes requests outside /api to the next handler', async () => {
+        const res = await fetch(`${baseUrl}/index.html`);
+        expect(res.status).toBe(204);
+        expect(res.headers.get('x-next')).toBe('static');
+    });
+
+    it('answers a gift request', async () => {
+        const res = await post('/api/gifts', { occasion: 'birthday' });
+        expect(res.status).toBe(200);
+        const body = await res.json();
+        expect(body.gifts.length).toBeGreaterThan(0);
+        expect(body.promptVersion).toMatch(/^gift-ideas@\d+$/);
+    });
+
+    it.each([
+        ['an unknown route', () => post('/api/nope', {}), 404, 'Not found.'],
+        ['a GET request', () => fetch(`${baseUrl}/api/gifts`), 405, 'Method not allowed.'],
+        ['a body that is not JSON', () => post('/api/gifts', '{occasion'), 400, 'Request body is not valid JSON.'],
+        ['a body over the limit', () => post('/api/gifts', { occasion: 'x'.repeat(2000) }), 413, 'Request body exceeds 1024 bytes.'],
+        ['a request without an occasion', () => post('/api/gifts', {}), 400, 'An occasion is required.'],
+    ])('rejects %s', async (_case, send, status, message) => {
+        const res = await send();
+        expect(res.status).toBe(status);
+        expect((await res.json()).error.message).toBe(message);
+    });
+
+    it('tells the client to wait once it is over the rate limit', async () => {
+        let res;
+        do {
+            res = await post('/api/gifts', {});
+        } while (res.status !== 429);
+        expect(Number(res.headers.get('retry-after'))).toBeGreaterThan(0);
+        expect((await res.json()).error).toMatchObject({ code: 'rate_limited' });
+    });
+});
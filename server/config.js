@@ -0,0 +1,65 @@
+/**
+ * Parses a positive integer from an environment variable, falling back to a default.
+ * @param {string|undefined} value - The raw environment value.
+ * @param {number} fallback - The value to use when the variable is missing or invalid.
+ * @returns {number} The parsed integer.
+ */
+const toPositiveInt = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Parses a non-negative integer (0 allowed) from an environment variable, falling back to a default.
+ * @param {string|undefined} value - The raw environment value.
+ * @param {number} fallback - The value to use when the variable is missing or invalid.
+ * @returns {number} The parsed integer.
+ */
+const toNonNegativeInt = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Builds the server configuration from environment variables.
+ * API keys are read here only; they are never sent to the browser.
+ * @param {object} env - The environment (defaults to process.env).
+ * @returns {object} The server configuration.
+ */
+export const loadConfig = (env = process.env) => ({
+    llm: {
+        // 'gemini', 'openai' (any OpenAI-compatible server) or 'fixture' (no network access)
+        provider: (env.LLM_PROVIDER || 'gemini').toLowerCase(),
+        // Empty means the provider's default model
+        model: env.LLM_MODEL || '',
+        geminiApiKey: env.GEMINI_API_KEY || '',
+        openaiApiKey: env.OPENAI_API_KEY || '',
+        openaiBaseUrl: env.OPENAI_BASE_URL || '',
+        fixturesPath: env.LLM_FIXTURES || '',
+        // Timeout and retries of each model call (see server/providers/request.js)
+        request: {
+            timeoutMs: toPositiveInt(env.LLM_TIMEOUT_MS, 30 * 1000),
+            maxRetries: toNonNegativeInt(env.LLM_MAX_RETRIES, 2),
+            baseDelayMs: toPositiveInt(env.LLM_RETRY_BASE_MS, 500),
+            maxDelayMs: toPositiveInt(env.LLM_RETRY_MAX_MS, 10 * 1000),
+        },
+    },
+    // Model calls allowed per gift request, including the ones that refill rejected ideas
+    giftMaxAttempts: toPositiveInt(env.GIFT_MAX_ATTEMPTS, 3),
+    rateLimit: {
+        windowMs: toPositiveInt(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+        max: toPositiveInt(env.RATE_LIMIT_MAX, 20),
+    },
+    analytics: {
+        // Where POST /api/events appends usage events, one JSON object per line; empty turns the route off
+        file: env.ANALYTICS_FILE || '',
+        rateLimit: {
+            windowMs: toPositiveInt(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+            max: toPositiveInt(env.ANALYTICS_RATE_LIMIT_MAX, 120),
+        },
+    },
+    maxBodyBytes: toPositiveInt(env.MAX_BODY_BYTES, 16 * 1024),
+    trustProxy: ['1', 'true'].includes((env.TRUST_PROXY || '').toLowerCase()),
+    host: env.HOST || '0.0.0.0',
+    port: toPositiveInt(env.PORT, 3000),
+});
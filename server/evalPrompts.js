@@ -0,0 +1,33 @@
+// Runs the prompt templates against the criteria in server/fixtures/prompt-eval.json and reports
+// how valid and how varied the answers are.
+//
+//   npm run eval:prompts                    uses the fixture provider, with no network access
+//   LLM_PROVIDER=openai npm run eval:prompts  uses a configured provider, e.g. a local OpenAI-compatible server
+//   npm run eval:prompts -- --out report.json --cases my-cases.json
+//
+// The JSON report records the template versions, so runs before and after a template change can be compared.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { loadConfig } from './config.js';
+import { createProvider } from './providers/index.js';
+import { evaluatePrompts, formatReport } from './promptEval.js';
+
+const { values } = parseArgs({
+    options: {
+        cases: { type: 'string', default: fileURLToPath(new URL('./fixtures/prompt-eval.json', import.meta.url)) },
+        out: { type: 'string' },
+    },
+});
+
+const config = loadConfig({ ...process.env, LLM_PROVIDER: process.env.LLM_PROVIDER || 'fixture' });
+const provider = createProvider(config.llm);
+const report = await evaluatePrompts(provider, JSON.parse(readFileSync(values.cases, 'utf8')));
+
+console.log(formatReport(report));
+if (values.out) {
+    writeFileSync(values.out, `${JSON.stringify({ createdAt: new Date().toISOString(), ...report }, null, 2)}\n`);
+    console.log(`\nWrote ${values.out}`);
+}
+// A template that produced nothing usable fails the run, so it can guard a change in CI
+if (report.summary.some(line => line.validity === 0)) process.exitCode = 1;
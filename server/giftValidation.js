@@ -0,0 +1,52 @@
+import { GIFT_CATEGORIES } from './schemas.js';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Falls back to the link's host name ("www.etsy.com" -> "etsy.com") when the model omits the retailer.
+ */
+const retailerFromLink = (link) => {
+    try {
+        return new URL(link).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Checks one model-generated item against the gift idea schema and the price range.
+ * @param {any} item - The item as returned by the model.
+ * @param {object} budget
+ * @param {string} [budget.minPrice] - The lower bound, as typed by the user.
+ * @param {string} [budget.maxPrice] - The upper bound, as typed by the user.
+ * @param {string} [budget.currency] - The currency the bounds are in.
+ * @returns {{ gift?: object, reason?: string }} The cleaned gift, or the reason it was rejected.
+ */
+export const checkGiftIdea = (item, { minPrice, maxPrice, currency = 'USD' }) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return { reason: 'not an object' };
+    if (!isNonEmptyString(item.name)) return { reason: 'missing name' };
+    if (!isNonEmptyString(item.description)) return { reason: 'empty description' };
+    if (!isNonEmptyString(item.purchaseLink)) return { reason: 'missing purchase link' };
+
+    const price = Number(item.estimatedPrice);
+    if (item.estimatedPrice === null || item.estimatedPrice === '' || !Number.isFinite(price) || price < 0) {
+        return { reason: 'missing or invalid estimated price' };
+    }
+    const priceCurrency = isNonEmptyString(item.currency) ? item.currency.trim().toUpperCase() : currency;
+    if (priceCurrency !== currency) return { reason: `priced in ${priceCurrency} instead of ${currency}` };
+    if (minPrice && price < Number(minPrice)) return { reason: `price ${price} ${currency} is below the ${minPrice} ${currency} minimum` };
+    if (maxPrice && price > Number(maxPrice)) return { reason: `price ${price} ${currency} is above the ${maxPrice} ${currency} maximum` };
+
+    return {
+        gift: {
+            name: item.name.trim(),
+            description: item.description.trim(),
+            estimatedPrice: price,
+            currency: priceCurrency,
+            // An unknown category is not worth losing an otherwise good idea over
+            category: GIFT_CATEGORIES.includes(item.category) ? item.category : 'other',
+            retailer: isNonEmptyString(item.retailer) ? item.retailer.trim() : retailerFromLink(item.purchaseLink.trim()),
+            purchaseLink: item.purchaseLink.trim(),
+        }
+    };
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { checkGiftIdea } from './giftValidation.js';
+
+const ITEM = {
+    name: ' Pottery class ',
+    description: 'An evening at the wheel.',
+    estimatedPrice: 45,
+    currency: 'usd',
+    category: 'experience',
+    retailer: 'Etsy',
+    purchaseLink: 'https://www.etsy.com/search?q=pottery',
+};
+
+describe('checkGiftIdea', () => {
+    it('cleans a valid idea', () => {
+        expect(checkGiftIdea(ITEM, { minPrice: '20', maxPrice: '60', currency: 'USD' })).toEqual({
+            gift: {
+                name: 'Pottery class',
+                description: 'An evening at the wheel.',
+                estimatedPrice: 45,
+                currency: 'USD',
+                category: 'experience',
+                retailer: 'Etsy',
+                purchaseLink: 'https://www.etsy.com/search?q=pottery',
+            },
+        });
+    });
+
+    it.each([
+        // [case, item, budget, reason]
+        ['a list', [ITEM], {}, 'not an object'],
+        ['null', null, {}, 'not an object'],
+        ['a missing name', { ...ITEM, name: ' ' }, {}, 'missing name'],
+        ['an empty description', { ...ITEM, description: '' }, {}, 'empty description'],
+        ['a missing link', { ...ITEM, purchaseLink: undefined }, {}, 'missing purchase link'],
+        ['a price that is not a number', { ...ITEM, estimatedPrice: 'about 40' }, {}, 'missing or invalid estimated price'],
+        ['an empty price', { ...ITEM, estimatedPrice: '' }, {}, 'missing or invalid estimated price'],
+        ['a negative price', { ...ITEM, estimatedPrice: -5 }, {}, 'missing or invalid estimated price'],
+        ['another currency', ITEM, { currency: 'EUR' }, 'priced in USD instead of EUR'],
+        ['a price below the minimum', ITEM, { minPrice: '50' }, 'price 45 USD is below the 50 USD minimum'],
+        ['a price above the maximum', { ...ITEM, currency: 'EUR' }, { maxPrice: '40', currency: 'EUR' }, 'price 45 EUR is above the 40 EUR maximum'],
+    ])('rejects %s', (_case, item, budget, reason) => {
+        expect(checkGiftIdea(item, budget)).toEqual({ reason });
+    });
+
+    it.each([
+        ['an unknown category becomes other', { category: 'gadgets' }, { category: 'other' }],
+        ['a missing retailer comes from the link', { retailer: '' }, { retailer: 'etsy.com' }],
+        ['a missing currency is the search currency', { currency: '' }, { currency: 'GBP' }],
+        ['a price given as text', { estimatedPrice: '45' }, { estimatedPrice: 45 }],
+        ['prices on the bounds', { estimatedPrice: 20 }, { estimatedPrice: 20 }],
+    ])('accepts %s', (_case, change, expected) => {
+        const { gift } = checkGiftIdea({ ...ITEM, currency: 'GBP', ...change }, { minPrice: '20', maxPrice: '45', currency: 'GBP' });
+        expect(gift).toMatchObject(expected);
+    });
+});
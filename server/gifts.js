@@ -0,0 +1,192 @@
+import { HttpError } from './http.js';
+import { buildGiftPrompt, buildGroupGiftPrompt } from './prompts.js';
+import { giftIdeasSchema, groupGiftIdeasSchema } from './schemas.js';
+import { MalformedOutputError } from './providers/json.js';
+import { checkGiftIdea } from './giftValidation.js';
+import { giftKey } from './shared.js';
+import { createJsonArrayParser } from './jsonStream.js';
+
+/**
+ * Streams one structured answer, calling onItem for each array element as soon as it is complete.
+ * @returns {Promise<boolean>} Whether the answer contained an array.
+ */
+const streamItems = async (provider, prompt, schema, signal, onItem) => {
+    const parser = createJsonArrayParser();
+    for await (const chunk of provider.streamText({ prompt, schema, signal })) {
+        parser.push(chunk).forEach(onItem);
+    }
+    return parser.foundArray;
+};
+
+/**
+ * Generates validated gift ideas. Items that fail the schema, repeat an earlier idea
+ * or fall outside the price range are dropped, and the model is asked again for just
+ * the missing slots until there are enough ideas or the attempt budget runs out.
+ * @param {import('./providers/index.js').Provider} provider - The model provider.
+ * @param {object} criteria - The normalized criteria.
+ * @param {object} [options]
+ * @param {number} [options.count] - How many ideas to return.
+ * @param {number} [options.maxAttempts] - How many model calls to make at most.
+ * @param {Console} [options.log] - Where rejections are reported.
+ * @param {(gift: object) => void} [options.onGift] - When given, the model output is streamed and
+ *   each idea is reported as soon as it has been generated and accepted.
+ * @param {AbortSignal} [options.signal] - Cancels the model request.
+ * @returns {Promise<Array<object>>} Up to `count` gift ideas.
+ */
+export const generateGiftIdeas = async (provider, criteria, { count = 5, maxAttempts = 3, log = console, onGift, signal } = {}) => {
+    const accepted = [];
+    const seen = new Set();
+    const alreadyGiven = new Set((criteria.avoid || []).map(giftKey));
+    // A refresh or "more like this" must come up with ideas not shown before
+    const alreadyShown = new Set([...(criteria.shown || []), criteria.similarTo?.name].filter(Boolean).map(giftKey));
+
+    for (let attempt = 1; attempt <= maxAttempts && accepted.length < count; attempt++) {
+        const missing = count - accepted.length;
+        const prompt = buildGiftPrompt(criteria, {
+            count: missing,
+            exclude: accepted.map(gift => gift.name)
+        });
+
+        const consider = (item) => {
+            if (accepted.length >= count) return;
+
+            const { gift, reason } = checkGiftIdea(item, criteria);
+            const key = gift && giftKey(gift.name);
+            const rejection = reason
+                || (seen.has(key) ? 'duplicate' : null)
+                || (alreadyGiven.has(key) ? 'already given to this recipient' : null)
+                || (alreadyShown.has(key) ? 'already shown' : null);
+            if (rejection) {
+                log.warn(`[gifts] attempt ${attempt} rejected "${item?.name ?? '(no name)'}": ${rejection}`);
+                return;
+            }
+
+            seen.add(key);
+            accepted.push(gift);
+            onGift?.(gift);
+        };
+
+        let isArray;
+        try {
+            if (onGift) {
+                isArray = await streamItems(provider, prompt, giftIdeasSchema, signal, consider);
+            } else {
+                const items = await provider.generateJson({ prompt, schema: giftIdeasSchema, signal });
+                isArray = Array.isArray(items);
+                if (isArray) items.forEach(consider);
+            }
+        } catch (err) {
+            // A malformed answer is worth another attempt; anything else (auth, quota) is not
+            if (!(err instanceof MalformedOutputError) || attempt === maxAttempts) throw err;
+            log.warn(`[gifts] attempt ${attempt} rejected: ${err.message}`);
+            continue;
+        }
+
+        if (!isArray) {
+            log.warn(`[gifts] attempt ${attempt} rejected: response is not an array`);
+        }
+    }
+
+    if (accepted.length === 0) {
+        throw new HttpError(502, 'The model did not return any usable gift ideas.', {}, 'malformed_output');
+    }
+    if (accepted.length < count) {
+        log.warn(`[gifts] returning ${accepted.length} of ${count} ideas after ${maxAttempts} attempts`);
+    }
+    return accepted;
+};
+
+/**
+ * Splits an overall budget evenly between people, in whole currency units.
+ * What doesn't divide evenly goes to the first people, one unit each.
+ * @param {number|string} budget - The overall budget.
+ * @param {number} count - How many people share it.
+ * @returns {number[]} Each person's share.
+ */
+export const allocateBudget = (budget, count) => {
+    const total = Math.floor(Number(budget)) || 0;
+    const share = Math.floor(total / count);
+    return Array.from({ length: count }, (_, index) => share + (index < total - share * count ? 1 : 0));
+};
+
+/**
+ * Generates gift ideas for several people in one batched model call per attempt. Each person's
+ * ideas must fit their share of the overall budget, and no idea is given to two people.
+ * Missing ideas are asked for again, for just the people who are short, as in generateGiftIdeas.
+ * @param {import('./providers/index.js').Provider} provider - The model provider.
+ * @param {object} group - The normalized group request (see normalizeGroupRequest).
+ * @param {object} [options]
+ * @param {number} [options.count] - How many ideas to return per person.
+ * @param {number} [options.maxAttempts] - How many model calls to make at most.
+ * @param {Console} [options.log] - Where rejections are reported.
+ * @param {(budgets: number[]) => void} [options.onPlan] - Called with each person's budget before generating.
+ * @param {(recipient: number, gift: object) => void} [options.onGift] - When given, the model output is streamed and
+ *   each idea is reported with the index of its person as soon as it has been generated and accepted.
+ * @param {AbortSignal} [options.signal] - Cancels the model request.
+ * @returns {Promise<Array<{ budget: number, gifts: Array<object> }>>} Each person's budget and ideas, in the order given.
+ */
+export const generateGroupGiftIdeas = async (provider, group, { count = 3, maxAttempts = 3, log = console, onPlan, onGift, signal } = {}) => {
+    const { recipients, currency } = group;
+    const budgets = allocateBudget(group.budget, recipients.length);
+    onPlan?.(budgets);
+
+    const accepted = recipients.map(() => []);
+    const seen = new Set();
+    const alreadyGiven = recipients.map(recipient => new Set(recipient.avoid.map(giftKey)));
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const counts = accepted.map(gifts => count - gifts.length);
+        if (counts.every(missing => missing === 0)) break;
+        const prompt = buildGroupGiftPrompt(group, budgets, {
+            counts,
+            exclude: accepted.flat().map(gift => gift.name)
+        });
+
+        const reject = (item, reason) => log.warn(`[gifts] group attempt ${attempt} rejected "${item?.name ?? '(no name)'}": ${reason}`);
+
+        const consider = (item) => {
+            const index = Number(item?.recipient) - 1;
+            if (!recipients[index]) return reject(item, `unknown recipient ${item?.recipient}`);
+            if (accepted[index].length >= count) return reject(item, `more ideas than asked for person ${index + 1}`);
+
+            const { gift, reason } = checkGiftIdea(item, { maxPrice: String(budgets[index]), currency });
+            const key = gift && giftKey(gift.name);
+            const rejection = reason
+                || (seen.has(key) ? 'duplicate' : null)
+                || (alreadyGiven[index].has(key) ? 'already given to this recipient' : null);
+            if (rejection) return reject(item, rejection);
+
+            seen.add(key);
+            accepted[index].push(gift);
+            onGift?.(index, gift);
+        };
+
+        let isArray;
+        try {
+            if (onGift) {
+                isArray = await streamItems(provider, prompt, groupGiftIdeasSchema, signal, consider);
+            } else {
+                const items = await provider.generateJson({ prompt, schema: groupGiftIdeasSchema, signal });
+                isArray = Array.isArray(items);
+                if (isArray) items.forEach(consider);
+            }
+        } catch (err) {
+            if (!(err instanceof MalformedOutputError) || attempt === maxAttempts) throw err;
+            log.warn(`[gifts] group attempt ${attempt} rejected: ${err.message}`);
+            continue;
+        }
+
+        if (!isArray) {
+            log.warn(`[gifts] group attempt ${attempt} rejected: response is not an array`);
+        }
+    }
+
+    if (accepted.every(gifts => gifts.length === 0)) {
+        throw new HttpError(502, 'The model did not return any usable gift ideas.', {}, 'malformed_output');
+    }
+    const total = accepted.flat().length;
+    if (total < count * recipients.length) {
+        log.warn(`[gifts] returning ${total} of ${count * recipients.length} group ideas after ${maxAttempts} attempts`);
+    }
+    return accepted.map((gifts, index) => ({ budget: budgets[index], gifts }));
+};
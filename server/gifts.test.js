@@ -0,0 +1,163 @@
+import { describe, it, expect, vi } from 'vitest';
+import { allocateBudget, generateGiftIdeas, generateGroupGiftIdeas } from './gifts.js';
+import { normalizeCriteria, normalizeGroupRequest } from './prompts.js';
+import { HttpError } from './http.js';
+import { MalformedOutputError } from './providers/json.js';
+
+const idea = (recipient, name, estimatedPrice = 20) => ({
+    recipient, name, description: `About ${name}.`, estimatedPrice, currency: 'USD', category: 'other', retailer: 'Etsy', purchaseLink: `https://www.etsy.com/search?q=${name}`,
+});
+
+// A provider answering each call with the next list of ideas, remembering the prompts
+const mockProvider = (...answers) => ({
+    prompts: [],
+    async generateJson({ prompt }) {
+        this.prompts.push(prompt);
+        return answers.shift() ?? [];
+    },
+});
+
+const silentLog = { warn: () => {} };
+
+describe('allocateBudget', () => {
+    it.each([
+        [100, 4, [25, 25, 25, 25]],
+        [100, 3, [34, 33, 33]],
+        ['101', 2, [51, 50]],
+        [5, 1, [5]],
+        ['', 2, [0, 0]],
+    ])('splits %j between %i people', (budget, count, expected) => {
+        expect(allocateBudget(budget, count)).toEqual(expected);
+    });
+});
+
+describe('generateGiftIdeas', () => {
+    it('does not repeat the ideas already shown in a refresh or the idea being varied', async () => {
+        const log = { warn: vi.fn() };
+        const criteria = normalizeCriteria({ occasion: 'birthday', shown: ['Mug'], similarTo: { name: 'Box kite' } });
+        const provider = mockProvider([idea(1, 'mug'), idea(1, 'Box Kite'), idea(1, 'Stunt kite')], [idea(1, 'Kite kit')]);
+        const gifts = await generateGiftIdeas(provider, criteria, { count: 2, log });
+
+        expect(gifts.map(gift => gift.name)).toEqual(['Stunt kite', 'Kite kit']);
+        expect(log.warn.mock.calls.map(([message]) => message.replace(/^.*": /, ''))).toEqual(['already shown', 'already shown']);
+        expect(provider.prompts[1]).toContain('already been suggested: Mug; Box kite; Stunt kite.');
+    });
+
+    it('drops invalid, repeated and out-of-budget ideas and asks again for just the missing ones', async () => {
+        const log = { warn: vi.fn() };
+        const criteria = normalizeCriteria({ occasion: 'birthday', maxPrice: '30', avoid: ['Trowel'] });
+        const provider = mockProvider(
+            [idea(1, 'Kite'), idea(1, 'kite!'), idea(1, 'Drone', 45), { name: 'Lamp' }, idea(1, 'Trowel')],
+            [idea(1, 'Comic'), idea(1, 'Yo-yo')],
+        );
+        const gifts = await generateGiftIdeas(provider, criteria, { count: 3, log });
+
+        expect(gifts.map(gift => gift.name)).toEqual(['Kite', 'Comic', 'Yo-yo']);
+        expect(log.warn.mock.calls.map(([message]) => message.replace(/^.*": /, ''))).toEqual([
+            'duplicate',
+            'price 45 USD is above the 30 USD maximum',
+            'empty description',
+            'already given to this recipient',
+        ]);
+        expect(provider.prompts).toHaveLength(2);
+        expect(provider.prompts[0]).toContain('at least 3 varied');
+        expect(provider.prompts[1]).toContain('at least 2 varied');
+        expect(provider.prompts[1]).toContain('already been suggested: Kite.');
+    });
+
+    it('stops after the attempt limit with the ideas it has', async () => {
+        const log = { warn: vi.fn() };
+        const provider = mockProvider([idea(1, 'Kite')], [idea(1, 'Kite')], [{ name: 'Lamp' }], [idea(1, 'Comic')]);
+        const gifts = await generateGiftIdeas(provider, normalizeCriteria({ occasion: 'birthday' }), { count: 3, maxAttempts: 3, log });
+
+        expect(gifts.map(gift => gift.name)).toEqual(['Kite']);
+        expect(provider.prompts).toHaveLength(3);
+        expect(log.warn).toHaveBeenLastCalledWith('[gifts] returning 1 of 3 ideas after 3 attempts');
+    });
+
+    it('fails when no attempt gives a usable idea', async () => {
+        const provider = mockProvider('not a list', [{ name: 'Lamp' }]);
+        await expect(generateGiftIdeas(provider, normalizeCriteria({ occasion: 'birthday' }), { maxAttempts: 2, log: silentLog }))
+            .rejects.toMatchObject({ status: 502, code: 'malformed_output' });
+        expect(provider.prompts).toHaveLength(2);
+    });
+
+    it('tries again after malformed JSON, but not after other errors', async () => {
+        const criteria = normalizeCriteria({ occasion: 'birthday' });
+        const answers = [new MalformedOutputError(), [idea(1, 'Kite')]];
+        const provider = { generateJson: vi.fn(async () => {
+            const answer = answers.shift();
+            if (answer instanceof Error) throw answer;
+            return answer;
+        }) };
+        expect((await generateGiftIdeas(provider, criteria, { count: 1, log: silentLog })).map(gift => gift.name)).toEqual(['Kite']);
+
+        const failing = { generateJson: vi.fn(async () => { throw new HttpError(503, 'Quota exceeded.'); }) };
+        await expect(generateGiftIdeas(failing, criteria, { log: silentLog })).rejects.toMatchObject({ status: 503 });
+        expect(failing.generateJson).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('generateGroupGiftIdeas', () => {
+    const group = normalizeGroupRequest({
+        occasion: 'christmas', budget: '60',
+        recipients: [{ name: 'Mom', avoid: ['Trowel'] }, { name: 'Sam' }],
+    });
+
+    it('gives each person their own ideas within their share', async () => {
+        const provider = mockProvider([
+            idea(1, 'Seed box'), idea(2, 'Kite'), idea(1, 'Apron'), idea(2, 'Comic'),
+        ]);
+        const recipients = await generateGroupGiftIdeas(provider, group, { count: 2, log: silentLog });
+        expect(recipients).toEqual([
+            { budget: 30, gifts: [expect.objectContaining({ name: 'Seed box' }), expect.objectContaining({ name: 'Apron' })] },
+            { budget: 30, gifts: [expect.objectContaining({ name: 'Kite' }), expect.objectContaining({ name: 'Comic' })] },
+        ]);
+        expect(recipients[0].gifts[0]).not.toHaveProperty('recipient');
+        expect(provider.prompts).toHaveLength(1);
+    });
+
+    it('rejects repeats across people, gifts already given, unknown people and prices over the share', async () => {
+        const log = { warn: vi.fn() };
+        const provider = mockProvider(
+            [idea(1, 'Kite'), idea(2, 'kite!'), idea(1, 'Trowel'), idea(3, 'Lamp'), idea('two', 'Lamp'), idea(2, 'Drone', 45), idea(1, 'Apron')],
+            [idea(2, 'Comic'), idea(2, 'Yo-yo')],
+        );
+        const recipients = await generateGroupGiftIdeas(provider, group, { count: 2, log });
+
+        expect(recipients.map(recipient => recipient.gifts.map(gift => gift.name))).toEqual([['Kite', 'Apron'], ['Comic', 'Yo-yo']]);
+        expect(log.warn.mock.calls.map(([message]) => message.replace(/^.*": /, ''))).toEqual([
+            'duplicate',
+            'already given to this recipient',
+            'unknown recipient 3',
+            'unknown recipient two',
+            'price 45 USD is above the 30 USD maximum',
+        ]);
+        // The second call asks only for Sam, and not for anything already suggested
+        expect(provider.prompts[1]).not.toContain('Person 1');
+        expect(provider.prompts[1]).toContain('already been suggested: Kite; Apron.');
+    });
+
+    it('streams each accepted idea with its person after the plan', async () => {
+        const events = [];
+        const answer = JSON.stringify([idea(2, 'Kite'), idea(1, 'Apron')]);
+        const provider = {
+            async* streamText() {
+                yield answer.slice(0, 40);
+                yield answer.slice(40);
+            },
+        };
+        await generateGroupGiftIdeas(provider, group, {
+            count: 1,
+            log: silentLog,
+            onPlan: budgets => events.push(['plan', budgets]),
+            onGift: (recipient, gift) => events.push([recipient, gift.name]),
+        });
+        expect(events).toEqual([['plan', [30, 30]], [1, 'Kite'], [0, 'Apron']]);
+    });
+
+    it('fails when nobody gets an idea', async () => {
+        await expect(generateGroupGiftIdeas(mockProvider([], [], []), group, { log: silentLog }))
+            .rejects.toMatchObject({ status: 502, code: 'malformed_output' });
+    });
+});
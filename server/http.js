@@ -0,0 +1,145 @@
+import { relative, resolve as resolvePath, sep } from 'node:path';
+
+/**
+ * An error carrying the HTTP status code that should be sent to the client.
+ * The optional code tells the client what kind of failure it was (e.g. "quota_exceeded"),
+ * so it can show its own message and offer the right way out.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - The HTTP status code.
+     * @param {string} message - A message that is safe to show to the client.
+     * @param {object} [headers] - Extra response headers (e.g. Retry-After).
+     * @param {string} [code] - The kind of failure, sent to the client with the message.
+     */
+    constructor(status, message, headers = {}, code = undefined) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.headers = headers;
+        this.code = code;
+    }
+}
+
+/**
+ * Writes a JSON response.
+ * @param {import('node:http').ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {any} body - The value to serialize.
+ * @param {object} [headers] - Extra response headers.
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers,
+    });
+    res.end(payload);
+};
+
+/**
+ * Creates a writer for a newline-delimited JSON (NDJSON) event stream.
+ * Headers are sent with the first event, so a request that fails before
+ * anything was streamed can still get a regular JSON error response.
+ * @param {import('node:http').ServerResponse} res - The response.
+ * @returns {{ write: (event: object) => void, end: (event: object) => void, readonly started: boolean }} The writer.
+ */
+export const createNdjsonWriter = (res) => {
+    const write = (event) => {
+        if (!res.headersSent) {
+            res.writeHead(200, {
+                'Content-Type': 'application/x-ndjson; charset=utf-8',
+                'Cache-Control': 'no-store',
+                'X-Accel-Buffering': 'no',
+            });
+        }
+        res.write(`${JSON.stringify(event)}\n`);
+    };
+
+    return {
+        write,
+        end: (event) => {
+            write(event);
+            res.end();
+        },
+        get started() {
+            return res.headersSent;
+        },
+    };
+};
+
+/**
+ * Reads and parses a JSON request body, rejecting bodies larger than maxBytes.
+ * @param {import('node:http').IncomingMessage} req - The request.
+ * @param {number} maxBytes - The maximum accepted body size in bytes.
+ * @returns {Promise<any>} The parsed body.
+ */
+export const readJsonBody = (req, maxBytes) => new Promise((resolve, reject) => {
+    const declaredLength = Number(req.headers['content-length']);
+    if (declaredLength > maxBytes) {
+        reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes.`));
+        req.resume();
+        return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    let aborted = false;
+
+    req.on('data', (chunk) => {
+        if (aborted) return;
+        received += chunk.length;
+        if (received > maxBytes) {
+            aborted = true;
+            reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes.`));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (aborted) return;
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text) {
+            resolve({});
+            return;
+        }
+        try {
+            resolve(JSON.parse(text));
+        } catch {
+            reject(new HttpError(400, 'Request body is not valid JSON.'));
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * Resolves a decoded URL path inside a directory, for serving files from it.
+ * A prefix check alone is not enough: `/../dist-ssr/x` starts with the path of `dist` too.
+ * @param {string} root - The absolute path of the directory.
+ * @param {string} pathname - The decoded URL path.
+ * @returns {string|null} The file path, or null when the path leads out of the directory.
+ */
+export const resolveInside = (root, pathname) => {
+    const requested = resolvePath(root, `.${pathname}`);
+    const path = relative(root, requested);
+    return path === '..' || path.startsWith(`..${sep}`) ? null : requested;
+};
+
+/**
+ * Returns the client IP address used for rate limiting.
+ * X-Forwarded-For is only honoured when the server runs behind a trusted proxy.
+ * @param {import('node:http').IncomingMessage} req - The request.
+ * @param {boolean} trustProxy - Whether to trust X-Forwarded-For.
+ * @returns {string} The client IP.
+ */
+export const getClientIp = (req, trustProxy) => {
+    if (trustProxy) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (typeof forwarded === 'string' && forwarded.trim()) {
+            return forwarded.split(',')[0].trim();
+        }
+    }
+    return req.socket?.remoteAddress || 'unknown';
+};
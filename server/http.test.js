@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'node:stream';
+import { join, resolve } from 'node:path';
+import { readJsonBody, resolveInside, getClientIp } from './http.js';
+
+// A request whose body arrives in the given chunks
+const request = (chunks, headers = {}) => Object.assign(Readable.from(chunks.map(chunk => Buffer.from(chunk))), { headers });
+
+describe('readJsonBody', () => {
+    it.each([
+        ['a JSON body', ['{"occasion":', '"birthday"}'], { occasion: 'birthday' }],
+        ['an empty body', [], {}],
+    ])('parses %s', async (_case, chunks, body) => {
+        await expect(readJsonBody(request(chunks), 100)).resolves.toEqual(body);
+    });
+
+    it.each([
+        ['a declared length over the limit', request(['{}'], { 'content-length': '101' }), 413],
+        ['a body that grows over the limit', request(['{"a":"', 'x'.repeat(100), '"}']), 413],
+        ['a body that is not JSON', request(['{occasion']), 400],
+    ])('rejects %s', async (_case, req, status) => {
+        await expect(readJsonBody(req, 100)).rejects.toMatchObject({ name: 'HttpError', status });
+    });
+});
+
+describe('resolveInside', () => {
+    const root = resolve('/srv/app/dist');
+
+    it.each([
+        ['/assets/index.js', join(root, 'assets/index.js')],
+        ['/', root],
+        ['/a/../index.html', join(root, 'index.html')],
+        ['/..', null],
+        ['/../dist-ssr/x', null],
+        ['/../../etc/passwd', null],
+    ])('resolves %s', (pathname, expected) => {
+        expect(resolveInside(root, pathname)).toBe(expected);
+    });
+});
+
+describe('getClientIp', () => {
+    const req = { headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }, socket: { remoteAddress: '10.0.0.1' } };
+
+    it.each([
+        [true, '203.0.113.7'],
+        [false, '10.0.0.1'],
+    ])('with trustProxy %s uses %s', (trustProxy, ip) => {
+        expect(getClientIp(req, trustProxy)).toBe(ip);
+    });
+});
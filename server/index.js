@@ -0,0 +1,63 @@
+import { createServer } from 'node:http';
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApiHandler } from './api.js';
+import { resolveInside } from './http.js';
+import { loadConfig } from './config.js';
+
+const DIST_DIR = resolve(fileURLToPath(new URL('../dist', import.meta.url)));
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json',
+};
+
+/**
+ * Serves the built client from dist/, falling back to index.html for unknown paths.
+ */
+const serveStatic = async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+    const filePath = resolveInside(DIST_DIR, pathname) || DIST_DIR;
+
+    let target = join(DIST_DIR, 'index.html');
+    try {
+        if ((await stat(filePath)).isFile()) target = filePath;
+    } catch {
+        // Not a file: fall through to the SPA entry point
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(target)] || 'application/octet-stream' });
+    createReadStream(target)
+        .on('error', () => res.end())
+        .pipe(res);
+};
+
+const config = loadConfig();
+const handleApi = createApiHandler(config);
+
+createServer((req, res) => {
+    handleApi(req, res, () => serveStatic(req, res));
+}).listen(config.port, config.host, () => {
+    console.log(`Gift finder listening on http://${config.host}:${config.port} (provider: ${config.llm.provider})`);
+});
@@ -0,0 +1,69 @@
+/**
+ * Creates an incremental parser that pulls complete objects out of a JSON array while
+ * the array is still arriving. The first array in the text is the one read, so both a
+ * bare `[{...}, ...]` and a wrapper such as `{"items": [{...}, ...]}` work, as does
+ * output inside a Markdown code fence.
+ * @returns {{ push: (chunk: string) => Array<object|null>, readonly foundArray: boolean }}
+ *   push() returns the objects completed by the chunk; an object that is not valid JSON comes back as null.
+ */
+export const createJsonArrayParser = () => {
+    let buffer = '';
+    let depth = 0;
+    let arrayDepth = null;
+    let arrayClosed = false;
+    let objectStart = -1;
+    let inString = false;
+    let escaped = false;
+
+    const push = (chunk) => {
+        const start = buffer.length;
+        buffer += chunk;
+        const items = [];
+
+        for (let i = start; i < buffer.length; i++) {
+            const char = buffer[i];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '[' || char === '{') {
+                if (char === '[' && arrayDepth === null) arrayDepth = depth + 1;
+                else if (char === '{' && depth === arrayDepth && !arrayClosed) objectStart = i;
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+                if (char === '}' && depth === arrayDepth && objectStart !== -1) {
+                    try {
+                        items.push(JSON.parse(buffer.slice(objectStart, i + 1)));
+                    } catch {
+                        items.push(null);
+                    }
+                    objectStart = -1;
+                }
+                if (char === ']' && depth === arrayDepth - 1) arrayClosed = true;
+            }
+        }
+
+        // Only text belonging to an unfinished object needs to be kept
+        if (objectStart === -1) {
+            buffer = '';
+        } else {
+            buffer = buffer.slice(objectStart);
+            objectStart = 0;
+        }
+        return items;
+    };
+
+    return {
+        push,
+        get foundArray() {
+            return arrayDepth !== null;
+        },
+    };
+};
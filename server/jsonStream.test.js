@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createJsonArrayParser } from './jsonStream.js';
+
+/**
+ * Feeds text to a fresh parser in pieces of the given size and collects everything it emits.
+ */
+const parseInChunks = (text, size) => {
+    const parser = createJsonArrayParser();
+    const items = [];
+    for (let i = 0; i < text.length; i += size) {
+        items.push(...parser.push(text.slice(i, i + size)));
+    }
+    return { items, foundArray: parser.foundArray };
+};
+
+const gifts = [
+    { name: 'Pour Over Kettle', description: 'For the coffee fan', estimatedPrice: 45 },
+    { name: 'Star Map', description: 'The sky on the night they met', estimatedPrice: 60 },
+];
+
+describe('createJsonArrayParser', () => {
+    it.each([
+        // [description, text]
+        ['a bare array', JSON.stringify(gifts)],
+        ['a pretty-printed array', JSON.stringify(gifts, null, 2)],
+        ['an array wrapped in an object', JSON.stringify({ items: gifts })],
+        ['an array inside a Markdown code fence', `\`\`\`json\n${JSON.stringify(gifts)}\n\`\`\``],
+    ])('reads %s whatever the chunk size', (_, text) => {
+        for (const size of [1, 3, 17, text.length]) {
+            expect(parseInChunks(text, size)).toEqual({ items: gifts, foundArray: true });
+        }
+    });
+
+    it('emits each object as soon as it is complete', () => {
+        const parser = createJsonArrayParser();
+        expect(parser.push('[{"name": "Kettle"}, {"name": "Sta')).toEqual([{ name: 'Kettle' }]);
+        expect(parser.push('r Map"}')).toEqual([{ name: 'Star Map' }]);
+        expect(parser.push(']')).toEqual([]);
+    });
+
+    it.each([
+        // [description, text, expected]
+        ['brackets and braces inside strings', '[{"name": "Mug {large} [blue]"}]', [{ name: 'Mug {large} [blue]' }]],
+        ['escaped quotes inside strings', '[{"name": "The \\"Best\\" Mug"}]', [{ name: 'The "Best" Mug' }]],
+        ['nested objects and arrays', '[{"name": "Set", "tags": [{"a": 1}]}]', [{ name: 'Set', tags: [{ a: 1 }] }]],
+        ['invalid objects as null', '[{"name": "Mug",}, {"name": "Kettle"}]', [null, { name: 'Kettle' }]],
+        ['nothing after the array closes', '[{"name": "Mug"}] {"name": "Extra"}', [{ name: 'Mug' }]],
+        ['non-object array items are skipped', '["Mug", 3, {"name": "Kettle"}]', [{ name: 'Kettle' }]],
+    ])('handles %s', (_, text, expected) => {
+        expect(parseInChunks(text, 2).items).toEqual(expected);
+    });
+
+    it('reports when no array was found', () => {
+        expect(parseInChunks('{"error": "no ideas"}', 4)).toEqual({ items: [], foundArray: false });
+    });
+});
@@ -0,0 +1,150 @@
+import { normalizeCriteria, normalizeCardOptions, normalizeGroupRequest, buildGiftPrompt, buildGroupGiftPrompt, buildCardMessageConversation, splitCardVariants } from './prompts.js';
+import { giftIdeasSchema, groupGiftIdeasSchema } from './schemas.js';
+import { checkGiftIdea } from './giftValidation.js';
+import { giftKey } from './shared.js';
+import { allocateBudget } from './gifts.js';
+import { promptVersion } from './templates.js';
+
+const words = (text) => new Set(String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+
+const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * How different a set of texts are from each other: one minus the average word overlap
+ * (Jaccard similarity) of every pair. 1 means no two share a word, 0 that they are all the same.
+ * @param {string[]} texts - The texts.
+ * @returns {number|null} The diversity, or null for fewer than two texts.
+ */
+export const textDiversity = (texts) => {
+    const sets = texts.map(words);
+    const similarities = [];
+    sets.forEach((a, i) => sets.slice(i + 1).forEach((b) => {
+        const shared = [...a].filter(word => b.has(word)).length;
+        const union = a.size + b.size - shared;
+        similarities.push(union === 0 ? 1 : shared / union);
+    }));
+    const similarity = average(similarities);
+    return similarity === null ? null : 1 - similarity;
+};
+
+/**
+ * Scores the items of one structured answer: how many pass the schema and the request's constraints,
+ * and how varied the valid ones are.
+ * @param {any} items - The parsed answer.
+ * @param {(item: any) => { gift?: object, reason?: string }} check - Validates one item.
+ * @returns {object} The metrics: items, valid, validity, rejections, distinctNames, categories and descriptionDiversity.
+ */
+const scoreGifts = (items, check) => {
+    const list = Array.isArray(items) ? items : [];
+    const results = list.map(check);
+    const gifts = results.filter(result => result.gift).map(result => result.gift);
+
+    return {
+        items: list.length,
+        valid: gifts.length,
+        // An answer that is not an array at all is entirely invalid
+        validity: list.length > 0 ? gifts.length / list.length : 0,
+        rejections: results.filter(result => result.reason).map(result => result.reason),
+        distinctNames: gifts.length > 0 ? new Set(gifts.map(gift => giftKey(gift.name))).size / gifts.length : null,
+        categories: new Set(gifts.map(gift => gift.category)).size,
+        descriptionDiversity: textDiversity(gifts.map(gift => gift.description)),
+        names: gifts.map(gift => gift.name),
+    };
+};
+
+// Runs one case, recording a failed model call as an entirely invalid answer
+const runCase = async (template, name, evaluate) => {
+    try {
+        return { template, name, ...await evaluate() };
+    } catch (err) {
+        return { template, name, items: 0, valid: 0, validity: 0, error: err.message };
+    }
+};
+
+/**
+ * Runs each prompt template against a set of criteria and scores the answers. Every result records
+ * the template version it was made with, so reports of different versions can be compared.
+ * @param {import('./providers/index.js').Provider} provider - The model provider (the fixture provider needs no network).
+ * @param {object} cases - `{ gifts, groups, cards }`: request bodies as the browser sends them, each with a `name`.
+ * @returns {Promise<{ provider: string, model: string, results: Array<object>, summary: Array<object> }>} The score of
+ *   each case, and per template its average validity, its diversity and how many ideas recur across cases.
+ */
+export const evaluatePrompts = async (provider, { gifts = [], groups = [], cards = [] }) => {
+    const results = [];
+
+    for (const { name, ...body } of gifts) {
+        const criteria = normalizeCriteria(body);
+        results.push(await runCase(promptVersion('gift-ideas'), name, async () => {
+            const items = await provider.generateJson({ prompt: buildGiftPrompt(criteria), schema: giftIdeasSchema });
+            return scoreGifts(items, item => checkGiftIdea(item, criteria));
+        }));
+    }
+
+    for (const { name, ...body } of groups) {
+        const group = normalizeGroupRequest(body);
+        const budgets = allocateBudget(group.budget, group.recipients.length);
+        const prompt = buildGroupGiftPrompt(group, budgets, { counts: group.recipients.map(() => 3) });
+        results.push(await runCase(promptVersion('group-gift-ideas'), name, async () => {
+            const items = await provider.generateJson({ prompt, schema: groupGiftIdeasSchema });
+            return scoreGifts(items, (item) => {
+                const index = Number(item?.recipient) - 1;
+                if (!group.recipients[index]) return { reason: `unknown recipient ${item?.recipient}` };
+                return checkGiftIdea(item, { maxPrice: String(budgets[index]), currency: group.currency });
+            });
+        }));
+    }
+
+    for (const { name, ...body } of cards) {
+        const options = normalizeCardOptions(body);
+        const conversation = buildCardMessageConversation(normalizeCriteria(body), options);
+        results.push(await runCase(promptVersion('card-message'), name, async () => {
+            const variants = splitCardVariants(await provider.generateText(conversation));
+            return {
+                items: variants.length,
+                valid: Math.min(variants.length, options.variants),
+                // Too few versions, or more than asked for, both count against the template
+                validity: variants.length > 0 ? Math.min(variants.length, options.variants) / Math.max(variants.length, options.variants) : 0,
+                textDiversity: textDiversity(variants),
+            };
+        }));
+    }
+
+    const summary = [...new Set(results.map(result => result.template))].map((template) => {
+        const own = results.filter(result => result.template === template);
+        const diversity = own.map(result => result.descriptionDiversity ?? result.textDiversity).filter(value => value !== null && value !== undefined);
+        // Ideas suggested for more than one case were not tailored to the person
+        const cases = own.map(result => new Set((result.names || []).map(giftKey)));
+        const allNames = cases.flatMap(names => [...names]);
+        const recurring = new Set(allNames.filter(key => cases.filter(names => names.has(key)).length > 1));
+
+        return {
+            template,
+            cases: own.length,
+            errors: own.filter(result => result.error).length,
+            validity: average(own.map(result => result.validity)),
+            diversity: average(diversity),
+            recurringIdeas: allNames.length > 0 ? recurring.size / new Set(allNames).size : null,
+        };
+    });
+
+    return { provider: provider.name, model: provider.model, results, summary };
+};
+
+const percent = (value) => value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+
+/**
+ * Formats a report for the terminal: one line per case, then the summary per template.
+ * @param {object} report - What evaluatePrompts returned.
+ * @returns {string} The report.
+ */
+export const formatReport = ({ provider, model, results, summary }) => [
+    `Prompt evaluation with ${provider} (${model})`,
+    '',
+    ...results.map(result => `  ${result.template}  ${result.name}: ${result.valid}/${result.items} valid`
+        + (result.error ? `, failed: ${result.error}` : `, diversity ${percent(result.descriptionDiversity ?? result.textDiversity)}`)
+        + (result.rejections?.length ? ` (rejected: ${result.rejections.join('; ')})` : '')),
+    '',
+    ...summary.map(line => `${line.template}: validity ${percent(line.validity)}, diversity ${percent(line.diversity)}`
+        + (line.recurringIdeas !== null ? `, ideas recurring across cases ${percent(line.recurringIdeas)}` : '')
+        + (line.errors ? `, ${line.errors} of ${line.cases} cases failed` : '')),
+].join('\n');
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { evaluatePrompts, textDiversity, formatReport } from './promptEval.js';
+import { createFixtureProvider } from './providers/fixture.js';
+import { promptVersion } from './templates.js';
+
+const IDEA = { description: 'A thing.', estimatedPrice: 20, currency: 'USD', category: 'hobby', retailer: 'Etsy', purchaseLink: 'https://www.etsy.com/search?q=kite' };
+
+const provider = createFixtureProvider({
+    fixtures: {
+        text: 'Happy birthday, Sam!\n---\nHappy birthday, Sam!',
+        json: {
+            gift_ideas: [
+                { ...IDEA, name: 'Kite', description: 'A box kite for windy days.' },
+                { ...IDEA, name: 'Telescope', description: 'A small telescope for the stars.', estimatedPrice: 300 },
+                { name: 'Nothing else' },
+            ],
+            group_gift_ideas: [{ ...IDEA, name: 'Kite', recipient: 1 }, { ...IDEA, name: 'Yo-yo', recipient: 9 }],
+        },
+    },
+});
+
+describe('textDiversity', () => {
+    it.each([
+        [['a kite', 'a kite'], 0],
+        [['a kite', 'the stars'], 1],
+        [['red kite', 'blue kite'], 2 / 3],
+    ])('scores %j', (texts, expected) => {
+        expect(textDiversity(texts)).toBeCloseTo(expected);
+    });
+
+    it('has nothing to compare a single text with', () => {
+        expect(textDiversity(['alone'])).toBeNull();
+    });
+});
+
+describe('evaluatePrompts', () => {
+    it('scores each case with the template version it was made with', async () => {
+        const report = await evaluatePrompts(provider, {
+            gifts: [{ name: 'kite fan', occasion: 'birthday', maxPrice: '50' }, { name: 'stargazer', occasion: 'birthday' }],
+            groups: [{ name: 'family', occasion: 'holidays', budget: '100', recipients: [{ name: 'A' }, { name: 'B' }] }],
+            cards: [{ name: 'two versions', occasion: 'birthday', card: { variants: 2 } }, { name: 'four versions', occasion: 'birthday', card: { variants: 4 } }],
+        });
+
+        expect(report.results.map(({ template, name, valid, items }) => [template, name, valid, items])).toEqual([
+            [promptVersion('gift-ideas'), 'kite fan', 1, 3],
+            [promptVersion('gift-ideas'), 'stargazer', 2, 3],
+            [promptVersion('group-gift-ideas'), 'family', 1, 2],
+            [promptVersion('card-message'), 'two versions', 2, 2],
+            [promptVersion('card-message'), 'four versions', 2, 2],
+        ]);
+        expect(report.results[0].rejections).toEqual(['price 300 USD is above the 50 USD maximum', 'empty description']);
+        expect(report.results[2].rejections).toEqual(['unknown recipient 9']);
+        expect(report.summary).toEqual([
+            { template: promptVersion('gift-ideas'), cases: 2, errors: 0, validity: 0.5, diversity: expect.any(Number), recurringIdeas: 0.5 },
+            { template: promptVersion('group-gift-ideas'), cases: 1, errors: 0, validity: 0.5, diversity: null, recurringIdeas: 0 },
+            { template: promptVersion('card-message'), cases: 2, errors: 0, validity: 0.75, diversity: 0, recurringIdeas: null },
+        ]);
+        expect(formatReport(report)).toContain(`${promptVersion('gift-ideas')}: validity 50%`);
+    });
+
+    it('counts a failed model call as an invalid answer', async () => {
+        const failing = { ...provider, generateJson: async () => { throw new Error('Model error: 503'); } };
+        const report = await evaluatePrompts(failing, { gifts: [{ name: 'any', occasion: 'birthday' }] });
+
+        expect(report.results[0]).toMatchObject({ valid: 0, validity: 0, error: 'Model error: 503' });
+        expect(report.summary[0]).toMatchObject({ errors: 1, validity: 0 });
+    });
+});
@@ -0,0 +1,9 @@
+// The current version of each prompt template, in server/templates/<name>.v<version>.txt.
+// Bump a version (and rename its file) whenever the template changes what the model is asked:
+// every result records the version it was made with, so answers of different versions can be compared.
+// This module imports nothing, so the browser can use it too: the gift cache keys its entries on the version.
+export const PROMPT_VERSIONS = {
+    'gift-ideas': 3,
+    'group-gift-ideas': 1,
+    'card-message': 1,
+};
@@ -0,0 +1,282 @@
+import { GIFT_CATEGORIES } from './schemas.js';
+import { loadTemplate, renderTemplate } from './templates.js';
+import { CURRENCIES, DISLIKE_REASONS, LIKE_REASONS, MAX_RECIPIENTS } from './shared.js';
+
+const MAX_FIELD_LENGTH = 200;
+const MAX_AVOID_ITEMS = 50;
+const MAX_FEEDBACK_ITEMS = 20;
+const MAX_DRAFT_LENGTH = 2000;
+const MAX_REFINEMENTS = 10;
+
+// How each card tone is described to the model
+const CARD_TONES = {
+    heartfelt: 'a heartfelt and creative gift card message or a short poem',
+    funny: 'a funny, light-hearted gift card message',
+    sentimental: 'a sentimental, warm gift card message',
+    formal: 'a formal, polite gift card message',
+    poem: 'a short rhyming poem for a gift card',
+    haiku: 'a haiku for a gift card, in three lines of 5, 7 and 5 syllables',
+};
+
+const CARD_LENGTHS = {
+    short: 'around 20-40 words',
+    medium: 'around 50-100 words',
+    long: 'around 100-150 words',
+};
+
+// Separates the versions of a card message in the model output
+export const CARD_VARIANT_SEPARATOR = '---';
+
+// The prompt templates, read once when the server starts
+const TEMPLATES = {
+    gift: loadTemplate('gift-ideas'),
+    group: loadTemplate('group-gift-ideas'),
+    card: loadTemplate('card-message'),
+};
+
+// Why an idea was liked or disliked, as told to the model: a wording for each of LIKE_REASONS and DISLIKE_REASONS
+export const FEEDBACK_REASONS = {
+    'fits-interests': 'fits their interests',
+    'good-value': 'good value',
+    'original': 'original',
+    'too-generic': 'too generic',
+    'over-budget': 'over budget',
+    'already-owns': 'they already own it',
+    'not-their-style': 'not their style',
+};
+
+// Languages the gift ideas and card messages can be written in, as named to the model
+export const LANGUAGES = { en: 'English', de: 'German', es: 'Spanish' };
+
+const text = (value) => (typeof value === 'string' || typeof value === 'number')
+    ? String(value).trim().slice(0, MAX_FIELD_LENGTH)
+    : '';
+const digits = (value) => text(value).replace(/[^0-9]/g, '');
+const textList = (value) => (Array.isArray(value) ? value : [])
+    .map(text)
+    .filter(Boolean)
+    .slice(0, MAX_AVOID_ITEMS);
+
+/**
+ * Cleans the criteria posted by the browser: keeps only known fields,
+ * coerces them to trimmed strings and caps their length.
+ * @param {object} body - The parsed request body.
+ * @returns {object} The normalized criteria.
+ */
+export const normalizeCriteria = (body) => {
+    const source = body && typeof body === 'object' ? body : {};
+
+    return {
+        occasion: text(source.occasion),
+        relationship: text(source.relationship),
+        age: digits(source.age),
+        gender: text(source.gender),
+        interests: text(source.interests),
+        notableEvents: text(source.notableEvents),
+        minPrice: digits(source.minPrice),
+        maxPrice: digits(source.maxPrice),
+        currency: CURRENCIES.includes(source.currency) ? source.currency : 'USD',
+        // The interface language, which the generated text should be written in
+        language: Object.hasOwn(LANGUAGES, source.language) ? source.language : 'en',
+        // Gifts the recipient already received, which must not be suggested again
+        avoid: textList(source.avoid),
+        // Ideas already shown in this search, which a refresh must not repeat
+        shown: textList(source.shown),
+        // Likes and dislikes of earlier ideas, with the reasons picked for them
+        feedback: (Array.isArray(source.feedback) ? source.feedback : [])
+            .filter(item => item && typeof item.liked === 'boolean' && text(item.name))
+            .slice(0, MAX_FEEDBACK_ITEMS)
+            .map(item => ({
+                name: text(item.name),
+                liked: item.liked,
+                reasons: [...new Set(Array.isArray(item.reasons) ? item.reasons : [])].filter(reason => LIKE_REASONS.includes(reason) || DISLIKE_REASONS.includes(reason)),
+            })),
+        // The idea to find variations of, for "more like this"
+        similarTo: text(source.similarTo?.name)
+            ? { name: text(source.similarTo.name), description: text(source.similarTo.description) }
+            : null,
+    };
+};
+
+/**
+ * Cleans a group gift request: the shared occasion, currency, language and overall budget,
+ * and up to MAX_RECIPIENTS people, each with the recipient fields of the single search.
+ * @param {object} body - The parsed request body.
+ * @returns {{ occasion: string, currency: string, language: string, budget: string, recipients: Array<object> }}
+ *   The normalized request; each recipient has name, relationship, age, gender, interests and avoid.
+ */
+export const normalizeGroupRequest = (body) => {
+    const { occasion, currency, language } = normalizeCriteria(body);
+    const recipients = Array.isArray(body?.recipients) ? body.recipients : [];
+
+    return {
+        occasion,
+        currency,
+        language,
+        budget: digits(body?.budget),
+        recipients: recipients.slice(0, MAX_RECIPIENTS).map(recipient => {
+            const source = recipient && typeof recipient === 'object' ? recipient : {};
+            return {
+                name: text(source.name),
+                relationship: text(source.relationship),
+                age: digits(source.age),
+                gender: text(source.gender),
+                interests: text(source.interests),
+                avoid: textList(source.avoid),
+            };
+        }),
+    };
+};
+
+/**
+ * Cleans the card message options posted by the browser (the `card` field of the body).
+ * Unknown tones and lengths fall back to the defaults.
+ * @param {object} body - The parsed request body.
+ * @returns {{ tone: string, length: string, signature: string, insideJokes: string, variants: number, refinements: Array<{ draft: string, instruction: string }> }}
+ *   The options; each refinement is a draft the user picked and the change they asked for.
+ */
+export const normalizeCardOptions = (body) => {
+    const source = body?.card && typeof body.card === 'object' ? body.card : {};
+    const text = (value, maxLength = MAX_FIELD_LENGTH) => typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+    const variants = Number.parseInt(source.variants, 10);
+
+    return {
+        tone: source.tone in CARD_TONES ? source.tone : 'heartfelt',
+        length: source.length in CARD_LENGTHS ? source.length : 'medium',
+        signature: text(source.signature),
+        insideJokes: text(source.insideJokes),
+        variants: Number.isFinite(variants) ? Math.min(Math.max(variants, 1), 4) : 3,
+        refinements: (Array.isArray(source.refinements) ? source.refinements : [])
+            .map(step => ({ draft: text(step?.draft, MAX_DRAFT_LENGTH), instruction: text(step?.instruction) }))
+            .filter(step => step.draft && step.instruction)
+            .slice(-MAX_REFINEMENTS),
+    };
+};
+
+/**
+ * Names the user's language for the templates that ask for text to be written in it, or '' for English.
+ * The criteria themselves stay in English (the form stores English values), so this is the only place
+ * the language appears.
+ */
+const languageName = (language) => language !== 'en' ? LANGUAGES[language] : '';
+
+// Lists rated ideas with their reasons, e.g. "Mug (too generic, over budget); Kite"
+const describeFeedback = (items) => items
+    .map(({ name, reasons }) => reasons.length > 0 ? `${name} (${reasons.map(reason => FEEDBACK_REASONS[reason]).join(', ')})` : name)
+    .join('; ');
+
+/**
+ * Builds the gift suggestion prompt from the normalized criteria.
+ * @param {object} criteria - The normalized criteria.
+ * @param {object} [options]
+ * @param {number} [options.count] - How many ideas to ask for.
+ * @param {string[]} [options.exclude] - Gift names the model must not suggest again.
+ * @returns {string} The prompt.
+ */
+export const buildGiftPrompt = ({ occasion, relationship, age, gender, interests, notableEvents, minPrice, maxPrice, currency = 'USD', language = 'en', avoid = [], shown = [], feedback = [], similarTo = null }, { count = 5, exclude = [] } = {}) => {
+    let priceRange = '';
+    if (minPrice && maxPrice) priceRange = `between ${minPrice} and ${maxPrice} ${currency}`;
+    else if (minPrice) priceRange = `above ${minPrice} ${currency}`;
+    else if (maxPrice) priceRange = `up to ${maxPrice} ${currency}`;
+
+    // Ideas shown earlier in this search, and the ones already accepted from this answer
+    const suggested = [...new Set([...shown, ...(similarTo ? [similarTo.name] : []), ...exclude])];
+
+    return renderTemplate(TEMPLATES.gift, {
+        occasion, relationship, age, gender, interests, notableEvents, priceRange, currency, count,
+        avoid: avoid.join('; '),
+        liked: describeFeedback(feedback.filter(item => item.liked)),
+        disliked: describeFeedback(feedback.filter(item => !item.liked)),
+        similarTo: similarTo && (similarTo.description ? `${similarTo.name} (${similarTo.description})` : similarTo.name),
+        categories: GIFT_CATEGORIES.join(', '),
+        suggested: suggested.join('; '),
+        languageName: languageName(language),
+    });
+};
+
+/**
+ * Builds the prompt asking for gift ideas for several people at once. People are numbered
+ * from 1, and each idea names the person it is for in its `recipient` field.
+ * @param {object} group - The normalized group request (see normalizeGroupRequest).
+ * @param {number[]} budgets - Each person's share of the overall budget.
+ * @param {object} options
+ * @param {number[]} options.counts - How many ideas to ask for, per person; people with 0 are left out.
+ * @param {string[]} [options.exclude] - Gift names the model must not suggest again.
+ * @returns {string} The prompt.
+ */
+export const buildGroupGiftPrompt = ({ occasion, currency = 'USD', language = 'en', budget, recipients }, budgets, { counts, exclude = [] }) => {
+    const people = recipients
+        .map((recipient, index) => ({ ...recipient, number: index + 1, budget: budgets[index], avoid: recipient.avoid.join('; ') }))
+        .filter((person, index) => counts[index] > 0);
+
+    return renderTemplate(TEMPLATES.group, {
+        occasion, budget, currency, people,
+        wanted: people.map(person => `${counts[person.number - 1]} for person ${person.number}`).join(', '),
+        categories: GIFT_CATEGORIES.join(', '),
+        suggested: exclude.join('; '),
+        languageName: languageName(language),
+    });
+};
+
+/**
+ * Builds the card message prompt from the normalized criteria and card options.
+ * @param {object} criteria - The normalized criteria.
+ * @param {object} [options] - The normalized card options (see normalizeCardOptions).
+ * @returns {string} The prompt.
+ */
+export const buildCardMessagePrompt = ({ occasion, relationship, age, gender, interests, notableEvents, language = 'en' }, { tone = 'heartfelt', length = 'medium', signature = '', insideJokes = '', variants = 1 } = {}) => renderTemplate(TEMPLATES.card, {
+    tone: CARD_TONES[tone],
+    occasion, relationship, age, gender, interests, notableEvents, insideJokes, signature,
+    // A haiku has its own fixed length
+    length: tone !== 'haiku' ? CARD_LENGTHS[length] : '',
+    languageName: languageName(language),
+    variants: variants > 1 ? variants : 0,
+    separator: CARD_VARIANT_SEPARATOR,
+});
+
+/**
+ * Builds the follow-up prompt asking the model to revise the draft it wrote in the previous turn.
+ * @param {string} instruction - What to change, e.g. "make it shorter".
+ * @param {object} options - The normalized card options.
+ * @returns {string} The prompt.
+ */
+export const buildCardRefinementPrompt = (instruction, { signature = '', variants = 1 } = {}) => renderTemplate(TEMPLATES.card, {
+    instruction,
+    signature,
+    variants: variants > 1 ? variants : 0,
+    separator: CARD_VARIANT_SEPARATOR,
+});
+
+/**
+ * Builds the conversation for a card message request. Without refinements this is a single
+ * prompt; each refinement adds the draft the user picked as the model's turn, followed by
+ * the change they asked for, so the model revises its own draft instead of starting over.
+ * @param {object} criteria - The normalized criteria.
+ * @param {object} options - The normalized card options.
+ * @returns {{ prompt: string, history: import('./providers/index.js').History }} The final prompt and the turns before it.
+ */
+export const buildCardMessageConversation = (criteria, options) => {
+    const { refinements } = options;
+    if (refinements.length === 0) {
+        return { prompt: buildCardMessagePrompt(criteria, options), history: [] };
+    }
+
+    const history = [{ role: 'user', text: buildCardMessagePrompt(criteria, { ...options, variants: 1 }) }];
+    refinements.forEach(({ draft, instruction }, index) => {
+        history.push({ role: 'model', text: draft });
+        if (index < refinements.length - 1) {
+            history.push({ role: 'user', text: buildCardRefinementPrompt(instruction, { ...options, variants: 1 }) });
+        }
+    });
+    return { prompt: buildCardRefinementPrompt(refinements.at(-1).instruction, options), history };
+};
+
+/**
+ * Splits model output into the separate card message versions.
+ * @param {string} text - The model output.
+ * @returns {string[]} The non-empty versions.
+ */
+export const splitCardVariants = (text) => text
+    .split(new RegExp(`^\\s*${CARD_VARIANT_SEPARATOR}+\\s*$`, 'm'))
+    .map(variant => variant.trim())
+    .filter(Boolean);
@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeCriteria, normalizeCardOptions, normalizeGroupRequest, buildGiftPrompt, buildGroupGiftPrompt, buildCardMessageConversation, splitCardVariants, FEEDBACK_REASONS } from './prompts.js';
+import { DISLIKE_REASONS, LIKE_REASONS, MAX_RECIPIENTS } from './shared.js';
+
+const criteria = { occasion: 'Birthday', relationship: 'sister', age: '30', gender: '', interests: 'hiking', notableEvents: '' };
+
+describe('normalizeCriteria', () => {
+    it.each([
+        // [currency and language sent, used]
+        [{ currency: 'EUR', language: 'de' }, { currency: 'EUR', language: 'de' }],
+        [{ currency: 'eur', language: 'fr' }, { currency: 'USD', language: 'en' }],
+        [{ currency: ['GBP'], language: 'toString' }, { currency: 'USD', language: 'en' }],
+        [{}, { currency: 'USD', language: 'en' }],
+    ])('accepts only supported currencies and languages from %j', (body, expected) => {
+        expect(normalizeCriteria({ occasion: 'birthday', ...body })).toMatchObject(expected);
+    });
+
+    it('keeps well-formed feedback with known reasons', () => {
+        const criteria = normalizeCriteria({
+            occasion: 'birthday',
+            shown: ['Mug', ' Kite ', 3],
+            feedback: [
+                { name: 'Mug', liked: false, reasons: ['too-generic', 'made-up', 'too-generic'] },
+                { name: 'Kite', liked: true },
+                { name: 'Book', liked: 'yes' },
+                { name: '', liked: true },
+                null,
+            ],
+            similarTo: { name: 'Kite', description: 'A box kite.' },
+        });
+        expect(criteria).toMatchObject({
+            shown: ['Mug', 'Kite', '3'],
+            feedback: [{ name: 'Mug', liked: false, reasons: ['too-generic'] }, { name: 'Kite', liked: true, reasons: [] }],
+            similarTo: { name: 'Kite', description: 'A box kite.' },
+        });
+        expect(normalizeCriteria({ similarTo: { description: 'no name' } }).similarTo).toBeNull();
+    });
+
+    it('has a wording for the model for every reason the form offers', () => {
+        expect(Object.keys(FEEDBACK_REASONS).sort()).toEqual([...LIKE_REASONS, ...DISLIKE_REASONS].sort());
+    });
+});
+
+describe('buildGiftPrompt', () => {
+    it('asks for the ideas as a JSON array', () => {
+        const prompt = buildGiftPrompt(normalizeCriteria({ occasion: 'birthday' }));
+        expect(prompt).toContain('Respond in JSON format as an array of objects');
+        expect(prompt).not.toMatch(/\s{2}|\n/);
+    });
+
+    it('prices the ideas in the chosen currency', () => {
+        const prompt = buildGiftPrompt(normalizeCriteria({ occasion: 'birthday', minPrice: '20', maxPrice: '50', currency: 'EUR' }));
+        expect(prompt).toContain('between 20 and 50 EUR');
+        expect(prompt).toContain('an estimated price in EUR');
+        expect(prompt).not.toContain('$');
+    });
+
+    it.each([
+        ['en', null],
+        ['de', 'Write the name and description of each gift in German.'],
+        ['es', 'Write the name and description of each gift in Spanish.'],
+    ])('asks for %s text', (language, instruction) => {
+        const prompt = buildGiftPrompt(normalizeCriteria({ occasion: 'birthday', language }));
+        if (instruction) expect(prompt).toContain(instruction);
+        else expect(prompt).not.toMatch(/ in (German|Spanish)/);
+    });
+
+    it('passes on likes and dislikes with their reasons, and the ideas already shown', () => {
+        const prompt = buildGiftPrompt(normalizeCriteria({
+            occasion: 'birthday',
+            shown: ['Mug', 'Kite', 'Scarf'],
+            feedback: [
+                { name: 'Kite', liked: true, reasons: ['fits-interests'] },
+                { name: 'Mug', liked: false, reasons: ['too-generic', 'over-budget'] },
+                { name: 'Scarf', liked: false },
+            ],
+        }), { exclude: ['Book'] });
+        expect(prompt).toContain('I liked these earlier ideas, so suggest more in the same spirit: Kite (fits their interests).');
+        expect(prompt).toContain('I did not like these earlier ideas, so steer away from what they have in common: Mug (too generic, over budget); Scarf.');
+        expect(prompt).toContain('Do not suggest any of these gifts, which have already been suggested: Mug; Kite; Scarf; Book.');
+    });
+
+    it('asks for variations on one idea', () => {
+        const prompt = buildGiftPrompt(normalizeCriteria({ occasion: 'birthday', similarTo: { name: 'Box kite', description: 'A kite for windy days.' } }));
+        expect(prompt).toContain('Suggest variations on this idea: Box kite (A kite for windy days.).');
+        expect(prompt).toContain('which have already been suggested: Box kite.');
+    });
+
+    it('leaves feedback out of a first search', () => {
+        const prompt = buildGiftPrompt(normalizeCriteria({ occasion: 'birthday' }));
+        expect(prompt).not.toMatch(/earlier ideas|variations|already been suggested/);
+    });
+});
+
+describe('normalizeGroupRequest', () => {
+    it('keeps the recipient fields of each person and the shared ones of the group', () => {
+        const group = normalizeGroupRequest({
+            occasion: 'christmas', budget: '€200', currency: 'EUR', language: 'de', maxPrice: '20',
+            recipients: [{ name: ' Mom ', relationship: 'parent', age: '6o', occasion: 'birthday', avoid: ['Scarf', 7, null] }, 'Sam', null],
+        });
+        expect(group).toEqual({
+            occasion: 'christmas',
+            currency: 'EUR',
+            language: 'de',
+            budget: '200',
+            recipients: [
+                { name: 'Mom', relationship: 'parent', age: '6', gender: '', interests: '', avoid: ['Scarf', '7'] },
+                { name: '', relationship: '', age: '', gender: '', interests: '', avoid: [] },
+                { name: '', relationship: '', age: '', gender: '', interests: '', avoid: [] },
+            ],
+        });
+    });
+
+    it(`keeps at most ${MAX_RECIPIENTS} people`, () => {
+        const recipients = Array.from({ length: MAX_RECIPIENTS + 2 }, (_, index) => ({ name: `Person ${index}` }));
+        expect(normalizeGroupRequest({ recipients }).recipients).toHaveLength(MAX_RECIPIENTS);
+        expect(normalizeGroupRequest({ recipients: 'everyone' }).recipients).toEqual([]);
+    });
+});
+
+describe('buildGroupGiftPrompt', () => {
+    const group = normalizeGroupRequest({
+        occasion: 'christmas', budget: '100', currency: 'EUR',
+        recipients: [{ name: 'Mom', relationship: 'parent', interests: 'gardening', avoid: ['Trowel'] }, { age: '9' }],
+    });
+
+    it('describes each person with their share of the budget', () => {
+        const prompt = buildGroupGiftPrompt(group, [50, 50], { counts: [3, 3] });
+        expect(prompt).toContain('The occasion is christmas. The overall budget is 100 EUR');
+        expect(prompt).toContain('Person 1 (Mom): They are my parent. They are interested in gardening. Spend at most 50 EUR on them. I have already given them these gifts, so avoid suggesting these again: Trowel.');
+        expect(prompt).toContain('Person 2: They are 9 years old. Spend at most 50 EUR on them.');
+        expect(prompt).toContain('3 for person 1, 3 for person 2');
+        expect(prompt).toContain("each with 'recipient', 'name'");
+    });
+
+    it('asks again only for the people who are short, without the ideas already given', () => {
+        const prompt = buildGroupGiftPrompt(group, [50, 50], { counts: [0, 2], exclude: ['Kite'] });
+        expect(prompt).not.toContain('Person 1');
+        expect(prompt).toContain('2 for person 2.');
+        expect(prompt).toContain('already been suggested: Kite.');
+    });
+});
+
+describe('normalizeCardOptions', () => {
+    it('uses the defaults for a missing or invalid card field', () => {
+        const defaults = { tone: 'heartfelt', length: 'medium', signature: '', insideJokes: '', variants: 3, refinements: [] };
+        expect(normalizeCardOptions({})).toEqual(defaults);
+        expect(normalizeCardOptions({ card: { tone: 'rude', length: 'epic', variants: 'many', refinements: 'x' } })).toEqual(defaults);
+    });
+
+    it.each([
+        // [variants sent, variants used]
+        [0, 1],
+        [2, 2],
+        ['4', 4],
+        [10, 4],
+    ])('clamps %s versions to %s', (variants, expected) => {
+        expect(normalizeCardOptions({ card: { variants } }).variants).toBe(expected);
+    });
+
+    it('drops incomplete refinements and trims the rest', () => {
+        const { refinements } = normalizeCardOptions({
+            card: { refinements: [{ draft: ' Happy birthday! ', instruction: ' shorter ' }, { draft: 'Hi' }, null, { instruction: 'funnier' }] }
+        });
+        expect(refinements).toEqual([{ draft: 'Happy birthday!', instruction: 'shorter' }]);
+    });
+});
+
+describe('buildCardMessageConversation', () => {
+    it('sends a single prompt with the options when there is nothing to refine', () => {
+        const options = normalizeCardOptions({ card: { tone: 'funny', length: 'short', signature: 'Sam', insideJokes: 'the canoe incident' } });
+        const { prompt, history } = buildCardMessageConversation(criteria, options);
+
+        expect(history).toEqual([]);
+        expect(prompt).toContain('funny');
+        expect(prompt).toContain('around 20-40 words');
+        expect(prompt).toContain('Sign it from Sam.');
+        expect(prompt).toContain('the canoe incident');
+        expect(prompt).toContain('Write 3 different versions');
+    });
+
+    it('writes the message in the chosen language', () => {
+        const { prompt } = buildCardMessageConversation({ ...criteria, language: 'es' }, normalizeCardOptions({}));
+        expect(prompt).toContain('Write the message in Spanish.');
+    });
+
+    it('leaves the length to a haiku', () => {
+        const { prompt } = buildCardMessageConversation(criteria, normalizeCardOptions({ card: { tone: 'haiku', length: 'long' } }));
+        expect(prompt).toContain('5, 7 and 5 syllables');
+        expect(prompt).not.toContain('words');
+    });
+
+    it('replays each chosen draft as a model turn before the latest instruction', () => {
+        const options = normalizeCardOptions({
+            card: { variants: 2, refinements: [{ draft: 'First draft', instruction: 'make it shorter' }, { draft: 'Second draft', instruction: 'mention the hiking trip' }] }
+        });
+        const { prompt, history } = buildCardMessageConversation(criteria, options);
+
+        expect(history.map(turn => turn.role)).toEqual(['user', 'model', 'user', 'model']);
+        expect(history[1].text).toBe('First draft');
+        expect(history[2].text).toContain('make it shorter');
+        expect(history[3].text).toBe('Second draft');
+        expect(prompt).toContain('mention the hiking trip');
+        expect(prompt).toContain('Write 2 different versions');
+    });
+});
+
+describe('splitCardVariants', () => {
+    it.each([
+        // [description, text, expected]
+        ['a single message', 'Happy birthday!', ['Happy birthday!']],
+        ['separated versions', 'One\n---\nTwo\n\n---\n\nThree', ['One', 'Two', 'Three']],
+        ['longer separators with spaces', 'One\n  -----  \nTwo', ['One', 'Two']],
+        ['dashes inside a line', 'Well---almost', ['Well---almost']],
+        ['empty versions', '---\nOne\n---\n---', ['One']],
+    ])('handles %s', (_, text, expected) => {
+        expect(splitCardVariants(text)).toEqual(expected);
+    });
+});
@@ -0,0 +1,73 @@
+const FIXTURE_CHUNK_SIZE = 24;
+
+const GIFT_IDEAS = [
+    { name: 'Leather-Bound Journal', description: 'A refillable journal for notes, sketches and memories.', estimatedPrice: 32, currency: 'USD', category: 'handmade', retailer: 'Amazon', purchaseLink: 'https://www.amazon.com/s?k=leather+journal' },
+    { name: 'Pour-Over Coffee Set', description: 'A ceramic dripper, filters and a gooseneck kettle for slow mornings.', estimatedPrice: 45, currency: 'USD', category: 'consumable', retailer: 'Target', purchaseLink: 'https://www.target.com/s?searchTerm=pour+over+coffee+set' },
+    { name: 'Custom Star Map Print', description: 'A print of the night sky on a date that matters to them.', estimatedPrice: 60, currency: 'USD', category: 'handmade', retailer: 'Etsy', purchaseLink: 'https://www.etsy.com/search?q=custom+star+map' },
+    { name: 'Noise-Cancelling Headphones', description: 'Wireless headphones for travel and focused work.', estimatedPrice: 199, currency: 'USD', category: 'gadget', retailer: 'Best Buy', purchaseLink: 'https://www.bestbuy.com/site/searchpage.jsp?st=noise+cancelling+headphones' },
+    { name: 'Cooking Class for Two', description: 'A hands-on class to learn a new cuisine together.', estimatedPrice: 120, currency: 'USD', category: 'experience', retailer: 'Amazon', purchaseLink: 'https://www.amazon.com/s?k=cooking+class+gift' },
+];
+
+// Canned answers, keyed by schema name for structured output. A JSON fixture can also be
+// a function of the request.
+export const DEFAULT_FIXTURES = {
+    text: [
+        'Wishing you a day as wonderful as you are. Thank you for the laughter, the kindness and all the little moments that make life brighter. Enjoy every minute of your celebration!',
+        'Here is to you and everything that makes you, you. May this year bring as much joy as you give to everyone around you.',
+        'Another trip around the sun, and you still make it look easy. Have a fantastic celebration!',
+    ].join('\n---\n'),
+    json: {
+        // Priced in whatever currency the prompt asks for, so every currency in the form works offline.
+        // Ideas the prompt says were already suggested come back as a numbered new edition, so refreshes get new names.
+        gift_ideas: ({ prompt }) => {
+            const currency = /estimated price in ([A-Z]{3})\b/.exec(prompt)?.[1] || 'USD';
+            const suggested = new Set(/which have already been suggested: (.*?)\.(?: |$)/.exec(prompt)?.[1].split('; '));
+            return GIFT_IDEAS.map(gift => {
+                let name = gift.name;
+                for (let edition = 2; suggested.has(name); edition++) name = `${gift.name} #${edition}`;
+                return { ...gift, name, currency };
+            });
+        },
+        // Different ideas for each person the prompt lists, priced within their share of the budget
+        group_gift_ideas: ({ prompt }) => {
+            const currency = /estimated price in ([A-Z]{3})\b/.exec(prompt)?.[1] || 'USD';
+            const people = [...prompt.matchAll(/^Person (\d+)\b.*Spend at most (\d+)/gm)];
+            return GIFT_IDEAS.map((gift, index) => {
+                const [, recipient, budget] = people[index % people.length];
+                return { ...gift, recipient: Number(recipient), currency, estimatedPrice: Math.min(gift.estimatedPrice, Number(budget)) };
+            });
+        },
+    },
+};
+
+/**
+ * Creates a deterministic provider that answers from fixtures without network access.
+ * Used for development, tests and prompt evaluation.
+ * @param {object} [options]
+ * @param {object} [options.fixtures] - `{ text, json: { [schemaName]: value | (request) => value } }`.
+ * @returns {object} The provider.
+ */
+export const createFixtureProvider = ({ fixtures = DEFAULT_FIXTURES } = {}) => {
+    const jsonFixture = (schema, request) => {
+        if (!(schema.name in fixtures.json)) {
+            throw new Error(`No fixture for schema "${schema.name}".`);
+        }
+        const fixture = fixtures.json[schema.name];
+        return structuredClone(typeof fixture === 'function' ? fixture(request) : fixture);
+    };
+
+    // Streams the answer in small pieces so clients see the same shape of output as from a real model
+    async function* stream(text) {
+        for (let i = 0; i < text.length; i += FIXTURE_CHUNK_SIZE) {
+            yield text.slice(i, i + FIXTURE_CHUNK_SIZE);
+        }
+    }
+
+    return {
+        name: 'fixture',
+        model: 'fixture',
+        generateText: async () => fixtures.text,
+        generateJson: async (request) => jsonFixture(request.schema, request),
+        streamText: (request) => stream(request.schema ? JSON.stringify(jsonFixture(request.schema, request)) : fixtures.text),
+    };
+};
@@ -0,0 +1,105 @@
+import { parseModelJson } from './json.js';
+import { readSseData } from './sse.js';
+import { requestModel, ModelError, safetyBlockError } from './request.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+
+/**
+ * Converts a JSON Schema into the OpenAPI subset Gemini accepts as responseSchema:
+ * upper-case types, propertyOrdering, and no additionalProperties.
+ * @param {object} schema - The JSON Schema.
+ * @returns {object} The Gemini schema.
+ */
+export const toGeminiSchema = (schema) => {
+    const converted = { type: schema.type.toUpperCase() };
+    if (schema.description) converted.description = schema.description;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+        converted.propertyOrdering = Object.keys(schema.properties);
+    }
+    if (schema.required) converted.required = schema.required;
+    return converted;
+};
+
+// Finish reasons meaning the answer was withheld rather than finished
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+
+/**
+ * Returns the text of a generateContent result (or streamed chunk), throwing when the prompt or answer was blocked.
+ * @param {object} result - The parsed result.
+ * @returns {string|undefined} The text, if there is any.
+ */
+const readCandidateText = (result) => {
+    const blockReason = result.promptFeedback?.blockReason;
+    if (blockReason) throw safetyBlockError(blockReason);
+    const candidate = result.candidates?.[0];
+    if (BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)) throw safetyBlockError(candidate.finishReason);
+    return candidate?.content?.parts?.[0]?.text;
+};
+
+/**
+ * Creates a provider backed by the Gemini generateContent API.
+ * The key is sent in a header so it does not end up in proxy or access logs.
+ * @param {object} options
+ * @param {string} options.apiKey - The Gemini API key.
+ * @param {string} [options.model] - The Gemini model name.
+ * @param {Partial<import('./request.js').RequestOptions>} [options.request] - Timeout and retry settings.
+ * @returns {object} The provider.
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL, request: requestOptions = {} }) => {
+    const request = async (method, { prompt, history = [], signal }, generationConfig) => {
+        if (!apiKey) {
+            throw new ModelError(500, 'invalid_key', 'The server is missing GEMINI_API_KEY.');
+        }
+
+        const payload = {
+            contents: [
+                ...history.map(turn => ({ role: turn.role === 'model' ? 'model' : 'user', parts: [{ text: turn.text }] })),
+                { role: "user", parts: [{ text: prompt }] }
+            ],
+            generationConfig
+        };
+
+        const query = method === 'streamGenerateContent' ? '?alt=sse' : '';
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}${query}`;
+
+        return requestModel(apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            body: JSON.stringify(payload),
+        }, { signal, request: requestOptions });
+    };
+
+    const generate = async (conversation, generationConfig) => {
+        const result = await (await request('generateContent', conversation, generationConfig)).json();
+        const text = readCandidateText(result);
+        if (typeof text !== 'string') {
+            throw new ModelError(502, 'malformed_output', "No content received from model.");
+        }
+        return text;
+    };
+
+    async function* stream(conversation, generationConfig) {
+        const response = await request('streamGenerateContent', conversation, generationConfig);
+        for await (const data of readSseData(response.body)) {
+            const text = readCandidateText(JSON.parse(data));
+            if (text) yield text;
+        }
+    }
+
+    const configFor = (schema) => schema
+        ? { responseMimeType: "application/json", responseSchema: toGeminiSchema(schema.schema) }
+        : { responseMimeType: "text/plain" };
+
+    return {
+        name: 'gemini',
+        model,
+        generateText: (conversation) => generate(conversation, configFor(null)),
+        generateJson: async ({ schema, ...conversation }) => parseModelJson(await generate(conversation, configFor(schema))),
+        streamText: ({ schema = null, ...conversation }) => stream(conversation, configFor(schema)),
+    };
+};
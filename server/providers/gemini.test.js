@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createGeminiProvider, toGeminiSchema } from './gemini.js';
+import { MalformedOutputError } from './json.js';
+import { HttpError } from '../http.js';
+
+const SCHEMA = { name: 'gift_ideas', schema: { type: 'object', properties: { gifts: { type: 'array', items: { type: 'string' } } }, required: ['gifts'] } };
+
+const candidate = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+
+const mockFetch = (response) => {
+    const fetch = vi.fn(async () => response);
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+};
+
+const sseResponse = (...events) => new Response(events.map(event => `data: ${JSON.stringify(event)}\n\n`).join(''));
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('createGeminiProvider', () => {
+    // Retries are covered in request.test.js
+    const provider = createGeminiProvider({ apiKey: 'test-key', request: { maxRetries: 0 } });
+
+    it('sends the key in a header and the prompt after the history', async () => {
+        const fetch = mockFetch(Response.json(candidate('Happy birthday!')));
+
+        await expect(provider.generateText({ prompt: 'Shorter', history: [{ role: 'user', text: 'Write' }, { role: 'model', text: 'Draft' }] }))
+            .resolves.toBe('Happy birthday!');
+
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent');
+        expect(url).not.toContain('test-key');
+        expect(init.headers['x-goog-api-key']).toBe('test-key');
+        expect(JSON.parse(init.body).contents.map(turn => turn.role)).toEqual(['user', 'model', 'user']);
+    });
+
+    it('parses structured output', async () => {
+        mockFetch(Response.json(candidate('```json\n{"gifts": ["Kite"]}\n```')));
+        await expect(provider.generateJson({ prompt: 'Ideas', schema: SCHEMA })).resolves.toEqual({ gifts: ['Kite'] });
+    });
+
+    it('rejects malformed structured output', async () => {
+        mockFetch(Response.json(candidate('{"gifts": ["Kite"')));
+        await expect(provider.generateJson({ prompt: 'Ideas', schema: SCHEMA })).rejects.toBeInstanceOf(MalformedOutputError);
+    });
+
+    it.each([
+        ['no candidates', {}],
+        ['empty candidates', { candidates: [] }],
+        ['a candidate without text', { candidates: [{ content: { parts: [] } }] }],
+    ])('rejects a response with %s', async (_case, body) => {
+        mockFetch(Response.json(body));
+        await expect(provider.generateText({ prompt: 'Hi' })).rejects.toMatchObject({ status: 502, code: 'malformed_output', message: 'No content received from model.' });
+    });
+
+    it.each([
+        ['the prompt', { promptFeedback: { blockReason: 'SAFETY' } }],
+        ['the answer', { candidates: [{ finishReason: 'PROHIBITED_CONTENT', content: { parts: [] } }] }],
+    ])('reports a safety block of %s', async (_case, body) => {
+        mockFetch(Response.json(body));
+        await expect(provider.generateText({ prompt: 'Hi' })).rejects.toMatchObject({ status: 422, code: 'safety_block' });
+    });
+
+    it.each([
+        [Response.json({ error: { message: 'API key not valid', status: 'INVALID_ARGUMENT' } }, { status: 400, statusText: 'Bad Request' }), 'invalid_key', 'Model error: 400 Bad Request - API key not valid'],
+        [new Response('Service Unavailable', { status: 503, statusText: 'Service Unavailable' }), 'model_unavailable', 'Model error: 503 Service Unavailable - Unknown error'],
+    ])('turns an HTTP error into a 502 (%#)', async (response, code, message) => {
+        mockFetch(response);
+        const error = await provider.generateText({ prompt: 'Hi' }).catch(err => err);
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error).toMatchObject({ status: 502, code, message });
+    });
+
+    it('fails without an API key before calling the API', async () => {
+        const fetch = mockFetch(Response.json(candidate('Hi')));
+        await expect(createGeminiProvider({ apiKey: '' }).generateText({ prompt: 'Hi' })).rejects.toMatchObject({ status: 500, code: 'invalid_key' });
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('streams the text of each event, skipping empty ones', async () => {
+        mockFetch(sseResponse(candidate('Happy '), { candidates: [] }, candidate('birthday!')));
+        const pieces = [];
+        for await (const piece of provider.streamText({ prompt: 'Hi' })) pieces.push(piece);
+        expect(pieces).toEqual(['Happy ', 'birthday!']);
+    });
+});
+
+describe('toGeminiSchema', () => {
+    it('upper-cases types and records the property order', () => {
+        expect(toGeminiSchema(SCHEMA.schema)).toEqual({
+            type: 'OBJECT',
+            properties: { gifts: { type: 'ARRAY', items: { type: 'STRING' } } },
+            propertyOrdering: ['gifts'],
+            required: ['gifts'],
+        });
+    });
+});
@@ -0,0 +1,38 @@
+import { readFileSync } from 'node:fs';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createFixtureProvider } from './fixture.js';
+
+/**
+ * Earlier turns of a conversation, sent before the prompt so the model can build on them
+ * (e.g. a draft it wrote and is now asked to revise).
+ * @typedef {Array<{ role: 'user' | 'model', text: string }>} History
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name - The adapter name ("gemini", "openai", "fixture").
+ * @property {string} model - The model the adapter calls.
+ * @property {(request: { prompt: string, history?: History, signal?: AbortSignal }) => Promise<string>} generateText - Returns plain text.
+ * @property {(request: { prompt: string, history?: History, schema: { name: string, schema: object }, signal?: AbortSignal }) => Promise<any>} generateJson - Returns a value parsed from structured output.
+ * @property {(request: { prompt: string, history?: History, schema?: { name: string, schema: object }, signal?: AbortSignal }) => AsyncIterable<string>} streamText -
+ *   Yields the answer in pieces as the model produces it; with a schema, the pieces form JSON.
+ */
+
+/**
+ * Creates the provider named in the configuration.
+ * @param {object} llm - The `llm` section of the server configuration.
+ * @returns {Provider} The provider.
+ */
+export const createProvider = (llm) => {
+    switch (llm.provider) {
+        case 'gemini':
+            return createGeminiProvider({ apiKey: llm.geminiApiKey, model: llm.model || undefined, request: llm.request });
+        case 'openai':
+            return createOpenAiProvider({ apiKey: llm.openaiApiKey, baseUrl: llm.openaiBaseUrl || undefined, model: llm.model || undefined, request: llm.request });
+        case 'fixture':
+            return createFixtureProvider(llm.fixturesPath ? { fixtures: JSON.parse(readFileSync(llm.fixturesPath, 'utf8')) } : {});
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${llm.provider}". Use "gemini", "openai" or "fixture".`);
+    }
+};
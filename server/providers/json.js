@@ -0,0 +1,26 @@
+import { HttpError } from '../http.js';
+
+/**
+ * Raised when model output cannot be parsed. Worth retrying, unlike most other model errors.
+ */
+export class MalformedOutputError extends HttpError {
+    constructor() {
+        super(502, 'The model returned malformed JSON.', {}, 'malformed_output');
+        this.name = 'MalformedOutputError';
+    }
+}
+
+/**
+ * Parses JSON text produced by a model.
+ * Local models often wrap JSON in a Markdown code fence even when asked not to, so fences are stripped first.
+ * @param {string} text - The raw model output.
+ * @returns {any} The parsed value.
+ */
+export const parseModelJson = (text) => {
+    const unfenced = String(text).trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+    try {
+        return JSON.parse(unfenced);
+    } catch {
+        throw new MalformedOutputError();
+    }
+};
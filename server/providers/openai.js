@@ -0,0 +1,81 @@
+import { parseModelJson } from './json.js';
+import { readSseData } from './sse.js';
+import { requestModel, ModelError, safetyBlockError } from './request.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * Creates a provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI itself, Ollama, llama.cpp's server, vLLM, ...).
+ * @param {object} options
+ * @param {string} [options.apiKey] - Bearer token; local servers usually need none.
+ * @param {string} [options.baseUrl] - The API base URL, e.g. http://localhost:11434/v1 for Ollama.
+ * @param {string} [options.model] - The model name.
+ * @param {Partial<import('./request.js').RequestOptions>} [options.request] - Timeout and retry settings.
+ * @returns {object} The provider.
+ */
+export const createOpenAiProvider = ({ apiKey = '', baseUrl = DEFAULT_OPENAI_BASE_URL, model = DEFAULT_OPENAI_MODEL, request: requestOptions = {} }) => {
+    const request = ({ prompt, history = [], signal }, extraBody) =>
+        requestModel(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+            },
+            body: JSON.stringify({
+                model,
+                messages: [
+                    ...history.map(turn => ({ role: turn.role === 'model' ? 'assistant' : 'user', content: turn.text })),
+                    { role: 'user', content: prompt }
+                ],
+                ...extraBody
+            }),
+        }, { signal, request: requestOptions });
+
+    const complete = async (conversation, extraBody) => {
+        const result = await (await request(conversation, extraBody)).json();
+        const choice = result.choices?.[0];
+        if (choice?.finish_reason === 'content_filter') throw safetyBlockError('content_filter');
+        if (choice?.message?.refusal) throw safetyBlockError('refusal');
+        const text = choice?.message?.content;
+        if (typeof text !== 'string') {
+            throw new ModelError(502, 'malformed_output', "No content received from model.");
+        }
+        return text;
+    };
+
+    async function* stream(conversation, extraBody) {
+        const response = await request(conversation, { ...extraBody, stream: true });
+        for await (const data of readSseData(response.body)) {
+            if (data === '[DONE]') return;
+            const choice = JSON.parse(data).choices?.[0];
+            if (choice?.finish_reason === 'content_filter') throw safetyBlockError('content_filter');
+            const text = choice?.delta?.content;
+            if (text) yield text;
+        }
+    }
+
+    // Structured outputs require an object at the root, so other schemas are wrapped in { items }
+    const isWrapped = (schema) => schema.schema.type !== 'object';
+    const formatFor = (schema) => {
+        if (!schema) return {};
+        const jsonSchema = isWrapped(schema)
+            ? { type: 'object', properties: { items: schema.schema }, required: ['items'], additionalProperties: false }
+            : schema.schema;
+        return { response_format: { type: 'json_schema', json_schema: { name: schema.name, schema: jsonSchema, strict: true } } };
+    };
+
+    return {
+        name: 'openai',
+        model,
+        generateText: (conversation) => complete(conversation, {}),
+        generateJson: async ({ schema, ...conversation }) => {
+            const parsed = parseModelJson(await complete(conversation, formatFor(schema)));
+            // Servers that ignore response_format may still answer with the bare value
+            return isWrapped(schema) && parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) && 'items' in parsed ? parsed.items : parsed;
+        },
+        // Wrapped arrays stream as {"items": [...]}; the gift stream parser reads the first array it finds
+        streamText: ({ schema = null, ...conversation }) => stream(conversation, formatFor(schema)),
+    };
+};
@@ -0,0 +1,154 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { HttpError } from '../http.js';
+
+/**
+ * How model calls are made: the time allowed for an answer to start, and how often and how
+ * patiently a rate-limited (429) or failing (5xx) call is retried.
+ * @typedef {object} RequestOptions
+ * @property {number} timeoutMs - Time allowed for each attempt's response to start.
+ * @property {number} maxRetries - Retries after the first attempt.
+ * @property {number} baseDelayMs - The first backoff delay; each retry doubles it.
+ * @property {number} maxDelayMs - The longest wait between attempts. A Retry-After beyond it is not waited for.
+ */
+export const DEFAULT_REQUEST_OPTIONS = { timeoutMs: 30 * 1000, maxRetries: 2, baseDelayMs: 500, maxDelayMs: 10 * 1000 };
+
+/**
+ * A failed model call, classified by what went wrong:
+ * quota_exceeded, invalid_key, safety_block, timeout, model_unavailable or model_error.
+ */
+export class ModelError extends HttpError {
+    /**
+     * @param {number} status - The HTTP status code sent to the client.
+     * @param {string} code - The kind of failure.
+     * @param {string} message - A message that is safe to show to the client.
+     * @param {object} [headers] - Extra response headers (e.g. Retry-After).
+     */
+    constructor(status, code, message, headers = {}) {
+        super(status, message, headers, code);
+        this.name = 'ModelError';
+    }
+}
+
+/**
+ * Creates the error for an answer the model refused to give.
+ * @param {string} reason - The provider's reason, e.g. "SAFETY" or "content_filter".
+ * @returns {ModelError} The error.
+ */
+export const safetyBlockError = (reason) =>
+    new ModelError(422, 'safety_block', `The model declined to answer (${reason}).`);
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - The header value.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {number|null} The wait in milliseconds, or null when the header is missing or unreadable.
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Returns the exponential backoff delay before a retry, with jitter so clients don't retry in lockstep.
+ * @param {number} attempt - The attempt that failed, from 0.
+ * @param {RequestOptions} options - The request options.
+ * @param {() => number} [random] - The random source.
+ * @returns {number} The delay in milliseconds.
+ */
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) =>
+    Math.min(maxDelayMs, baseDelayMs * 2 ** attempt * (0.5 + random() / 2));
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+/**
+ * Turns an unsuccessful model response into a ModelError. Error bodies are not always JSON
+ * (proxies answer with HTML), so their shape is never assumed.
+ * @param {Response} response - The response.
+ * @returns {Promise<ModelError>} The error.
+ */
+export const classifyResponse = async (response) => {
+    const errorData = await response.json().catch(() => null);
+    const detail = typeof errorData?.error?.message === 'string' ? errorData.error.message : 'Unknown error';
+    const message = `Model error: ${response.status} ${response.statusText} - ${detail}`;
+    const reason = [errorData?.error?.status, errorData?.error?.code, detail].join(' ');
+
+    if (response.status === 429 || /RESOURCE_EXHAUSTED|insufficient_quota/.test(reason)) {
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        return new ModelError(503, 'quota_exceeded', message, retryAfterMs === null ? {} : { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) });
+    }
+    if (response.status === 401 || response.status === 403 || /API_KEY_INVALID|invalid_api_key|API key not valid/i.test(reason)) {
+        return new ModelError(502, 'invalid_key', message);
+    }
+    if (/content_filter|content_policy|SAFETY/.test(reason)) {
+        return new ModelError(422, 'safety_block', message);
+    }
+    if (response.status >= 500) {
+        return new ModelError(502, 'model_unavailable', message);
+    }
+    return new ModelError(502, 'model_error', message);
+};
+
+/**
+ * Calls a model API. Each attempt gets timeoutMs for the response to start; a 429 or 5xx answer,
+ * or a network failure, is retried with exponential backoff, waiting for Retry-After when the API
+ * asks for it (unless that is longer than maxDelayMs). Failures are thrown as ModelErrors.
+ * @param {string} url - The endpoint.
+ * @param {RequestInit} init - The fetch options, without a signal.
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Cancels the call, including any wait between attempts.
+ * @param {Partial<RequestOptions>} [options.request] - Overrides DEFAULT_REQUEST_OPTIONS.
+ * @param {(ms: number, signal?: AbortSignal) => Promise<void>} [options.wait] - Waits between attempts (a test hook).
+ * @returns {Promise<Response>} The successful response.
+ */
+export const requestModel = async (url, init, { signal, request = {}, wait = (ms, waitSignal) => sleep(ms, undefined, { signal: waitSignal }) } = {}) => {
+    const options = { ...DEFAULT_REQUEST_OPTIONS, ...request };
+
+    for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < options.maxRetries;
+        const controller = new AbortController();
+        const abort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', abort, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, options.timeoutMs);
+
+        let response;
+        let failure = null;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (err) {
+            failure = err;
+        } finally {
+            // The timeout covers the wait for the answer to start; streamed answers may take longer to finish
+            clearTimeout(timer);
+        }
+
+        if (failure) {
+            signal?.removeEventListener('abort', abort);
+            if (signal?.aborted) throw failure;
+            if (timedOut) {
+                throw new ModelError(504, 'timeout', `The model did not answer within ${Math.round(options.timeoutMs / 1000)} seconds.`);
+            }
+            if (!canRetry) throw new ModelError(502, 'model_unavailable', `Could not reach the model: ${failure.cause?.message || failure.message}`);
+            await wait(backoffDelay(attempt, options), signal);
+            continue;
+        }
+
+        if (response.ok) return response;
+        signal?.removeEventListener('abort', abort);
+
+        if (canRetry && isRetryable(response.status)) {
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            if (retryAfterMs === null || retryAfterMs <= options.maxDelayMs) {
+                await response.body?.cancel();
+                await wait(retryAfterMs ?? backoffDelay(attempt, options), signal);
+                continue;
+            }
+        }
+        throw await classifyResponse(response);
+    }
+};
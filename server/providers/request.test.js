@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { requestModel, parseRetryAfter, backoffDelay, classifyResponse, DEFAULT_REQUEST_OPTIONS } from './request.js';
+
+// Answers each fetch with the next response in the list (a function is called, e.g. to throw)
+const mockFetchSequence = (...responses) => {
+    const fetch = vi.fn(async () => {
+        const next = responses.shift();
+        return typeof next === 'function' ? next() : next;
+    });
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+};
+
+const ok = () => Response.json({ ok: true });
+const status = (code, headers = {}, body = '') => new Response(body, { status: code, statusText: `Status ${code}`, headers });
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('parseRetryAfter', () => {
+    it.each([
+        ['120', 120000],
+        [' 3 ', 3000],
+        ['Wed, 21 Oct 2015 07:28:30 GMT', 10000],
+        ['Wed, 21 Oct 2015 07:28:00 GMT', 0],
+        ['soon', null],
+        [null, null],
+    ])('reads %j', (value, expected) => {
+        expect(parseRetryAfter(value, Date.parse('Wed, 21 Oct 2015 07:28:20 GMT'))).toBe(expected);
+    });
+});
+
+describe('backoffDelay', () => {
+    it.each([
+        [0, 1, 500],
+        [1, 1, 1000],
+        [2, 0, 1000],
+        [10, 1, 10000],
+    ])('waits for attempt %i (random %d) %i ms', (attempt, random, expected) => {
+        expect(backoffDelay(attempt, DEFAULT_REQUEST_OPTIONS, () => random)).toBe(expected);
+    });
+});
+
+describe('classifyResponse', () => {
+    it.each([
+        // [status, body, code, client status]
+        [429, { error: { message: 'Quota exceeded', status: 'RESOURCE_EXHAUSTED' } }, 'quota_exceeded', 503],
+        [401, { error: { message: 'Incorrect API key provided', code: 'invalid_api_key' } }, 'invalid_key', 502],
+        [400, { error: { message: 'API key not valid. Please pass a valid API key.' } }, 'invalid_key', 502],
+        [400, { error: { message: 'Your request was rejected by our safety system', code: 'content_policy_violation' } }, 'safety_block', 422],
+        [500, '<html>Internal error</html>', 'model_unavailable', 502],
+        [404, { error: { message: 'Model not found' } }, 'model_error', 502],
+        [400, { error: 'a string, not an object' }, 'model_error', 502],
+    ])('classifies a %i answer as %s', async (code, body, expected, clientStatus) => {
+        const response = new Response(typeof body === 'string' ? body : JSON.stringify(body), { status: code, statusText: 'Error' });
+        await expect(classifyResponse(response)).resolves.toMatchObject({ code: expected, status: clientStatus });
+    });
+
+    it('passes on how long to wait', async () => {
+        const error = await classifyResponse(status(429, { 'Retry-After': '30' }));
+        expect(error.headers).toEqual({ 'Retry-After': '30' });
+    });
+});
+
+describe('requestModel', () => {
+    const wait = vi.fn(async () => {});
+    const call = (options = {}) => requestModel('https://model.test/generate', { method: 'POST' }, { wait, ...options });
+
+    afterEach(() => wait.mockClear());
+
+    it('retries a 429 or 5xx answer with exponential backoff', async () => {
+        const fetch = mockFetchSequence(status(503), status(429), ok());
+        await expect(call({ request: { baseDelayMs: 100 } })).resolves.toMatchObject({ ok: true });
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(wait.mock.calls.map(([ms]) => ms)).toEqual([
+            expect.toSatisfy(ms => ms >= 50 && ms <= 100),
+            expect.toSatisfy(ms => ms >= 100 && ms <= 200),
+        ]);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        mockFetchSequence(status(429, { 'Retry-After': '2' }), ok());
+        await call();
+        expect(wait).toHaveBeenCalledWith(2000, undefined);
+    });
+
+    it('gives up at once when Retry-After is longer than the longest wait', async () => {
+        const fetch = mockFetchSequence(status(429, { 'Retry-After': '3600' }), ok());
+        await expect(call()).rejects.toMatchObject({ code: 'quota_exceeded', headers: { 'Retry-After': '3600' } });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry other errors', async () => {
+        const fetch = mockFetchSequence(status(400, {}, JSON.stringify({ error: { message: 'Bad schema' } })), ok());
+        await expect(call()).rejects.toMatchObject({ code: 'model_error', message: 'Model error: 400 Status 400 - Bad schema' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops after the last retry', async () => {
+        const fetch = mockFetchSequence(status(502), status(502), status(502), ok());
+        await expect(call()).rejects.toMatchObject({ code: 'model_unavailable' });
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('retries network failures', async () => {
+        const networkError = () => { throw new TypeError('fetch failed', { cause: new Error('ECONNRESET') }); };
+        mockFetchSequence(networkError, ok());
+        await expect(call()).resolves.toMatchObject({ ok: true });
+
+        mockFetchSequence(networkError, networkError, networkError);
+        await expect(call()).rejects.toMatchObject({ code: 'model_unavailable', message: 'Could not reach the model: ECONNRESET' });
+    });
+
+    it('times out when the answer does not start in time', async () => {
+        vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        })));
+        await expect(call({ request: { timeoutMs: 20 } })).rejects.toMatchObject({ status: 504, code: 'timeout' });
+    });
+
+    it('passes a cancellation through without retrying', async () => {
+        const controller = new AbortController();
+        const fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+            controller.abort();
+        }));
+        vi.stubGlobal('fetch', fetch);
+        await expect(call({ signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Reads a server-sent events body and yields the data of each event.
+ * Multi-line data fields are joined with newlines, as the SSE spec requires.
+ * @param {ReadableStream<Uint8Array>} body - The response body.
+ * @returns {AsyncGenerator<string>} The event data strings.
+ */
+export async function* readSseData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseEvent = (rawEvent) => rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let match;
+        while ((match = /\r?\n\r?\n/.exec(buffer))) {
+            const data = parseEvent(buffer.slice(0, match.index));
+            buffer = buffer.slice(match.index + match[0].length);
+            if (data) yield data;
+        }
+    }
+
+    const data = parseEvent(buffer + decoder.decode());
+    if (data) yield data;
+}
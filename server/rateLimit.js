@@ -0,0 +1,36 @@
+/**
+ * Creates a fixed-window rate limiter keyed by client (usually IP address).
+ * @param {object} options
+ * @param {number} options.windowMs - The window length in milliseconds.
+ * @param {number} options.max - The number of requests allowed per window.
+ * @param {() => number} [options.now] - Clock, injectable for tests.
+ * @returns {(key: string) => { allowed: boolean, retryAfterSeconds: number }} The limiter.
+ */
+export const createRateLimiter = ({ windowMs, max, now = Date.now }) => {
+    const windows = new Map();
+    let nextSweep = now() + windowMs;
+
+    return (key) => {
+        const time = now();
+
+        // Drop expired windows so the map does not grow with every IP ever seen
+        if (time >= nextSweep) {
+            for (const [k, entry] of windows) {
+                if (time >= entry.resetAt) windows.delete(k);
+            }
+            nextSweep = time + windowMs;
+        }
+
+        let entry = windows.get(key);
+        if (!entry || time >= entry.resetAt) {
+            entry = { count: 0, resetAt: time + windowMs };
+            windows.set(key, entry);
+        }
+        entry.count += 1;
+
+        return {
+            allowed: entry.count <= max,
+            retryAfterSeconds: Math.max(1, Math.ceil((entry.resetAt - time) / 1000)),
+        };
+    };
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createRateLimiter } from './rateLimit.js';
+
+// A limiter on a clock the test moves by hand
+const limiter = (max) => {
+    const clock = { time: 0 };
+    return { clock, isAllowed: createRateLimiter({ windowMs: 60 * 1000, max, now: () => clock.time }) };
+};
+
+describe('createRateLimiter', () => {
+    it('allows max requests per window, then says how long to wait', () => {
+        const { clock, isAllowed } = limiter(2);
+        expect(isAllowed('a')).toEqual({ allowed: true, retryAfterSeconds: 60 });
+        clock.time = 10 * 1000;
+        expect(isAllowed('a').allowed).toBe(true);
+        expect(isAllowed('a')).toEqual({ allowed: false, retryAfterSeconds: 50 });
+    });
+
+    it('counts each client on its own', () => {
+        const { isAllowed } = limiter(1);
+        expect(isAllowed('a').allowed).toBe(true);
+        expect(isAllowed('b').allowed).toBe(true);
+        expect(isAllowed('a').allowed).toBe(false);
+    });
+
+    it('starts a new window once the old one is over', () => {
+        const { clock, isAllowed } = limiter(1);
+        isAllowed('a');
+        expect(isAllowed('a').allowed).toBe(false);
+        clock.time = 60 * 1000;
+        expect(isAllowed('a').allowed).toBe(true);
+    });
+
+    it('never asks to wait less than a second', () => {
+        const { clock, isAllowed } = limiter(1);
+        isAllowed('a');
+        clock.time = 59.9 * 1000;
+        expect(isAllowed('a')).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Structured output schemas shared by every provider.
+ * They are written in plain JSON Schema; each adapter converts them to its vendor's dialect.
+ * `name` identifies the schema to providers that need one (OpenAI's json_schema, fixtures).
+ */
+
+export const GIFT_CATEGORIES = [
+    'experience', 'gadget', 'handmade', 'consumable', 'book', 'clothing',
+    'home', 'hobby', 'beauty', 'subscription', 'other',
+];
+
+export const giftIdeasSchema = {
+    name: 'gift_ideas',
+    schema: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                estimatedPrice: { type: 'number', description: 'Estimated price as a plain number' },
+                currency: { type: 'string', description: 'ISO 4217 currency code of estimatedPrice, e.g. USD' },
+                category: { type: 'string', enum: GIFT_CATEGORIES },
+                retailer: { type: 'string', description: 'Name of the store behind purchaseLink' },
+                purchaseLink: { type: 'string' },
+            },
+            required: ['name', 'description', 'estimatedPrice', 'currency', 'category', 'retailer', 'purchaseLink'],
+            additionalProperties: false,
+        },
+    },
+};
+
+// The same ideas for several people at once; `recipient` is the number the prompt gave the person
+export const groupGiftIdeasSchema = {
+    name: 'group_gift_ideas',
+    schema: {
+        type: 'array',
+        items: {
+            ...giftIdeasSchema.schema.items,
+            properties: {
+                recipient: { type: 'integer', description: 'Number of the person the gift is for, from 1' },
+                ...giftIdeasSchema.schema.items.properties,
+            },
+            required: ['recipient', ...giftIdeasSchema.schema.items.required],
+        },
+    },
+};
@@ -0,0 +1,24 @@
+// Values the browser and the server have to agree on. Like promptVersions.js, this module imports
+// nothing, so the browser imports it too instead of keeping a copy.
+
+// Currencies the price range can be given in
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'MXN', 'CHF'];
+
+// People in one group gift request
+export const MAX_RECIPIENTS = 8;
+
+// Reasons that can be picked for a liked or a disliked idea
+export const LIKE_REASONS = ['fits-interests', 'good-value', 'original'];
+export const DISLIKE_REASONS = ['too-generic', 'over-budget', 'already-owns', 'not-their-style'];
+
+// The analytics events the app records; the server drops any other type
+export const EVENT_TYPES = ['search', 'generation', 'error', 'card', 'purchase_click'];
+
+/**
+ * Reduces a gift name to a key that treats "Pour-Over Coffee Set" and
+ * "pour over coffee set!" as the same gift. The server matches ideas to avoid with it, and the
+ * browser matches favorites, ratings and purchase marks, so both must reduce names alike.
+ * @param {string} name - The gift name.
+ * @returns {string} The comparison key.
+ */
+export const giftKey = (name) => String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
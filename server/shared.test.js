@@ -0,0 +1,12 @@
+import { describe, it, expect } from 'vitest';
+import { giftKey } from './shared.js';
+
+describe('giftKey', () => {
+    it.each([
+        ['Pour-Over Coffee Set', 'pour over coffee set'],
+        ['  pour over coffee set!', 'pour over coffee set'],
+        ['Café au lait bowls', 'café au lait bowls'],
+    ])('reduces %j to %j', (name, key) => {
+        expect(giftKey(name)).toBe(key);
+    });
+});
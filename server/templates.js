@@ -0,0 +1,100 @@
+import { readFileSync } from 'node:fs';
+import { PROMPT_VERSIONS } from './promptVersions.js';
+
+export { PROMPT_VERSIONS };
+
+/**
+ * Names a template version as it is recorded with results, e.g. "gift-ideas@3".
+ * @param {string} name - The template name (a key of PROMPT_VERSIONS).
+ * @returns {string} The template and its current version.
+ */
+export const promptVersion = (name) => `${name}@${PROMPT_VERSIONS[name]}`;
+
+const TAG = /\{\{([#^/!]?)\s*([\w.-]*?)\s*\}\}/g;
+
+/**
+ * Turns the layout of a template file into the layout of the prompt: comments are dropped, line breaks
+ * and indentation within a paragraph become single spaces, and a blank line starts a new line of the prompt.
+ */
+const unwrap = (source) => source
+    .replace(/\{\{!.*?\}\}/gs, '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' '))
+    .join('\n');
+
+/**
+ * Parses a template into a tree of text, variables and sections.
+ * @throws {Error} When a section is not closed, or closed without being opened.
+ */
+const parse = (source) => {
+    const root = { children: [] };
+    const open = [root];
+    let last = 0;
+
+    for (const match of source.matchAll(TAG)) {
+        const [tag, kind, name] = match;
+        const parent = open.at(-1);
+        if (match.index > last) parent.children.push(source.slice(last, match.index));
+        last = match.index + tag.length;
+
+        if (kind === '#' || kind === '^') {
+            const section = { name, inverted: kind === '^', children: [] };
+            parent.children.push(section);
+            open.push(section);
+        } else if (kind === '/') {
+            if (parent.name !== name) throw new Error(`Unexpected {{/${name}}} in prompt template.`);
+            open.pop();
+        } else {
+            parent.children.push({ name });
+        }
+    }
+    if (open.length > 1) throw new Error(`Unclosed {{#${open.at(-1).name}}} in prompt template.`);
+    if (last < source.length) root.children.push(source.slice(last));
+    return root;
+};
+
+// Looks a name up in the innermost scope that has it
+const lookup = (scopes, name) => {
+    const scope = scopes.findLast(candidate => candidate && typeof candidate === 'object' && Object.hasOwn(candidate, name));
+    return scope ? scope[name] : undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const renderNodes = (nodes, scopes) => nodes.map(node => {
+    if (typeof node === 'string') return node;
+    const value = lookup(scopes, node.name);
+    if (!node.children) return value === undefined || value === null ? '' : String(value);
+    if (node.inverted) return isEmpty(value) ? renderNodes(node.children, scopes) : '';
+    if (isEmpty(value)) return '';
+    if (Array.isArray(value)) return value.map(item => renderNodes(node.children, [...scopes, item])).join('');
+    return renderNodes(node.children, [...scopes, value]);
+}).join('');
+
+/**
+ * Renders a prompt template, a small subset of Mustache:
+ * - `{{name}}` is replaced with the value of `name` (nothing when it is missing);
+ * - `{{#name}}…{{/name}}` is kept when `name` is set and not empty, once for each item of an array
+ *   (whose fields can then be used inside), and `{{^name}}…{{/name}}` when it is not;
+ * - `{{! … }}` is a comment.
+ * Values are inserted as they are; nothing is escaped. Spaces left by empty sections are collapsed.
+ * @param {string} source - The template.
+ * @param {object} view - The values of the variables.
+ * @returns {string} The prompt.
+ */
+export const renderTemplate = (source, view) => renderNodes(parse(unwrap(source)).children, [view])
+    .split('\n')
+    .map(line => line.replace(/ {2,}/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+/**
+ * Reads the current version of a prompt template.
+ * @param {string} name - The template name (a key of PROMPT_VERSIONS).
+ * @param {string} [directory] - Where the template files are.
+ * @returns {string} The template source.
+ */
+export const loadTemplate = (name, directory = new URL('./templates/', import.meta.url)) => {
+    if (!Object.hasOwn(PROMPT_VERSIONS, name)) throw new Error(`Unknown prompt template "${name}".`);
+    return readFileSync(new URL(`${name}.v${PROMPT_VERSIONS[name]}.txt`, directory), 'utf8');
+};
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { readdirSync } from 'node:fs';
+import { renderTemplate, loadTemplate, promptVersion, PROMPT_VERSIONS } from './templates.js';
+
+describe('renderTemplate', () => {
+    it.each([
+        // [case, template, view, prompt]
+        ['variables', 'Hello {{name}}, you are {{ age }}.', { name: 'Sam', age: 30 }, 'Hello Sam, you are 30.'],
+        ['a missing variable', 'Hello {{name}}.', {}, 'Hello .'],
+        ['a section that is set', '{{#age}}They are {{age}}.{{/age}} Done.', { age: '30' }, 'They are 30. Done.'],
+        ['a section that is empty', 'Start. {{#age}}They are {{age}}.{{/age}} Done.', { age: '' }, 'Start. Done.'],
+        ['an inverted section', '{{#many}}Many.{{/many}}{{^many}}One.{{/many}}', { many: 0 }, 'One.'],
+        ['a section over an array', '{{#people}}{{name}} gets {{budget}} {{currency}}. {{/people}}', { currency: 'EUR', people: [{ name: 'A', budget: 5 }, { name: 'B', budget: 7 }] }, 'A gets 5 EUR. B gets 7 EUR.'],
+        ['an empty array', '{{#people}}Someone.{{/people}}{{^people}}Nobody.{{/people}}', { people: [] }, 'Nobody.'],
+        ['a comment', '{{! not sent }}Hi.', {}, 'Hi.'],
+        ['line breaks within a paragraph', 'One\n    two\nthree.', {}, 'One two three.'],
+        ['a blank line', 'One.\n\nTwo.\n\n\n', {}, 'One.\nTwo.'],
+        ['values as they are', 'Say {{text}}.', { text: '{{name}} & <b>' }, 'Say {{name}} & <b>.'],
+    ])('renders %s', (_case, template, view, prompt) => {
+        expect(renderTemplate(template, view)).toBe(prompt);
+    });
+
+    it.each([
+        ['{{#a}}open', 'Unclosed {{#a}}'],
+        ['{{#a}}{{/b}}', 'Unexpected {{/b}}'],
+    ])('rejects %s', (template, message) => {
+        expect(() => renderTemplate(template, {})).toThrow(message);
+    });
+});
+
+describe('loadTemplate', () => {
+    it('has a file for the current version of every template, and no others', () => {
+        const files = readdirSync(new URL('./templates/', import.meta.url)).sort();
+        expect(files).toEqual(Object.entries(PROMPT_VERSIONS).map(([name, version]) => `${name}.v${version}.txt`).sort());
+        Object.keys(PROMPT_VERSIONS).forEach(name => expect(loadTemplate(name)).not.toBe(''));
+    });
+
+    it('names the version recorded with results', () => {
+        expect(promptVersion('gift-ideas')).toBe(`gift-ideas@${PROMPT_VERSIONS['gift-ideas']}`);
+        expect(() => loadTemplate('nope')).toThrow('Unknown prompt template "nope".');
+    });
+});
@@ -0,0 +1,71 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { createApiHandler } from './api.js';
+import { loadConfig } from './config.js';
+
+/**
+ * Vite plugin mounting the gift finder API on the dev and preview servers.
+ * @param {object} env - Environment variables, typically from Vite's loadEnv with an empty prefix.
+ * @returns {import('vite').Plugin} The plugin.
+ */
+export const giftFinderApi = (env) => {
+    const mount = (server) => {
+        const config = loadConfig(env);
+        if (env.VITE_GEMINI_API_KEY) {
+            server.config.logger.warn('VITE_GEMINI_API_KEY is set and would be bundled into the client. Rename it to GEMINI_API_KEY.');
+        }
+        server.middlewares.use(createApiHandler(config));
+    };
+
+    return {
+        name: 'gift-finder-api',
+        configureServer: mount,
+        configurePreviewServer: mount,
+    };
+};
+
+// The placeholder in public/sw.js that the build replaces with the list of files to precache
+const PRECACHE_PLACEHOLDER = 'self.__PRECACHE_MANIFEST';
+const SERVICE_WORKER = 'sw.js';
+
+const listFiles = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true, recursive: true });
+    return entries.filter(entry => entry.isFile()).map(entry => join(entry.parentPath, entry.name));
+};
+
+/**
+ * Vite plugin writing the files of the build into the service worker, so it can precache them
+ * for offline use. The version is a hash of their names and contents: a new build with any change
+ * gives the worker new bytes, which makes browsers install it and drop the old cache.
+ * @returns {import('vite').Plugin} The plugin.
+ */
+export const precacheManifest = () => {
+    let base = '/';
+    return {
+        name: 'gift-finder-precache',
+        apply: 'build',
+        configResolved: (config) => {
+            base = config.base;
+        },
+        // Runs once the bundle and the public files are in the output directory
+        writeBundle: async ({ dir }) => {
+            const workerPath = join(dir, SERVICE_WORKER);
+            const paths = (await listFiles(dir)).filter(path => path !== workerPath).sort();
+            const hash = createHash('sha256');
+            const files = [];
+            for (const path of paths) {
+                const url = base + relative(dir, path).split(sep).join('/');
+                hash.update(url).update(await readFile(path));
+                files.push(url);
+            }
+
+            const worker = await readFile(workerPath, 'utf8');
+            if (!worker.includes(PRECACHE_PLACEHOLDER)) {
+                throw new Error(`${SERVICE_WORKER} has no ${PRECACHE_PLACEHOLDER} to replace.`);
+            }
+            const manifest = JSON.stringify({ version: hash.digest('hex').slice(0, 12), files });
+            await writeFile(workerPath, worker.replace(PRECACHE_PLACEHOLDER, () => manifest));
+        },
+    };
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { precacheManifest } from './vitePlugin.js';
+
+const WORKER = 'const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;\n';
+
+describe('precacheManifest', () => {
+    let dir;
+
+    const build = async (files, base = '/') => {
+        await mkdir(join(dir, 'assets'), { recursive: true });
+        await writeFile(join(dir, 'sw.js'), WORKER);
+        for (const [name, content] of Object.entries(files)) await writeFile(join(dir, name), content);
+        const plugin = precacheManifest();
+        plugin.configResolved({ base });
+        await plugin.writeBundle({ dir });
+        const worker = await readFile(join(dir, 'sw.js'), 'utf8');
+        return JSON.parse(/const PRECACHE_MANIFEST = (.*);/.exec(worker)[1]);
+    };
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'precache-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('lists every built file except the worker itself', async () => {
+        const { files, version } = await build({ 'index.html': '<html>', 'assets/index-abc.js': 'app', 'icon-192.png': 'png' });
+        expect(files).toEqual(['/assets/index-abc.js', '/icon-192.png', '/index.html']);
+        expect(version).toMatch(/^[0-9a-f]{12}$/);
+    });
+
+    it('prefixes the configured base path', async () => {
+        const { files } = await build({ 'index.html': '<html>' }, '/gifts/');
+        expect(files).toEqual(['/gifts/index.html']);
+    });
+
+    it('changes the version when a file changes', async () => {
+        const first = await build({ 'index.html': '<html>' });
+        const second = await build({ 'index.html': '<html lang="de">' });
+        expect(second.version).not.toBe(first.version);
+    });
+
+    it('fails the build when the worker has no placeholder', async () => {
+        const plugin = precacheManifest();
+        plugin.configResolved({ base: '/' });
+        await writeFile(join(dir, 'sw.js'), '// no manifest\n');
+        await expect(plugin.writeBundle({ dir })).rejects.toThrow('sw.js has no self.__PRECACHE_MANIFEST to replace.');
+    });
+});
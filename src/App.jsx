@@ -1,314 +1,411 @@
-import React, { useState, useCallback } from 'react';
-
-// Reusable Input/Select Component
-const DynamicInput = ({ id, value, onChange, placeholder, options, disabled, type = 'text', textClass = 'text-[#9acbdb]', borderClass = 'border-[#477d8f]', focusBorderClass = 'focus:border-[#2c82c9]', extraClasses = '' }) => {
-    const baseClasses = `bg-transparent border-b-2 ${borderClass} ${textClass} text-center focus:outline-none ${focusBorderClass} pb-1 text-3xl md:text-4xl font-extrabold ${extraClasses}`;
-
-    if (options) {
-        return (
-            <select
-                id={id}
-                className={`${baseClasses} appearance-none cursor-pointer avenir-font`}
-                value={value}
-                onChange={onChange}
-                disabled={disabled}
-            >
-                <option value="" className="bg-white text-[#9acbdb]">{placeholder}</option>
-                {options.sort().map(opt => (
-                    <option key={opt} value={opt.toLowerCase()} className="bg-white text-[#9acbdb]">{opt}</option>
-                ))}
-            </select>
-        );
-    }
-    return (
-        <input
-            type={type}
-            id={id}
-            className={`${baseClasses}`}
-            placeholder={placeholder}
-            value={value}
-            onChange={onChange}
-            disabled={disabled}
-        />
-    );
-};
-
-// Reusable Button Component
-const ActionButton = ({ onClick, disabled, isLoading, children, className }) => (
-    <button
-        onClick={onClick}
-        disabled={disabled}
-        className={`flex-1 text-sm font-bold py-1.5 px-4 rounded-lg shadow-lg uppercase tracking-wider
-                   transform transition-all duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-opacity-75
-                   disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center ${className}`}
-    >
-        {isLoading ? (
-            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-            </svg>
-        ) : (
-            children
-        )}
-    </button>
-);
+import React, { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import DynamicInput from './components/DynamicInput.jsx';
+import ActionButton from './components/ActionButton.jsx';
+import GiftResults from './components/GiftResults.jsx';
+import ProfileBar from './components/ProfileBar.jsx';
+import ShareControls from './components/ShareControls.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import FavoriteButton from './components/FavoriteButton.jsx';
+import Shortlist from './components/Shortlist.jsx';
+import GiftLog from './components/GiftLog.jsx';
+import CardOptions from './components/CardOptions.jsx';
+import CardMessagePanel from './components/CardMessagePanel.jsx';
+import CardExport from './components/CardExport.jsx';
+import ErrorPanel from './components/ErrorPanel.jsx';
+import GroupPlanner from './components/GroupPlanner.jsx';
+import GroupResults from './components/GroupResults.jsx';
+import OccasionDates from './components/OccasionDates.jsx';
+import UpcomingOccasions from './components/UpcomingOccasions.jsx';
+import ConnectionStatus from './components/ConnectionStatus.jsx';
+import GiftFeedback from './components/GiftFeedback.jsx';
+import ConsentBanner from './components/ConsentBanner.jsx';
+import PrivacySettings from './components/PrivacySettings.jsx';
+import { useProfiles } from './hooks/useProfiles.js';
+import { useSearchHistory } from './hooks/useSearchHistory.js';
+import { useHistoryEntries } from './hooks/useHistoryEntries.js';
+import { useFavorites } from './hooks/useFavorites.js';
+import { useCardStudio } from './hooks/useCardStudio.js';
+import { useCriteria } from './hooks/useCriteria.js';
+import { useGroupPlan } from './hooks/useGroupPlan.js';
+import { useReminders } from './hooks/useReminders.js';
+import { useOfflineQueue } from './hooks/useOfflineQueue.js';
+import { useGiftFeedback } from './hooks/useGiftFeedback.js';
+import { useAnalytics } from './hooks/useAnalytics.js';
+import { describeCriteria } from './lib/searchHistory.js';
+import { getPurchasedGiftNames, pickProfileFields } from './lib/profiles.js';
+import { createLinkProcessor } from './lib/retailerLinks.js';
+import { giftKey } from './lib/gifts.js';
+import { findGiftIdeas, pruneGiftCache } from './lib/giftCache.js';
+import { classifyError } from './lib/errors.js';
+import { getRating, toFeedbackRequest } from './lib/feedback.js';
+import { describeSearch, describeGroupSearch, describePurchase } from './lib/analytics.js';
+import { CURRENCIES, currencySymbol } from './lib/currency.js';
+import { useI18n } from './i18n/I18nContext.js';
+import { LOCALES, parseSentence, getOptions, getSentenceWords } from './i18n/index.js';
 
 // Main App component
 const App = () => {
-    // State for gift criteria
-    const [interests, setInterests] = useState('');
-    const [notableEvents, setNotableEvents] = useState('');
-    const [minPrice, setMinPrice] = useState('');
-    const [maxPrice, setMaxPrice] = useState('');
-    const [age, setAge] = useState('');
-    const [gender, setGender] = useState('');
-    const [relationship, setRelationship] = useState('');
-    const [occasion, setOccasion] = useState('');
+    const { language, locale, t, setLanguage } = useI18n();
+
+    // The search form, starting from the URL so links and reloads restore it
+    const { criteria, setField, applyCriteria } = useCriteria(locale.defaultCurrency);
+    const { occasion, relationship, age, gender, interests, notableEvents, minPrice, maxPrice, currency } = criteria;
 
     // State for app functionality
     const [giftIdeas, setGiftIdeas] = useState([]);
+    // The criteria of the search that produced the shown ideas, which the form may no longer match
+    const [resultsCriteria, setResultsCriteria] = useState(criteria);
     const [isLoading, setIsLoading] = useState(false);
+    // What failed, classified for the error panel (see classifyError), with a retry for the failed request
     const [error, setError] = useState(null);
-    const [cardMessage, setCardMessage] = useState('');
-    const [isGeneratingMessage, setIsGeneratingMessage] = useState(false);
+    // When the shown ideas were generated, if they came from the cache instead of a new request
+    const [cachedAt, setCachedAt] = useState(null);
+    // Aborts the gift or card message generation that is currently streaming in
+    const abortRef = useRef(null);
+
+    // Drop cached gift ideas that have expired since the last visit
+    useEffect(() => {
+        pruneGiftCache().catch((err) => console.error("Error pruning gift cache:", err));
+    }, []);
 
-    // New states for history functionality
-    const [giftIdeasHistory, setGiftIdeasHistory] = useState([]);
-    const [historyIndex, setHistoryIndex] = useState(-1);
+    // Anonymous usage statistics, recorded only once the user has opted in
+    const analytics = useAnalytics();
+    const { track } = analytics;
+
+    // Progress announced to screen readers through the status live region
+    const [status, setStatus] = useState('');
+    // Headings that take focus once gift ideas or a card message have been generated
+    const giftsHeadingRef = useRef(null);
+    const cardHeadingRef = useRef(null);
+    const [pendingFocus, setPendingFocus] = useState(null);
+
+    // Focus moves after the render that shows the finished results
+    useEffect(() => {
+        if (!pendingFocus) return;
+        pendingFocus.current?.focus();
+        setPendingFocus(null);
+    }, [pendingFocus]);
+
+    // Card message studio: options, streamed versions and refinements
+    const cardStudio = useCardStudio({ abortRef });
+    const isGeneratingMessage = cardStudio.isGenerating;
+
+    // Searching for one person, or planning gifts for a whole group within one budget
+    const [mode, setMode] = useState('single');
+    const group = useGroupPlan({ abortRef, defaultCurrency: currency });
+    const groupHeadingRef = useRef(null);
+    const isBusy = isLoading || isGeneratingMessage || group.isGenerating;
+
+    // The connection, and the requests made offline that are sent again once it is back
+    const connection = useOfflineQueue({ busy: isBusy });
+    const { enqueue } = connection;
+
+    /**
+     * Keeps a request that failed for lack of a connection, to be made again once the browser is online.
+     * @param {'gifts'|'card'|'group'} kind - Which request; a newer one of the same kind replaces it.
+     * @param {() => Promise<void>} run - Makes the request again.
+     */
+    const queueOffline = useCallback((kind, run) => {
+        enqueue({ kind, run });
+        setStatus(t(`status.queued.${kind}`));
+    }, [enqueue, t]);
 
-    // Amazon Associate Tag
-    const AMAZON_ASSOCIATE_TAG = 'realstory-20';
+    // Saved recipient profiles
+    const {
+        profiles, activeProfile, storageError, selectProfile, addProfile,
+        updateActiveProfile, removeActiveProfile, recordShownGifts, markPurchased, addDate, removeDate
+    } = useProfiles();
 
-    // Unified handler for numeric inputs (age, minPrice, maxPrice)
-    const handleNumericInputChange = useCallback((setter) => (e) => {
-        const value = e.target.value;
-        const numericValue = value.replace(/[^0-9]/g, '');
-        setter(numericValue);
-    }, []);
+    // The saved recipients' coming occasions, with reminders when it is time to look for a gift
+    const { upcoming, permission, enableReminders } = useReminders(profiles);
 
-    // Handlers for specific inputs
-    const handleInterestsChange = useCallback((e) => setInterests(e.target.value), []);
-    const handleNotableEventsChange = useCallback((e) => setNotableEvents(e.target.value), []);
-    const handleAgeChange = handleNumericInputChange(setAge);
-    const handleMinPriceChange = handleNumericInputChange(setMinPrice);
-    const handleMaxPriceChange = handleNumericInputChange(setMaxPrice);
-    const handleGenderChange = useCallback((e) => setGender(e.target.value), []);
-    const handleRelationshipChange = useCallback((e) => setRelationship(e.target.value), []);
-    const handleOccasionChange = useCallback((e) => setOccasion(e.target.value), []);
+    // Change handler for a form field; numeric fields keep only the digits typed
+    const handleFieldChange = useCallback((field) => (e) => setField(field, e.target.value), [setField]);
 
     /**
-     * Determines the correct article ("a" or "an") based on a word.
-     * @param {string} word - The word to check.
-     * @returns {string} "a" or "an".
+     * Switches the interface language. A currency still on the old language's default follows the new one.
+     * @param {Event} e - The change event of the language select.
      */
-    const getArticle = useCallback((word) => {
-        if (!word) return 'a';
-        const firstChar = word.trim().toLowerCase().charAt(0);
-        return ['a', 'e', 'i', 'o', 'u'].includes(firstChar) ? 'an' : 'a';
-    }, []);
+    const handleLanguageChange = (e) => {
+        const next = LOCALES[e.target.value];
+        if (currency === locale.defaultCurrency) setField('currency', next.defaultCurrency);
+        setLanguage(next.code);
+    };
+
+    // Likes, dislikes and the ideas shown so far, which steer refreshes of the current search
+    const { feedback, resetShown, addShown, rate, toggleReason } = useGiftFeedback();
 
     /**
-     * Processes a given URL, converting product links to search queries for specific retailers
-     * and adding Amazon affiliate tags where applicable.
-     * @param {string} originalLink - The original product or search URL.
-     * @param {string} giftName - The name of the gift to use as a search term.
-     * @returns {string} The processed URL (search link with affiliate tag for Amazon, or generic search for others).
+     * Shows a set of gift ideas restored from history or a share link.
+     * @param {Array<object>} gifts - The gift ideas.
+     * @param {object} search - The criteria they were found for.
      */
-    const processRetailerLink = useCallback((originalLink, giftName) => {
-        if (typeof originalLink !== 'string' || !originalLink.trim()) {
-            console.warn("Attempted to process an empty or non-string link:", originalLink);
-            return '#';
-        }
+    const showGiftIdeas = useCallback((gifts, search) => {
+        setGiftIdeas(gifts);
+        setResultsCriteria(search);
+        setCachedAt(null);
+        setError(null);
+        resetShown(gifts);
+    }, [resetShown]);
 
-        const searchTerm = encodeURIComponent(giftName || '');
+    // Results history, backed by the browser history and the URL
+    const { pushResults, canGoBack, canGoForward, backLabel, forwardLabel, goBack, goForward } = useSearchHistory({
+        criteria,
+        applyCriteria,
+        setGiftIdeas: showGiftIdeas,
+        onError: setError,
+    });
 
-        try {
-            const url = new URL(originalLink);
-            const hostname = url.hostname;
-
-            const amazonDomains = [
-                'amazon.com', 'amazon.co.uk', 'amazon.ca', 'amazon.de',
-                'amazon.fr', 'amazon.it', 'amazon.es', 'amazon.co.jp',
-                'amazon.com.au', 'amazon.in'
-            ];
-
-            if (amazonDomains.some(domain => hostname.includes(domain))) {
-                const searchBaseUrl = `https://${hostname}/s?k=`;
-                return `${searchBaseUrl}${searchTerm}&tag=${AMAZON_ASSOCIATE_TAG}`;
-            } else if (hostname.includes('etsy.com')) {
-                return `https://www.etsy.com/search?q=${searchTerm}`;
-            } else if (hostname.includes('target.com')) {
-                return `https://www.target.com/s?searchTerm=${searchTerm}`;
-            } else if (hostname.includes('bestbuy.com')) {
-                return `https://www.bestbuy.com/site/searchpage.jsp?st=${searchTerm}`;
-            } else {
-                return originalLink;
-            }
-        } catch (e) {
-            console.error("Invalid URL encountered during link processing:", originalLink, e);
-            return '#';
-        }
-    }, [AMAZON_ASSOCIATE_TAG]);
+    // Every generation, kept across visits
+    const { entries: historyEntries, addEntry, togglePin, removeEntry, clearAll } = useHistoryEntries();
+
+    // Shortlisted gifts across all searches
+    const { favorites, isFavorite, toggleFavorite, removeFavorite, pick } = useFavorites();
 
     /**
-     * Common API call logic for fetching data.
-     * @param {string} prompt - The text prompt for the API.
-     * @param {object} schema - The JSON schema for the response.
-     * @param {string} mimeType - The expected response MIME type.
-     * @returns {Promise<any>} The parsed JSON or text result.
+     * Brings back a past search: its form values and its results.
+     * @param {object} entry - The history entry.
      */
-    const callGeminiApi = useCallback(async (prompt, schema = null, mimeType = "text/plain") => {
-        let chatHistory = [{ role: "user", parts: [{ text: prompt }] }];
-        const payload = {
-            contents: chatHistory,
-            generationConfig: {
-                responseMimeType: mimeType,
-                ...(schema && { responseSchema: schema })
-            }
-        };
+    const restoreHistoryEntry = useCallback((entry) => {
+        setMode('single');
+        applyCriteria(entry.criteria);
+        showGiftIdeas(entry.gifts, entry.criteria);
+        pushResults(entry.gifts, entry.criteria, describeCriteria({ locale, t }, entry.criteria));
+    }, [applyCriteria, showGiftIdeas, pushResults, locale, t]);
 
-        const apiKey = import.meta.env.VITE_GEMINI_API_KEY; // For Vite environment variables
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+    /**
+     * Selects a saved recipient and fills the form with their details.
+     * @param {string|null} profileId - The profile to select, or null for a blank search.
+     */
+    const handleProfileSelect = useCallback((profileId) => {
+        selectProfile(profileId);
+        const profile = profiles.find(p => p.id === profileId);
+        applyCriteria(pickProfileFields(profile ? profile.criteria : {}));
+    }, [profiles, selectProfile, applyCriteria]);
 
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+    /**
+     * Starts a search for a coming occasion: selects the recipient and fills in their details and the occasion.
+     * @param {object} event - The occasion, from upcomingOccasions().
+     */
+    const findForOccasion = useCallback((event) => {
+        setMode('single');
+        selectProfile(event.profileId);
+        const profile = profiles.find(p => p.id === event.profileId);
+        applyCriteria({ ...pickProfileFields(profile ? profile.criteria : {}), occasion: event.occasion });
+    }, [profiles, selectProfile, applyCriteria]);
+
+    // The sentence form in the current language, and the words in it that depend on the chosen values
+    const sentence = useMemo(() => parseSentence(locale.sentence), [locale]);
+    const sentenceWords = useMemo(
+        () => getSentenceWords(locale, { occasion, relationship, gender }),
+        [locale, occasion, relationship, gender]
+    );
+    const symbol = currencySymbol(currency, language);
 
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(`API error: ${response.status} ${response.statusText} - ${errorData.error.message || 'Unknown error'}`);
-        }
-
-        const result = await response.json();
-        if (result.candidates && result.candidates.length > 0 &&
-            result.candidates[0].content && result.candidates[0].content.parts &&
-            result.candidates[0].content.parts.length > 0) {
-            return mimeType === "application/json" ? JSON.parse(result.candidates[0].content.parts[0].text) : result.candidates[0].content.parts[0].text;
-        } else {
-            throw new Error("No content received from API.");
-        }
-    }, []);
+    // Retailer link rules (src/config/retailers.json), using the browser locale for regional storefronts
+    const processRetailerLink = useMemo(() => createLinkProcessor({ locale: navigator.language }), []);
 
     /**
-     * Fetches gift suggestions from the Gemini API based on all provided criteria.
+     * Fetches gift suggestions from the gift finder API based on all provided criteria.
+     * Ideas are streamed in and shown one card at a time; stopping keeps the ones already received.
+     * A search made recently with the same criteria is answered from the cache.
+     * Made offline, the search is queued and replayed, with the same criteria, once the connection is back.
+     * @param {object} [options]
+     * @param {boolean} [options.refresh] - Skip the cache and ask for new ideas.
+     * @param {object} [options.search] - The criteria to search for, the form values by default.
      */
-    const fetchGiftSuggestions = useCallback(async () => {
+    const fetchGiftSuggestions = useCallback(async ({ refresh = false, search = criteria, similarTo = null } = {}) => {
         setGiftIdeas([]);
+        setResultsCriteria(search);
+        setCachedAt(null);
         setError(null);
         setIsLoading(true);
-
-        let priceRangeString = '';
-        if (minPrice && maxPrice) priceRangeString = `between $${minPrice} and $${maxPrice}`;
-        else if (minPrice) priceRangeString = `above $${minPrice}`;
-        else if (maxPrice) priceRangeString = `up to $${maxPrice}`;
-
-        const promptParts = [`I need a gift suggestion for someone.`];
-        if (occasion) promptParts.push(`The occasion is ${occasion}.`);
-        if (relationship) promptParts.push(`They are my ${relationship}.`);
-        if (age) promptParts.push(`They are ${age} years old.`);
-        if (gender) promptParts.push(`Their gender is ${gender}.`);
-        if (notableEvents) promptParts.push(`Notable events in their life include ${notableEvents}.`);
-        if (interests) promptParts.push(`They are interested in ${interests}.`);
-        if (priceRangeString) promptParts.push(`The price range should be ${priceRangeString}.`);
-
-        let mainPrompt = promptParts.join(' ');
-        mainPrompt += ` Please provide a list of at least 5 varied and diverse gift ideas. For each idea, include its name, a brief description, and a direct purchase link. Prioritize direct product links from major retailers like Amazon, Etsy, Target, Best Buy, or official brand websites. If a direct product link is not feasible, provide a relevant search results page link on a major retailer. Respond in JSON format as an. array of objects, each with 'name', 'description', and 'purchaseLink' fields.`;
-
-        const responseSchema = {
-            type: "ARRAY",
-            items: {
-                type: "OBJECT",
-                properties: {
-                    name: { type: "STRING" },
-                    description: { type: "STRING" },
-                    purchaseLink: { type: "STRING" }
-                },
-                propertyOrdering: ["name", "description", "purchaseLink"]
-            }
-        };
+        setStatus(similarTo ? t('status.findingSimilar', { name: similarTo.name }) : t('status.findingGifts'));
+        track('search', { kind: similarTo ? 'similar' : refresh ? 'refresh' : 'new', ...describeSearch(search) });
+        // A refresh or "more like this" carries on the current search, steered by its feedback;
+        // a new search starts afresh
+        const continues = refresh || similarTo !== null;
+        const steering = continues
+            ? { ...toFeedbackRequest(feedback), similarTo: similarTo && { name: similarTo.name, description: similarTo.description } }
+            : {};
+
+        // The recipient the search is for, even if another is picked while the ideas arrive
+        const searchedProfile = activeProfile;
+        const controller = new AbortController();
+        abortRef.current = controller;
+        const received = [];
+        let fromCache = false;
+        let promptVersion = null;
 
         try {
-            const parsedJson = await callGeminiApi(mainPrompt, responseSchema, "application/json");
-            if (Array.isArray(parsedJson)) {
-                const processedGiftIdeas = parsedJson.slice(0, 5).map(gift => ({
-                    ...gift,
-                    purchaseLink: processRetailerLink(gift.purchaseLink, gift.name)
-                }));
-                setGiftIdeas(processedGiftIdeas);
-                setGiftIdeasHistory(prevHistory => {
-                    const newHistory = prevHistory.slice(0, historyIndex + 1);
-                    return [...newHistory, processedGiftIdeas];
+            // Gifts already bought for a saved recipient should not be suggested again
+            const result = await findGiftIdeas({ ...search, language, avoid: getPurchasedGiftNames(searchedProfile), ...steering }, {
+                signal: controller.signal,
+                refresh,
+                onGift: (gift) => {
+                    received.push({ ...gift, purchaseLink: processRetailerLink(gift.purchaseLink, gift.name) });
+                    setGiftIdeas([...received]);
+                }
+            });
+            fromCache = result.cachedAt !== null;
+            promptVersion = result.promptVersion;
+            setCachedAt(result.cachedAt);
+            setStatus(t(fromCache ? 'status.giftsCached' : 'status.giftsFound', { count: received.length }));
+            track('generation', { task: 'gifts', count: received.length, cached: fromCache, stopped: false, promptVersion });
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                setStatus(t('status.stopped'));
+                track('generation', { task: 'gifts', count: received.length, cached: false, stopped: true, promptVersion });
+            } else if (classifyError(err).kind === 'offline') {
+                queueOffline('gifts', async () => {
+                    setMode('single');
+                    applyCriteria(search);
+                    await fetchGiftSuggestions({ refresh, search, similarTo });
                 });
-                setHistoryIndex(prevIndex => prevIndex + 1);
             } else {
-                setError("Received unexpected data format from API. Please try again.");
-                console.error("API returned non-array JSON:", parsedJson);
+                console.error("Error fetching gift suggestions:", err);
+                track('error', { task: 'gifts', kind: classifyError(err).kind });
+                // The error alert is announced on its own
+                setStatus('');
+                setError({ ...classifyError(err), task: 'gifts', retry: () => fetchGiftSuggestions({ refresh, search, similarTo }) });
             }
-        } catch (err) {
-            console.error("Error fetching gift suggestions:", err);
-            setError(`Failed to fetch gift suggestions: ${err.message}. Please try again.`);
         } finally {
+            abortRef.current = null;
             setIsLoading(false);
         }
-    }, [minPrice, maxPrice, occasion, relationship, age, gender, notableEvents, interests, historyIndex, processRetailerLink, callGeminiApi]);
+
+        if (received.length > 0) {
+            setPendingFocus(giftsHeadingRef);
+            pushResults(received, search, describeCriteria({ locale, t }, search));
+            // A cached answer is already in the history from when it was generated
+            if (!fromCache) addEntry(search, received, { promptVersion, ...(searchedProfile && { profileName: searchedProfile.name }) });
+            recordShownGifts(searchedProfile?.id ?? null, received, search);
+            if (continues) addShown(received);
+            else resetShown(received);
+        }
+    }, [criteria, language, locale, t, pushResults, addEntry, processRetailerLink, activeProfile, recordShownGifts, queueOffline, applyCriteria, feedback, addShown, resetShown, track]);
+
+    // Gifts that can be revealed in a printed card: the picked shortlist gifts first, then the current ideas and the rest of the shortlist
+    const cardGiftNames = useMemo(() => [...new Set([
+        ...favorites.filter(favorite => favorite.pickedAt).map(favorite => favorite.gift.name),
+        ...giftIdeas.map(gift => gift.name),
+        ...favorites.map(favorite => favorite.gift.name),
+    ])], [favorites, giftIdeas]);
 
     /**
-     * Generates a personalized gift card message using the Gemini API.
+     * Writes or refines the card message, announcing progress and focusing the result.
+     * @param {() => Promise<{ variants: string[], stopped: boolean, error: Error|null, promptVersion: string|null }>} write - cardStudio.generate or refine, bound to its arguments.
+     * @param {boolean} [refined] - Whether it refines the chosen version.
      */
-    const generateCardMessage = useCallback(async () => {
-        setCardMessage('');
-        setIsGeneratingMessage(true);
+    const writeCardMessage = async (write, refined = false) => {
         setError(null);
+        setStatus(t('status.writingCard'));
+        const { variants, stopped, error: writeError, promptVersion } = await write();
+        if (writeError && classifyError(writeError).kind === 'offline') {
+            queueOffline('card', () => writeCardMessage(write, refined));
+            return;
+        }
+        if (writeError) {
+            track('error', { task: 'card', kind: classifyError(writeError).kind });
+            setError({ ...classifyError(writeError), task: 'card', retry: () => writeCardMessage(write, refined) });
+        }
+        if (variants.length > 0) {
+            const { tone, length } = cardStudio.options;
+            track('card', { tone, length, variants: variants.length, refined, stopped, promptVersion });
+        }
+        if (stopped) setStatus(t('status.stopped'));
+        else setStatus(variants.length > 0 ? t('status.cardWritten', { count: variants.length }) : '');
+        if (variants.length > 0) setPendingFocus(cardHeadingRef);
+    };
 
-        const messagePromptParts = [`Write a heartfelt and creative gift card message or a short poem.`];
-        if (occasion) messagePromptParts.push(`The occasion is ${occasion}.`);
-        if (relationship) messagePromptParts.push(`The recipient is my ${relationship}.`);
-        if (age) messagePromptParts.push(`They are ${age} years old.`);
-        if (gender) messagePromptParts.push(`Their gender is ${gender}.`);
-        if (interests) messagePromptParts.push(`They are interested in ${interests}.`);
-        if (notableEvents) messagePromptParts.push(`They have been busy with ${notableEvents}.`);
-
-        let fullMessagePrompt = messagePromptParts.join(' ');
-        fullMessagePrompt += ` Make sure the message is suitable for the context and tone. Keep it concise, around 50-100 words.`;
+    /**
+     * Switches between searching for one person and planning for a group.
+     * A new group starts with the occasion already chosen in the single search.
+     * @param {'single'|'group'} next - The mode.
+     */
+    const switchMode = (next) => {
+        if (next === 'group' && !group.plan.occasion && occasion) group.setField('occasion', occasion);
+        setError(null);
+        setMode(next);
+    };
 
-        try {
-            const message = await callGeminiApi(fullMessagePrompt, null, "text/plain");
-            setCardMessage(message);
-        } catch (err) {
-            console.error("Error generating card message:", err);
-            setError(`Failed to generate card message: ${err.message}.`);
-            setCardMessage("Error generating message. Please try again.");
-        } finally {
-            setIsGeneratingMessage(false);
+    /**
+     * Finds gift ideas for everyone in the group, announcing progress and focusing the results.
+     */
+    const findGroupGifts = async () => {
+        setError(null);
+        setStatus(t('status.findingGroupGifts'));
+        track('search', { kind: 'group', ...describeGroupSearch(group.plan) });
+        const { count, stopped, error: groupError, promptVersion } = await group.generate();
+        if (groupError && classifyError(groupError).kind === 'offline') {
+            queueOffline('group', findGroupGifts);
+        } else if (groupError) {
+            track('error', { task: 'group', kind: classifyError(groupError).kind });
+            // The error alert is announced on its own
+            setStatus('');
+            setError({ ...classifyError(groupError), task: 'group', retry: findGroupGifts });
+        } else {
+            track('generation', { task: 'group', count, cached: false, stopped, promptVersion });
+            setStatus(stopped ? t('status.stopped') : t('status.groupGiftsFound', { count }));
         }
-    }, [occasion, relationship, age, gender, interests, notableEvents, callGeminiApi]);
+        if (count > 0) setPendingFocus(groupHeadingRef);
+    };
 
     /**
-     * Navigates back in the gift ideas history.
+     * Records that a purchase link was opened, with the retailer it leads to.
+     * @param {'results'|'group'|'shortlist'} source - Where the link was.
+     * @returns {(gift: object, href: string) => void} The click handler.
      */
-    const goBackInHistory = useCallback(() => {
-        if (historyIndex > 0) {
-            const newIndex = historyIndex - 1;
-            setHistoryIndex(newIndex);
-            setGiftIdeas(giftIdeasHistory[newIndex]);
-            setError(null);
-        }
-    }, [historyIndex, giftIdeasHistory]);
+    const trackPurchase = (source) => (gift, href) => track('purchase_click', { source, ...describePurchase(gift, href) });
 
     /**
-     * Navigates forward in the gift ideas history.
+     * Stops the gift or card message generation in progress.
      */
-    const goForwardInHistory = useCallback(() => {
-        if (historyIndex < giftIdeasHistory.length - 1) {
-            const newIndex = historyIndex + 1;
-            setHistoryIndex(newIndex);
-            setGiftIdeas(giftIdeasHistory[newIndex]);
-            setError(null);
-        }
-    }, [historyIndex, giftIdeasHistory]);
+    const stopGenerating = () => abortRef.current?.abort();
 
+    /**
+     * Renders the per-gift controls: shortlist, and purchase tracking when a recipient is selected.
+     * @param {object} gift - The gift idea.
+     */
+    const renderGiftActions = (gift) => {
+        const purchased = activeProfile?.giftLog.some(entry => entry.purchasedAt && giftKey(entry.name) === giftKey(gift.name));
+        return (
+            <>
+                <FavoriteButton
+                    active={isFavorite(gift, resultsCriteria, activeProfile?.name)}
+                    onToggle={() => toggleFavorite(gift, resultsCriteria, activeProfile?.name)}
+                    giftName={gift.name}
+                />
+                {activeProfile && (
+                    <button
+                        type="button"
+                        onClick={() => markPurchased(gift, !purchased, resultsCriteria)}
+                        className={`text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border transition-colors duration-200 ${purchased ? 'bg-green-100 border-green-600 text-green-800' : 'border-[#477d8f] text-[#477d8f] hover:bg-[#477d8f] hover:text-white'}`}
+                    >
+                        {purchased ? t('results.purchasedFor', { name: activeProfile.name }) : t('results.markPurchased')}
+                    </button>
+                )}
+                <GiftFeedback
+                    gift={gift}
+                    rating={getRating(feedback, gift)}
+                    onRate={rate}
+                    onToggleReason={toggleReason}
+                    onMoreLikeThis={(similarTo) => fetchGiftSuggestions({ similarTo })}
+                    disabled={isLoading || isGeneratingMessage}
+                />
+            </>
+        );
+    };
+
+    // The form fields of the sentence, by slot name
+    const sentenceFields = {
+        occasion: { value: occasion, onChange: handleFieldChange('occasion'), options: getOptions(locale, 'occasions'), extraClasses: 'w-40 md:w-56' },
+        relationship: { value: relationship, onChange: handleFieldChange('relationship'), options: getOptions(locale, 'relationships', gender), extraClasses: 'w-40 md:w-56' },
+        age: { value: age, onChange: handleFieldChange('age'), inputMode: 'numeric', extraClasses: 'w-24' },
+        gender: { value: gender, onChange: handleFieldChange('gender'), options: getOptions(locale, 'genders'), extraClasses: 'w-32 md:w-48' },
+        interests: { value: interests, onChange: handleFieldChange('interests'), extraClasses: 'w-64' },
+        notableEvents: { value: notableEvents, onChange: handleFieldChange('notableEvents'), extraClasses: 'w-64' },
+    };
 
     return (
         <div className="min-h-screen bg-white text-black flex flex-col relative overflow-hidden">
@@ -328,224 +425,337 @@ const App = () => {
                 .avenir-font option {
                     font-family: 'Avenir', 'Avenir Next', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
                 }
-                /* Placeholder color for inputs */
+                /* Placeholder color for inputs, dark enough for 4.5:1 contrast on white */
                 input::placeholder {
-                    color: #9acbdb;
-                    opacity: 0.7; /* Adjust as needed for visibility */
+                    color: #477d8f;
+                    opacity: 1;
                 }
                 `}
             </style>
 
+            {/* Announces progress and finished results; the streamed text itself is not read out piece by piece */}
+            <p role="status" className="sr-only">{status}</p>
+
             {/* Main Content Area */}
             <main className="relative z-10 flex-grow flex items-center justify-center p-4">
                 <div className="text-center max-w-4xl w-full">
-                    <h1 className="text-3xl md:text-4xl font-extrabold mb-8 leading-tight">
-                        I need {getArticle(occasion)}
-                        <span className="inline-block mx-2">
-                            <DynamicInput
-                                id="occasion"
-                                value={occasion}
-                                onChange={handleOccasionChange}
-                                options={['Anniversary', 'Baby Shower', 'Birthday', 'Father\'s Day', 'Graduation', 'Holiday', 'Housewarming', 'Just Because', 'Mother\'s Day', 'Retirement', 'Thank You', 'Valentine\'s']}
-                                placeholder="occasion"
-                                disabled={isLoading || isGeneratingMessage}
-                                extraClasses="w-40 md:w-56" // Adjust width for select
-                            />
-                        </span>
-                        gift for my
-                        <span className="inline-block mx-2">
-                            <DynamicInput
-                                id="relationship"
-                                value={relationship}
-                                onChange={handleRelationshipChange}
-                                options={['child', 'colleague', 'friend', 'grandparent', 'other', 'parent', 'partner', 'sibling']}
-                                placeholder="relationship"
-                                disabled={isLoading || isGeneratingMessage}
-                                extraClasses="w-40 md:w-56" // Adjust width for select
-                            />
+                    <div className="flex flex-wrap justify-between items-center gap-2 mb-4 text-sm text-gray-700">
+                        <ConnectionStatus online={connection.online} queued={connection.queued} onCancel={connection.cancel} />
+                        <span className="flex items-center gap-2">
+                            <label htmlFor="language" className="font-semibold">{t('language.label')}</label>
+                            <select
+                                id="language"
+                                className="bg-white border border-[#477d8f] rounded-md px-2 py-1 focus:outline-none focus:border-[#1f6fb2]"
+                                value={language}
+                                onChange={handleLanguageChange}
+                                disabled={isBusy}
+                            >
+                                {Object.values(LOCALES).map(option => (
+                                    <option key={option.code} value={option.code}>{option.name}</option>
+                                ))}
+                            </select>
                         </span>
-                        who is
-                        <span className="inline-block mx-2">
-                            <DynamicInput
-                                id="age"
-                                type="text"
-                                value={age}
-                                onChange={handleAgeChange}
-                                placeholder="age"
-                                disabled={isLoading || isGeneratingMessage}
-                                extraClasses="w-24"
+                    </div>
+
+                    <div role="group" aria-label={t('mode.label')} className="flex justify-center gap-2 mb-6">
+                        {['single', 'group'].map(option => (
+                            <button
+                                key={option}
+                                type="button"
+                                aria-pressed={mode === option}
+                                onClick={() => switchMode(option)}
+                                disabled={isBusy}
+                                className={`text-sm font-bold uppercase tracking-wider px-4 py-1.5 rounded-full border border-[#1f6fb2] transition-colors duration-200 disabled:opacity-50 ${mode === option ? 'bg-[#1f6fb2] text-white' : 'text-[#1f6fb2] hover:bg-[#e6f2f6]'}`}
+                            >
+                                {t(`mode.${option}`)}
+                            </button>
+                        ))}
+                    </div>
+
+                    {mode === 'group' ? (
+                        <>
+                            <h1 className="sr-only">{t('form.heading')}</h1>
+                            <GroupPlanner
+                                group={group}
+                                profiles={profiles}
+                                onFind={findGroupGifts}
+                                onStop={stopGenerating}
+                                disabled={isBusy}
                             />
-                        </span>
-                        years old.
-                        <span className="inline-block mx-2">
-                            <DynamicInput
-                                id="gender"
-                                value={gender}
-                                onChange={handleGenderChange}
-                                options={['He', 'She', 'They']}
-                                placeholder="Gender"
+                        </>
+                    ) : (
+                        <>
+                        <ProfileBar
+                            profiles={profiles}
+                            activeProfile={activeProfile}
+                            onSelect={handleProfileSelect}
+                            onCreate={(name) => addProfile(name, criteria)}
+                            onUpdate={() => updateActiveProfile(criteria)}
+                            onDelete={removeActiveProfile}
+                            disabled={isLoading || isGeneratingMessage}
+                        />
+                        {storageError && <p className="text-sm text-red-700 -mt-6 mb-6">{t(storageError)}</p>}
+                        {activeProfile && (
+                            <OccasionDates
+                                key={activeProfile.id}
+                                profile={activeProfile}
+                                occasion={occasion}
+                                onAdd={addDate}
+                                onRemove={removeDate}
                                 disabled={isLoading || isGeneratingMessage}
-                                extraClasses="w-28 md:w-32" // Adjust width for select
                             />
-                        </span>
-                        {gender === 'they' ? 'are' : 'is'} interested in
-                        <span className="inline-block mx-2">
+                        )}
+
+                        <h1 className="sr-only">{t('form.heading')}</h1>
+                        {/* The sentence is the form: its text reads around the fields, and each field has its own label */}
+                        <fieldset className="text-3xl md:text-4xl font-extrabold mb-8 leading-tight">
+                            <legend className="sr-only">{t('form.legend')}</legend>
+                            {sentence.map((token, index) => {
+                                if (token.type === 'text') return <React.Fragment key={index}>{token.text}</React.Fragment>;
+                                const field = sentenceFields[token.name];
+                                // Slots that are not form fields are words chosen by the locale's grammar
+                                if (!field) return <React.Fragment key={index}>{sentenceWords[token.name]}</React.Fragment>;
+                                return (
+                                    <span key={index} className="inline-block mx-2">
+                                        <DynamicInput
+                                            id={token.name}
+                                            label={t(`form.label.${token.name}`)}
+                                            {...field}
+                                            placeholder={locale.placeholders[token.name]}
+                                            disabled={isLoading || isGeneratingMessage}
+                                        />
+                                    </span>
+                                );
+                            })}
+                        </fieldset>
+
+                        {/* Price Range Inputs */}
+                        <div className="flex justify-center items-center gap-4 mt-8 text-xl font-bold">
+                            <span className="text-black">{t('form.price')}</span>
                             <DynamicInput
-                                id="interests"
+                                id="minPrice"
+                                label={t('form.minPrice', { currency })}
                                 type="text"
-                                value={interests}
-                                onChange={handleInterestsChange}
-                                placeholder="interests"
+                                inputMode="numeric"
+                                value={minPrice ? `${symbol}${minPrice}` : ''}
+                                onChange={handleFieldChange('minPrice')}
+                                placeholder={`${symbol}${t('form.min')}`}
                                 disabled={isLoading || isGeneratingMessage}
-                                extraClasses="w-64"
+                                extraClasses="w-24 text-xl font-bold"
+                                textClass="text-[#2a6475]"
+                                borderClass="border-[#477d8f]"
+                                focusBorderClass="focus:border-[#1f6fb2]"
                             />
-                        </span>
-                        and notable events in <span className="inline-block mx-2">{gender === 'he' ? 'his' : gender === 'she' ? 'her' : 'their'}</span> life include
-                        <span className="inline-block mx-2">
+                            <span className="text-black">-</span>
                             <DynamicInput
-                                id="notableEvents"
+                                id="maxPrice"
+                                label={t('form.maxPrice', { currency })}
                                 type="text"
-                                value={notableEvents}
-                                onChange={handleNotableEventsChange}
-                                placeholder="notable events"
+                                inputMode="numeric"
+                                value={maxPrice ? `${symbol}${maxPrice}` : ''}
+                                onChange={handleFieldChange('maxPrice')}
+                                placeholder={`${symbol}${t('form.max')}`}
                                 disabled={isLoading || isGeneratingMessage}
-                                extraClasses="w-64"
+                                extraClasses="w-24 text-xl font-bold"
+                                textClass="text-[#2a6475]"
+                                borderClass="border-[#477d8f]"
+                                focusBorderClass="focus:border-[#1f6fb2]"
                             />
-                        </span>
-                        .
-                    </h1>
-
-                    {/* Price Range Inputs */}
-                    <div className="flex justify-center items-center gap-4 mt-8 text-xl font-bold">
-                        <span className="text-black">Price:</span>
-                        <DynamicInput
-                            id="minPrice"
-                            type="text"
-                            value={minPrice ? `$${minPrice}` : ''}
-                            onChange={handleMinPriceChange}
-                            placeholder="$min"
-                            disabled={isLoading || isGeneratingMessage}
-                            extraClasses="w-24 text-xl font-bold"
-                            textClass="text-[#9acbdb]"
-                            borderClass="border-[#477d8f]"
-                            focusBorderClass="focus:border-[#2c82c9]"
+                            <select
+                                id="currency"
+                                aria-label={t('form.currency')}
+                                className="bg-transparent border-b-2 border-[#477d8f] text-[#2a6475] focus:outline-none focus:border-[#1f6fb2] focus-visible:ring-2 focus-visible:ring-[#1f6fb2] rounded-sm pb-1 text-xl font-bold cursor-pointer avenir-font"
+                                value={currency}
+                                onChange={handleFieldChange('currency')}
+                                disabled={isLoading || isGeneratingMessage}
+                            >
+                                {CURRENCIES.map(code => (
+                                    <option key={code} value={code} className="bg-white text-[#2a6475]">{code}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {/* Combined buttons for Find Gifts, Refresh, and Generate Card Message */}
+                        <div className="flex flex-col sm:flex-row gap-4 mt-12 justify-center items-stretch flex-wrap">
+                            <ActionButton
+                                onClick={() => fetchGiftSuggestions()}
+                                disabled={isLoading || isGeneratingMessage || !occasion.trim()}
+                                isLoading={isLoading}
+                                className="bg-[#1f6fb2] text-white hover:bg-opacity-80 hover:text-white focus:ring-[#1f6fb2]"
+                            >
+                                {t('actions.findGifts')}
+                            </ActionButton>
+                            <ActionButton
+                                onClick={() => fetchGiftSuggestions({ refresh: true })}
+                                disabled={isLoading || isGeneratingMessage || giftIdeas.length === 0 || !occasion.trim()}
+                                isLoading={false} // Refresh doesn't have its own loading state, uses main isLoading
+                                className="bg-transparent border border-[#1f6fb2] text-[#1f6fb2] hover:bg-[#1f6fb2] hover:text-white focus:ring-[#1f6fb2]"
+                            >
+                                {t('actions.refresh')}
+                            </ActionButton>
+                            <ActionButton
+                                onClick={() => writeCardMessage(() => cardStudio.generate(criteria))}
+                                disabled={isGeneratingMessage || isLoading || !occasion.trim()}
+                                isLoading={isGeneratingMessage}
+                                className="bg-[#7d5a8c] text-white hover:bg-opacity-80 hover:text-white focus:ring-[#7d5a8c]"
+                            >
+                                {t('actions.cardMessage')}
+                            </ActionButton>
+                            {(isLoading || isGeneratingMessage) && (
+                                <ActionButton
+                                    onClick={stopGenerating}
+                                    className="bg-transparent border border-red-600 text-red-600 hover:bg-red-600 hover:text-white focus:ring-red-600"
+                                >
+                                    {t('actions.stop')}
+                                </ActionButton>
+                            )}
+                        </div>
+
+                        <CardOptions
+                            options={cardStudio.options}
+                            onChange={cardStudio.updateOption}
+                            disabled={isGeneratingMessage}
                         />
-                        <span className="text-black">-</span>
-                        <DynamicInput
-                            id="maxPrice"
-                            type="text"
-                            value={maxPrice ? `$${maxPrice}` : ''}
-                            onChange={handleMaxPriceChange}
-                            placeholder="$max"
-                            disabled={isLoading || isGeneratingMessage}
-                            extraClasses="w-24 text-xl font-bold"
-                            textClass="text-[#9acbdb]"
-                            borderClass="border-[#477d8f]"
-                            focusBorderClass="focus:border-[#2c82c9]"
+
+                        {/* History navigation buttons */}
+                        <div className="flex justify-center gap-4 mt-4">
+                            <ActionButton
+                                onClick={goBack}
+                                disabled={!canGoBack || isLoading || isGeneratingMessage}
+                                isLoading={false}
+                                title={backLabel ? t('actions.backTo', { label: backLabel }) : undefined}
+                                className="bg-gray-300 text-gray-800 hover:bg-gray-400 focus:ring-gray-500"
+                            >
+                                {t('actions.back')}
+                            </ActionButton>
+                            <ActionButton
+                                onClick={goForward}
+                                disabled={!canGoForward || isLoading || isGeneratingMessage}
+                                isLoading={false}
+                                title={forwardLabel ? t('actions.forwardTo', { label: forwardLabel }) : undefined}
+                                className="bg-gray-300 text-gray-800 hover:bg-gray-400 focus:ring-gray-500"
+                            >
+                                {t('actions.forward')}
+                            </ActionButton>
+                        </div>
+                        {(backLabel || forwardLabel) && (
+                            <div className="flex justify-between gap-4 mt-1 text-xs text-gray-500">
+                                <span className="truncate">{backLabel && `← ${backLabel}`}</span>
+                                <span className="truncate">{forwardLabel && `${forwardLabel} →`}</span>
+                            </div>
+                        )}
+
+                        <ShareControls
+                            criteria={criteria}
+                            gifts={giftIdeas}
+                            disabled={!occasion.trim() || isLoading}
                         />
-                    </div>
+                        </>
+                    )}
 
-                    {/* Combined buttons for Find Gifts, Refresh, and Generate Card Message */}
-                    <div className="flex flex-col sm:flex-row gap-4 mt-12 justify-center items-stretch flex-wrap">
-                        <ActionButton
-                            onClick={fetchGiftSuggestions}
-                            disabled={isLoading || isGeneratingMessage || !occasion.trim()}
-                            isLoading={isLoading}
-                            className="bg-[#2c82c9] text-white hover:bg-opacity-80 hover:text-white focus:ring-[#2c82c9]"
-                        >
-                            Find Gifts
-                        </ActionButton>
-                        <ActionButton
-                            onClick={fetchGiftSuggestions}
-                            disabled={isLoading || isGeneratingMessage || giftIdeas.length === 0 || !occasion.trim()}
-                            isLoading={false} // Refresh doesn't have its own loading state, uses main isLoading
-                            className="bg-transparent border border-[#2c82c9] text-[#2c82c9] hover:bg-[#2c82c9] hover:text-white focus:ring-[#2c82c9]"
-                        >
-                            Refresh Gift Ideas
-                        </ActionButton>
-                        <ActionButton
-                            onClick={generateCardMessage}
-                            disabled={isGeneratingMessage || isLoading || !occasion.trim()}
-                            isLoading={isGeneratingMessage}
-                            className="bg-[#ba9bc4] text-white hover:bg-opacity-80 hover:text-white focus:ring-[#ba9bc4]"
-                        >
-                            ✨ Generate Card Message
-                        </ActionButton>
-                    </div>
+                    {profiles.length > 0 && (
+                        <UpcomingOccasions
+                            profiles={profiles}
+                            upcoming={upcoming}
+                            permission={permission}
+                            onEnableReminders={enableReminders}
+                            onFind={findForOccasion}
+                            disabled={isBusy}
+                        />
+                    )}
 
-                    {/* History navigation buttons */}
-                    <div className="flex justify-center gap-4 mt-4">
-                        <ActionButton
-                            onClick={goBackInHistory}
-                            disabled={historyIndex <= 0 || isLoading || isGeneratingMessage}
-                            isLoading={false}
-                            className="bg-gray-300 text-gray-800 hover:bg-gray-400 focus:ring-gray-500"
-                        >
-                            Back
-                        </ActionButton>
-                        <ActionButton
-                            onClick={goForwardInHistory}
-                            disabled={historyIndex >= giftIdeasHistory.length - 1 || isLoading || isGeneratingMessage}
-                            isLoading={false}
-                            className="bg-gray-300 text-gray-800 hover:bg-gray-400 focus:ring-gray-500"
-                        >
-                            Forward
-                        </ActionButton>
-                    </div>
+                    <HistoryPanel
+                        entries={historyEntries}
+                        onRestore={restoreHistoryEntry}
+                        onTogglePin={togglePin}
+                        onDelete={removeEntry}
+                        onClearAll={clearAll}
+                        disabled={isBusy}
+                    />
+
+                    <Shortlist
+                        favorites={favorites}
+                        onPick={pick}
+                        onRemove={removeFavorite}
+                        processLink={processRetailerLink}
+                        onPurchase={trackPurchase('shortlist')}
+                    />
                 </div>
             </main>
 
             {/* Error and Gift Suggestions Display */}
-            {(error || giftIdeas.length > 0 || cardMessage) && (
+            {(error || (mode === 'group' ? group.results : giftIdeas.length > 0 || cardStudio.variants.length > 0 || activeProfile?.giftLog.length > 0)) && (
                 <div className="relative z-10 bg-white bg-opacity-90 rounded-2xl shadow-xl p-8 max-w-2xl w-full mx-auto my-8">
                     {error && (
-                        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg mb-6" role="alert">
-                            <p className="font-bold">Error:</p>
-                            <p>{error}</p>
-                        </div>
+                        <ErrorPanel error={error} onEdit={() => document.getElementById(mode === 'group' ? 'group-interests-0' : 'interests')?.focus()} />
                     )}
 
-                    {giftIdeas.length > 0 && (
-                        <div className="mb-8">
-                            <h2 className="text-3xl font-semibold text-[#477d8f] mb-4 text-center">Unique Gift Ideas:</h2>
-                            <p className="text-sm text-gray-500 mb-4 italic text-center">
-                                Please note: Purchase links are AI-generated links and may occasionally be outdated or lead to a general search page. You might need to adjust your search if a link does not work.
-                            </p>
-                            <ul className="space-y-6">
-                                {giftIdeas.map((gift, index) => (
-                                    <li key={index} className="bg-gray-50 p-4 rounded-lg shadow-md border border-[#9acbdb]">
-                                        <h3 className="text-xl font-semibold text-[#477d8f] mb-2">{gift.name}</h3>
-                                        <p className="text-gray-700 mb-2 line-clamp-3">{gift.description}</p>
-                                        {gift.purchaseLink && gift.purchaseLink !== '#' && (
-                                            <a
-                                                href={processRetailerLink(gift.purchaseLink, gift.name)}
-                                                target="_blank"
-                                                rel="noopener noreferrer"
-                                                className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium transition-colors duration-200"
-                                            >
-                                                Purchase Here
-                                                <svg className="ml-1 w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"></path>
-                                                </svg>
-                                            </a>
-                                        )}
-                                        {(!gift.purchaseLink || gift.purchaseLink === '#') && (
-                                            <p className="text-sm text-gray-500 mt-2">No direct purchase link available. Try searching online.</p>
-                                        )}
-                                    </li>
-                                ))}
-                            </ul>
-                        </div>
+                    {mode === 'group' && group.results && (
+                        <GroupResults
+                            results={group.results}
+                            summary={group.summary}
+                            onToggleChosen={group.toggleChosen}
+                            processLink={processRetailerLink}
+                            onPurchase={trackPurchase('group')}
+                            headingRef={groupHeadingRef}
+                        />
                     )}
 
-                    {cardMessage && (
-                        <div className="mt-8 p-6 bg-[#f5eff7] border border-[#ba9bc4] rounded-lg shadow-md">
-                            <h2 className="text-2xl font-semibold text-[#ba9bc4] mb-4 text-center">Your Personalized Card Message:</h2>
-                            <p className="text-gray-800 whitespace-pre-wrap text-left">{cardMessage}</p>
-                        </div>
+                    {mode === 'single' && giftIdeas.length > 0 && (
+                        <GiftResults
+                            gifts={giftIdeas}
+                            minPrice={minPrice}
+                            maxPrice={maxPrice}
+                            currency={currency}
+                            cachedAt={cachedAt}
+                            headingRef={giftsHeadingRef}
+                            processLink={processRetailerLink}
+                            renderActions={renderGiftActions}
+                            onPurchase={trackPurchase('results')}
+                        />
+                    )}
+
+                    {mode === 'single' && cardStudio.variants.length > 0 && (
+                        <CardMessagePanel
+                            variants={cardStudio.variants}
+                            selectedIndex={cardStudio.selectedIndex}
+                            onSelect={cardStudio.setSelectedIndex}
+                            refinements={cardStudio.refinements}
+                            busy={isLoading || isGeneratingMessage}
+                            onRefine={(instruction) => writeCardMessage(() => cardStudio.refine(criteria, instruction), true)}
+                            headingRef={cardHeadingRef}
+                        >
+                            {!isGeneratingMessage && cardStudio.selectedMessage && (
+                                <CardExport
+                                    message={cardStudio.selectedMessage}
+                                    occasion={occasion}
+                                    giftNames={cardGiftNames}
+                                />
+                            )}
+                        </CardMessagePanel>
+                    )}
+
+                    {mode === 'single' && activeProfile && (
+                        <GiftLog profile={activeProfile} onTogglePurchased={markPurchased} />
                     )}
                 </div>
             )}
+
+            {analytics.available && (
+                <footer className="relative z-10 border-t border-gray-200 py-4 px-4">
+                    <PrivacySettings
+                        consent={analytics.consent}
+                        doNotTrack={analytics.doNotTrack}
+                        browserDoNotTrack={analytics.browserDoNotTrack}
+                        onConsentChange={analytics.setConsent}
+                        onDoNotTrackChange={analytics.setDoNotTrack}
+                    />
+                </footer>
+            )}
+
+            {analytics.askConsent && (
+                <ConsentBanner onAccept={() => analytics.setConsent(true)} onDecline={() => analytics.setConsent(false)} />
+            )}
         </div>
     );
 };
@@ -0,0 +1,275 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react';
+import App from './App.jsx';
+
+const GIFTS = [
+    { name: 'Pottery class', description: 'An evening at the wheel.', estimatedPrice: 45, currency: 'USD', category: 'experience', purchaseLink: 'https://www.etsy.com/search?q=pottery+class', retailer: 'Etsy' },
+    { name: 'Field guide', description: 'Birds of the region.', estimatedPrice: 20, currency: 'USD', category: 'book', purchaseLink: 'https://www.amazon.com/s?k=field+guide', retailer: 'Amazon' },
+];
+
+const streamResponse = (text) => new Response(new ReadableStream({
+    start(controller) {
+        controller.enqueue(new TextEncoder().encode(text));
+        controller.close();
+    },
+}));
+
+const ndjson = (...events) => events.map(event => `${JSON.stringify(event)}\n`).join('');
+
+const mockFetch = (response) => {
+    const fetch = vi.fn(async () => response);
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+};
+
+const findGifts = () => {
+    render(<App />);
+    fireEvent.change(screen.getByLabelText('Occasion'), { target: { value: 'birthday' } });
+    fireEvent.change(screen.getByLabelText('Age in years'), { target: { value: '3o' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Find Gifts' }));
+};
+
+beforeEach(() => {
+    // The app reads saved profiles and history from IndexedDB, which jsdom doesn't have
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    vi.unstubAllEnvs();
+    localStorage.clear();
+});
+
+describe('App', () => {
+    it('sends the form to the API and shows the streamed ideas', async () => {
+        const fetch = mockFetch(streamResponse(ndjson(...GIFTS.map(gift => ({ type: 'gift', gift })), { type: 'done' })));
+        findGifts();
+
+        const heading = await screen.findByRole('heading', { name: 'Unique Gift Ideas:' });
+        expect(screen.getByText('Pottery class')).toBeTruthy();
+        expect(screen.getByText('Field guide')).toBeTruthy();
+        expect(screen.getByRole('status').textContent).toBe('Found 2 gift ideas.');
+        await waitFor(() => expect(document.activeElement).toBe(heading));
+
+        const [path, init] = fetch.mock.calls[0];
+        expect(path).toBe('/api/gifts/stream');
+        expect(JSON.parse(init.body)).toMatchObject({ occasion: 'birthday', age: '3', language: 'en', currency: 'USD', avoid: [] });
+        expect(window.location.search).toContain('occasion=birthday');
+    });
+
+    it.each([
+        // [case, response, message shown, recovery button]
+        ['a quota error', () => Response.json({ error: { message: 'Model error: 429', code: 'quota_exceeded' } }, { status: 503, headers: { 'Retry-After': '30' } }), 'used up its model quota for now.You can try again in 30 seconds.', 'Retry'],
+        ['an invalid key', () => Response.json({ error: { message: 'Model error: 401', code: 'invalid_key' } }, { status: 502 }), 'Please tell the site owner.', null],
+        ['a safety block', () => streamResponse(ndjson({ type: 'error', error: { message: 'The model declined to answer (SAFETY).', code: 'safety_block' } })), 'Try rewording the interests', 'Edit the details'],
+        ['an unknown error', () => Response.json({ error: { message: 'Too many requests' } }, { status: 429, statusText: 'Too Many Requests' }), 'Something went wrong (API error: 429 Too Many Requests - Too many requests).', 'Retry'],
+        ['a malformed stream', () => streamResponse('{"type": "gift", "gift": {\n'), 'could not be read', 'Retry'],
+    ])('shows %s as an alert with its recovery action', async (_case, response, message, action) => {
+        mockFetch(response());
+        findGifts();
+
+        const alert = await screen.findByRole('alert');
+        expect(alert.textContent).toContain('Gift ideas could not be found.');
+        expect(alert.textContent).toContain(message);
+        expect(Array.from(alert.querySelectorAll('button'), button => button.textContent)).toEqual(action ? [action] : []);
+        expect(screen.queryByRole('heading', { name: 'Unique Gift Ideas:' })).toBeNull();
+        expect(screen.getByRole('button', { name: 'Find Gifts' }).disabled).toBe(false);
+    });
+
+    it('retries the failed request', async () => {
+        const responses = [
+            Response.json({ error: { message: 'Model error: 503', code: 'model_unavailable' } }, { status: 502 }),
+            streamResponse(ndjson(...GIFTS.map(gift => ({ type: 'gift', gift })), { type: 'done' })),
+        ];
+        const fetch = vi.fn(async () => responses.shift());
+        vi.stubGlobal('fetch', fetch);
+        findGifts();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Retry' }));
+
+        await screen.findByRole('heading', { name: 'Unique Gift Ideas:' });
+        expect(screen.queryByRole('alert')).toBeNull();
+        expect(fetch.mock.calls[1][1].body).toBe(fetch.mock.calls[0][1].body);
+    });
+
+    it('moves to the interests field to edit a blocked request', async () => {
+        mockFetch(streamResponse(ndjson({ type: 'error', error: { message: 'Blocked', code: 'safety_block' } })));
+        findGifts();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Edit the details' }));
+        expect(document.activeElement).toBe(screen.getByLabelText('Interests'));
+    });
+
+    it('plans gifts for a group within one budget', async () => {
+        const fetch = mockFetch(streamResponse(ndjson(
+            { type: 'plan', budgets: [50, 50] },
+            { type: 'gift', recipient: 0, gift: GIFTS[0] },
+            { type: 'gift', recipient: 1, gift: GIFTS[1] },
+            { type: 'gift', recipient: 0, gift: { ...GIFTS[1], name: 'Seed box', estimatedPrice: 15 } },
+            { type: 'done' },
+        )));
+        render(<App />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'A group' }));
+        fireEvent.change(screen.getByLabelText('Occasion'), { target: { value: 'holiday' } });
+        fireEvent.change(screen.getByLabelText('Overall budget'), { target: { value: '$100' } });
+        fireEvent.change(screen.getAllByLabelText('Name')[0], { target: { value: 'Mom' } });
+        fireEvent.change(screen.getAllByLabelText('Name')[1], { target: { value: 'Sam' } });
+        fireEvent.change(screen.getAllByLabelText('Interests')[1], { target: { value: 'kites' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Find Gifts for Everyone' }));
+
+        const heading = await screen.findByRole('heading', { name: 'Gift Ideas for the Group:' });
+        await waitFor(() => expect(document.activeElement).toBe(heading));
+        expect(screen.getByRole('status').textContent).toBe('Found 3 gift ideas for the group.');
+
+        const [path, init] = fetch.mock.calls[0];
+        expect(path).toBe('/api/group-gifts/stream');
+        expect(JSON.parse(init.body)).toMatchObject({
+            occasion: 'holiday', budget: '100', currency: 'USD', language: 'en',
+            recipients: [{ name: 'Mom', avoid: [] }, { name: 'Sam', interests: 'kites' }],
+        });
+
+        // Each person's first idea starts out chosen
+        const table = screen.getByRole('table', { name: 'Budget summary' });
+        const rowText = (name) => screen.getAllByRole('row').find(row => row.querySelector('th')?.textContent === name).textContent;
+        expect(rowText('Mom')).toBe('Mom$501$45');
+        expect(rowText('Sam')).toBe('Sam$501$20');
+        expect(rowText('Everyone')).toBe('Everyone$1002$65$35 left');
+
+        fireEvent.click(screen.getByRole('checkbox', { name: 'Seed box' }));
+        expect(rowText('Mom')).toBe('Mom$502$60Over by $10');
+        expect(table.textContent).toContain('$80$20 left');
+    });
+
+    it('steers a refresh with the ratings and the ideas shown, and finds more like one idea', async () => {
+        const fetch = vi.fn(async () => streamResponse(ndjson(...GIFTS.map(gift => ({ type: 'gift', gift })), { type: 'done' })));
+        vi.stubGlobal('fetch', fetch);
+        findGifts();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Dislike Field guide' }));
+        fireEvent.click(screen.getByRole('button', { name: 'Too generic' }));
+        fireEvent.click(screen.getByRole('button', { name: 'Refresh Gift Ideas' }));
+        await waitFor(() => expect(fetch).toHaveBeenCalledTimes(2));
+        expect(JSON.parse(fetch.mock.calls[0][1].body).feedback).toBeUndefined();
+        expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({
+            shown: ['Pottery class', 'Field guide'],
+            feedback: [{ name: 'Field guide', liked: false, reasons: ['too-generic'] }],
+            similarTo: null,
+        });
+
+        fireEvent.click(await screen.findByRole('button', { name: 'More ideas like Pottery class' }));
+        await waitFor(() => expect(fetch).toHaveBeenCalledTimes(3));
+        expect(JSON.parse(fetch.mock.calls[2][1].body).similarTo).toEqual({ name: 'Pottery class', description: 'An evening at the wheel.' });
+        expect(await screen.findByRole('button', { name: 'Dislike Field guide', pressed: true })).toBeTruthy();
+    });
+
+    it('queues a search made offline and runs it once the connection is back', async () => {
+        const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        const fetch = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+        vi.stubGlobal('fetch', fetch);
+        findGifts();
+        fireEvent(window, new Event('offline'));
+
+        await waitFor(() => expect(screen.getByText('Gift search waiting for the connection')).toBeTruthy());
+        expect(screen.getByText('Offline')).toBeTruthy();
+        expect(screen.getByRole('status').textContent).toBe("You're offline. The gift search will run when the connection is back.");
+        expect(screen.queryByRole('alert')).toBeNull();
+
+        // The form changes in the meantime; the replay searches for what was asked
+        fireEvent.change(screen.getByLabelText('Occasion'), { target: { value: 'graduation' } });
+        fetch.mockImplementation(async () => streamResponse(ndjson({ type: 'gift', gift: GIFTS[0] }, { type: 'done' })));
+        onLine.mockReturnValue(true);
+        fireEvent(window, new Event('online'));
+
+        expect(await screen.findByText('Pottery class')).toBeTruthy();
+        expect(screen.getByText('Online')).toBeTruthy();
+        expect(screen.queryByText('Gift search waiting for the connection')).toBeNull();
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ occasion: 'birthday', age: '3' });
+        expect(screen.getByLabelText('Occasion').value).toBe('birthday');
+    });
+
+    it('drops a queued search when it is cancelled', async () => {
+        const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        const fetch = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+        vi.stubGlobal('fetch', fetch);
+        findGifts();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Cancel Gift search waiting for the connection' }));
+        onLine.mockReturnValue(true);
+        fireEvent(window, new Event('online'));
+
+        await waitFor(() => expect(screen.getByText('Online')).toBeTruthy());
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    describe('usage analytics', () => {
+        const mockApi = () => {
+            const fetch = vi.fn(async (path) => path === '/api/events'
+                ? Response.json({ accepted: 1 })
+                : streamResponse(ndjson(...GIFTS.map(gift => ({ type: 'gift', gift })), { type: 'done', promptVersion: 'gift-ideas@3' }))
+            );
+            vi.stubGlobal('fetch', fetch);
+            return fetch;
+        };
+        const sentEvents = (fetch) => fetch.mock.calls
+            .filter(([path]) => path === '/api/events')
+            .flatMap(([, init]) => JSON.parse(init.body).events);
+
+        beforeEach(() => {
+            vi.stubEnv('VITE_ANALYTICS_SINK', 'file');
+        });
+
+        it('records nothing until the user opts in, then searches and purchase clicks without the text typed', async () => {
+            const fetch = mockApi();
+            findGifts();
+            await screen.findByText('Pottery class');
+            expect(sentEvents(fetch)).toEqual([]);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Allow' }));
+            expect(screen.queryByRole('region', { name: 'Usage statistics' })).toBeNull();
+            expect(screen.getByRole('checkbox', { name: 'Share anonymous usage statistics' }).checked).toBe(true);
+
+            fireEvent.change(screen.getByLabelText('Interests'), { target: { value: 'Birdwatching with Jane' } });
+            fireEvent.click(screen.getByRole('button', { name: 'Refresh Gift Ideas' }));
+            await waitFor(() => expect(sentEvents(fetch)).toHaveLength(2));
+            fireEvent.click(screen.getAllByRole('link', { name: 'Purchase Here' })[1]);
+
+            const [search, generation, click] = sentEvents(fetch);
+            expect(search).toMatchObject({ type: 'search', kind: 'refresh', occasion: 'birthday', ageBand: '0-12', hasInterests: true });
+            expect(JSON.stringify(search)).not.toContain('Jane');
+            expect(generation).toMatchObject({ type: 'generation', task: 'gifts', count: 2, cached: false, promptVersion: 'gift-ideas@3' });
+            expect(click).toMatchObject({ type: 'purchase_click', source: 'results', retailer: 'amazon', affiliate: true, gift: 'Field guide' });
+        });
+
+        it('stops recording when do not track is turned on', async () => {
+            const fetch = mockApi();
+            render(<App />);
+            fireEvent.click(screen.getByRole('button', { name: 'Allow' }));
+            fireEvent.click(screen.getByRole('checkbox', { name: 'Do not track' }));
+            expect(screen.getByRole('checkbox', { name: 'Share anonymous usage statistics' }).disabled).toBe(true);
+
+            fireEvent.change(screen.getByLabelText('Occasion'), { target: { value: 'birthday' } });
+            fireEvent.click(screen.getByRole('button', { name: 'Find Gifts' }));
+            await screen.findByText('Pottery class');
+            expect(sentEvents(fetch)).toEqual([]);
+        });
+
+        it('does not ask when the browser sends Do Not Track', () => {
+            // jsdom's navigator has no doNotTrack to spy on
+            Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+            try {
+                render(<App />);
+                expect(screen.queryByRole('region', { name: 'Usage statistics' })).toBeNull();
+                expect(screen.getByText('Your browser asks sites not to track you, so nothing is recorded.')).toBeTruthy();
+            } finally {
+                delete navigator.doNotTrack;
+            }
+        });
+    });
+});
@@ -0,0 +1,191 @@
+// How long the server may stay silent (before answering, or between streamed events) before a request is given up
+export const API_TIMEOUT_MS = 90 * 1000;
+
+/**
+ * A failed API call. The code says what went wrong, so the interface can explain it and offer a fix:
+ * the server's codes (quota_exceeded, invalid_key, safety_block, malformed_output, timeout, rate_limited,
+ * model_unavailable, model_error), or timeout, offline and network when the server could not be reached.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - What went wrong.
+     * @param {object} [details]
+     * @param {number|null} [details.status] - The HTTP status code, if the server answered.
+     * @param {string|null} [details.code] - The kind of failure.
+     * @param {number|null} [details.retryAfterSeconds] - How long to wait before trying again, if known.
+     */
+    constructor(message, { status = null, code = null, retryAfterSeconds = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+const toSeconds = (value) => {
+    const seconds = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+};
+
+/**
+ * Posts JSON to one of the gift finder API routes.
+ * The server owns the prompts, the model and the API key; the browser only sends criteria.
+ * Error bodies are not always JSON (proxies answer with HTML), so their shape is never assumed.
+ * @param {string} path - The API route, e.g. "/api/gifts/stream".
+ * @param {object} body - The request body.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<Response>} The successful response.
+ */
+const postToApi = async (path, body, signal) => {
+    let response;
+    try {
+        response = await fetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        throw new ApiError('API error: the server could not be reached.', { code: offline ? 'offline' : 'network' });
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        const error = errorData?.error !== null && typeof errorData?.error === 'object' ? errorData.error : {};
+        throw new ApiError(`API error: ${response.status} ${response.statusText} - ${typeof error.message === 'string' ? error.message : 'Unknown error'}`, {
+            status: response.status,
+            code: typeof error.code === 'string' ? error.code : null,
+            retryAfterSeconds: toSeconds(response.headers.get('Retry-After')) ?? toSeconds(error.retryAfterSeconds),
+        });
+    }
+
+    return response;
+};
+
+/**
+ * Calls an API route, giving up once the server has been silent for API_TIMEOUT_MS.
+ * @param {string} path - The API route.
+ * @param {object} body - The request body.
+ * @param {AbortSignal} [signal] - Cancels the request; the returned promise then rejects with an AbortError.
+ * @param {(response: Response, keepAlive: () => void) => Promise<*>} read - Reads the response, calling keepAlive whenever data arrives.
+ * @returns {Promise<*>} What read returns.
+ */
+const callApi = async (path, body, signal, read) => {
+    const controller = new AbortController();
+    const cancel = () => controller.abort(signal.reason);
+    if (signal?.aborted) cancel();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    let timedOut = false;
+    let timer;
+    const keepAlive = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, API_TIMEOUT_MS);
+    };
+    keepAlive();
+
+    try {
+        return await read(await postToApi(path, body, controller.signal), keepAlive);
+    } catch (err) {
+        if (timedOut) throw new ApiError(`API error: no answer within ${API_TIMEOUT_MS / 1000} seconds.`, { code: 'timeout' });
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+    }
+};
+
+/**
+ * Posts JSON to one of the streaming routes and calls onEvent for every NDJSON event
+ * until the server reports that it is done.
+ * @param {string} path - The streaming route, e.g. "/api/gifts/stream".
+ * @param {object} body - The request body.
+ * @param {AbortSignal} [signal] - Cancels the request; the returned promise then rejects with an AbortError.
+ * @param {(event: object) => void} onEvent - Called with each plan/gift/delta event.
+ * @returns {Promise<{ promptVersion: string|null }>} The version of the prompt template the answer was made with,
+ *   from the `done` event (e.g. "gift-ideas@3").
+ */
+const streamFromApi = (path, body, signal, onEvent) => callApi(path, body, signal, async (response, keepAlive) => {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    const handleLine = (line) => {
+        if (!line.trim()) return null;
+        const event = JSON.parse(line);
+        if (event.type === 'error') {
+            throw new ApiError(`API error: ${event.error?.message || 'Unknown error'}`, {
+                code: event.error?.code ?? null,
+                retryAfterSeconds: toSeconds(event.error?.retryAfterSeconds),
+            });
+        }
+        if (event.type === 'done') return { promptVersion: typeof event.promptVersion === 'string' ? event.promptVersion : null };
+        onEvent(event);
+        return null;
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        keepAlive();
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const done = handleLine(line);
+            if (done) return done;
+        }
+    }
+    const done = handleLine(buffer);
+    // The connection dropped before the server finished
+    if (!done) throw new ApiError('API error: the response ended unexpectedly.', { code: 'network' });
+    return done;
+});
+
+/**
+ * Requests gift ideas and reports each one as soon as the server has it.
+ * @param {object} criteria - The form values (occasion, relationship, age, ...).
+ * @param {object} options
+ * @param {(gift: object) => void} options.onGift - Called with each gift idea as it arrives.
+ * @param {AbortSignal} [options.signal] - Stops the generation.
+ * @returns {Promise<{ promptVersion: string|null }>} Resolves once all ideas have arrived, with the version of the prompt.
+ */
+export const streamGiftIdeas = (criteria, { onGift, signal }) =>
+    streamFromApi('/api/gifts/stream', criteria, signal, (event) => {
+        if (event.type === 'gift') onGift(event.gift);
+    });
+
+/**
+ * Requests gift ideas for several people at once, within one overall budget.
+ * @param {object} request - The group: occasion, budget, currency, language and recipients
+ *   (each with name, relationship, age, gender, interests and avoid).
+ * @param {object} options
+ * @param {(budgets: number[]) => void} options.onPlan - Called first, with each recipient's share of the budget.
+ * @param {(recipient: number, gift: object) => void} options.onGift - Called with the index of a recipient and a gift idea for them.
+ * @param {AbortSignal} [options.signal] - Stops the generation.
+ * @returns {Promise<{ promptVersion: string|null }>} Resolves once all ideas have arrived, with the version of the prompt.
+ */
+export const streamGroupGiftIdeas = (request, { onPlan, onGift, signal }) =>
+    streamFromApi('/api/group-gifts/stream', request, signal, (event) => {
+        if (event.type === 'plan') onPlan(event.budgets);
+        if (event.type === 'gift') onGift(event.recipient, event.gift);
+    });
+
+/**
+ * Requests personalized card messages and reports them piece by piece as they are written.
+ * The versions are separated by "---" lines (see splitVariants).
+ * @param {object} criteria - The form values (occasion, relationship, age, ...), with the studio options in `card`.
+ * @param {object} options
+ * @param {(text: string) => void} options.onDelta - Called with each new piece of the message.
+ * @param {AbortSignal} [options.signal] - Stops the generation.
+ * @returns {Promise<{ promptVersion: string|null }>} Resolves once the message is complete, with the version of the prompt.
+ */
+export const streamCardMessage = (criteria, { onDelta, signal }) =>
+    streamFromApi('/api/card-message/stream', criteria, signal, (event) => {
+        if (event.type === 'delta') onDelta(event.text);
+    });
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { streamGiftIdeas, streamGroupGiftIdeas, streamCardMessage, ApiError, API_TIMEOUT_MS } from './api.js';
+
+// A streamed response whose body arrives in the given chunks, split wherever a test likes
+const streamResponse = (chunks) => new Response(new ReadableStream({
+    start(controller) {
+        chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+        controller.close();
+    },
+}), { headers: { 'Content-Type': 'application/x-ndjson' } });
+
+const ndjson = (...events) => events.map(event => `${JSON.stringify(event)}\n`).join('');
+
+const mockFetch = (response) => {
+    const fetch = vi.fn(async () => (typeof response === 'function' ? response() : response));
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+};
+
+const GIFT = { name: 'Pottery class', description: 'An evening at the wheel.', estimatedPrice: 45 };
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('streamGiftIdeas', () => {
+    it('reports each gift, even when a line is split across chunks', async () => {
+        const body = ndjson({ type: 'gift', gift: GIFT }, { type: 'gift', gift: { ...GIFT, name: 'Field guide' } }, { type: 'done', promptVersion: 'gift-ideas@3' });
+        const fetch = mockFetch(streamResponse([body.slice(0, 25), body.slice(25, 90), body.slice(90)]));
+        const onGift = vi.fn();
+
+        await expect(streamGiftIdeas({ occasion: 'birthday' }, { onGift })).resolves.toEqual({ promptVersion: 'gift-ideas@3' });
+
+        expect(fetch).toHaveBeenCalledWith('/api/gifts/stream', expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ occasion: 'birthday' }),
+        }));
+
+        expect(onGift.mock.calls.map(([gift]) => gift.name)).toEqual(['Pottery class', 'Field guide']);
+    });
+
+    it('accepts a final "done" event without a trailing newline', async () => {
+        mockFetch(streamResponse([ndjson({ type: 'gift', gift: GIFT }), '{"type":"done"}']));
+        const onGift = vi.fn();
+        await expect(streamGiftIdeas({}, { onGift })).resolves.toEqual({ promptVersion: null });
+        expect(onGift).toHaveBeenCalledTimes(1);
+    });
+
+    it.each([
+        // [chunks, error]
+        [[ndjson({ type: 'gift', gift: GIFT })], 'API error: the response ended unexpectedly.'],
+        [[ndjson({ type: 'error', error: { message: 'No content received from model.', code: 'malformed_output' } })], 'API error: No content received from model.'],
+        [['{"type": "gift", "gift": \n'], SyntaxError],
+    ])('rejects a broken stream (%#)', async (chunks, error) => {
+        mockFetch(streamResponse(chunks));
+        await expect(streamGiftIdeas({}, { onGift: () => {} })).rejects.toThrow(error);
+    });
+
+    it.each([
+        // [response, error message, details]
+        [() => Response.json({ error: { message: 'Invalid criteria' } }, { status: 400, statusText: 'Bad Request' }), 'API error: 400 Bad Request - Invalid criteria', { status: 400, code: null }],
+        [() => Response.json({ error: { message: 'Too many requests', code: 'rate_limited' } }, { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '12' } }), 'API error: 429 Too Many Requests - Too many requests', { status: 429, code: 'rate_limited', retryAfterSeconds: 12 }],
+        [() => Response.json({ error: { message: 'Quota', code: 'quota_exceeded', retryAfterSeconds: 40 } }, { status: 503, statusText: 'Service Unavailable' }), 'API error: 503 Service Unavailable - Quota', { code: 'quota_exceeded', retryAfterSeconds: 40 }],
+        [() => new Response('<html>Bad gateway</html>', { status: 502, statusText: 'Bad Gateway' }), 'API error: 502 Bad Gateway - Unknown error', { status: 502, code: null, retryAfterSeconds: null }],
+        [() => Response.json({ error: 'Bad gateway' }, { status: 502, statusText: 'Bad Gateway' }), 'API error: 502 Bad Gateway - Unknown error', { status: 502, code: null }],
+    ])('reports an HTTP error before the stream starts (%#)', async (response, message, details) => {
+        mockFetch(response);
+        const error = await streamGiftIdeas({}, { onGift: () => {} }).catch(err => err);
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error).toMatchObject({ message, ...details });
+    });
+
+    it.each([
+        // [browser online, code]
+        [true, 'network'],
+        [false, 'offline'],
+    ])('reports a server it cannot reach (online: %s)', async (onLine, code) => {
+        vi.stubGlobal('navigator', { onLine });
+        mockFetch(() => { throw new TypeError('Failed to fetch'); });
+        await expect(streamGiftIdeas({}, { onGift: () => {} })).rejects.toMatchObject({ name: 'ApiError', code });
+    });
+
+    it('passes on the code of an error event', async () => {
+        mockFetch(streamResponse([ndjson({ type: 'error', error: { message: 'Quota', code: 'quota_exceeded', retryAfterSeconds: 20 } })]));
+        await expect(streamGiftIdeas({}, { onGift: () => {} })).rejects.toMatchObject({ code: 'quota_exceeded', retryAfterSeconds: 20 });
+    });
+
+    describe('when the server goes quiet', () => {
+        // A fetch that answers only when the test says so, and gives up when its signal aborts
+        const mockSilentFetch = () => vi.stubGlobal('fetch', vi.fn((path, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        })));
+
+        beforeEach(() => vi.useFakeTimers());
+        afterEach(() => vi.useRealTimers());
+
+        it('times out', async () => {
+            mockSilentFetch();
+            const result = streamGiftIdeas({}, { onGift: () => {} }).catch(err => err);
+            await vi.advanceTimersByTimeAsync(API_TIMEOUT_MS);
+            await expect(result).resolves.toMatchObject({ name: 'ApiError', code: 'timeout' });
+        });
+
+        it('still reports a cancellation as an AbortError', async () => {
+            mockSilentFetch();
+            const controller = new AbortController();
+            const result = streamGiftIdeas({}, { onGift: () => {}, signal: controller.signal }).catch(err => err);
+            controller.abort();
+            await expect(result).resolves.toMatchObject({ name: 'AbortError' });
+        });
+
+        it('waits as long as events keep arriving', async () => {
+            let push;
+            vi.stubGlobal('fetch', vi.fn(async (path, { signal }) => new Response(new ReadableStream({
+                start(controller) {
+                    push = controller;
+                    signal.addEventListener('abort', () => controller.error(signal.reason));
+                },
+            }))));
+            const onGift = vi.fn();
+            const result = streamGiftIdeas({}, { onGift });
+
+            for (let i = 0; i < 3; i++) {
+                await vi.advanceTimersByTimeAsync(API_TIMEOUT_MS - 1000);
+                push.enqueue(new TextEncoder().encode(ndjson({ type: 'gift', gift: GIFT })));
+            }
+            push.enqueue(new TextEncoder().encode(ndjson({ type: 'done' })));
+            push.close();
+
+            await expect(result).resolves.toEqual({ promptVersion: null });
+            expect(onGift).toHaveBeenCalledTimes(3);
+        });
+    });
+});
+
+describe('streamGroupGiftIdeas', () => {
+    it('reports the plan, then each gift with its recipient', async () => {
+        const fetch = mockFetch(streamResponse([ndjson({ type: 'plan', budgets: [30, 30] }, { type: 'gift', recipient: 1, gift: GIFT }, { type: 'done' })]));
+        const onPlan = vi.fn();
+        const onGift = vi.fn();
+
+        await streamGroupGiftIdeas({ occasion: 'holiday', budget: '60', recipients: [{}, {}] }, { onPlan, onGift });
+
+        expect(fetch.mock.calls[0][0]).toBe('/api/group-gifts/stream');
+        expect(onPlan).toHaveBeenCalledWith([30, 30]);
+        expect(onGift).toHaveBeenCalledWith(1, GIFT);
+    });
+});
+
+describe('streamCardMessage', () => {
+    it('reports the message piece by piece', async () => {
+        mockFetch(streamResponse([ndjson({ type: 'delta', text: 'Happy ' }, { type: 'delta', text: 'birthday!' }, { type: 'done' })]));
+        const pieces = [];
+        await streamCardMessage({}, { onDelta: (text) => pieces.push(text) });
+        expect(pieces.join('')).toBe('Happy birthday!');
+    });
+});
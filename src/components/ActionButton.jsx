@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Reusable Button Component
+const ActionButton = ({ onClick, disabled, isLoading, children, className, title }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        disabled={disabled}
+        title={title}
+        className={`flex-1 text-sm font-bold py-1.5 px-4 rounded-lg shadow-lg uppercase tracking-wider
+                   transform transition-all duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-opacity-75
+                   disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center ${className}`}
+    >
+        {isLoading ? (
+            <>
+                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                {/* The spinner replaces the text on screen; keep the button's name for screen readers */}
+                <span className="sr-only">{children}</span>
+            </>
+        ) : (
+            children
+        )}
+    </button>
+);
+
+export default ActionButton;
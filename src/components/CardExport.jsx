@@ -0,0 +1,90 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { CARD_TEMPLATES, layoutCard, getThemeKey, cardFileName } from '../lib/cardTemplates.js';
+import { renderCardPages, downloadCardPng, downloadCardPdf, printCard } from '../lib/cardRender.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const controlClasses = 'bg-white border border-[#7d5a8c] rounded-md px-2 py-1 text-sm text-gray-700 focus:outline-none focus:border-[#1f6fb2]';
+const buttonClasses = 'text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border border-[#7d5a8c] text-[#7d5a8c] hover:bg-[#7d5a8c] hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200';
+
+// Lays the chosen card message out on a printable template, with a preview and PDF/PNG/print export.
+// giftNames are offered for the optional "your gift is…" insert.
+const CardExport = ({ message, occasion, giftNames }) => {
+    const { t } = useI18n();
+    const [templateId, setTemplateId] = useState('folded-a5');
+    const [giftName, setGiftName] = useState('');
+    const [previews, setPreviews] = useState([]);
+    const [status, setStatus] = useState('');
+
+    // A gift picked for an earlier result set may no longer be offered
+    const insertName = giftNames.includes(giftName) ? giftName : '';
+    const headline = t(`export.headline.${getThemeKey(occasion)}`);
+    const giftInsertLabel = t('export.giftInsert');
+    const layout = useMemo(
+        () => layoutCard(templateId, { message, occasion, headline, giftName: insertName, giftInsertLabel }),
+        [templateId, message, occasion, headline, insertName, giftInsertLabel]
+    );
+    const fileName = cardFileName(templateId, occasion);
+
+    useEffect(() => {
+        setPreviews(renderCardPages(layout, 72).map((canvas, index) => ({
+            id: layout.pages[index].id,
+            url: canvas.toDataURL('image/png'),
+        })));
+    }, [layout]);
+
+    const runExport = async (exporter) => {
+        setStatus('');
+        try {
+            await exporter(layout, fileName);
+        } catch (err) {
+            console.error("Error exporting card:", err);
+            setStatus(t('export.failed', { message: err.message }));
+        }
+    };
+
+    return (
+        <div className="mt-6 pt-4 border-t border-[#7d5a8c] text-sm text-gray-700">
+            <h3 className="text-lg font-semibold text-[#7d5a8c] mb-3 text-center">{t('export.title')}</h3>
+            <div className="flex flex-wrap justify-center items-center gap-3 mb-3">
+                <label className="flex items-center gap-2">
+                    {t('export.template')}
+                    <select className={controlClasses} value={templateId} onChange={(e) => setTemplateId(e.target.value)}>
+                        {Object.keys(CARD_TEMPLATES).map(id => (
+                            <option key={id} value={id}>{t(`export.template.${id}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                {giftNames.length > 0 && (
+                    <label className="flex items-center gap-2">
+                        {t('export.revealGift')}
+                        <select className={controlClasses} value={insertName} onChange={(e) => setGiftName(e.target.value)}>
+                            <option value="">{t('export.noGift')}</option>
+                            {giftNames.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+            </div>
+            <p className="text-xs text-gray-600 text-center mb-3">{t(`export.hint.${templateId}`)}</p>
+
+            <div className="flex flex-wrap justify-center gap-4 mb-4">
+                {previews.map(preview => (
+                    <figure key={preview.id} className="text-center">
+                        <img src={preview.url} alt={t('export.previewAlt', { page: t(`export.page.${preview.id}`) })} className="max-h-48 shadow-md border border-gray-200" />
+                        <figcaption className="text-xs text-gray-600 mt-1">{t(`export.page.${preview.id}`)}</figcaption>
+                    </figure>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap justify-center gap-2">
+                <button type="button" className={buttonClasses} onClick={() => runExport(downloadCardPdf)}>{t('export.pdf')}</button>
+                <button type="button" className={buttonClasses} onClick={() => runExport(downloadCardPng)}>{t('export.png')}</button>
+                <button type="button" className={buttonClasses} onClick={() => runExport(printCard)}>{t('export.print')}</button>
+            </div>
+            {status && <p className="text-red-700 text-center mt-2" role="alert">{status}</p>}
+        </div>
+    );
+};
+
+export default CardExport;
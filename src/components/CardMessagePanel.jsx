@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { REFINE_SUGGESTIONS } from '../lib/cardStudio.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const chipClasses = 'text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border border-[#7d5a8c] text-[#7d5a8c] hover:bg-[#7d5a8c] hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200';
+
+// The generated card message versions, a way to choose one, and follow-up refinement of the chosen one.
+// children are shown below, e.g. the export controls for the chosen version.
+const CardMessagePanel = ({ variants, selectedIndex, onSelect, refinements, busy, onRefine, headingRef, children }) => {
+    const { t } = useI18n();
+    const [instruction, setInstruction] = useState('');
+
+    const submit = (text) => {
+        if (!text.trim()) return;
+        onRefine(text);
+        setInstruction('');
+    };
+
+    return (
+        <div className="mt-8 p-6 bg-[#f5eff7] border border-[#7d5a8c] rounded-lg shadow-md">
+            <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-semibold text-[#7d5a8c] mb-4 text-center focus:outline-none">{t('card.title')}</h2>
+            {refinements.length > 0 && (
+                <p className="text-xs text-gray-600 mb-3 text-center">
+                    {t('card.revised', { count: refinements.length, steps: refinements.map(step => step.instruction).join(' → ') })}
+                </p>
+            )}
+
+            <ul className="space-y-3">
+                {variants.map((variant, index) => (
+                    <li key={index}>
+                        <label className={`flex gap-3 p-3 rounded-md border cursor-pointer ${index === selectedIndex ? 'border-[#7d5a8c] bg-white' : 'border-transparent'}`}>
+                            {variants.length > 1 && (
+                                <input
+                                    type="radio"
+                                    name="card-message-variant"
+                                    checked={index === selectedIndex}
+                                    onChange={() => onSelect(index)}
+                                    disabled={busy}
+                                    className="mt-1"
+                                />
+                            )}
+                            <span className="text-gray-800 whitespace-pre-wrap text-left">{variant}</span>
+                        </label>
+                    </li>
+                ))}
+            </ul>
+
+            {!busy && variants.length > 0 && (
+                <form
+                    className="mt-4 space-y-2"
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        submit(instruction);
+                    }}
+                >
+                    <div className="flex flex-wrap justify-center gap-2">
+                        {REFINE_SUGGESTIONS.map(suggestion => (
+                            <button key={suggestion} type="button" className={chipClasses} onClick={() => submit(t(`card.suggestion.${suggestion}`))}>
+                                {t(`card.suggestion.${suggestion}`)}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            aria-label={t('card.refineLabel')}
+                            className="flex-1 bg-white border border-[#7d5a8c] rounded-md px-2 py-1 text-sm text-gray-700 focus:outline-none focus:border-[#1f6fb2]"
+                            value={instruction}
+                            onChange={(e) => setInstruction(e.target.value)}
+                            placeholder={t('card.refinePlaceholder')}
+                            maxLength={200}
+                        />
+                        <button type="submit" className={chipClasses} disabled={!instruction.trim()}>
+                            {t('card.refine')}
+                        </button>
+                    </div>
+                </form>
+            )}
+            {children}
+        </div>
+    );
+};
+
+export default CardMessagePanel;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { CARD_TONES, CARD_LENGTHS } from '../lib/cardStudio.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const controlClasses = 'bg-white border border-[#7d5a8c] rounded-md px-2 py-1 text-sm text-gray-700 focus:outline-none focus:border-[#1f6fb2] disabled:opacity-50';
+
+// Tone, length, signature and inside jokes for the next card message
+const CardOptions = ({ options, onChange, disabled }) => {
+    const { t } = useI18n();
+    return (
+        <details className="mt-6 text-left text-sm text-gray-700">
+            <summary className="cursor-pointer font-semibold text-[#7d5a8c] text-center">{t('card.options')}</summary>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+                <label className="flex items-center gap-2">
+                    {t('card.tone')}
+                    <select className={controlClasses} value={options.tone} onChange={(e) => onChange('tone', e.target.value)} disabled={disabled}>
+                        {CARD_TONES.map(tone => (
+                            <option key={tone} value={tone}>{t(`card.tone.${tone}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    {t('card.length')}
+                    {/* A haiku is always three lines */}
+                    <select className={controlClasses} value={options.length} onChange={(e) => onChange('length', e.target.value)} disabled={disabled || options.tone === 'haiku'}>
+                        {CARD_LENGTHS.map(length => (
+                            <option key={length} value={length}>{t(`card.length.${length}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    {t('card.signature')}
+                    <input
+                        type="text"
+                        className={`${controlClasses} flex-1`}
+                        value={options.signature}
+                        onChange={(e) => onChange('signature', e.target.value)}
+                        placeholder={t('card.signaturePlaceholder')}
+                        maxLength={200}
+                        disabled={disabled}
+                    />
+                </label>
+                <label className="flex items-center gap-2">
+                    {t('card.variants')}
+                    <select className={controlClasses} value={options.variants} onChange={(e) => onChange('variants', Number(e.target.value))} disabled={disabled}>
+                        {[1, 2, 3, 4].map(count => (
+                            <option key={count} value={count}>{count}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1 sm:col-span-2">
+                    {t('card.insideJokes')}
+                    <textarea
+                        className={controlClasses}
+                        rows={2}
+                        value={options.insideJokes}
+                        onChange={(e) => onChange('insideJokes', e.target.value)}
+                        placeholder={t('card.insideJokesPlaceholder')}
+                        maxLength={200}
+                        disabled={disabled}
+                    />
+                </label>
+            </div>
+        </details>
+    );
+};
+
+export default CardOptions;
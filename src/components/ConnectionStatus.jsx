@@ -0,0 +1,37 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const smallButtonClasses = 'text-xs font-bold uppercase tracking-wider px-2 py-0.5 rounded-md border border-[#8a5a00] text-[#8a5a00] hover:bg-amber-100 transition-colors duration-200';
+
+// Whether the app is online, and the requests waiting for the connection to come back
+const ConnectionStatus = ({ online, queued, onCancel }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+            <p aria-live="polite" className={`flex items-center gap-1.5 font-semibold ${online ? 'text-green-800' : 'text-[#8a5a00]'}`}>
+                <span aria-hidden="true" className={`inline-block w-2 h-2 rounded-full ${online ? 'bg-green-600' : 'bg-amber-500'}`} />
+                {online ? t('connection.online') : t('connection.offline')}
+            </p>
+            {!online && queued.length === 0 && <span className="text-gray-600">{t('connection.offlineNote')}</span>}
+            {queued.map(request => {
+                const label = t(`connection.queued.${request.kind}`);
+                return (
+                    <span key={request.kind} className="flex items-center gap-2 px-2 py-0.5 bg-amber-50 border border-amber-300 rounded-full">
+                        {label}
+                        <button
+                            type="button"
+                            onClick={() => onCancel(request.kind)}
+                            aria-label={t('connection.cancelRequest', { request: label })}
+                            className={smallButtonClasses}
+                        >
+                            {t('connection.cancel')}
+                        </button>
+                    </span>
+                );
+            })}
+        </div>
+    );
+};
+
+export default ConnectionStatus;
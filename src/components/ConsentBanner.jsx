@@ -0,0 +1,38 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const buttonClasses = 'text-sm font-bold px-4 py-1.5 rounded-md border transition-colors duration-200';
+
+// Asks once whether anonymous usage statistics may be recorded; nothing is until the user allows it
+const ConsentBanner = ({ onAccept, onDecline }) => {
+    const { t } = useI18n();
+
+    return (
+        <section
+            aria-label={t('analytics.bannerLabel')}
+            className="fixed bottom-0 inset-x-0 z-20 bg-white border-t border-[#477d8f] shadow-lg p-4"
+        >
+            <div className="max-w-4xl mx-auto flex flex-col sm:flex-row items-center gap-4 text-sm text-gray-700">
+                <p className="flex-grow">{t('analytics.bannerText')}</p>
+                <div className="flex gap-2">
+                    <button
+                        type="button"
+                        onClick={onAccept}
+                        className={`${buttonClasses} bg-[#1f6fb2] border-[#1f6fb2] text-white hover:bg-opacity-80`}
+                    >
+                        {t('analytics.allow')}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onDecline}
+                        className={`${buttonClasses} border-[#477d8f] text-[#2a6475] hover:bg-[#e6f2f6]`}
+                    >
+                        {t('analytics.decline')}
+                    </button>
+                </div>
+            </div>
+        </section>
+    );
+};
+
+export default ConsentBanner;
@@ -0,0 +1,39 @@
+import React from 'react';
+
+// Reusable Input/Select Component. The label is for screen readers; sighted users read the field in its sentence.
+const DynamicInput = ({ id, label, value, onChange, placeholder, options, disabled, type = 'text', inputMode, textClass = 'text-[#2a6475]', borderClass = 'border-[#477d8f]', focusBorderClass = 'focus:border-[#1f6fb2]', extraClasses = '' }) => {
+    const baseClasses = `bg-transparent border-b-2 ${borderClass} ${textClass} text-center focus:outline-none ${focusBorderClass} focus-visible:ring-2 focus-visible:ring-[#1f6fb2] rounded-sm pb-1 text-3xl md:text-4xl font-extrabold ${extraClasses}`;
+
+    return (
+        <>
+            <label htmlFor={id} className="sr-only">{label}</label>
+            {options ? (
+                <select
+                    id={id}
+                    className={`${baseClasses} appearance-none cursor-pointer avenir-font`}
+                    value={value}
+                    onChange={onChange}
+                    disabled={disabled}
+                >
+                    <option value="" className="bg-white text-[#477d8f]">{placeholder}</option>
+                    {options.map(opt => (
+                        <option key={opt.value} value={opt.value} className="bg-white text-[#2a6475]">{opt.label}</option>
+                    ))}
+                </select>
+            ) : (
+                <input
+                    type={type}
+                    id={id}
+                    inputMode={inputMode}
+                    className={`${baseClasses}`}
+                    placeholder={placeholder}
+                    value={value}
+                    onChange={onChange}
+                    disabled={disabled}
+                />
+            )}
+        </>
+    );
+};
+
+export default DynamicInput;
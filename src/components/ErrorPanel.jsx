@@ -0,0 +1,33 @@
+import React from 'react';
+import { RECOVERY_ACTIONS } from '../lib/errors.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const buttonClasses = 'text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border border-red-700 text-red-700 hover:bg-red-700 hover:text-white transition-colors duration-200';
+
+// Explains what went wrong and offers the fix that suits it: retrying the request or editing the criteria
+const ErrorPanel = ({ error, onEdit }) => {
+    const { t } = useI18n();
+    const action = RECOVERY_ACTIONS[error.kind];
+
+    return (
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg mb-6" role="alert">
+            <p className="font-bold">{t('errors.title')}</p>
+            <p>{t(`errors.${error.task}`)} {t(`errors.kind.${error.kind}`, { message: error.detail })}</p>
+            {error.retryAfterSeconds > 0 && (
+                <p className="text-sm mt-1">{t('errors.retryIn', { count: error.retryAfterSeconds })}</p>
+            )}
+            {action === 'retry' && error.retry && (
+                <button type="button" onClick={error.retry} className={`${buttonClasses} mt-3`}>
+                    {t('errors.retry')}
+                </button>
+            )}
+            {action === 'edit' && (
+                <button type="button" onClick={onEdit} className={`${buttonClasses} mt-3`}>
+                    {t('errors.edit')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ErrorPanel;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nContext.js';
+
+// Heart toggle that adds a gift to the shortlist
+const FavoriteButton = ({ active, onToggle, giftName }) => {
+    const { t } = useI18n();
+    return (
+        <button
+            type="button"
+            onClick={onToggle}
+            aria-pressed={active}
+            aria-label={t(active ? 'favorites.remove' : 'favorites.add', { name: giftName })}
+            title={t(active ? 'favorites.removeTitle' : 'favorites.addTitle')}
+            className={`text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border transition-colors duration-200 ${active ? 'bg-pink-100 border-pink-500 text-pink-700' : 'border-pink-400 text-pink-600 hover:bg-pink-50'}`}
+        >
+            {t(active ? 'favorites.shortlisted' : 'favorites.shortlist')}
+        </button>
+    );
+};
+
+export default FavoriteButton;
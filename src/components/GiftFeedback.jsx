@@ -0,0 +1,67 @@
+import React from 'react';
+import { LIKE_REASONS, DISLIKE_REASONS } from '../lib/feedback.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const smallButtonClasses = 'text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+const reasonClasses = 'text-xs px-2 py-0.5 rounded-full border transition-colors duration-200';
+
+// Like and dislike toggles for a gift idea, with optional reasons once rated, and "more like this"
+const GiftFeedback = ({ gift, rating, onRate, onToggleReason, onMoreLikeThis, disabled }) => {
+    const { t } = useI18n();
+    const reasons = rating ? (rating.liked ? LIKE_REASONS : DISLIKE_REASONS) : [];
+
+    const rateButton = (liked) => {
+        const active = rating?.liked === liked;
+        return (
+            <button
+                type="button"
+                onClick={() => onRate(gift, liked)}
+                aria-pressed={active}
+                aria-label={t(liked ? 'feedback.like' : 'feedback.dislike', { name: gift.name })}
+                title={t(liked ? 'feedback.likeTitle' : 'feedback.dislikeTitle')}
+                className={`${smallButtonClasses} ${active
+                    ? (liked ? 'bg-green-100 border-green-600 text-green-800' : 'bg-red-100 border-red-600 text-red-800')
+                    : 'border-[#477d8f] text-[#477d8f] hover:bg-[#e6f2f6]'}`}
+            >
+                <span aria-hidden="true">{liked ? '👍' : '👎'}</span>
+            </button>
+        );
+    };
+
+    return (
+        <>
+            {rateButton(true)}
+            {rateButton(false)}
+            <button
+                type="button"
+                onClick={() => onMoreLikeThis(gift)}
+                disabled={disabled}
+                aria-label={t('feedback.moreLikeThisNamed', { name: gift.name })}
+                className={`${smallButtonClasses} border-[#1f6fb2] text-[#1f6fb2] hover:bg-[#1f6fb2] hover:text-white`}
+            >
+                {t('feedback.moreLikeThis')}
+            </button>
+            {rating && (
+                <div role="group" aria-label={t(rating.liked ? 'feedback.whyLiked' : 'feedback.whyDisliked', { name: gift.name })} className="basis-full flex flex-wrap items-center gap-2">
+                    <span className="text-xs text-gray-600">{t('feedback.why')}</span>
+                    {reasons.map(reason => {
+                        const active = rating.reasons.includes(reason);
+                        return (
+                            <button
+                                key={reason}
+                                type="button"
+                                onClick={() => onToggleReason(gift, reason)}
+                                aria-pressed={active}
+                                className={`${reasonClasses} ${active ? 'bg-[#e6f2f6] border-[#1f6fb2] text-[#1f6fb2] font-semibold' : 'border-gray-400 text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                {t(`feedback.reason.${reason}`)}
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+        </>
+    );
+};
+
+export default GiftFeedback;
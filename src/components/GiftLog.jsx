@@ -0,0 +1,54 @@
+import React from 'react';
+import { formatPrice } from '../lib/gifts.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { getOccasionLabel } from '../i18n/index.js';
+
+// A recipient's log of gift ideas shown, with purchase tracking
+const GiftLog = ({ profile, onTogglePurchased }) => {
+    const { language, locale, t } = useI18n();
+    if (profile.giftLog.length === 0) return null;
+
+    // Purchases first, then the most recently shown ideas
+    const entries = [...profile.giftLog].sort((a, b) =>
+        Boolean(b.purchasedAt) - Boolean(a.purchasedAt) || b.shownAt.localeCompare(a.shownAt)
+    );
+
+    return (
+        <div className="mt-8">
+            <h2 className="text-2xl font-semibold text-[#477d8f] mb-2 text-center">{t('giftLog.title', { name: profile.name })}</h2>
+            <p className="text-sm text-gray-500 mb-4 italic text-center">
+                {t('giftLog.note', { name: profile.name })}
+            </p>
+            <ul className="divide-y divide-gray-200 text-left">
+                {entries.map(entry => (
+                    <li key={entry.name} className="flex items-center justify-between gap-4 py-2">
+                        <div>
+                            <p className={`font-medium ${entry.purchasedAt ? 'text-green-800' : 'text-gray-800'}`}>
+                                {entry.name}
+                                {Number.isFinite(entry.estimatedPrice) && (
+                                    <span className="text-gray-500 font-normal"> · ~{formatPrice(entry.estimatedPrice, entry.currency, language)}</span>
+                                )}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                                {entry.criteria?.occasion && <span className="capitalize">{getOccasionLabel(locale, entry.criteria.occasion)} · </span>}
+                                {entry.purchasedAt
+                                    ? t('giftLog.purchasedOn', { date: new Date(entry.purchasedAt).toLocaleDateString(language) })
+                                    : t('giftLog.suggestedOn', { date: new Date(entry.shownAt).toLocaleDateString(language) })}
+                            </p>
+                        </div>
+                        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer whitespace-nowrap">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(entry.purchasedAt)}
+                                onChange={(e) => onTogglePurchased(entry, e.target.checked)}
+                            />
+                            {t('giftLog.purchased')}
+                        </label>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default GiftLog;
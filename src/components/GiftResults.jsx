@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { SORT_OPTIONS, formatPrice, isWithinBudget, getCategories, applyGiftView } from '../lib/gifts.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const controlClasses = 'bg-white border border-[#477d8f] rounded-md px-2 py-1 text-sm text-gray-700 focus:outline-none focus:border-[#1f6fb2]';
+
+// Results list with sort/filter controls and a card per gift idea.
+// renderActions(gift) adds extra controls to a card. cachedAt marks ideas reused from an earlier identical search.
+// onPurchase(gift, href) is told when a purchase link is opened.
+const GiftResults = ({ gifts, minPrice, maxPrice, currency, cachedAt, processLink, renderActions, onPurchase, headingRef }) => {
+    const { language, t } = useI18n();
+    const [sort, setSort] = useState('suggested');
+    const [category, setCategory] = useState('');
+    const [withinBudgetOnly, setWithinBudgetOnly] = useState(false);
+
+    const categories = useMemo(() => getCategories(gifts), [gifts]);
+    // A category picked for an earlier result set may not exist in this one
+    const activeCategory = categories.includes(category) ? category : '';
+    const hasBudget = Boolean(minPrice || maxPrice);
+    const visibleGifts = useMemo(
+        () => applyGiftView(gifts, { sort, category: activeCategory, withinBudgetOnly: hasBudget && withinBudgetOnly, minPrice, maxPrice, currency }),
+        [gifts, sort, activeCategory, withinBudgetOnly, hasBudget, minPrice, maxPrice, currency]
+    );
+
+    return (
+        <div className="mb-8">
+            <h2 ref={headingRef} tabIndex={-1} className="text-3xl font-semibold text-[#477d8f] mb-4 text-center focus:outline-none">{t('results.title')}</h2>
+            {cachedAt && (
+                <p className="text-sm text-center mb-4">
+                    <span className="inline-block px-2 py-0.5 rounded-full bg-[#e6f2f6] text-[#2a6475]">
+                        {t('results.cached', {
+                            date: new Date(cachedAt).toLocaleString(language, { dateStyle: 'medium', timeStyle: 'short' }),
+                            refresh: t('actions.refresh'),
+                        })}
+                    </span>
+                </p>
+            )}
+            <p className="text-sm text-gray-500 mb-4 italic text-center">
+                {t('results.linkNote')}
+            </p>
+
+            <div className="flex flex-wrap justify-center items-center gap-3 mb-6 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                    {t('results.sort')}
+                    <select className={controlClasses} value={sort} onChange={(e) => setSort(e.target.value)}>
+                        {SORT_OPTIONS.map(option => (
+                            <option key={option} value={option}>{t(`sort.${option}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                {categories.length > 1 && (
+                    <label className="flex items-center gap-2">
+                        {t('results.category')}
+                        <select className={`${controlClasses} capitalize`} value={activeCategory} onChange={(e) => setCategory(e.target.value)}>
+                            <option value="">{t('results.allCategories')}</option>
+                            {categories.map(cat => (
+                                <option key={cat} value={cat}>{t(`category.${cat}`, { fallback: cat })}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {hasBudget && (
+                    <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={withinBudgetOnly}
+                            onChange={(e) => setWithinBudgetOnly(e.target.checked)}
+                        />
+                        {t('results.withinBudgetOnly')}
+                    </label>
+                )}
+            </div>
+
+            {visibleGifts.length === 0 && (
+                <p className="text-center text-gray-500">{t('results.noMatches')}</p>
+            )}
+            <ul className="space-y-6">
+                {visibleGifts.map((gift) => {
+                    const withinBudget = isWithinBudget(gift, minPrice, maxPrice, currency);
+                    return (
+                        <li key={gift.name} className="bg-gray-50 p-4 rounded-lg shadow-md border border-[#9acbdb]">
+                            <div className="flex justify-between items-baseline gap-4 mb-2">
+                                <h3 className="text-xl font-semibold text-[#477d8f]">{gift.name}</h3>
+                                {Number.isFinite(gift.estimatedPrice) && (
+                                    <span className="text-lg font-bold text-gray-800 whitespace-nowrap">~{formatPrice(gift.estimatedPrice, gift.currency, language)}</span>
+                                )}
+                            </div>
+                            <div className="flex flex-wrap gap-2 mb-2 text-xs font-semibold">
+                                {gift.category && (
+                                    <span className="px-2 py-0.5 rounded-full bg-[#e6f2f6] text-[#2a6475] capitalize">{t(`category.${gift.category}`, { fallback: gift.category })}</span>
+                                )}
+                                {gift.retailer && (
+                                    <span className="px-2 py-0.5 rounded-full bg-gray-200 text-gray-700">{gift.retailer}</span>
+                                )}
+                                {withinBudget && (
+                                    <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800">{t('results.withinBudget')}</span>
+                                )}
+                            </div>
+                            <p className="text-gray-700 mb-2 line-clamp-3">{gift.description}</p>
+                            {gift.purchaseLink && gift.purchaseLink !== '#' && (
+                                <a
+                                    href={processLink(gift.purchaseLink, gift.name)}
+                                    onClick={(e) => onPurchase?.(gift, e.currentTarget.href)}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium transition-colors duration-200"
+                                >
+                                    {t('results.purchase')}
+                                    <svg className="ml-1 w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"></path>
+                                    </svg>
+                                </a>
+                            )}
+                            {(!gift.purchaseLink || gift.purchaseLink === '#') && (
+                                <p className="text-sm text-gray-500 mt-2">{t('results.noLink')}</p>
+                            )}
+                            {renderActions && (
+                                <div className="flex flex-wrap gap-2 mt-3">{renderActions(gift)}</div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default GiftResults;
@@ -0,0 +1,186 @@
+import React from 'react';
+import ActionButton from './ActionButton.jsx';
+import { MAX_RECIPIENTS, recipientFromProfile } from '../lib/groupPlan.js';
+import { CURRENCIES, currencySymbol } from '../lib/currency.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { getOptions } from '../i18n/index.js';
+
+const controlClasses = 'bg-white border border-[#477d8f] rounded-md px-2 py-1 text-sm text-gray-700 focus:outline-none focus:border-[#1f6fb2] disabled:opacity-50';
+const smallButtonClasses = 'text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Group planning form: the shared occasion and overall budget, and a row of recipient fields per person
+const GroupPlanner = ({ group, profiles, onFind, onStop, disabled }) => {
+    const { language, locale, t } = useI18n();
+    const { plan, setField, updateRecipient, addRecipient, removeRecipient, isGenerating, canGenerate } = group;
+    const isFull = plan.recipients.length >= MAX_RECIPIENTS;
+
+    return (
+        <div className="text-left text-sm text-gray-700">
+            <h2 className="text-3xl font-semibold text-[#477d8f] mb-6 text-center">{t('group.heading')}</h2>
+
+            <div className="flex flex-wrap justify-center items-center gap-4 mb-6">
+                <label className="flex items-center gap-2 font-semibold">
+                    {t('form.label.occasion')}
+                    <select className={controlClasses} value={plan.occasion} onChange={(e) => setField('occasion', e.target.value)} disabled={disabled}>
+                        <option value="">{locale.placeholders.occasion}</option>
+                        {getOptions(locale, 'occasions').map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <span className="flex items-center gap-2 font-semibold">
+                    <label htmlFor="group-budget">{t('group.budget')}</label>
+                    <span aria-hidden="true">{currencySymbol(plan.currency, language)}</span>
+                    <input
+                        id="group-budget"
+                        type="text"
+                        inputMode="numeric"
+                        className={`${controlClasses} w-24`}
+                        value={plan.budget}
+                        onChange={(e) => setField('budget', e.target.value)}
+                        disabled={disabled}
+                    />
+                </span>
+                <label className="flex items-center gap-2 font-semibold">
+                    {t('form.currency')}
+                    <select className={controlClasses} value={plan.currency} onChange={(e) => setField('currency', e.target.value)} disabled={disabled}>
+                        {CURRENCIES.map(code => (
+                            <option key={code} value={code}>{code}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <ul className="space-y-4">
+                {plan.recipients.map((recipient, index) => {
+                    const label = recipient.name || t('group.person', { number: index + 1 });
+                    return (
+                        <li key={recipient.id}>
+                            <fieldset className="p-4 bg-gray-50 border border-[#477d8f] rounded-lg">
+                                <legend className="px-1 font-semibold text-[#2a6475]">{label}</legend>
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                    <label className="flex items-center gap-2">
+                                        {t('group.name')}
+                                        <input
+                                            type="text"
+                                            className={`${controlClasses} flex-1`}
+                                            value={recipient.name}
+                                            onChange={(e) => updateRecipient(recipient.id, 'name', e.target.value)}
+                                            placeholder={t('profiles.namePlaceholder')}
+                                            maxLength={200}
+                                            disabled={disabled}
+                                        />
+                                    </label>
+                                    <label className="flex items-center gap-2">
+                                        {t('form.label.relationship')}
+                                        <select className={`${controlClasses} flex-1`} value={recipient.relationship} onChange={(e) => updateRecipient(recipient.id, 'relationship', e.target.value)} disabled={disabled}>
+                                            <option value="">{locale.placeholders.relationship}</option>
+                                            {getOptions(locale, 'relationships', recipient.gender).map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="flex items-center gap-2">
+                                        {t('form.label.age')}
+                                        <input
+                                            type="text"
+                                            inputMode="numeric"
+                                            className={`${controlClasses} w-20`}
+                                            value={recipient.age}
+                                            onChange={(e) => updateRecipient(recipient.id, 'age', e.target.value)}
+                                            disabled={disabled}
+                                        />
+                                    </label>
+                                    <label className="flex items-center gap-2">
+                                        {t('form.label.gender')}
+                                        <select className={controlClasses} value={recipient.gender} onChange={(e) => updateRecipient(recipient.id, 'gender', e.target.value)} disabled={disabled}>
+                                            <option value="">{locale.placeholders.gender}</option>
+                                            {getOptions(locale, 'genders').map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <label className="flex items-center gap-2 sm:col-span-2">
+                                        {t('form.label.interests')}
+                                        <input
+                                            id={`group-interests-${index}`}
+                                            type="text"
+                                            className={`${controlClasses} flex-1`}
+                                            value={recipient.interests}
+                                            onChange={(e) => updateRecipient(recipient.id, 'interests', e.target.value)}
+                                            placeholder={locale.placeholders.interests}
+                                            maxLength={200}
+                                            disabled={disabled}
+                                        />
+                                    </label>
+                                </div>
+                                <div className="flex justify-end mt-3">
+                                    <button
+                                        type="button"
+                                        onClick={() => removeRecipient(recipient.id)}
+                                        disabled={disabled || plan.recipients.length <= 1}
+                                        className={`${smallButtonClasses} border-red-400 text-red-700 hover:bg-red-100`}
+                                    >
+                                        {t('group.remove', { name: label })}
+                                    </button>
+                                </div>
+                            </fieldset>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <div className="flex flex-wrap justify-center items-center gap-3 mt-4">
+                <button
+                    type="button"
+                    onClick={() => addRecipient()}
+                    disabled={disabled || isFull}
+                    className={`${smallButtonClasses} border-[#477d8f] text-[#2a6475] hover:bg-[#e6f2f6]`}
+                >
+                    {t('group.add')}
+                </button>
+                {profiles.length > 0 && (
+                    <label className="flex items-center gap-2">
+                        <span className="sr-only">{t('group.addProfile')}</span>
+                        <select
+                            className={controlClasses}
+                            value=""
+                            onChange={(e) => addRecipient(recipientFromProfile(profiles.find(profile => profile.id === e.target.value)))}
+                            disabled={disabled || isFull}
+                        >
+                            <option value="">{t('group.addProfile')}</option>
+                            {profiles.map(profile => (
+                                <option key={profile.id} value={profile.id}>{profile.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {isFull && <span className="text-xs text-gray-600">{t('group.full', { count: MAX_RECIPIENTS })}</span>}
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-4 mt-8 justify-center items-stretch">
+                <ActionButton
+                    onClick={onFind}
+                    disabled={disabled || !canGenerate}
+                    isLoading={isGenerating}
+                    className="bg-[#1f6fb2] text-white hover:bg-opacity-80 hover:text-white focus:ring-[#1f6fb2]"
+                >
+                    {t('group.find')}
+                </ActionButton>
+                {isGenerating && (
+                    <ActionButton
+                        onClick={onStop}
+                        className="bg-transparent border border-red-600 text-red-600 hover:bg-red-600 hover:text-white focus:ring-red-600"
+                    >
+                        {t('actions.stop')}
+                    </ActionButton>
+                )}
+            </div>
+            {!canGenerate && (
+                <p className="text-xs text-gray-600 text-center mt-2">{t('group.needs')}</p>
+            )}
+        </div>
+    );
+};
+
+export default GroupPlanner;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { formatPrice, giftKey } from '../lib/gifts.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+// The ideas for each person in a group search, with a box to choose the ones to buy,
+// and a table adding up the chosen gifts against each person's budget and the overall budget.
+// onPurchase(gift, href) is told when a purchase link is opened.
+const GroupResults = ({ results, summary, onToggleChosen, processLink, onPurchase, headingRef }) => {
+    const { language, t } = useI18n();
+    const price = (amount) => formatPrice(amount, results.currency, language);
+    const nameOf = (recipient, index) => recipient.name || t('group.person', { number: index + 1 });
+
+    return (
+        <div className="mb-8">
+            <h2 ref={headingRef} tabIndex={-1} className="text-3xl font-semibold text-[#477d8f] mb-4 text-center focus:outline-none">{t('group.results')}</h2>
+            <p className="text-sm text-gray-600 mb-4 italic text-center">{t('results.linkNote')}</p>
+
+            {results.recipients.map((recipient, index) => (
+                <section key={recipient.id} className="mb-6">
+                    <div className="flex justify-between items-baseline gap-4 mb-2">
+                        <h3 className="text-xl font-semibold text-[#2a6475]">{nameOf(recipient, index)}</h3>
+                        {recipient.budget !== null && (
+                            <span className="text-sm text-gray-700">{t('group.budgetFor', { amount: price(recipient.budget) })}</span>
+                        )}
+                    </div>
+                    <ul className="space-y-3">
+                        {recipient.gifts.map(gift => (
+                            <li key={gift.name} className="bg-gray-50 p-3 rounded-lg shadow-sm border border-[#477d8f]">
+                                <div className="flex justify-between items-baseline gap-4">
+                                    <label className="flex items-baseline gap-2 font-semibold text-[#477d8f] cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={recipient.chosen.includes(giftKey(gift.name))}
+                                            onChange={() => onToggleChosen(recipient.id, gift)}
+                                        />
+                                        {gift.name}
+                                    </label>
+                                    {Number.isFinite(gift.estimatedPrice) && (
+                                        <span className="font-bold text-gray-800 whitespace-nowrap">~{formatPrice(gift.estimatedPrice, gift.currency, language)}</span>
+                                    )}
+                                </div>
+                                <p className="text-gray-700 text-sm mt-1 line-clamp-3">{gift.description}</p>
+                                {gift.purchaseLink && gift.purchaseLink !== '#' && (
+                                    <a
+                                        href={processLink(gift.purchaseLink, gift.name)}
+                                        onClick={(e) => onPurchase?.(gift, e.currentTarget.href)}
+                                        target="_blank"
+                                        rel="noopener noreferrer"
+                                        className="text-sm font-medium text-indigo-600 hover:text-indigo-800"
+                                    >
+                                        {t('results.purchase')}
+                                    </a>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            ))}
+
+            <table className="w-full text-sm text-gray-700 border-collapse mt-6">
+                <caption className="text-lg font-semibold text-[#477d8f] mb-2">{t('group.summary')}</caption>
+                <thead>
+                    <tr className="border-b border-gray-300 text-left">
+                        <th scope="col" className="p-2">{t('group.summary.person')}</th>
+                        <th scope="col" className="p-2 text-right">{t('group.summary.budget')}</th>
+                        <th scope="col" className="p-2 text-right">{t('group.summary.chosen')}</th>
+                        <th scope="col" className="p-2 text-right">{t('group.summary.total')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {summary.rows.map((row, index) => (
+                        <tr key={row.id} className="border-b border-gray-200">
+                            <th scope="row" className="p-2 text-left font-semibold">{nameOf(row, index)}</th>
+                            <td className="p-2 text-right">{row.budget === null ? '—' : price(row.budget)}</td>
+                            <td className="p-2 text-right">{row.count}</td>
+                            <td className={`p-2 text-right ${row.over ? 'text-red-700 font-bold' : ''}`}>
+                                {price(row.total)}
+                                {row.over && <span className="block text-xs">{t('group.summary.over', { amount: price(row.total - row.budget) })}</span>}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+                <tfoot>
+                    <tr className="font-bold">
+                        <th scope="row" className="p-2 text-left">{t('group.summary.all')}</th>
+                        <td className="p-2 text-right">{price(Number(results.budget))}</td>
+                        <td className="p-2 text-right">{summary.rows.reduce((sum, row) => sum + row.count, 0)}</td>
+                        <td className={`p-2 text-right ${summary.over ? 'text-red-700' : ''}`}>
+                            {price(summary.total)}
+                            <span className="block text-xs font-normal">
+                                {summary.over
+                                    ? t('group.summary.over', { amount: price(-summary.remaining) })
+                                    : t('group.summary.left', { amount: price(summary.remaining) })}
+                            </span>
+                        </td>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+    );
+};
+
+export default GroupResults;
@@ -0,0 +1,106 @@
+import React, { useState, useMemo } from 'react';
+import { describeCriteria, matchesQuery } from '../lib/searchHistory.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const smallButtonClasses = 'text-xs font-bold uppercase tracking-wider px-2 py-1 rounded-md border transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Searchable list of past searches with restore, pin and delete actions
+const HistoryPanel = ({ entries, onRestore, onTogglePin, onDelete, onClearAll, disabled }) => {
+    const { language, locale, t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [query, setQuery] = useState('');
+
+    const visibleEntries = useMemo(
+        () => entries.filter(entry => matchesQuery({ locale, t }, entry, query)),
+        [entries, query, locale, t]
+    );
+
+    const confirmClearAll = () => {
+        if (window.confirm(t('history.confirmClearAll'))) onClearAll();
+    };
+
+    return (
+        <div className="mt-6 text-left">
+            <div className="flex justify-center">
+                <button
+                    type="button"
+                    onClick={() => setIsOpen(open => !open)}
+                    aria-expanded={isOpen}
+                    className={`${smallButtonClasses} border-[#477d8f] text-[#477d8f] hover:bg-[#477d8f] hover:text-white`}
+                >
+                    {t(isOpen ? 'history.hide' : 'history.show', { count: entries.length })}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="mt-4 p-4 bg-gray-50 border border-[#9acbdb] rounded-lg shadow-md">
+                    <div className="flex flex-wrap gap-2 items-center mb-4">
+                        <input
+                            type="search"
+                            className="flex-grow border border-[#477d8f] rounded-md px-2 py-1 text-sm focus:outline-none focus:border-[#1f6fb2]"
+                            placeholder={t('history.searchPlaceholder')}
+                            aria-label={t('history.searchLabel')}
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                        />
+                        <button
+                            type="button"
+                            onClick={confirmClearAll}
+                            disabled={entries.length === 0}
+                            className={`${smallButtonClasses} border-red-400 text-red-700 hover:bg-red-100`}
+                        >
+                            {t('history.clearAll')}
+                        </button>
+                    </div>
+
+                    {visibleEntries.length === 0 && (
+                        <p className="text-sm text-gray-500 text-center">
+                            {entries.length === 0 ? t('history.empty') : t('history.noMatches')}
+                        </p>
+                    )}
+                    <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+                        {visibleEntries.map(entry => (
+                            <li key={entry.id} className="py-3 flex flex-wrap justify-between gap-2">
+                                <div className="min-w-0">
+                                    <p className="font-semibold text-[#477d8f]">
+                                        {entry.pinned && <span aria-label={t('history.pinned')} title={t('history.pinned')}>📌 </span>}
+                                        {describeCriteria({ locale, t }, entry.criteria)}
+                                        {entry.profileName && <span className="text-gray-500 font-normal"> ({entry.profileName})</span>}
+                                    </p>
+                                    <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString(language)}</p>
+                                    <p className="text-sm text-gray-700 truncate">{entry.gifts.map(gift => gift.name).join(', ')}</p>
+                                </div>
+                                <div className="flex gap-2 items-start">
+                                    <button
+                                        type="button"
+                                        onClick={() => onRestore(entry)}
+                                        disabled={disabled}
+                                        className={`${smallButtonClasses} border-[#1f6fb2] text-[#1f6fb2] hover:bg-[#1f6fb2] hover:text-white`}
+                                    >
+                                        {t('history.restore')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => onTogglePin(entry.id)}
+                                        className={`${smallButtonClasses} border-gray-400 text-gray-700 hover:bg-gray-200`}
+                                    >
+                                        {t(entry.pinned ? 'history.unpin' : 'history.pin')}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => onDelete(entry.id)}
+                                        className={`${smallButtonClasses} border-red-400 text-red-700 hover:bg-red-100`}
+                                    >
+                                        {t('history.delete')}
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
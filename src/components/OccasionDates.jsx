@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { DEFAULT_LEAD_DAYS, MAX_LEAD_DAYS } from '../lib/calendar.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { getOccasionLabel, getOptions } from '../i18n/index.js';
+
+const controlClasses = 'bg-white border border-[#477d8f] rounded-md px-2 py-1 focus:outline-none focus:border-[#1f6fb2] disabled:opacity-50';
+const smallButtonClasses = 'text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const formatDate = (date, language, repeats) => new Date(`${date}T00:00:00`).toLocaleDateString(language, repeats
+    ? { month: 'long', day: 'numeric' }
+    : { year: 'numeric', month: 'long', day: 'numeric' });
+
+// The occasion dates of the selected recipient, e.g. their birthday, with a form to add one
+const OccasionDates = ({ profile, occasion, onAdd, onRemove, disabled }) => {
+    const { language, locale, t } = useI18n();
+    const [draft, setDraft] = useState(() => ({ occasion, date: '', repeats: true, leadDays: String(DEFAULT_LEAD_DAYS) }));
+    const dates = profile.dates || [];
+
+    const update = (field) => (e) => setDraft(prev => ({
+        ...prev,
+        [field]: field === 'repeats' ? e.target.checked : e.target.value,
+    }));
+
+    const submit = (e) => {
+        e.preventDefault();
+        if (!draft.occasion || !draft.date) return;
+        onAdd(draft);
+        setDraft(prev => ({ ...prev, date: '' }));
+    };
+
+    return (
+        <section className="-mt-4 mb-8 text-sm text-gray-700">
+            <h2 className="font-semibold text-[#2a6475] mb-2">{t('calendar.datesFor', { name: profile.name })}</h2>
+            {dates.length > 0 && (
+                <ul className="flex flex-wrap justify-center gap-2 mb-3">
+                    {dates.map(occasionDate => {
+                        const label = getOccasionLabel(locale, occasionDate.occasion);
+                        return (
+                            <li key={occasionDate.id} className="flex items-center gap-2 px-3 py-1 bg-gray-50 border border-[#9acbdb] rounded-full">
+                                <span>
+                                    <span className="font-semibold capitalize">{label}</span>
+                                    {' · '}{formatDate(occasionDate.date, language, occasionDate.repeats)}
+                                    {occasionDate.repeats && <span className="text-gray-600"> · {t('calendar.yearly')}</span>}
+                                </span>
+                                <button
+                                    type="button"
+                                    onClick={() => onRemove(occasionDate.id)}
+                                    disabled={disabled}
+                                    aria-label={t('calendar.removeDate', { occasion: label })}
+                                    className="text-red-700 font-bold px-1 rounded hover:bg-red-100 disabled:opacity-50"
+                                >
+                                    ×
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+            <form onSubmit={submit} className="flex flex-wrap justify-center items-center gap-3">
+                <label className="flex items-center gap-2">
+                    {t('form.label.occasion')}
+                    <select className={controlClasses} value={draft.occasion} onChange={update('occasion')} disabled={disabled}>
+                        <option value="">{locale.placeholders.occasion}</option>
+                        {getOptions(locale, 'occasions').map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    {t('calendar.date')}
+                    <input type="date" className={controlClasses} value={draft.date} onChange={update('date')} disabled={disabled} />
+                </label>
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={draft.repeats} onChange={update('repeats')} disabled={disabled} />
+                    {t('calendar.everyYear')}
+                </label>
+                <label className="flex items-center gap-2">
+                    {t('calendar.leadDays')}
+                    <input
+                        type="number"
+                        min="0"
+                        max={MAX_LEAD_DAYS}
+                        className={`${controlClasses} w-16`}
+                        value={draft.leadDays}
+                        onChange={update('leadDays')}
+                        disabled={disabled}
+                    />
+                </label>
+                <button
+                    type="submit"
+                    disabled={disabled || !draft.occasion || !draft.date}
+                    className={`${smallButtonClasses} border-[#477d8f] text-[#477d8f] hover:bg-[#477d8f] hover:text-white`}
+                >
+                    {t('calendar.addDate')}
+                </button>
+            </form>
+        </section>
+    );
+};
+
+export default OccasionDates;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nContext.js';
+
+// The analytics choices, to change the answer to the consent banner at any time.
+// Do Not Track sent by the browser overrides both, and is shown instead of the setting.
+const PrivacySettings = ({ consent, doNotTrack, browserDoNotTrack, onConsentChange, onDoNotTrackChange }) => {
+    const { t } = useI18n();
+    const blocked = doNotTrack || browserDoNotTrack;
+
+    return (
+        <fieldset className="flex flex-wrap justify-center items-center gap-x-6 gap-y-2 text-sm text-gray-700">
+            <legend className="sr-only">{t('analytics.settings')}</legend>
+            <label className="flex items-center gap-2">
+                <input
+                    type="checkbox"
+                    checked={consent === 'granted' && !blocked}
+                    onChange={(e) => onConsentChange(e.target.checked)}
+                    disabled={blocked}
+                />
+                {t('analytics.share')}
+            </label>
+            <label className="flex items-center gap-2">
+                <input
+                    type="checkbox"
+                    checked={doNotTrack || browserDoNotTrack}
+                    onChange={(e) => onDoNotTrackChange(e.target.checked)}
+                    disabled={browserDoNotTrack}
+                />
+                {t('analytics.doNotTrack')}
+            </label>
+            {browserDoNotTrack && <span className="text-gray-600">{t('analytics.browserDoNotTrack')}</span>}
+        </fieldset>
+    );
+};
+
+export default PrivacySettings;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const buttonClasses = 'text-xs font-bold uppercase tracking-wider px-3 py-1 rounded-md border border-[#477d8f] text-[#477d8f] hover:bg-[#477d8f] hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200';
+
+// Picker for saved recipient profiles, with save/update/delete actions
+const ProfileBar = ({ profiles, activeProfile, onSelect, onCreate, onUpdate, onDelete, disabled }) => {
+    const { t } = useI18n();
+    const [isNaming, setIsNaming] = useState(false);
+    const [newName, setNewName] = useState('');
+
+    const submitNewProfile = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        onCreate(newName);
+        setNewName('');
+        setIsNaming(false);
+    };
+
+    const confirmDelete = () => {
+        if (window.confirm(t('profiles.confirmDelete', { name: activeProfile.name }))) onDelete();
+    };
+
+    return (
+        <div className="flex flex-wrap justify-center items-center gap-2 mb-8 text-sm text-gray-700">
+            <label htmlFor="profile" className="font-semibold">{t('profiles.recipient')}</label>
+            <select
+                id="profile"
+                className="bg-white border border-[#477d8f] rounded-md px-2 py-1 focus:outline-none focus:border-[#1f6fb2]"
+                value={activeProfile?.id || ''}
+                onChange={(e) => onSelect(e.target.value || null)}
+                disabled={disabled}
+            >
+                <option value="">{t('profiles.newSearch')}</option>
+                {profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+            </select>
+
+            {isNaming ? (
+                <form onSubmit={submitNewProfile} className="flex items-center gap-2">
+                    <input
+                        autoFocus
+                        className="border border-[#477d8f] rounded-md px-2 py-1 focus:outline-none focus:border-[#1f6fb2]"
+                        placeholder={t('profiles.namePlaceholder')}
+                        aria-label={t('profiles.nameLabel')}
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        maxLength={60}
+                    />
+                    <button type="submit" className={buttonClasses} disabled={!newName.trim()}>{t('profiles.save')}</button>
+                    <button type="button" className={buttonClasses} onClick={() => setIsNaming(false)}>{t('profiles.cancel')}</button>
+                </form>
+            ) : (
+                <button type="button" className={buttonClasses} onClick={() => setIsNaming(true)} disabled={disabled}>
+                    {t('profiles.saveNew')}
+                </button>
+            )}
+
+            {activeProfile && !isNaming && (
+                <>
+                    <button type="button" className={buttonClasses} onClick={onUpdate} disabled={disabled}>{t('profiles.update')}</button>
+                    <button type="button" className={buttonClasses} onClick={confirmDelete} disabled={disabled}>{t('profiles.delete')}</button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ProfileBar;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { buildShareUrl } from '../lib/urlState.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+// Copies a link to the current search, optionally with its gift ideas embedded
+const ShareControls = ({ criteria, gifts, disabled }) => {
+    const { t } = useI18n();
+    const [includeResults, setIncludeResults] = useState(true);
+    const [status, setStatus] = useState('');
+    const [fallbackUrl, setFallbackUrl] = useState('');
+
+    const copyLink = async () => {
+        setStatus('');
+        setFallbackUrl('');
+        const url = await buildShareUrl(criteria, includeResults ? gifts : []);
+        try {
+            await navigator.clipboard.writeText(url);
+            setStatus(t('share.copied'));
+        } catch {
+            // Clipboard access can be denied; let the user copy it by hand
+            setFallbackUrl(url);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap justify-center items-center gap-3 mt-4 text-sm text-gray-700">
+            <button
+                type="button"
+                onClick={copyLink}
+                disabled={disabled}
+                className="font-bold uppercase tracking-wider px-3 py-1 rounded-md border border-[#477d8f] text-[#477d8f] hover:bg-[#477d8f] hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+                {t('share.copy')}
+            </button>
+            {gifts.length > 0 && (
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" checked={includeResults} onChange={(e) => setIncludeResults(e.target.checked)} />
+                    {t('share.includeResults')}
+                </label>
+            )}
+            {status && <span className="text-green-700" role="status">{status}</span>}
+            {fallbackUrl && (
+                <input
+                    readOnly
+                    aria-label={t('share.linkLabel')}
+                    className="w-full max-w-md border border-[#477d8f] rounded-md px-2 py-1"
+                    value={fallbackUrl}
+                    onFocus={(e) => e.target.select()}
+                />
+            )}
+        </div>
+    );
+};
+
+export default ShareControls;
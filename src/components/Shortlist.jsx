@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { formatPrice } from '../lib/gifts.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { getOccasionLabel, getRelationshipForm } from '../i18n/index.js';
+
+const smallButtonClasses = 'text-xs font-bold uppercase tracking-wider px-2 py-1 rounded-md border transition-colors duration-200';
+
+// Who a favorite was saved for, e.g. "Mom · Birthday", in the current language
+const describeRecipientIn = (locale, favorite) => [
+    favorite.profileName || (favorite.relationship && getRelationshipForm(locale, favorite.relationship, '').label),
+    favorite.occasion && getOccasionLabel(locale, favorite.occasion),
+].filter(Boolean).join(' · ');
+
+// Rows of the comparison table: label message and how to render a favorite's cell
+const ROWS = [
+    ['shortlist.description', (favorite) => favorite.gift.description],
+    ['shortlist.price', (favorite, { language }) => Number.isFinite(favorite.gift.estimatedPrice) ? `~${formatPrice(favorite.gift.estimatedPrice, favorite.gift.currency, language)}` : '—'],
+    ['shortlist.retailer', (favorite) => favorite.gift.retailer || '—'],
+    ['shortlist.for', (favorite, { locale }) => <span className="capitalize">{describeRecipientIn(locale, favorite) || '—'}</span>],
+];
+
+// Side-by-side comparison of shortlisted gifts from every search.
+// onPurchase(gift, href) is told when a purchase link is opened.
+const Shortlist = ({ favorites, onPick, onRemove, processLink, onPurchase }) => {
+    const i18n = useI18n();
+    const { language, t } = i18n;
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="mt-6 text-left">
+            <div className="flex justify-center">
+                <button
+                    type="button"
+                    onClick={() => setIsOpen(open => !open)}
+                    aria-expanded={isOpen}
+                    className={`${smallButtonClasses} border-pink-400 text-pink-600 hover:bg-pink-50`}
+                >
+                    {t(isOpen ? 'shortlist.hide' : 'shortlist.show', { count: favorites.length })}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="mt-4 p-4 bg-gray-50 border border-pink-300 rounded-lg shadow-md overflow-x-auto">
+                    {favorites.length === 0 ? (
+                        <p className="text-sm text-gray-500 text-center">{t('shortlist.empty')}</p>
+                    ) : (
+                        <table className="min-w-full text-sm text-gray-700 border-collapse">
+                            <thead>
+                                <tr>
+                                    <th scope="col" className="sr-only">{t('shortlist.field')}</th>
+                                    {favorites.map(favorite => (
+                                        <th key={favorite.id} scope="col" className="p-2 align-top text-left min-w-[12rem]">
+                                            <span className="text-base font-semibold text-[#477d8f]">{favorite.gift.name}</span>
+                                            {favorite.pickedAt && (
+                                                <span className="block mt-1 text-xs font-semibold text-green-800">
+                                                    {t('shortlist.picked', { date: new Date(favorite.pickedAt).toLocaleDateString(language) })}
+                                                </span>
+                                            )}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {ROWS.map(([label, renderCell]) => (
+                                    <tr key={label} className="border-t border-gray-200">
+                                        <th scope="row" className="p-2 align-top text-left font-semibold text-gray-500 whitespace-nowrap">{t(label)}</th>
+                                        {favorites.map(favorite => (
+                                            <td key={favorite.id} className="p-2 align-top">{renderCell(favorite, i18n)}</td>
+                                        ))}
+                                    </tr>
+                                ))}
+                                <tr className="border-t border-gray-200">
+                                    <th scope="row" className="sr-only">{t('shortlist.actions')}</th>
+                                    {favorites.map(favorite => (
+                                        <td key={favorite.id} className="p-2 align-top">
+                                            <div className="flex flex-wrap gap-2">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => onPick(favorite.id)}
+                                                    disabled={Boolean(favorite.pickedAt)}
+                                                    className={`${smallButtonClasses} border-green-600 text-green-800 hover:bg-green-100 disabled:opacity-50 disabled:cursor-default`}
+                                                >
+                                                    {t('shortlist.pick')}
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => onRemove(favorite.id)}
+                                                    className={`${smallButtonClasses} border-red-400 text-red-700 hover:bg-red-100`}
+                                                >
+                                                    {t('shortlist.remove')}
+                                                </button>
+                                                {favorite.gift.purchaseLink && favorite.gift.purchaseLink !== '#' && (
+                                                    <a
+                                                        href={processLink(favorite.gift.purchaseLink, favorite.gift.name)}
+                                                        onClick={(e) => onPurchase?.(favorite.gift, e.currentTarget.href)}
+                                                        target="_blank"
+                                                        rel="noopener noreferrer"
+                                                        className="text-xs font-medium text-indigo-600 hover:text-indigo-800 self-center"
+                                                    >
+                                                        {t('results.purchase')}
+                                                    </a>
+                                                )}
+                                            </div>
+                                        </td>
+                                    ))}
+                                </tr>
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Shortlist;
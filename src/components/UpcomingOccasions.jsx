@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { toICS } from '../lib/calendar.js';
+import { describeDaysLeft } from '../hooks/useReminders.js';
+import { useI18n } from '../i18n/I18nContext.js';
+import { getOccasionLabel } from '../i18n/index.js';
+
+const smallButtonClasses = 'text-xs font-bold uppercase tracking-wider px-2 py-1 rounded-md border transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const formatDate = (date, language) =>
+    new Date(`${date}T00:00:00`).toLocaleDateString(language, { weekday: 'short', month: 'long', day: 'numeric' });
+
+// Every saved recipient's coming occasions with the days left, when to start searching,
+// reminders through notifications and a calendar file to import them elsewhere
+const UpcomingOccasions = ({ profiles, upcoming, permission, onEnableReminders, onFind, disabled }) => {
+    const { language, locale, t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const soon = upcoming.filter(event => event.searchNow).length;
+
+    const downloadCalendar = () => {
+        const ics = toICS(profiles, {
+            summary: (occasion, name) => t('calendar.event', { occasion: getOccasionLabel(locale, occasion), name }),
+            description: t('calendar.eventNote'),
+        });
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'gift-occasions.ics';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    return (
+        <div className="mt-6 text-left">
+            <div className="flex justify-center">
+                <button
+                    type="button"
+                    onClick={() => setIsOpen(open => !open)}
+                    aria-expanded={isOpen}
+                    className={`${smallButtonClasses} border-[#477d8f] text-[#477d8f] hover:bg-[#477d8f] hover:text-white`}
+                >
+                    {t(isOpen ? 'calendar.hide' : 'calendar.show', { count: upcoming.length })}
+                    {soon > 0 && <span className="ml-1 px-1.5 rounded-full bg-[#b33c00] text-white">{soon}</span>}
+                </button>
+            </div>
+
+            {isOpen && (
+                <div className="mt-4 p-4 bg-gray-50 border border-[#9acbdb] rounded-lg shadow-md">
+                    <div className="flex flex-wrap gap-2 items-center justify-end mb-4 text-sm">
+                        {permission === 'granted' && <span className="text-green-800">{t('calendar.remindersOn')}</span>}
+                        {permission === 'denied' && <span className="text-gray-600">{t('calendar.remindersBlocked')}</span>}
+                        {permission === 'default' && (
+                            <button
+                                type="button"
+                                onClick={onEnableReminders}
+                                className={`${smallButtonClasses} border-[#1f6fb2] text-[#1f6fb2] hover:bg-[#1f6fb2] hover:text-white`}
+                            >
+                                {t('calendar.enableReminders')}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            onClick={downloadCalendar}
+                            disabled={upcoming.length === 0}
+                            className={`${smallButtonClasses} border-[#477d8f] text-[#477d8f] hover:bg-[#477d8f] hover:text-white`}
+                        >
+                            {t('calendar.download')}
+                        </button>
+                    </div>
+
+                    {upcoming.length === 0 && <p className="text-sm text-gray-600 text-center">{t('calendar.empty')}</p>}
+                    <ul className="divide-y divide-gray-200">
+                        {upcoming.map(event => (
+                            <li key={event.key} className="py-3 flex flex-wrap justify-between gap-2">
+                                <div className="min-w-0">
+                                    <p className="font-semibold text-[#477d8f]">
+                                        <span className="capitalize">{getOccasionLabel(locale, event.occasion)}</span>
+                                        {' · '}{event.name}
+                                    </p>
+                                    <p className="text-sm text-gray-700">
+                                        {formatDate(event.date, language)} · {describeDaysLeft(t, event.daysLeft)}
+                                    </p>
+                                    <p className={`text-xs ${event.searchNow ? 'text-[#b33c00] font-semibold' : 'text-gray-600'}`}>
+                                        {event.searchNow
+                                            ? t('calendar.searchNow')
+                                            : t('calendar.searchFrom', { date: formatDate(event.searchFrom, language) })}
+                                    </p>
+                                </div>
+                                <div className="flex items-start">
+                                    <button
+                                        type="button"
+                                        onClick={() => onFind(event)}
+                                        disabled={disabled}
+                                        className={`${smallButtonClasses} border-[#1f6fb2] text-[#1f6fb2] hover:bg-[#1f6fb2] hover:text-white`}
+                                    >
+                                        {t('calendar.find')}
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default UpcomingOccasions;
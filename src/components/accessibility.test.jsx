@@ -0,0 +1,159 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, afterEach, beforeAll, vi } from 'vitest';
+import { render, screen, cleanup, fireEvent } from '@testing-library/react';
+import axe from 'axe-core';
+import App from '../App.jsx';
+import GiftResults from './GiftResults.jsx';
+import CardMessagePanel from './CardMessagePanel.jsx';
+import CardOptions from './CardOptions.jsx';
+import Shortlist from './Shortlist.jsx';
+import HistoryPanel from './HistoryPanel.jsx';
+import ProfileBar from './ProfileBar.jsx';
+import GiftLog from './GiftLog.jsx';
+import ErrorPanel from './ErrorPanel.jsx';
+import GroupPlanner from './GroupPlanner.jsx';
+import GroupResults from './GroupResults.jsx';
+import OccasionDates from './OccasionDates.jsx';
+import UpcomingOccasions from './UpcomingOccasions.jsx';
+import ConnectionStatus from './ConnectionStatus.jsx';
+import GiftFeedback from './GiftFeedback.jsx';
+import ConsentBanner from './ConsentBanner.jsx';
+import PrivacySettings from './PrivacySettings.jsx';
+import { I18nContext } from '../i18n/I18nContext.js';
+import { createI18n } from '../i18n/index.js';
+import { DEFAULT_CARD_OPTIONS } from '../lib/cardStudio.js';
+import { createRecipient, summarizeGroupPlan } from '../lib/groupPlan.js';
+import { upcomingOccasions } from '../lib/calendar.js';
+
+// jsdom does no layout and Tailwind is loaded from a CDN, so colour contrast can't be
+// measured here; the colours were checked by hand against WCAG AA instead.
+const AXE_OPTIONS = { rules: { 'color-contrast': { enabled: false } } };
+
+const expectNoViolations = async (container) => {
+    const { violations } = await axe.run(container, AXE_OPTIONS);
+    expect(violations.map(({ id, help, nodes }) => `${id}: ${help} (${nodes.map(node => node.target).join(', ')})`)).toEqual([]);
+};
+
+const renderIn = (language, element) =>
+    render(<I18nContext.Provider value={{ ...createI18n(language), setLanguage: () => {} }}>{element}</I18nContext.Provider>);
+
+const GIFTS = [
+    { name: 'Pottery class', description: 'An evening at the wheel.', estimatedPrice: 45, currency: 'USD', category: 'experience', purchaseLink: 'https://example.com/pottery', retailer: 'Example' },
+    { name: 'Field guide', description: 'Birds of the region.', estimatedPrice: 20, currency: 'USD', category: 'book' },
+];
+
+const CRITERIA = { occasion: 'birthday', relationship: 'friend', age: '30', gender: 'she', interests: 'birds', notableEvents: '', minPrice: '20', maxPrice: '50', currency: 'USD' };
+
+const PROFILE = {
+    id: 'p1',
+    name: 'Sam',
+    criteria: CRITERIA,
+    giftLog: [
+        { name: 'Pottery class', estimatedPrice: 45, currency: 'USD', criteria: CRITERIA, shownAt: '2025-01-01T10:00:00.000Z', purchasedAt: '2025-01-02T10:00:00.000Z' },
+        { name: 'Field guide', estimatedPrice: 20, currency: 'USD', criteria: CRITERIA, shownAt: '2025-01-01T10:00:00.000Z', purchasedAt: null },
+    ],
+    dates: [
+        { id: 'd1', occasion: 'birthday', date: '1995-11-02', repeats: true, leadDays: 14 },
+        { id: 'd2', occasion: 'graduation', date: '2026-12-01', repeats: false, leadDays: 30 },
+    ],
+};
+
+beforeAll(() => {
+    // The app reads saved profiles and history from IndexedDB, which jsdom doesn't have
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(cleanup);
+
+describe('sentence form', () => {
+    it.each(['en', 'de', 'es'])('labels every field in %s', async (language) => {
+        const { container } = renderIn(language, <App />);
+        const { t } = createI18n(language);
+
+        for (const field of ['occasion', 'relationship', 'age', 'gender', 'interests', 'notableEvents']) {
+            expect(screen.getByLabelText(t(`form.label.${field}`))).toHaveProperty('id', field);
+        }
+        expect(screen.getByLabelText(t('form.minPrice', { currency: 'USD' }))).toHaveProperty('id', 'minPrice');
+        expect(screen.getByRole('group', { name: t('form.legend') })).toBeTruthy();
+        expect(screen.getByRole('status')).toBeTruthy();
+        await expectNoViolations(container);
+    });
+});
+
+describe('axe', () => {
+    it.each([
+        ['GiftResults', () => <GiftResults gifts={GIFTS} minPrice="20" maxPrice="50" currency="USD" cachedAt={Date.UTC(2025, 0, 1, 12)} processLink={link => link} />],
+        ['CardMessagePanel', () => (
+            <CardMessagePanel
+                variants={['Happy birthday, Sam!', 'Another year wiser.']}
+                selectedIndex={0}
+                onSelect={() => {}}
+                refinements={[{ instruction: 'shorter' }]}
+                busy={false}
+                onRefine={() => {}}
+            />
+        )],
+        ['CardOptions', () => <CardOptions options={DEFAULT_CARD_OPTIONS} onChange={() => {}} disabled={false} />],
+        ['Shortlist', () => <Shortlist favorites={[]} onPick={() => {}} onRemove={() => {}} processLink={link => link} />],
+        ['HistoryPanel', () => <HistoryPanel entries={[]} onRestore={() => {}} onTogglePin={() => {}} onDelete={() => {}} onClearAll={() => {}} disabled={false} />],
+        ['ProfileBar', () => <ProfileBar profiles={[PROFILE]} activeProfile={PROFILE} onSelect={() => {}} onCreate={() => {}} onUpdate={() => {}} onDelete={() => {}} disabled={false} />],
+        ['GiftLog', () => <GiftLog profile={PROFILE} onTogglePurchased={() => {}} />],
+        ['GroupPlanner', () => (
+            <GroupPlanner
+                group={{
+                    plan: { occasion: 'holiday', budget: '100', currency: 'USD', recipients: [createRecipient({ name: 'Mom' }), createRecipient()] },
+                    setField: () => {}, updateRecipient: () => {}, addRecipient: () => {}, removeRecipient: () => {},
+                    isGenerating: false, canGenerate: true,
+                }}
+                profiles={[PROFILE]}
+                onFind={() => {}}
+                onStop={() => {}}
+                disabled={false}
+            />
+        )],
+        ['GroupResults', () => {
+            const results = { budget: '100', currency: 'USD', recipients: [{ id: 'a', name: 'Mom', budget: 50, gifts: GIFTS, chosen: ['pottery class'] }, { id: 'b', name: '', budget: 50, gifts: [], chosen: [] }] };
+            return <GroupResults results={results} summary={summarizeGroupPlan(results.recipients, results.budget)} onToggleChosen={() => {}} processLink={link => link} />;
+        }],
+        ['OccasionDates', () => <OccasionDates profile={PROFILE} occasion="birthday" onAdd={() => {}} onRemove={() => {}} disabled={false} />],
+        ['ConnectionStatus', () => <ConnectionStatus online={false} queued={[{ kind: 'gifts' }, { kind: 'card' }]} onCancel={() => {}} />],
+        ['GiftFeedback', () => (
+            <GiftFeedback
+                gift={GIFTS[0]}
+                rating={{ name: GIFTS[0].name, liked: false, reasons: ['too-generic'] }}
+                onRate={() => {}}
+                onToggleReason={() => {}}
+                onMoreLikeThis={() => {}}
+                disabled={false}
+            />
+        )],
+        ['ErrorPanel', () => <ErrorPanel error={{ task: 'gifts', kind: 'quotaExceeded', retryAfterSeconds: 30, detail: '', retry: () => {} }} onEdit={() => {}} />],
+        ['ConsentBanner', () => <ConsentBanner onAccept={() => {}} onDecline={() => {}} />],
+        ['PrivacySettings', () => (
+            <PrivacySettings consent="granted" doNotTrack={false} browserDoNotTrack onConsentChange={() => {}} onDoNotTrackChange={() => {}} />
+        )],
+    ])('finds no violations in %s', async (_name, renderComponent) => {
+        const { container } = renderIn('en', renderComponent());
+        await expectNoViolations(container);
+    });
+});
+
+describe('upcoming occasions', () => {
+    it('finds no violations in the open list', async () => {
+        const { container } = renderIn('en', (
+            <UpcomingOccasions
+                profiles={[PROFILE]}
+                upcoming={upcomingOccasions([PROFILE], '2026-10-19')}
+                permission="default"
+                onEnableReminders={() => {}}
+                onFind={() => {}}
+                disabled={false}
+            />
+        ));
+        fireEvent.click(screen.getByRole('button', { name: /upcoming occasions/i }));
+        expect(screen.getByText('Time to start looking for a gift')).toBeTruthy();
+        expect(screen.getByText(/Start looking on/)).toBeTruthy();
+        await expectNoViolations(container);
+    });
+});
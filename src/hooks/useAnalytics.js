@@ -0,0 +1,53 @@
+import { useState, useMemo, useCallback } from 'react';
+import {
+    createEvent, createSink, getAnalyticsConfig, hasDoNotTrackSignal, loadAnalyticsSettings, saveAnalyticsSettings
+} from '../lib/analytics.js';
+
+/**
+ * Records usage events in the sink the build was configured with (see getAnalyticsConfig), once the
+ * user has opted in. Nothing is recorded before the consent banner is answered with yes, while the
+ * do-not-track setting is on, or when the browser sends Do Not Track; events from then are dropped, not kept.
+ * @returns {{ available: boolean, askConsent: boolean, consent: string|null, doNotTrack: boolean, browserDoNotTrack: boolean,
+ *   setConsent: Function, setDoNotTrack: Function, track: (type: string, fields?: object) => void }}
+ *   Whether analytics is configured, whether to show the consent banner, the settings and the way to record an event.
+ */
+export const useAnalytics = () => {
+    const sink = useMemo(() => createSink(getAnalyticsConfig()), []);
+    const [settings, setSettings] = useState(loadAnalyticsSettings);
+    const [browserDoNotTrack] = useState(() => hasDoNotTrackSignal());
+
+    const update = useCallback((change) => {
+        setSettings(prev => {
+            const next = { ...prev, ...change };
+            saveAnalyticsSettings(next);
+            return next;
+        });
+    }, []);
+
+    const setConsent = useCallback((granted) => update({ consent: granted ? 'granted' : 'denied' }), [update]);
+    const setDoNotTrack = useCallback((doNotTrack) => update({ doNotTrack }), [update]);
+
+    const allowed = Boolean(sink) && settings.consent === 'granted' && !settings.doNotTrack && !browserDoNotTrack;
+
+    const track = useCallback((type, fields) => {
+        if (!allowed) return;
+        try {
+            sink.send(createEvent(type, fields));
+        } catch (err) {
+            // Analytics never gets in the way of the app
+            console.error("Error recording analytics event:", err);
+        }
+    }, [allowed, sink]);
+
+    return {
+        available: Boolean(sink),
+        // Nobody is asked who has already said no in the browser or in the settings
+        askConsent: Boolean(sink) && settings.consent === null && !settings.doNotTrack && !browserDoNotTrack,
+        consent: settings.consent,
+        doNotTrack: settings.doNotTrack,
+        browserDoNotTrack,
+        setConsent,
+        setDoNotTrack,
+        track,
+    };
+};
@@ -0,0 +1,89 @@
+import { useState, useMemo, useCallback } from 'react';
+import { streamCardMessage } from '../api.js';
+import { DEFAULT_CARD_OPTIONS, splitVariants } from '../lib/cardStudio.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+/**
+ * Manages the card message studio: the tone/length/signature options, the streamed
+ * versions, which one is chosen, and follow-up refinements of the chosen draft.
+ * Messages are written in the interface language.
+ * @param {object} options
+ * @param {{ current: AbortController | null }} options.abortRef - Holds the controller of the request in flight, so Stop can cancel it.
+ * @returns {object} The studio state and actions.
+ */
+export const useCardStudio = ({ abortRef }) => {
+    const { language } = useI18n();
+    const [options, setOptions] = useState(DEFAULT_CARD_OPTIONS);
+    const [text, setText] = useState('');
+    const [refinements, setRefinements] = useState([]);
+    const [selectedIndex, setSelectedIndex] = useState(0);
+    const [isGenerating, setIsGenerating] = useState(false);
+    // The version of the prompt the current text was written with
+    const [promptVersion, setPromptVersion] = useState(null);
+
+    const variants = useMemo(() => splitVariants(text), [text]);
+    const selectedMessage = variants[selectedIndex] || '';
+
+    const updateOption = useCallback((name, value) => {
+        setOptions(prev => ({ ...prev, [name]: value }));
+    }, []);
+
+    const run = useCallback(async (criteria, nextRefinements) => {
+        setText('');
+        setPromptVersion(null);
+        setSelectedIndex(0);
+        setRefinements(nextRefinements);
+        setIsGenerating(true);
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        let received = '';
+        let version = null;
+
+        try {
+            const done = await streamCardMessage({ ...criteria, language, card: { ...options, refinements: nextRefinements } }, {
+                signal: controller.signal,
+                onDelta: delta => {
+                    received += delta;
+                    setText(received);
+                }
+            });
+            version = done.promptVersion;
+            setPromptVersion(version);
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error("Error generating card message:", err);
+                return { variants: [], stopped: false, error: err, promptVersion: null };
+            }
+        } finally {
+            abortRef.current = null;
+            setIsGenerating(false);
+        }
+        return { variants: splitVariants(received), stopped: controller.signal.aborted, error: null, promptVersion: version };
+    }, [options, language, abortRef]);
+
+    /**
+     * Writes new versions from scratch.
+     * @param {object} criteria - The form values (occasion, relationship, age, ...).
+     * @returns {Promise<{ variants: string[], stopped: boolean, error: Error|null, promptVersion: string|null }>} What was written,
+     *   whether Stop cut it short, why it failed, and the version of the prompt it was written with.
+     */
+    const generate = useCallback((criteria) => run(criteria, []), [run]);
+
+    /**
+     * Revises the chosen version. It goes back to the model as its own earlier turn,
+     * followed by the instruction, so earlier refinements carry over.
+     * @param {object} criteria - The form values.
+     * @param {string} instruction - What to change, e.g. "make it shorter".
+     * @returns {Promise<{ variants: string[], stopped: boolean }>} What was written, as for generate.
+     */
+    const refine = useCallback(async (criteria, instruction) => {
+        if (!selectedMessage || !instruction.trim()) return { variants: [], stopped: false, error: null, promptVersion: null };
+        return run(criteria, [...refinements, { draft: selectedMessage, instruction: instruction.trim() }]);
+    }, [run, refinements, selectedMessage]);
+
+    return {
+        options, updateOption, variants, selectedIndex, setSelectedIndex, selectedMessage,
+        refinements, promptVersion, isGenerating, generate, refine
+    };
+};
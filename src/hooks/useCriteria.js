@@ -0,0 +1,16 @@
+import { useReducer, useCallback } from 'react';
+import { criteriaReducer, initialCriteria } from '../lib/criteria.js';
+
+/**
+ * Manages the search form values, starting from the URL.
+ * @param {string} defaultCurrency - The currency used when the URL has none.
+ * @returns {{ criteria: object, setField: (field: string, value: string) => void, applyCriteria: (criteria: object) => void }}
+ */
+export const useCriteria = (defaultCurrency) => {
+    const [criteria, dispatch] = useReducer(criteriaReducer, null, () => initialCriteria(window.location.search, defaultCurrency));
+
+    const setField = useCallback((field, value) => dispatch({ type: 'set', field, value }), []);
+    const applyCriteria = useCallback((values) => dispatch({ type: 'apply', criteria: values }), []);
+
+    return { criteria, setField, applyCriteria };
+};
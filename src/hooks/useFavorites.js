@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createFavorite, favoriteId, pickFavorite, loadFavorites, saveFavorite, deleteFavorite } from '../lib/favorites.js';
+
+const logStorageError = (err) => console.error("Error saving shortlist:", err);
+
+/**
+ * Manages the persistent gift shortlist shared by all searches.
+ * @returns {object} The favorites and actions on them.
+ */
+export const useFavorites = () => {
+    const [favorites, setFavorites] = useState([]);
+
+    useEffect(() => {
+        loadFavorites()
+            .then(setFavorites)
+            .catch((err) => console.error("Error loading shortlist:", err));
+    }, []);
+
+    const isFavorite = useCallback(
+        (gift, criteria, profileName) => favorites.some(favorite => favorite.id === favoriteId(gift, criteria, profileName)),
+        [favorites]
+    );
+
+    const removeFavorite = useCallback((id) => {
+        setFavorites(prev => prev.filter(favorite => favorite.id !== id));
+        deleteFavorite(id).catch(logStorageError);
+    }, []);
+
+    const toggleFavorite = useCallback((gift, criteria, profileName) => {
+        const id = favoriteId(gift, criteria, profileName);
+        if (favorites.some(favorite => favorite.id === id)) {
+            removeFavorite(id);
+            return;
+        }
+        const favorite = createFavorite(gift, criteria, profileName);
+        setFavorites(prev => [...prev, favorite]);
+        saveFavorite(favorite).catch(logStorageError);
+    }, [favorites, removeFavorite]);
+
+    const pick = useCallback((id) => {
+        const changed = pickFavorite(favorites, id);
+        changed.forEach(favorite => saveFavorite(favorite).catch(logStorageError));
+        setFavorites(prev => prev.map(favorite => changed.find(c => c.id === favorite.id) || favorite));
+    }, [favorites]);
+
+    return { favorites, isFavorite, toggleFavorite, removeFavorite, pick };
+};
@@ -0,0 +1,19 @@
+import { useReducer, useCallback } from 'react';
+import { feedbackReducer, INITIAL_FEEDBACK } from '../lib/feedback.js';
+
+/**
+ * Manages the likes, dislikes and reasons given to the ideas of the current search,
+ * and which ideas it has shown, so a refresh can be steered by them.
+ * @returns {{ feedback: object, resetShown: Function, addShown: Function, rate: Function, toggleReason: Function }}
+ *   The state (see feedbackReducer) and actions on it.
+ */
+export const useGiftFeedback = () => {
+    const [feedback, dispatch] = useReducer(feedbackReducer, INITIAL_FEEDBACK);
+
+    const resetShown = useCallback((gifts) => dispatch({ type: 'reset', gifts }), []);
+    const addShown = useCallback((gifts) => dispatch({ type: 'show', gifts }), []);
+    const rate = useCallback((gift, liked) => dispatch({ type: 'rate', gift, liked }), []);
+    const toggleReason = useCallback((gift, reason) => dispatch({ type: 'toggleReason', gift, reason }), []);
+
+    return { feedback, resetShown, addShown, rate, toggleReason };
+};
@@ -0,0 +1,127 @@
+import { useState, useMemo, useCallback } from 'react';
+import { streamGroupGiftIdeas } from '../api.js';
+import { giftKey } from '../lib/gifts.js';
+import { MAX_RECIPIENTS, createRecipient, toGroupRequest, summarizeGroupPlan } from '../lib/groupPlan.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+const onlyDigits = (value) => value.replace(/[^0-9]/g, '');
+
+/**
+ * Manages group planning: the people, the shared occasion and overall budget, the ideas
+ * streamed in for each person, which ones are chosen, and the budget summary.
+ * @param {object} options
+ * @param {{ current: AbortController | null }} options.abortRef - Holds the controller of the request in flight, so Stop can cancel it.
+ * @param {string} options.defaultCurrency - The currency the budget starts in.
+ * @returns {object} The group state and actions.
+ */
+export const useGroupPlan = ({ abortRef, defaultCurrency }) => {
+    const { language } = useI18n();
+    const [plan, setPlan] = useState(() => ({
+        occasion: '',
+        budget: '',
+        currency: defaultCurrency,
+        recipients: [createRecipient(), createRecipient()],
+    }));
+    // The people and budget of the last search, with the ideas for each person and the prompt version they were made with
+    const [results, setResults] = useState(null);
+    const [isGenerating, setIsGenerating] = useState(false);
+
+    const setField = useCallback((field, value) => {
+        setPlan(prev => ({ ...prev, [field]: field === 'budget' ? onlyDigits(value) : value }));
+    }, []);
+
+    const updateRecipient = useCallback((id, field, value) => {
+        setPlan(prev => ({
+            ...prev,
+            recipients: prev.recipients.map(recipient => recipient.id === id
+                ? { ...recipient, [field]: field === 'age' ? onlyDigits(value) : value }
+                : recipient),
+        }));
+    }, []);
+
+    /**
+     * Adds a person to the group, blank or filled in (see recipientFromProfile).
+     * @param {object} [recipient] - The person to add.
+     */
+    const addRecipient = useCallback((recipient = createRecipient()) => {
+        setPlan(prev => prev.recipients.length >= MAX_RECIPIENTS ? prev : { ...prev, recipients: [...prev.recipients, recipient] });
+    }, []);
+
+    const removeRecipient = useCallback((id) => {
+        setPlan(prev => ({ ...prev, recipients: prev.recipients.filter(recipient => recipient.id !== id) }));
+    }, []);
+
+    /**
+     * Chooses or unchooses a gift idea for a person; the summary adds up the chosen ones.
+     * @param {string} id - The person.
+     * @param {object} gift - The gift idea.
+     */
+    const toggleChosen = useCallback((id, gift) => {
+        const key = giftKey(gift.name);
+        setResults(prev => ({
+            ...prev,
+            recipients: prev.recipients.map(recipient => recipient.id !== id ? recipient : {
+                ...recipient,
+                chosen: recipient.chosen.includes(key) ? recipient.chosen.filter(chosen => chosen !== key) : [...recipient.chosen, key],
+            }),
+        }));
+    }, []);
+
+    /**
+     * Asks for ideas for everyone in one request. Each person's first idea starts out chosen.
+     * @returns {Promise<{ count: number, stopped: boolean, error: Error|null, promptVersion: string|null }>} How many
+     *   ideas arrived, whether Stop cut it short, why it failed, and the version of the prompt used.
+     */
+    const generate = useCallback(async () => {
+        const recipients = plan.recipients.map(({ id, name }) => ({ id, name, budget: null, gifts: [], chosen: [] }));
+        setResults({ budget: plan.budget, currency: plan.currency, recipients });
+        setIsGenerating(true);
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        let count = 0;
+        let version = null;
+        const update = (index, change) => setResults(prev => ({
+            ...prev,
+            recipients: prev.recipients.map((recipient, i) => i === index ? { ...recipient, ...change(recipient) } : recipient),
+        }));
+
+        try {
+            const done = await streamGroupGiftIdeas(toGroupRequest(plan, language), {
+                signal: controller.signal,
+                onPlan: budgets => budgets.forEach((budget, index) => update(index, () => ({ budget }))),
+                onGift: (index, gift) => {
+                    count++;
+                    update(index, recipient => ({
+                        gifts: [...recipient.gifts, gift],
+                        chosen: recipient.gifts.length === 0 ? [giftKey(gift.name)] : recipient.chosen,
+                    }));
+                },
+            });
+            version = done.promptVersion;
+            setResults(prev => ({ ...prev, promptVersion: version }));
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error("Error fetching group gift ideas:", err);
+                return { count, stopped: false, error: err, promptVersion: null };
+            }
+        } finally {
+            abortRef.current = null;
+            setIsGenerating(false);
+        }
+        return { count, stopped: controller.signal.aborted, error: null, promptVersion: version };
+    }, [plan, language, abortRef]);
+
+    const summary = useMemo(
+        () => results && summarizeGroupPlan(results.recipients, results.budget),
+        [results]
+    );
+
+    // The server needs an occasion, somebody to plan for and at least 1 of the budget per person
+    const canGenerate = Boolean(plan.occasion) && plan.recipients.length > 0 && Number(plan.budget) >= plan.recipients.length;
+
+    return {
+        plan, setField, updateRecipient, addRecipient, removeRecipient,
+        results, summary, toggleChosen, isGenerating, canGenerate, generate
+    };
+};
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+    createHistoryEntry, sortEntries, findExpiredEntries,
+    loadHistory, saveHistoryEntry, deleteHistoryEntry, clearHistory
+} from '../lib/searchHistory.js';
+
+const logStorageError = (err) => console.error("Error saving search history:", err);
+
+/**
+ * Manages the persistent list of past searches and their results.
+ * State updates immediately; IndexedDB writes happen in the background.
+ * @returns {object} The entries and actions on them.
+ */
+export const useHistoryEntries = () => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        loadHistory()
+            .then(setEntries)
+            .catch((err) => console.error("Error loading search history:", err));
+    }, []);
+
+    /**
+     * Stores a new generation.
+     * @returns {object} The new entry.
+     */
+    const addEntry = useCallback((criteria, gifts, extra) => {
+        const entry = createHistoryEntry(criteria, gifts, extra);
+        saveHistoryEntry(entry).catch(logStorageError);
+
+        const expiredIds = new Set(findExpiredEntries([entry, ...entries]).map(old => old.id));
+        expiredIds.forEach(id => deleteHistoryEntry(id).catch(logStorageError));
+        setEntries(prev => sortEntries([entry, ...prev.filter(old => !expiredIds.has(old.id))]));
+        return entry;
+    }, [entries]);
+
+    const togglePin = useCallback((id) => {
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return;
+        const updated = { ...entry, pinned: !entry.pinned };
+        saveHistoryEntry(updated).catch(logStorageError);
+        setEntries(prev => sortEntries(prev.map(e => (e.id === id ? updated : e))));
+    }, [entries]);
+
+    const removeEntry = useCallback((id) => {
+        setEntries(prev => prev.filter(entry => entry.id !== id));
+        deleteHistoryEntry(id).catch(logStorageError);
+    }, []);
+
+    const clearAll = useCallback(() => {
+        setEntries([]);
+        clearHistory().catch(logStorageError);
+    }, []);
+
+    return { entries, addEntry, togglePin, removeEntry, clearAll };
+};
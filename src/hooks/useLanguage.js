@@ -0,0 +1,34 @@
+import { useState, useEffect, useMemo } from 'react';
+import { LOCALES, createI18n, detectLanguage } from '../i18n/index.js';
+
+const STORAGE_KEY = 'gift-finder:language';
+
+const readStoredLanguage = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored in LOCALES ? stored : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Manages the interface language: remembered across visits, otherwise taken from the browser.
+ * @returns {{ language: string, locale: object, t: Function, setLanguage: (language: string) => void }}
+ */
+export const useLanguage = () => {
+    const [language, setLanguage] = useState(() =>
+        readStoredLanguage() || detectLanguage(navigator.languages || [navigator.language])
+    );
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+        try {
+            localStorage.setItem(STORAGE_KEY, language);
+        } catch (err) {
+            console.error("Error saving language:", err);
+        }
+    }, [language]);
+
+    return useMemo(() => ({ ...createI18n(language), setLanguage }), [language]);
+};
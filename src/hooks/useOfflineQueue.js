@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Tracks whether the browser is online and holds the gift and card requests made while it was not,
+ * sending them again once the connection comes back. A newer request of a kind replaces the one
+ * waiting, as it would replace its results on screen. The queue lives as long as the page.
+ * @param {object} options
+ * @param {boolean} options.busy - Whether a request is in flight; replaying waits for it.
+ * @returns {{ online: boolean, queued: Array<{ kind: string, run: () => Promise<void> }>,
+ *   enqueue: (request: { kind: string, run: () => Promise<void> }) => void, cancel: (kind: string) => void }}
+ *   The connection state, the waiting requests and actions on them.
+ */
+export const useOfflineQueue = ({ busy }) => {
+    const [online, setOnline] = useState(() => navigator.onLine !== false);
+    const [queued, setQueued] = useState([]);
+    const [isReplaying, setIsReplaying] = useState(false);
+
+    useEffect(() => {
+        const update = () => setOnline(navigator.onLine !== false);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    /**
+     * Keeps a request to send once the browser is back online.
+     * @param {{ kind: 'gifts'|'card'|'group', run: () => Promise<void> }} request - Which request, and how to make it again.
+     */
+    const enqueue = useCallback((request) => {
+        setQueued(prev => [...prev.filter(waiting => waiting.kind !== request.kind), request]);
+    }, []);
+
+    const cancel = useCallback((kind) => {
+        setQueued(prev => prev.filter(waiting => waiting.kind !== kind));
+    }, []);
+
+    // Sends the waiting requests one after another. One that fails offline again queues itself again.
+    useEffect(() => {
+        if (!online || busy || queued.length === 0 || isReplaying) return;
+        const [next, ...rest] = queued;
+        setIsReplaying(true);
+        setQueued(rest);
+        next.run().finally(() => setIsReplaying(false));
+    }, [online, busy, queued, isReplaying]);
+
+    return { online, queued, enqueue, cancel };
+};
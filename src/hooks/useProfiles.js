@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    createProfile, pickProfileFields, logShownGifts, setGiftPurchased, addOccasionDate, removeOccasionDate,
+    loadProfiles, saveProfile, deleteProfile
+} from '../lib/profiles.js';
+
+/**
+ * Manages saved recipient profiles and the currently selected one.
+ * Changes are applied to React state immediately and persisted to IndexedDB in the background.
+ * @returns {object} The profiles, the active profile, actions on them and `storageError`, the message key of a failed read or write.
+ */
+export const useProfiles = () => {
+    const [profiles, setProfiles] = useState([]);
+    const [activeProfileId, setActiveProfileId] = useState(null);
+    const [storageError, setStorageError] = useState(null);
+
+    // The latest profiles, so an update made after an await builds on what is stored rather than on
+    // the copy its caller started with
+    const latest = useRef(profiles);
+    const replaceProfiles = useCallback((next) => {
+        latest.current = next;
+        setProfiles(next);
+    }, []);
+
+    useEffect(() => {
+        loadProfiles()
+            .then(replaceProfiles)
+            .catch((err) => {
+                console.error("Error loading recipient profiles:", err);
+                setStorageError('profiles.unavailable');
+            });
+    }, [replaceProfiles]);
+
+    const activeProfile = profiles.find(profile => profile.id === activeProfileId) || null;
+
+    // Replaces one profile in state (inserting it if new) and writes it to IndexedDB
+    const persist = useCallback((profile) => {
+        replaceProfiles([...latest.current.filter(p => p.id !== profile.id), profile].sort((a, b) => a.name.localeCompare(b.name)));
+        saveProfile(profile).catch((err) => {
+            console.error("Error saving recipient profile:", err);
+            setStorageError('profiles.saveFailed');
+        });
+    }, [replaceProfiles]);
+
+    // Applies a change to the stored version of a profile; nothing happens once it has been deleted
+    const updateProfile = useCallback((id, change) => {
+        const profile = latest.current.find(p => p.id === id);
+        if (profile) persist(change(profile));
+    }, [persist]);
+
+    const addProfile = useCallback((name, criteria) => {
+        const profile = createProfile(name, criteria);
+        persist(profile);
+        setActiveProfileId(profile.id);
+        return profile;
+    }, [persist]);
+
+    const updateActiveProfile = useCallback((criteria) => {
+        updateProfile(activeProfileId, profile => ({ ...profile, criteria: pickProfileFields(criteria), updatedAt: new Date().toISOString() }));
+    }, [activeProfileId, updateProfile]);
+
+    const removeActiveProfile = useCallback(() => {
+        if (!activeProfileId) return;
+        replaceProfiles(latest.current.filter(p => p.id !== activeProfileId));
+        setActiveProfileId(null);
+        deleteProfile(activeProfileId).catch((err) => console.error("Error deleting recipient profile:", err));
+    }, [activeProfileId, replaceProfiles]);
+
+    /**
+     * Logs gift ideas as shown to a recipient.
+     * @param {string|null} profileId - The profile that was active when the search started.
+     * @param {Array<object>} gifts - The gift ideas.
+     * @param {object} criteria - The criteria they were found for.
+     */
+    const recordShownGifts = useCallback((profileId, gifts, criteria) => {
+        updateProfile(profileId, profile => logShownGifts(profile, gifts, criteria));
+    }, [updateProfile]);
+
+    const markPurchased = useCallback((gift, purchased, criteria) => {
+        updateProfile(activeProfileId, profile => setGiftPurchased(profile, gift, purchased, criteria));
+    }, [activeProfileId, updateProfile]);
+
+    const addDate = useCallback((fields) => {
+        updateProfile(activeProfileId, profile => addOccasionDate(profile, fields));
+    }, [activeProfileId, updateProfile]);
+
+    const removeDate = useCallback((id) => {
+        updateProfile(activeProfileId, profile => removeOccasionDate(profile, id));
+    }, [activeProfileId, updateProfile]);
+
+    return {
+        profiles,
+        activeProfile,
+        storageError,
+        selectProfile: setActiveProfileId,
+        addProfile,
+        updateActiveProfile,
+        removeActiveProfile,
+        recordShownGifts,
+        markPurchased,
+        addDate,
+        removeDate,
+    };
+};
@@ -0,0 +1,63 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { upcomingOccasions, dueReminders, localDate } from '../lib/calendar.js';
+import {
+    getReminderPermission, requestReminderPermission, loadSentReminders, saveSentReminders, showReminder
+} from '../lib/reminders.js';
+import { getOccasionLabel } from '../i18n/index.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+// How often an open app looks again for reminders that have become due, e.g. after midnight
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Says how far away an occasion is: "today", "tomorrow" or "in 5 days".
+ * @param {Function} t - The translate function.
+ * @param {number} days - The days left.
+ * @returns {string} The text.
+ */
+export const describeDaysLeft = (t, days) => (days === 0 ? t('calendar.today') : t('calendar.inDays', { count: days }));
+
+/**
+ * Lists the saved recipients' coming occasions and sends a reminder through the service worker
+ * when it is time to start looking for a gift. Reminders are checked when the app opens and every
+ * hour while it stays open; each occurrence is reminded of once.
+ * @param {Array<object>} profiles - The saved profiles.
+ * @returns {{ upcoming: Array<object>, today: string, permission: string, enableReminders: () => Promise<void> }}
+ *   The occasions (see upcomingOccasions), the current day, the notification permission and a way to ask for it.
+ */
+export const useReminders = (profiles) => {
+    const { locale, t } = useI18n();
+    const [today, setToday] = useState(() => localDate());
+    const [permission, setPermission] = useState(getReminderPermission);
+
+    useEffect(() => {
+        const timer = setInterval(() => setToday(localDate()), CHECK_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const upcoming = useMemo(() => upcomingOccasions(profiles, today), [profiles, today]);
+
+    useEffect(() => {
+        if (permission !== 'granted') return;
+        const sent = loadSentReminders();
+        const due = dueReminders(upcoming, sent);
+        if (due.length === 0) return;
+
+        // Recorded before showing, so a re-render while the notifications are pending does not repeat them
+        saveSentReminders(sent, due.map(event => event.key), upcoming.map(event => event.key));
+        due.forEach(event => {
+            const occasion = getOccasionLabel(locale, event.occasion);
+            showReminder(t('calendar.reminder.title', { occasion, name: event.name }), {
+                body: t('calendar.reminder.body', { occasion, name: event.name, when: describeDaysLeft(t, event.daysLeft) }),
+                tag: event.key,
+                url: `/${event.search}`,
+            }).catch((err) => console.error("Error showing reminder:", err));
+        });
+    }, [upcoming, permission, locale, t]);
+
+    const enableReminders = useCallback(async () => {
+        setPermission(await requestReminderPermission());
+    }, []);
+
+    return { upcoming, today, permission, enableReminders };
+};
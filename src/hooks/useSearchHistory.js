@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { criteriaToSearch, criteriaFromSearch, decodeGifts, RESULTS_PARAM } from '../lib/urlState.js';
+import { useI18n } from '../i18n/I18nContext.js';
+
+// Labels of the result entries pushed in this tab, so Back/Forward can say where they lead
+// and Forward survives a reload
+const TRAIL_KEY = 'gift-finder:result-trail';
+
+const readTrail = () => {
+    try {
+        const trail = JSON.parse(sessionStorage.getItem(TRAIL_KEY));
+        return Array.isArray(trail) ? trail : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Keeps the search form in the URL and the generated results in the browser history.
+ * Each generation is a history entry whose state holds the gift ideas, so the app's
+ * Back/Forward buttons, the browser's own buttons and reloads all restore the same thing.
+ * @param {object} options
+ * @param {object} options.criteria - The current form values.
+ * @param {(criteria: object) => void} options.applyCriteria - Writes values back into the form.
+ * @param {(gifts: Array<object>, criteria: object) => void} options.setGiftIdeas - Shows a set of gift ideas and the criteria they were found for.
+ * @param {(error: { task: string, kind: string }) => void} options.onError - Reports a shared link that could not be read.
+ * @returns {object} History position, labels of the neighbouring entries and navigation actions.
+ */
+export const useSearchHistory = ({ criteria, applyCriteria, setGiftIdeas, onError }) => {
+    const { t } = useI18n();
+    const [historyIndex, setHistoryIndex] = useState(() => window.history.state?.resultIndex ?? -1);
+    const [trail, setTrail] = useState(readTrail);
+
+    const updateTrail = useCallback((next) => {
+        setTrail(next);
+        sessionStorage.setItem(TRAIL_KEY, JSON.stringify(next));
+    }, []);
+
+    // What the load below calls back into, always the latest, so it can run once without going stale
+    const onLoad = useRef(null);
+    useEffect(() => {
+        onLoad.current = { setGiftIdeas, onError, updateTrail, t };
+    });
+
+    // On load, show the results of a reloaded entry or of a shared link
+    useEffect(() => {
+        const state = window.history.state;
+        if (state?.giftIdeas) {
+            onLoad.current.setGiftIdeas(state.giftIdeas, criteriaFromSearch(window.location.search));
+            return;
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        const encoded = params.get(RESULTS_PARAM);
+        if (!encoded) return;
+
+        // The results live in history state from here on; drop them from the visible URL
+        params.delete(RESULTS_PARAM);
+        const search = params.toString();
+        const cleanUrl = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+
+        decodeGifts(encoded)
+            .then((gifts) => {
+                window.history.replaceState({ giftIdeas: gifts, resultIndex: 0 }, '', cleanUrl);
+                onLoad.current.setGiftIdeas(gifts, criteriaFromSearch(search));
+                setHistoryIndex(0);
+                onLoad.current.updateTrail([onLoad.current.t('share.sharedIdeas')]);
+            })
+            .catch((err) => {
+                console.error("Error reading shared gift ideas:", err);
+                window.history.replaceState(null, '', cleanUrl);
+                onLoad.current.onError({ task: 'link', kind: 'damagedLink' });
+            });
+    }, []);
+
+    // Browser back/forward: restore both the form and the results of that entry
+    useEffect(() => {
+        const onPopState = (event) => {
+            applyCriteria(criteriaFromSearch(window.location.search));
+            setGiftIdeas(event.state?.giftIdeas || [], criteriaFromSearch(window.location.search));
+            setHistoryIndex(event.state?.resultIndex ?? -1);
+        };
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, [applyCriteria, setGiftIdeas]);
+
+    // Mirror the form into the current entry's URL while typing
+    const search = criteriaToSearch(criteria);
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            if (window.location.search !== search) {
+                window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [search]);
+
+    /**
+     * Records a new set of results as a history entry, discarding any entries ahead of this one.
+     * @param {Array<object>} gifts - The gift ideas.
+     * @param {object} resultCriteria - The form values that produced them.
+     * @param {string} label - Describes the search, shown on the Back/Forward buttons.
+     */
+    const pushResults = useCallback((gifts, resultCriteria, label) => {
+        const resultIndex = historyIndex + 1;
+        window.history.pushState({ giftIdeas: gifts, resultIndex }, '', `${window.location.pathname}${criteriaToSearch(resultCriteria)}`);
+        setHistoryIndex(resultIndex);
+        updateTrail([...Array.from({ length: resultIndex }, (_, i) => trail[i] || ''), label]);
+    }, [historyIndex, trail, updateTrail]);
+
+    const canGoBack = historyIndex > 0;
+    const canGoForward = historyIndex < trail.length - 1;
+
+    return {
+        pushResults,
+        canGoBack,
+        canGoForward,
+        backLabel: canGoBack ? trail[historyIndex - 1] || '' : '',
+        forwardLabel: canGoForward ? trail[historyIndex + 1] || '' : '',
+        goBack: useCallback(() => window.history.back(), []),
+        goForward: useCallback(() => window.history.forward(), []),
+    };
+};
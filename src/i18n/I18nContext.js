@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+import { createI18n, DEFAULT_LANGUAGE } from './index.js';
+
+export const I18nContext = createContext(null);
+
+const fallback = createI18n(DEFAULT_LANGUAGE);
+
+/**
+ * Returns the current language, its locale, the translate function and setLanguage.
+ * Components rendered outside the provider (e.g. in tests) get English.
+ * @returns {{ language: string, locale: object, t: (key: string, params?: object) => string, setLanguage?: (language: string) => void }}
+ */
+export const useI18n = () => useContext(I18nContext) || fallback;
@@ -0,0 +1,11 @@
+import React from 'react';
+import { I18nContext } from './I18nContext.js';
+import { useLanguage } from '../hooks/useLanguage.js';
+
+// Provides the chosen language, its translate function and setLanguage to the whole app
+const I18nProvider = ({ children }) => {
+    const i18n = useLanguage();
+    return <I18nContext.Provider value={i18n}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,112 @@
+import en from './locales/en.js';
+import de from './locales/de.js';
+import es from './locales/es.js';
+
+// Every locale has the same shape as en.js; missing messages fall back to English
+export const LOCALES = { en, de, es };
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Picks the first supported language from the browser's preferences.
+ * @param {readonly string[]} preferred - BCP 47 tags, e.g. navigator.languages.
+ * @returns {string} A key of LOCALES.
+ */
+export const detectLanguage = (preferred = []) => {
+    for (const tag of preferred) {
+        const language = String(tag).split('-')[0].toLowerCase();
+        if (language in LOCALES) return language;
+    }
+    return DEFAULT_LANGUAGE;
+};
+
+/**
+ * Looks up a message and fills in its {placeholders}. A message may be an object of
+ * plural forms ({ one, other }), chosen by params.count.
+ * @param {object} locale - The locale.
+ * @param {string} key - The message key.
+ * @param {object} [params] - Values for the placeholders; `fallback` is used when no locale has the message.
+ * @returns {string} The message, or the fallback (else the key itself) when no locale has it.
+ */
+export const translate = (locale, key, params = {}) => {
+    let message = locale.messages[key] ?? en.messages[key] ?? params.fallback ?? key;
+    if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(locale.code).select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * Splits a sentence template into text and {slot} tokens.
+ * @param {string} template - E.g. "I need {a} {occasion} gift".
+ * @returns {Array<{ type: 'text', text: string } | { type: 'slot', name: string }>} The tokens.
+ */
+export const parseSentence = (template) =>
+    template.split(/(\{\w+\})/).filter(Boolean).map(part => {
+        const slot = /^\{(\w+)\}$/.exec(part);
+        return slot ? { type: 'slot', name: slot[1] } : { type: 'text', text: part };
+    });
+
+/**
+ * Returns how a relationship reads in this locale for the recipient's gender,
+ * e.g. "parent" for she is "Mutter" (feminine) in German.
+ * @param {object} locale - The locale.
+ * @param {string} relationship - The relationship key.
+ * @param {string} gender - The gender key ('he', 'she', 'they' or '').
+ * @returns {{ label: string, nounGender: string|null }} The label and its grammatical gender.
+ */
+export const getRelationshipForm = (locale, relationship, gender) => {
+    const entry = locale.relationships[relationship];
+    if (!entry) return { label: relationship, nounGender: null };
+    const form = typeof entry === 'string' ? entry : entry[gender] || entry.they;
+    return Array.isArray(form) ? { label: form[0], nounGender: form[1] } : { label: form, nounGender: null };
+};
+
+/**
+ * Returns the label of an occasion in this locale, or the stored value for unknown occasions.
+ * @param {object} locale - The locale.
+ * @param {string} occasion - The occasion key.
+ * @returns {string} The label.
+ */
+export const getOccasionLabel = (locale, occasion) =>
+    Object.hasOwn(locale.occasions, occasion) ? locale.occasions[occasion].label : occasion;
+
+/**
+ * Returns the select options for occasions, relationships or genders, sorted by label.
+ * @param {object} locale - The locale.
+ * @param {'occasions'|'relationships'|'genders'} kind - Which list.
+ * @param {string} [gender] - The recipient's gender, which can change relationship labels.
+ * @returns {Array<{ value: string, label: string }>} The options.
+ */
+export const getOptions = (locale, kind, gender = '') => {
+    const options = Object.keys(locale[kind]).map(value => ({
+        value,
+        label: kind === 'relationships' ? getRelationshipForm(locale, value, gender).label
+            : kind === 'occasions' ? locale.occasions[value].label
+            : locale[kind][value],
+    }));
+    // The gender pronouns keep their natural he/she/they order
+    return kind === 'genders' ? options : options.sort((a, b) => a.label.localeCompare(b.label, locale.code));
+};
+
+/**
+ * Computes the words of the sentence form that depend on the chosen values
+ * (articles, pronouns, verb forms), using the locale's grammar.
+ * @param {object} locale - The locale.
+ * @param {{ occasion: string, relationship: string, gender: string }} values - The form values.
+ * @returns {object} The words, keyed by sentence slot.
+ */
+export const getSentenceWords = (locale, { occasion, relationship, gender }) => locale.grammar({
+    occasion: locale.occasions[occasion] || null,
+    relationship: getRelationshipForm(locale, relationship, gender),
+    gender,
+});
+
+/**
+ * Bundles a locale with its translate function.
+ * @param {string} language - A key of LOCALES.
+ * @returns {{ language: string, locale: object, t: (key: string, params?: object) => string }}
+ */
+export const createI18n = (language) => {
+    const locale = LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+    return { language: locale.code, locale, t: (key, params) => translate(locale, key, params) };
+};
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { LOCALES, detectLanguage, translate, parseSentence, getOptions, getSentenceWords, getOccasionLabel } from './index.js';
+
+// Fills a locale's sentence with the chosen labels and grammar words, as the form shows it
+const renderSentence = (locale, values) => {
+    const words = getSentenceWords(locale, values);
+    const labels = Object.fromEntries(['occasions', 'relationships', 'genders'].map(kind => [
+        kind,
+        Object.fromEntries(getOptions(locale, kind, values.gender).map(option => [option.value, option.label])),
+    ]));
+    const fields = {
+        occasion: labels.occasions[values.occasion],
+        relationship: labels.relationships[values.relationship],
+        gender: labels.genders[values.gender],
+    };
+    return parseSentence(locale.sentence)
+        .map(token => token.type === 'text' ? token.text : fields[token.name] ?? words[token.name] ?? `<${token.name}>`)
+        .join('')
+        .replace(/\s+/g, ' ');
+};
+
+describe('detectLanguage', () => {
+    it.each([
+        [['de-AT', 'en'], 'de'],
+        [['fr-FR', 'es-MX'], 'es'],
+        [['fr'], 'en'],
+        [[], 'en'],
+    ])('picks the first supported language of %j', (preferred, expected) => {
+        expect(detectLanguage(preferred)).toBe(expected);
+    });
+});
+
+describe('translate', () => {
+    it('fills in placeholders', () => {
+        expect(translate(LOCALES.de, 'giftLog.title', { name: 'Mama' })).toBe('Geschenkverlauf für Mama');
+    });
+
+    it.each([
+        [1, 'Revised once: shorter'],
+        [3, 'Revised 3 times: shorter'],
+    ])('chooses the plural form for %i', (count, expected) => {
+        expect(translate(LOCALES.en, 'card.revised', { count, steps: 'shorter' })).toBe(expected);
+    });
+
+    it('falls back to English, then to the fallback, then to the key', () => {
+        const partial = { ...LOCALES.de, messages: {} };
+        expect(translate(partial, 'actions.stop')).toBe('Stop');
+        expect(translate(partial, 'category.toys', { fallback: 'toys' })).toBe('toys');
+        expect(translate(partial, 'no.such.key')).toBe('no.such.key');
+    });
+
+    it.each(Object.keys(LOCALES))('has every message in %s', (language) => {
+        expect(Object.keys(LOCALES[language].messages).sort()).toEqual(Object.keys(LOCALES.en.messages).sort());
+    });
+});
+
+describe('locales', () => {
+    it.each(Object.keys(LOCALES))('labels every occasion, relationship and gender in %s', (language) => {
+        const locale = LOCALES[language];
+        for (const kind of ['occasions', 'relationships', 'genders']) {
+            expect(Object.keys(locale[kind]).sort()).toEqual(Object.keys(LOCALES.en[kind]).sort());
+        }
+        expect(Object.keys(locale.placeholders).sort()).toEqual(Object.keys(LOCALES.en.placeholders).sort());
+    });
+
+    it.each(Object.keys(LOCALES))('has a headline for every occasion in %s', (language) => {
+        for (const occasion of Object.keys(LOCALES.en.occasions)) {
+            expect(LOCALES[language].messages[`export.headline.${occasion}`]).toBeTruthy();
+        }
+    });
+});
+
+describe('parseSentence', () => {
+    it('splits text and slots', () => {
+        expect(parseSentence('I need {article} {occasion} gift.')).toEqual([
+            { type: 'text', text: 'I need ' },
+            { type: 'slot', name: 'article' },
+            { type: 'text', text: ' ' },
+            { type: 'slot', name: 'occasion' },
+            { type: 'text', text: ' gift.' },
+        ]);
+    });
+});
+
+describe('getOptions', () => {
+    it('sorts occasions by their translated label', () => {
+        const labels = getOptions(LOCALES.de, 'occasions').map(option => option.label);
+        expect(labels).toEqual([...labels].sort((a, b) => a.localeCompare(b, 'de')));
+        expect(labels[0]).toBe('Abschluss');
+    });
+
+    it('keeps the pronouns in their natural order', () => {
+        expect(getOptions(LOCALES.en, 'genders').map(option => option.value)).toEqual(['he', 'she', 'they']);
+    });
+
+    it.each([
+        ['he', 'Vater'],
+        ['she', 'Mutter'],
+        ['they', 'Elternteil'],
+        ['', 'Elternteil'],
+    ])('labels a German parent for %j as %s', (gender, label) => {
+        expect(getOptions(LOCALES.de, 'relationships', gender).find(option => option.value === 'parent').label).toBe(label);
+    });
+});
+
+describe('sentence grammar', () => {
+    it.each([
+        // [language, values, sentence start]
+        ['en', { occasion: 'anniversary', relationship: 'friend', gender: 'they' }, 'I need an Anniversary gift for my friend'],
+        ['en', { occasion: 'birthday', relationship: 'friend', gender: 'she' }, 'I need a Birthday gift for my friend'],
+        ['de', { occasion: 'birthday', relationship: 'parent', gender: 'he' }, 'Ich suche ein Geschenk zum Geburtstag für meinen Vater, der'],
+        ['de', { occasion: 'baby shower', relationship: 'parent', gender: 'she' }, 'Ich suche ein Geschenk zur Babyparty für meine Mutter, die'],
+        ['de', { occasion: 'thank you', relationship: 'child', gender: 'they' }, 'Ich suche ein Geschenk zum Dankeschön für mein Kind, das'],
+        ['de', { occasion: 'just because', relationship: 'sibling', gender: 'she' }, 'Ich suche ein Geschenk einfach so für meine Schwester, die'],
+        ['es', { occasion: "mother's day", relationship: 'parent', gender: 'she' }, 'Necesito un regalo del Día de la Madre para mi madre'],
+        ['es', { occasion: 'birthday', relationship: 'friend', gender: 'he' }, 'Necesito un regalo de cumpleaños para mi amigo'],
+        ['es', { occasion: 'just because', relationship: 'friend', gender: 'she' }, 'Necesito un regalo porque sí para mi amiga'],
+    ])('reads naturally in %s for %j', (language, values, expected) => {
+        expect(renderSentence(LOCALES[language], values)).toMatch(new RegExp(`^${expected}`));
+    });
+
+    it.each([
+        ['en', 'he', 'He is interested in <interests> and notable events in his life'],
+        ['en', 'they', 'They are interested in <interests> and notable events in their life'],
+        ['de', 'he', 'Er interessiert sich für <interests>, und wichtige Ereignisse in seinem Leben'],
+        ['de', 'they', 'Die Person interessiert sich für <interests>, und wichtige Ereignisse in ihrem Leben'],
+    ])('agrees with the pronoun in %s for %s', (language, gender, expected) => {
+        expect(renderSentence(LOCALES[language], { occasion: 'birthday', relationship: 'friend', gender })).toContain(expected);
+    });
+});
+
+describe('getOccasionLabel', () => {
+    it.each([
+        ['de', 'holiday', 'Fest'],
+        ['es', "valentine's", 'San Valentín'],
+        ['de', 'bar mitzvah', 'bar mitzvah'],
+        ['de', 'constructor', 'constructor'],
+    ])('labels %s %j as %j', (language, occasion, label) => {
+        expect(getOccasionLabel(LOCALES[language], occasion)).toBe(label);
+    });
+});
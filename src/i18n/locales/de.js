@@ -0,0 +1,357 @@
+// German. Relationship nouns change with the recipient's gender and carry their grammatical
+// gender (m/f/n), which picks the possessive ("meinen Vater", "meine Mutter", "mein Kind")
+// and the relative pronoun; occasions carry theirs for "zum"/"zur".
+const de = {
+    code: 'de',
+    name: 'Deutsch',
+    defaultCurrency: 'EUR',
+
+    sentence: 'Ich suche ein Geschenk {preposition} {occasion} für {possessive} {relationship}, {relative} {age} Jahre alt ist. {gender} interessiert sich für {interests}, und wichtige Ereignisse in {lifePossessive} Leben sind {notableEvents}.',
+    placeholders: {
+        occasion: 'Anlass',
+        relationship: 'Beziehung',
+        age: 'Alter',
+        gender: 'Person',
+        interests: 'Interessen',
+        notableEvents: 'Ereignisse',
+    },
+
+    occasions: {
+        'anniversary': { label: 'Jahrestag', gender: 'm' },
+        'baby shower': { label: 'Babyparty', gender: 'f' },
+        'birthday': { label: 'Geburtstag', gender: 'm' },
+        "father's day": { label: 'Vatertag', gender: 'm' },
+        'graduation': { label: 'Abschluss', gender: 'm' },
+        'holiday': { label: 'Fest', gender: 'n' },
+        'housewarming': { label: 'Einzug', gender: 'm' },
+        // Reads "ein Geschenk einfach so für …", without a preposition
+        'just because': { label: 'einfach so', gender: null },
+        "mother's day": { label: 'Muttertag', gender: 'm' },
+        'retirement': { label: 'Ruhestand', gender: 'm' },
+        'thank you': { label: 'Dankeschön', gender: 'n' },
+        "valentine's": { label: 'Valentinstag', gender: 'm' },
+    },
+    // Accusative forms, as they follow "für"
+    relationships: {
+        child: { he: ['Sohn', 'm'], she: ['Tochter', 'f'], they: ['Kind', 'n'] },
+        colleague: { he: ['Kollegen', 'm'], she: ['Kollegin', 'f'], they: ['Teammitglied', 'n'] },
+        friend: { he: ['Freund', 'm'], she: ['Freundin', 'f'], they: ['Freund', 'm'] },
+        grandparent: { he: ['Opa', 'm'], she: ['Oma', 'f'], they: ['Großelternteil', 'n'] },
+        other: { he: ['Bekannten', 'm'], she: ['Bekannte', 'f'], they: ['Bekannten', 'm'] },
+        parent: { he: ['Vater', 'm'], she: ['Mutter', 'f'], they: ['Elternteil', 'n'] },
+        partner: { he: ['Partner', 'm'], she: ['Partnerin', 'f'], they: ['Partner', 'm'] },
+        sibling: { he: ['Bruder', 'm'], she: ['Schwester', 'f'], they: ['Geschwisterkind', 'n'] },
+    },
+    genders: { he: 'Er', she: 'Sie', they: 'Die Person' },
+
+    grammar: ({ occasion, relationship, gender }) => {
+        const nounGender = relationship.nounGender || 'm';
+        return {
+            preposition: occasion && !occasion.gender ? '' : occasion?.gender === 'f' ? 'zur' : 'zum',
+            possessive: { m: 'meinen', f: 'meine', n: 'mein' }[nounGender],
+            relative: { m: 'der', f: 'die', n: 'das' }[nounGender],
+            lifePossessive: gender === 'he' ? 'seinem' : 'ihrem',
+        };
+    },
+
+    messages: {
+        'language.label': 'Sprache',
+
+        'connection.online': 'Online',
+        'connection.offline': 'Offline',
+        'connection.offlineNote': 'Gespeicherte Personen, Verlauf und Merkliste funktionieren weiterhin.',
+        'connection.queued.gifts': 'Geschenksuche wartet auf die Verbindung',
+        'connection.queued.card': 'Kartentext wartet auf die Verbindung',
+        'connection.queued.group': 'Gruppensuche wartet auf die Verbindung',
+        'connection.cancel': 'Abbrechen',
+        'connection.cancelRequest': 'Abbrechen: {request}',
+
+        'form.price': 'Preis:',
+        'form.currency': 'Währung',
+        'form.min': 'min',
+        'form.max': 'max',
+        'form.heading': 'Geschenkefinder',
+        'form.legend': 'Für wen das Geschenk ist',
+        'form.label.occasion': 'Anlass',
+        'form.label.relationship': 'Beziehung',
+        'form.label.age': 'Alter in Jahren',
+        'form.label.gender': 'Pronomen',
+        'form.label.interests': 'Interessen',
+        'form.label.notableEvents': 'Wichtige Ereignisse',
+        'form.minPrice': 'Mindestpreis in {currency}',
+        'form.maxPrice': 'Höchstpreis in {currency}',
+
+        'status.findingGifts': 'Geschenkideen werden gesucht …',
+
+        'status.findingSimilar': 'Ideen wie {name} werden gesucht …',
+        'status.giftsFound': { one: '1 Geschenkidee gefunden.', other: '{count} Geschenkideen gefunden.' },
+        'status.giftsCached': { one: '1 gespeicherte Geschenkidee aus einer früheren Suche.', other: '{count} gespeicherte Geschenkideen aus einer früheren Suche.' },
+        'status.writingCard': 'Der Kartentext wird geschrieben …',
+        'status.cardWritten': { one: 'Der Kartentext ist fertig.', other: '{count} Versionen des Kartentexts sind fertig.' },
+        'status.stopped': 'Angehalten.',
+        'status.findingGroupGifts': 'Suche Geschenkideen für die Gruppe…',
+        'status.groupGiftsFound': { one: '1 Geschenkidee für die Gruppe gefunden.', other: '{count} Geschenkideen für die Gruppe gefunden.' },
+        'status.queued.gifts': 'Du bist offline. Die Geschenksuche startet, sobald die Verbindung zurück ist.',
+        'status.queued.card': 'Du bist offline. Der Kartentext wird geschrieben, sobald die Verbindung zurück ist.',
+        'status.queued.group': 'Du bist offline. Die Gruppensuche startet, sobald die Verbindung zurück ist.',
+
+        'actions.findGifts': 'Geschenke finden',
+        'actions.refresh': 'Neue Ideen',
+        'actions.cardMessage': '✨ Kartentext schreiben',
+        'actions.stop': 'Stopp',
+        'actions.back': 'Zurück',
+        'actions.forward': 'Weiter',
+        'actions.backTo': 'Zurück zu: {label}',
+        'actions.forwardTo': 'Weiter zu: {label}',
+
+        'errors.title': 'Fehler:',
+        'errors.gifts': 'Es konnten keine Geschenkideen gefunden werden.',
+        'errors.card': 'Der Kartentext konnte nicht geschrieben werden.',
+        'errors.group': 'Es konnten keine Geschenkideen für die Gruppe gefunden werden.',
+        'errors.link': 'Die geteilten Geschenkideen konnten nicht angezeigt werden.',
+        'errors.kind.quotaExceeded': 'Das Kontingent des Modells ist vorerst aufgebraucht.',
+        'errors.kind.invalidKey': 'Der Geschenkefinder ist nicht richtig eingerichtet (der API-Schlüssel des Modells wurde abgelehnt). Bitte gib dem Betreiber Bescheid.',
+        'errors.kind.safetyBlock': 'Das Modell hat die Antwort verweigert. Formuliere die Interessen oder besonderen Ereignisse anders.',
+        'errors.kind.offline': 'Du scheinst offline zu sein. Prüfe deine Verbindung und versuche es noch einmal.',
+        'errors.kind.network': 'Der Server ist nicht erreichbar. Bitte versuche es noch einmal.',
+        'errors.kind.malformedOutput': 'Die Antwort des Modells war nicht lesbar. Ein neuer Versuch hilft meistens.',
+        'errors.kind.timeout': 'Das Modell hat zu lange für die Antwort gebraucht.',
+        'errors.kind.rateLimited': 'Zu viele Anfragen in kurzer Zeit.',
+        'errors.kind.unavailable': 'Das Modell ist gerade nicht erreichbar.',
+        'errors.kind.damagedLink': 'Dieser geteilte Link ist beschädigt.',
+        'errors.kind.unknown': 'Etwas ist schiefgelaufen ({message}).',
+        'errors.retryIn': { one: 'Du kannst es in 1 Sekunde erneut versuchen.', other: 'Du kannst es in {count} Sekunden erneut versuchen.' },
+        'errors.retry': 'Erneut versuchen',
+        'errors.edit': 'Angaben ändern',
+
+        'mode.label': 'Geschenke für',
+        'mode.single': 'Eine Person',
+        'mode.group': 'Eine Gruppe',
+
+        'group.heading': 'Geschenke für eine Gruppe planen',
+        'group.budget': 'Gesamtbudget',
+        'group.person': 'Person {number}',
+        'group.name': 'Name',
+        'group.remove': '{name} entfernen',
+        'group.add': 'Person hinzufügen',
+        'group.addProfile': 'Gespeicherte Person hinzufügen…',
+        'group.full': { one: 'Eine Gruppe kann bis zu 1 Person haben.', other: 'Eine Gruppe kann bis zu {count} Personen haben.' },
+        'group.find': 'Geschenke für alle finden',
+        'group.needs': 'Wähle einen Anlass und ein Gesamtbudget von mindestens 1 pro Person.',
+        'group.results': 'Geschenkideen für die Gruppe:',
+        'group.budgetFor': 'Budget: {amount}',
+        'group.summary': 'Budgetübersicht',
+        'group.summary.person': 'Person',
+        'group.summary.budget': 'Budget',
+        'group.summary.chosen': 'Ausgewählt',
+        'group.summary.total': 'Summe',
+        'group.summary.all': 'Alle',
+        'group.summary.over': '{amount} zu viel',
+        'group.summary.left': '{amount} übrig',
+
+        'profiles.recipient': 'Für:',
+        'profiles.newSearch': 'Neue Suche',
+        'profiles.namePlaceholder': 'z. B. Mama, Sam aus dem Büro',
+        'profiles.nameLabel': 'Profilname',
+        'profiles.save': 'Speichern',
+        'profiles.cancel': 'Abbrechen',
+        'profiles.saveNew': 'Als neues Profil speichern',
+        'profiles.update': 'Profil aktualisieren',
+        'profiles.delete': 'Löschen',
+        'profiles.unavailable': 'Gespeicherte Empfänger sind in diesem Browser nicht verfügbar.',
+        'profiles.saveFailed': 'Das Empfängerprofil konnte nicht gespeichert werden.',
+        'profiles.confirmDelete': 'Das Profil „{name}“ samt Geschenkverlauf löschen?',
+
+        'results.title': 'Besondere Geschenkideen:',
+        'results.linkNote': 'Hinweis: Die Kauflinks werden von einer KI erzeugt und können veraltet sein oder auf eine allgemeine Suchseite führen. Wenn ein Link nicht funktioniert, passe die Suche an.',
+        'results.cached': 'Gespeicherte Ergebnisse vom {date}. Für neue Vorschläge „{refresh}“ wählen.',
+        'results.sort': 'Sortieren',
+        'results.category': 'Kategorie',
+        'results.allCategories': 'Alle',
+        'results.withinBudgetOnly': 'Nur im Budget',
+        'results.noMatches': 'Keine Geschenkidee passt zu diesen Filtern.',
+        'results.withinBudget': 'Im Budget',
+        'results.purchase': 'Hier kaufen',
+        'results.noLink': 'Kein direkter Kauflink vorhanden. Versuche eine Suche im Netz.',
+        'results.markPurchased': 'Als gekauft markieren',
+        'results.purchasedFor': '✓ Gekauft für {name}',
+        'feedback.like': '{name} gefällt mir',
+        'feedback.dislike': '{name} gefällt mir nicht',
+        'feedback.likeTitle': 'Beim Aktualisieren mehr Ideen wie diese',
+        'feedback.dislikeTitle': 'Beim Aktualisieren weniger Ideen wie diese',
+        'feedback.moreLikeThis': 'Mehr davon',
+        'feedback.moreLikeThisNamed': 'Mehr Ideen wie {name}',
+        'feedback.why': 'Warum?',
+        'feedback.whyLiked': 'Warum dir {name} gefällt',
+        'feedback.whyDisliked': 'Warum dir {name} nicht gefällt',
+        'feedback.reason.fits-interests': 'Passt zu den Interessen',
+        'feedback.reason.good-value': 'Preiswert',
+        'feedback.reason.original': 'Originell',
+        'feedback.reason.too-generic': 'Zu beliebig',
+        'feedback.reason.over-budget': 'Über dem Budget',
+        'feedback.reason.already-owns': 'Hat es schon',
+        'feedback.reason.not-their-style': 'Passt nicht zum Stil',
+
+        'analytics.bannerLabel': 'Nutzungsstatistik',
+        'analytics.bannerText': 'Dürfen wir anonyme Nutzungsstatistiken erfassen? Sie zeigen uns, nach welchen Anlässen und Preisspannen gesucht wird und in welchen Shops gekauft wird, aber nie, was du eingibst. Du kannst das jederzeit unten auf der Seite ändern.',
+        'analytics.allow': 'Erlauben',
+        'analytics.decline': 'Nein, danke',
+        'analytics.settings': 'Datenschutz',
+        'analytics.share': 'Anonyme Nutzungsstatistik teilen',
+        'analytics.doNotTrack': 'Nicht verfolgen',
+        'analytics.browserDoNotTrack': 'Dein Browser bittet Websites, dich nicht zu verfolgen, daher wird nichts erfasst.',
+
+        'sort.suggested': 'Vorgeschlagene Reihenfolge',
+        'sort.price-asc': 'Preis: aufsteigend',
+        'sort.price-desc': 'Preis: absteigend',
+
+        'category.experience': 'Erlebnis',
+        'category.gadget': 'Technik',
+        'category.handmade': 'Handgemacht',
+        'category.consumable': 'Genuss',
+        'category.book': 'Buch',
+        'category.clothing': 'Kleidung',
+        'category.home': 'Zuhause',
+        'category.hobby': 'Hobby',
+        'category.beauty': 'Pflege',
+        'category.subscription': 'Abo',
+        'category.other': 'Sonstiges',
+
+        'favorites.add': '{name} auf die Merkliste setzen',
+        'favorites.remove': '{name} von der Merkliste nehmen',
+        'favorites.addTitle': 'Auf die Merkliste',
+        'favorites.removeTitle': 'Von der Merkliste nehmen',
+        'favorites.shortlist': '♡ Merken',
+        'favorites.shortlisted': '♥ Gemerkt',
+
+        'shortlist.show': 'Merkliste vergleichen ({count})',
+        'shortlist.hide': 'Merkliste ausblenden ({count})',
+        'shortlist.empty': 'Tippe bei einer Geschenkidee auf ♡, um sie zu merken.',
+        'shortlist.field': 'Feld',
+        'shortlist.actions': 'Aktionen',
+        'shortlist.description': 'Beschreibung',
+        'shortlist.price': 'Geschätzter Preis',
+        'shortlist.retailer': 'Händler',
+        'shortlist.for': 'Für',
+        'shortlist.picked': '✓ Ausgewählt am {date}',
+        'shortlist.pick': 'Das wird’s',
+        'shortlist.remove': 'Entfernen',
+
+        'giftLog.title': 'Geschenkverlauf für {name}',
+        'giftLog.note': 'Als gekauft markierte Geschenke werden {name} nicht noch einmal vorgeschlagen.',
+        'giftLog.purchasedOn': 'Gekauft am {date}',
+        'giftLog.suggestedOn': 'Vorgeschlagen am {date}',
+        'giftLog.purchased': 'Gekauft',
+
+        'calendar.datesFor': 'Termine von {name}',
+        'calendar.yearly': 'jährlich',
+        'calendar.removeDate': 'Termin {occasion} entfernen',
+        'calendar.date': 'Datum',
+        'calendar.everyYear': 'Jedes Jahr',
+        'calendar.leadDays': 'Tage vorher mit der Suche beginnen',
+        'calendar.addDate': 'Termin hinzufügen',
+        'calendar.show': 'Anstehende Anlässe anzeigen ({count})',
+        'calendar.hide': 'Anstehende Anlässe ausblenden ({count})',
+        'calendar.empty': 'Füge einer gespeicherten Person Termine hinzu, etwa den Geburtstag, um sie hier zu sehen.',
+        'calendar.enableReminders': 'Erinnerungen einschalten',
+        'calendar.remindersOn': 'Erinnerungen sind eingeschaltet',
+        'calendar.remindersBlocked': 'Benachrichtigungen sind in diesem Browser blockiert',
+        'calendar.download': 'Zum Kalender hinzufügen (.ics)',
+        'calendar.today': 'heute',
+        'calendar.inDays': { one: 'morgen', other: 'in {count} Tagen' },
+        'calendar.searchNow': 'Zeit, ein Geschenk zu suchen',
+        'calendar.searchFrom': 'Suche ab {date} beginnen',
+        'calendar.find': 'Geschenke finden',
+        'calendar.event': '{occasion}: {name}',
+        'calendar.eventNote': 'Finde ein Geschenk mit dem Geschenkefinder.',
+        'calendar.reminder.title': '{occasion} von {name}',
+        'calendar.reminder.body': 'Es ist {when}. Zeit, ein Geschenk zu finden!',
+
+        'share.copy': 'Link zum Teilen kopieren',
+        'share.includeResults': 'Diese Geschenkideen mitschicken',
+        'share.copied': 'Link kopiert!',
+        'share.linkLabel': 'Link zum Teilen',
+        'share.sharedIdeas': 'Geteilte Geschenkideen',
+
+        'history.show': 'Suchverlauf anzeigen ({count})',
+        'history.hide': 'Suchverlauf ausblenden ({count})',
+        'history.searchPlaceholder': 'Frühere Suchen und Geschenkideen durchsuchen',
+        'history.searchLabel': 'Suchverlauf durchsuchen',
+        'history.clearAll': 'Alles löschen',
+        'history.confirmClearAll': 'Alle gespeicherten Suchen löschen, auch die angehefteten?',
+        'history.empty': 'Hier erscheinen deine Suchen.',
+        'history.noMatches': 'Keine Suche passt.',
+        'history.pinned': 'Angeheftet',
+        'history.restore': 'Wiederherstellen',
+        'history.pin': 'Anheften',
+        'history.unpin': 'Lösen',
+        'history.delete': 'Löschen',
+        'history.describe': '{occasion}: Geschenk für {relationship}',
+        'history.describeNoOccasion': 'Ein Geschenk für {relationship}',
+        'history.someone': 'jemanden',
+
+        'card.options': 'Optionen für den Kartentext',
+        'card.tone': 'Ton',
+        'card.length': 'Länge',
+        'card.signature': 'Unterschrift',
+        'card.signaturePlaceholder': 'z. B. Alex & Jamie',
+        'card.variants': 'Versionen',
+        'card.insideJokes': 'Insider-Witze oder gemeinsame Erinnerungen',
+        'card.insideJokesPlaceholder': 'z. B. der Zeltausflug, an dem es die ganze Woche geregnet hat',
+        'card.tone.heartfelt': 'Herzlich',
+        'card.tone.funny': 'Lustig',
+        'card.tone.sentimental': 'Gefühlvoll',
+        'card.tone.formal': 'Förmlich',
+        'card.tone.poem': 'Reimgedicht',
+        'card.tone.haiku': 'Haiku',
+        'card.length.short': 'Kurz',
+        'card.length.medium': 'Mittel',
+        'card.length.long': 'Lang',
+        'card.title': 'Dein persönlicher Kartentext:',
+        'card.revised': { one: 'Einmal überarbeitet: {steps}', other: '{count}-mal überarbeitet: {steps}' },
+        'card.refineLabel': 'Was soll sich am gewählten Text ändern?',
+        'card.refinePlaceholder': 'z. B. „erwähne die Wanderung“',
+        'card.refine': 'Überarbeiten',
+        'card.suggestion.shorter': 'Kürzer',
+        'card.suggestion.funnier': 'Lustiger',
+        'card.suggestion.personal': 'Persönlicher',
+        'card.suggestion.lessFormal': 'Weniger förmlich',
+
+        'export.title': 'Drucken oder herunterladen',
+        'export.template': 'Vorlage',
+        'export.revealGift': 'Geschenk verraten',
+        'export.noGift': 'Ohne Geschenkhinweis',
+        'export.pdf': 'PDF herunterladen',
+        'export.png': 'PNG herunterladen',
+        'export.print': 'Drucken',
+        'export.failed': 'Die Karte konnte nicht exportiert werden: {message}',
+        'export.previewAlt': '{page} der Karte',
+        'export.template.folded-a5': 'Klappkarte (A5)',
+        'export.template.postcard': 'Postkarte',
+        'export.template.gift-tag': 'Geschenkanhänger',
+        'export.hint.folded-a5': 'Beide Seiten doppelseitig auf ein A5-Blatt drucken und in der Mitte falten.',
+        'export.hint.postcard': 'Vorder- und Rückseite doppelseitig auf A6-Karton drucken.',
+        'export.hint.gift-tag': 'Am Rand ausschneiden und das markierte Loch stanzen.',
+        'export.page.outside': 'Außenseite',
+        'export.page.inside': 'Innenseite',
+        'export.page.front': 'Vorderseite',
+        'export.page.back': 'Rückseite',
+        'export.page.tag': 'Anhänger',
+        'export.giftInsert': 'Dein Geschenk ist …',
+        'export.headline.default': 'Für dich',
+        'export.headline.anniversary': 'Alles Liebe zum Jahrestag',
+        'export.headline.baby shower': 'Willkommen, kleiner Mensch',
+        'export.headline.birthday': 'Alles Gute zum Geburtstag',
+        "export.headline.father's day": 'Alles Gute zum Vatertag',
+        'export.headline.graduation': 'Herzlichen Glückwunsch zum Abschluss',
+        'export.headline.holiday': 'Frohe Feiertage',
+        'export.headline.housewarming': 'Willkommen im neuen Zuhause',
+        'export.headline.just because': 'Ich denk an dich',
+        "export.headline.mother's day": 'Alles Gute zum Muttertag',
+        'export.headline.retirement': 'Alles Gute zum Ruhestand',
+        'export.headline.thank you': 'Danke',
+        "export.headline.valentine's": 'Alles Liebe zum Valentinstag',
+    },
+};
+
+export default de;
@@ -0,0 +1,351 @@
+// English. The keys of occasions, relationships and genders are the values stored in the form,
+// profiles, history and URLs, so they are the same in every locale; only the labels change.
+const en = {
+    code: 'en',
+    name: 'English',
+    defaultCurrency: 'USD',
+
+    // The sentence form. Slots named after a form field become inputs; the others come from grammar()
+    sentence: 'I need {article} {occasion} gift for my {relationship} who is {age} years old. {gender} {be} interested in {interests} and notable events in {possessive} life include {notableEvents}.',
+    placeholders: {
+        occasion: 'occasion',
+        relationship: 'relationship',
+        age: 'age',
+        gender: 'Gender',
+        interests: 'interests',
+        notableEvents: 'notable events',
+    },
+
+    occasions: {
+        'anniversary': { label: 'Anniversary' },
+        'baby shower': { label: 'Baby Shower' },
+        'birthday': { label: 'Birthday' },
+        "father's day": { label: "Father's Day" },
+        'graduation': { label: 'Graduation' },
+        'holiday': { label: 'Holiday' },
+        'housewarming': { label: 'Housewarming' },
+        'just because': { label: 'Just Because' },
+        "mother's day": { label: "Mother's Day" },
+        'retirement': { label: 'Retirement' },
+        'thank you': { label: 'Thank You' },
+        "valentine's": { label: "Valentine's" },
+    },
+    relationships: {
+        child: 'child',
+        colleague: 'colleague',
+        friend: 'friend',
+        grandparent: 'grandparent',
+        other: 'other',
+        parent: 'parent',
+        partner: 'partner',
+        sibling: 'sibling',
+    },
+    genders: { he: 'He', she: 'She', they: 'They' },
+
+    grammar: ({ occasion, gender }) => ({
+        article: occasion && /^[aeiou]/i.test(occasion.label) ? 'an' : 'a',
+        be: gender === 'they' ? 'are' : 'is',
+        possessive: gender === 'he' ? 'his' : gender === 'she' ? 'her' : 'their',
+    }),
+
+    messages: {
+        'language.label': 'Language',
+
+        'connection.online': 'Online',
+        'connection.offline': 'Offline',
+        'connection.offlineNote': 'Saved recipients, history and your shortlist still work.',
+        'connection.queued.gifts': 'Gift search waiting for the connection',
+        'connection.queued.card': 'Card message waiting for the connection',
+        'connection.queued.group': 'Group search waiting for the connection',
+        'connection.cancel': 'Cancel',
+        'connection.cancelRequest': 'Cancel {request}',
+
+        'form.price': 'Price:',
+        'form.currency': 'Currency',
+        'form.min': 'min',
+        'form.max': 'max',
+        'form.heading': 'Gift finder',
+        'form.legend': 'Who the gift is for',
+        'form.label.occasion': 'Occasion',
+        'form.label.relationship': 'Relationship',
+        'form.label.age': 'Age in years',
+        'form.label.gender': 'Pronoun',
+        'form.label.interests': 'Interests',
+        'form.label.notableEvents': 'Notable events',
+        'form.minPrice': 'Minimum price in {currency}',
+        'form.maxPrice': 'Maximum price in {currency}',
+
+        'status.findingGifts': 'Finding gift ideas…',
+
+        'status.findingSimilar': 'Finding ideas like {name}…',
+        'status.giftsFound': { one: 'Found 1 gift idea.', other: 'Found {count} gift ideas.' },
+        'status.giftsCached': { one: 'Showing 1 saved gift idea from an earlier search.', other: 'Showing {count} saved gift ideas from an earlier search.' },
+        'status.writingCard': 'Writing the card message…',
+        'status.cardWritten': { one: 'The card message is ready.', other: '{count} versions of the card message are ready.' },
+        'status.stopped': 'Stopped.',
+        'status.findingGroupGifts': 'Finding gift ideas for the group…',
+        'status.groupGiftsFound': { one: 'Found 1 gift idea for the group.', other: 'Found {count} gift ideas for the group.' },
+        'status.queued.gifts': "You're offline. The gift search will run when the connection is back.",
+        'status.queued.card': "You're offline. The card message will be written when the connection is back.",
+        'status.queued.group': "You're offline. The group search will run when the connection is back.",
+
+        'actions.findGifts': 'Find Gifts',
+        'actions.refresh': 'Refresh Gift Ideas',
+        'actions.cardMessage': '✨ Generate Card Message',
+        'actions.stop': 'Stop',
+        'actions.back': 'Back',
+        'actions.forward': 'Forward',
+        'actions.backTo': 'Back to: {label}',
+        'actions.forwardTo': 'Forward to: {label}',
+
+        'errors.title': 'Error:',
+        'errors.gifts': 'Gift ideas could not be found.',
+        'errors.card': 'The card message could not be written.',
+        'errors.group': 'Gift ideas for the group could not be found.',
+        'errors.link': 'The shared gift ideas could not be shown.',
+        'errors.kind.quotaExceeded': 'The gift finder has used up its model quota for now.',
+        'errors.kind.invalidKey': 'The gift finder is not set up correctly (its model API key was refused). Please tell the site owner.',
+        'errors.kind.safetyBlock': 'The model declined to answer. Try rewording the interests or the notable events.',
+        'errors.kind.offline': 'You seem to be offline. Check your connection and try again.',
+        'errors.kind.network': 'The server could not be reached. Please try again.',
+        'errors.kind.malformedOutput': 'The model gave an answer that could not be read. Trying again usually helps.',
+        'errors.kind.timeout': 'The model took too long to answer.',
+        'errors.kind.rateLimited': 'Too many requests in a short time.',
+        'errors.kind.unavailable': 'The model is not available right now.',
+        'errors.kind.damagedLink': 'This share link is damaged.',
+        'errors.kind.unknown': 'Something went wrong ({message}).',
+        'errors.retryIn': { one: 'You can try again in 1 second.', other: 'You can try again in {count} seconds.' },
+        'errors.retry': 'Retry',
+        'errors.edit': 'Edit the details',
+
+        'mode.label': 'Find gifts for',
+        'mode.single': 'One person',
+        'mode.group': 'A group',
+
+        'group.heading': 'Plan gifts for a group',
+        'group.budget': 'Overall budget',
+        'group.person': 'Person {number}',
+        'group.name': 'Name',
+        'group.remove': 'Remove {name}',
+        'group.add': 'Add a person',
+        'group.addProfile': 'Add a saved recipient…',
+        'group.full': { one: 'A group can have up to 1 person.', other: 'A group can have up to {count} people.' },
+        'group.find': 'Find Gifts for Everyone',
+        'group.needs': 'Choose an occasion and an overall budget of at least 1 per person.',
+        'group.results': 'Gift Ideas for the Group:',
+        'group.budgetFor': 'Budget: {amount}',
+        'group.summary': 'Budget summary',
+        'group.summary.person': 'Person',
+        'group.summary.budget': 'Budget',
+        'group.summary.chosen': 'Chosen',
+        'group.summary.total': 'Total',
+        'group.summary.all': 'Everyone',
+        'group.summary.over': 'Over by {amount}',
+        'group.summary.left': '{amount} left',
+
+        'profiles.recipient': 'Recipient:',
+        'profiles.newSearch': 'New search',
+        'profiles.namePlaceholder': 'e.g. Mom, Sam from work',
+        'profiles.nameLabel': 'Profile name',
+        'profiles.save': 'Save',
+        'profiles.cancel': 'Cancel',
+        'profiles.saveNew': 'Save as new profile',
+        'profiles.update': 'Update profile',
+        'profiles.delete': 'Delete',
+        'profiles.unavailable': 'Saved recipients are unavailable in this browser.',
+        'profiles.saveFailed': 'Could not save the recipient profile.',
+        'profiles.confirmDelete': 'Delete the profile "{name}" and its gift history?',
+
+        'results.title': 'Unique Gift Ideas:',
+        'results.linkNote': 'Please note: Purchase links are AI-generated links and may occasionally be outdated or lead to a general search page. You might need to adjust your search if a link does not work.',
+        'results.cached': 'Saved results from {date}. Use "{refresh}" for new ideas.',
+        'results.sort': 'Sort',
+        'results.category': 'Category',
+        'results.allCategories': 'All',
+        'results.withinBudgetOnly': 'Within budget only',
+        'results.noMatches': 'No gift ideas match these filters.',
+        'results.withinBudget': 'Within budget',
+        'results.purchase': 'Purchase Here',
+        'results.noLink': 'No direct purchase link available. Try searching online.',
+        'results.markPurchased': 'Mark as purchased',
+        'results.purchasedFor': '✓ Purchased for {name}',
+        'feedback.like': 'Like {name}',
+        'feedback.dislike': 'Dislike {name}',
+        'feedback.likeTitle': 'More ideas like this when refreshing',
+        'feedback.dislikeTitle': 'Fewer ideas like this when refreshing',
+        'feedback.moreLikeThis': 'More like this',
+        'feedback.moreLikeThisNamed': 'More ideas like {name}',
+        'feedback.why': 'Why?',
+        'feedback.whyLiked': 'Why you liked {name}',
+        'feedback.whyDisliked': 'Why you disliked {name}',
+        'feedback.reason.fits-interests': 'Fits their interests',
+        'feedback.reason.good-value': 'Good value',
+        'feedback.reason.original': 'Original',
+        'feedback.reason.too-generic': 'Too generic',
+        'feedback.reason.over-budget': 'Over budget',
+        'feedback.reason.already-owns': 'They already have it',
+        'feedback.reason.not-their-style': 'Not their style',
+
+        'analytics.bannerLabel': 'Usage statistics',
+        'analytics.bannerText': 'May we record anonymous usage statistics? They tell us which occasions and price ranges people search for and which shops they buy from, never what you type. You can change this at any time at the bottom of the page.',
+        'analytics.allow': 'Allow',
+        'analytics.decline': 'No thanks',
+        'analytics.settings': 'Privacy',
+        'analytics.share': 'Share anonymous usage statistics',
+        'analytics.doNotTrack': 'Do not track',
+        'analytics.browserDoNotTrack': 'Your browser asks sites not to track you, so nothing is recorded.',
+
+        'sort.suggested': 'Suggested order',
+        'sort.price-asc': 'Price: low to high',
+        'sort.price-desc': 'Price: high to low',
+
+        'category.experience': 'experience',
+        'category.gadget': 'gadget',
+        'category.handmade': 'handmade',
+        'category.consumable': 'consumable',
+        'category.book': 'book',
+        'category.clothing': 'clothing',
+        'category.home': 'home',
+        'category.hobby': 'hobby',
+        'category.beauty': 'beauty',
+        'category.subscription': 'subscription',
+        'category.other': 'other',
+
+        'favorites.add': 'Add {name} to shortlist',
+        'favorites.remove': 'Remove {name} from shortlist',
+        'favorites.addTitle': 'Add to shortlist',
+        'favorites.removeTitle': 'Remove from shortlist',
+        'favorites.shortlist': '♡ Shortlist',
+        'favorites.shortlisted': '♥ Shortlisted',
+
+        'shortlist.show': 'Compare shortlist ({count})',
+        'shortlist.hide': 'Hide shortlist ({count})',
+        'shortlist.empty': 'Tap ♡ on a gift idea to shortlist it.',
+        'shortlist.field': 'Field',
+        'shortlist.actions': 'Actions',
+        'shortlist.description': 'Description',
+        'shortlist.price': 'Estimated price',
+        'shortlist.retailer': 'Retailer',
+        'shortlist.for': 'For',
+        'shortlist.picked': '✓ Picked {date}',
+        'shortlist.pick': 'Pick this one',
+        'shortlist.remove': 'Remove',
+
+        'giftLog.title': 'Gift history for {name}',
+        'giftLog.note': 'Gifts marked as purchased are left out of future suggestions for {name}.',
+        'giftLog.purchasedOn': 'Purchased {date}',
+        'giftLog.suggestedOn': 'Suggested {date}',
+        'giftLog.purchased': 'Purchased',
+
+        'calendar.datesFor': 'Dates for {name}',
+        'calendar.yearly': 'every year',
+        'calendar.removeDate': 'Remove the {occasion} date',
+        'calendar.date': 'Date',
+        'calendar.everyYear': 'Every year',
+        'calendar.leadDays': 'Days ahead to start looking',
+        'calendar.addDate': 'Add date',
+        'calendar.show': 'Show upcoming occasions ({count})',
+        'calendar.hide': 'Hide upcoming occasions ({count})',
+        'calendar.empty': 'Add dates to a saved recipient, like their birthday, to see them here.',
+        'calendar.enableReminders': 'Turn on reminders',
+        'calendar.remindersOn': 'Reminders are on',
+        'calendar.remindersBlocked': 'Notifications are blocked in this browser',
+        'calendar.download': 'Add to calendar (.ics)',
+        'calendar.today': 'today',
+        'calendar.inDays': { one: 'tomorrow', other: 'in {count} days' },
+        'calendar.searchNow': 'Time to start looking for a gift',
+        'calendar.searchFrom': 'Start looking on {date}',
+        'calendar.find': 'Find gifts',
+        'calendar.event': '{occasion}: {name}',
+        'calendar.eventNote': 'Find a gift with the gift finder.',
+        'calendar.reminder.title': '{occasion} for {name}',
+        'calendar.reminder.body': "It's {when}. Time to find a gift!",
+
+        'share.copy': 'Copy share link',
+        'share.includeResults': 'Include these gift ideas',
+        'share.copied': 'Link copied!',
+        'share.linkLabel': 'Share link',
+        'share.sharedIdeas': 'Shared gift ideas',
+
+        'history.show': 'Show search history ({count})',
+        'history.hide': 'Hide search history ({count})',
+        'history.searchPlaceholder': 'Search past searches and gift ideas',
+        'history.searchLabel': 'Search history',
+        'history.clearAll': 'Clear all',
+        'history.confirmClearAll': 'Delete all saved searches, including pinned ones?',
+        'history.empty': 'Your searches will appear here.',
+        'history.noMatches': 'No searches match.',
+        'history.pinned': 'Pinned',
+        'history.restore': 'Restore',
+        'history.pin': 'Pin',
+        'history.unpin': 'Unpin',
+        'history.delete': 'Delete',
+        'history.describe': '{occasion} gift for {relationship}',
+        'history.describeNoOccasion': 'A gift for {relationship}',
+        'history.someone': 'someone',
+
+        'card.options': 'Card message options',
+        'card.tone': 'Tone',
+        'card.length': 'Length',
+        'card.signature': 'Signed',
+        'card.signaturePlaceholder': 'e.g. Alex & Jamie',
+        'card.variants': 'Versions',
+        'card.insideJokes': 'Inside jokes or shared memories',
+        'card.insideJokesPlaceholder': 'e.g. the camping trip where it rained all week',
+        'card.tone.heartfelt': 'Heartfelt',
+        'card.tone.funny': 'Funny',
+        'card.tone.sentimental': 'Sentimental',
+        'card.tone.formal': 'Formal',
+        'card.tone.poem': 'Rhyming poem',
+        'card.tone.haiku': 'Haiku',
+        'card.length.short': 'Short',
+        'card.length.medium': 'Medium',
+        'card.length.long': 'Long',
+        'card.title': 'Your Personalized Card Message:',
+        'card.revised': { one: 'Revised once: {steps}', other: 'Revised {count} times: {steps}' },
+        'card.refineLabel': 'How should the chosen message change?',
+        'card.refinePlaceholder': 'e.g. "mention the hiking trip"',
+        'card.refine': 'Refine',
+        'card.suggestion.shorter': 'Make it shorter',
+        'card.suggestion.funnier': 'Make it funnier',
+        'card.suggestion.personal': 'Make it more personal',
+        'card.suggestion.lessFormal': 'Less formal',
+
+        'export.title': 'Print or download',
+        'export.template': 'Template',
+        'export.revealGift': 'Reveal the gift',
+        'export.noGift': 'No gift insert',
+        'export.pdf': 'Download PDF',
+        'export.png': 'Download PNG',
+        'export.print': 'Print',
+        'export.failed': 'Could not export the card: {message}',
+        'export.previewAlt': '{page} of the card',
+        'export.template.folded-a5': 'Folded card (A5)',
+        'export.template.postcard': 'Postcard',
+        'export.template.gift-tag': 'Gift tag',
+        'export.hint.folded-a5': 'Print both pages on one A5 sheet, double-sided, and fold it in half.',
+        'export.hint.postcard': 'Print the front and back double-sided on A6 card.',
+        'export.hint.gift-tag': 'Cut along the edge and punch the marked hole.',
+        'export.page.outside': 'Outside',
+        'export.page.inside': 'Inside',
+        'export.page.front': 'Front',
+        'export.page.back': 'Back',
+        'export.page.tag': 'Tag',
+        'export.giftInsert': 'Your gift is…',
+        'export.headline.default': 'For You',
+        'export.headline.anniversary': 'Happy Anniversary',
+        'export.headline.baby shower': 'Welcome, Little One',
+        'export.headline.birthday': 'Happy Birthday',
+        "export.headline.father's day": "Happy Father's Day",
+        'export.headline.graduation': 'Congratulations, Graduate',
+        'export.headline.holiday': 'Happy Holidays',
+        'export.headline.housewarming': 'Welcome Home',
+        'export.headline.just because': 'Thinking of You',
+        "export.headline.mother's day": "Happy Mother's Day",
+        'export.headline.retirement': 'Happy Retirement',
+        'export.headline.thank you': 'Thank You',
+        "export.headline.valentine's": "Happy Valentine's Day",
+    },
+};
+
+export default en;
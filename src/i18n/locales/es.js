@@ -0,0 +1,349 @@
+// Spanish. Relationship nouns change with the recipient's gender ("hijo"/"hija"); occasions
+// that take an article contract it with "de" ("regalo del Día de la Madre").
+const es = {
+    code: 'es',
+    name: 'Español',
+    defaultCurrency: 'EUR',
+
+    sentence: 'Necesito un regalo {preposition} {occasion} para mi {relationship}, que tiene {age} años. {gender} le interesa {interests} y en su vida destacan {notableEvents}.',
+    placeholders: {
+        occasion: 'ocasión',
+        relationship: 'relación',
+        age: 'edad',
+        gender: 'Persona',
+        interests: 'intereses',
+        notableEvents: 'acontecimientos',
+    },
+
+    occasions: {
+        'anniversary': { label: 'aniversario' },
+        'baby shower': { label: 'baby shower' },
+        'birthday': { label: 'cumpleaños' },
+        "father's day": { label: 'Día del Padre', article: 'el' },
+        'graduation': { label: 'graduación' },
+        'holiday': { label: 'Navidad' },
+        'housewarming': { label: 'casa nueva' },
+        // Reads "un regalo porque sí para …", without a preposition
+        'just because': { label: 'porque sí', preposition: '' },
+        "mother's day": { label: 'Día de la Madre', article: 'el' },
+        'retirement': { label: 'jubilación' },
+        'thank you': { label: 'agradecimiento' },
+        "valentine's": { label: 'San Valentín' },
+    },
+    relationships: {
+        child: { he: 'hijo', she: 'hija', they: 'hijo/a' },
+        colleague: 'colega',
+        friend: { he: 'amigo', she: 'amiga', they: 'amigo/a' },
+        grandparent: { he: 'abuelo', she: 'abuela', they: 'abuelo/a' },
+        other: { he: 'conocido', she: 'conocida', they: 'conocido/a' },
+        parent: { he: 'padre', she: 'madre', they: 'padre o madre' },
+        partner: 'pareja',
+        sibling: { he: 'hermano', she: 'hermana', they: 'hermano/a' },
+    },
+    genders: { he: 'A él', she: 'A ella', they: 'A esa persona' },
+
+    grammar: ({ occasion }) => ({
+        preposition: occasion?.preposition ?? (occasion?.article === 'el' ? 'del' : 'de'),
+    }),
+
+    messages: {
+        'language.label': 'Idioma',
+
+        'connection.online': 'En línea',
+        'connection.offline': 'Sin conexión',
+        'connection.offlineNote': 'Los destinatarios guardados, el historial y tu lista siguen funcionando.',
+        'connection.queued.gifts': 'Búsqueda de regalos en espera de conexión',
+        'connection.queued.card': 'Mensaje de tarjeta en espera de conexión',
+        'connection.queued.group': 'Búsqueda de grupo en espera de conexión',
+        'connection.cancel': 'Cancelar',
+        'connection.cancelRequest': 'Cancelar {request}',
+
+        'form.price': 'Precio:',
+        'form.currency': 'Moneda',
+        'form.min': 'mín',
+        'form.max': 'máx',
+        'form.heading': 'Buscador de regalos',
+        'form.legend': 'Para quién es el regalo',
+        'form.label.occasion': 'Ocasión',
+        'form.label.relationship': 'Relación',
+        'form.label.age': 'Edad en años',
+        'form.label.gender': 'Pronombre',
+        'form.label.interests': 'Intereses',
+        'form.label.notableEvents': 'Acontecimientos importantes',
+        'form.minPrice': 'Precio mínimo en {currency}',
+        'form.maxPrice': 'Precio máximo en {currency}',
+
+        'status.findingGifts': 'Buscando ideas de regalo…',
+
+        'status.findingSimilar': 'Buscando ideas como {name}…',
+        'status.giftsFound': { one: 'Se ha encontrado 1 idea de regalo.', other: 'Se han encontrado {count} ideas de regalo.' },
+        'status.giftsCached': { one: 'Se muestra 1 idea de regalo guardada de una búsqueda anterior.', other: 'Se muestran {count} ideas de regalo guardadas de una búsqueda anterior.' },
+        'status.writingCard': 'Escribiendo la tarjeta…',
+        'status.cardWritten': { one: 'La tarjeta está lista.', other: 'Hay {count} versiones de la tarjeta listas.' },
+        'status.stopped': 'Detenido.',
+        'status.findingGroupGifts': 'Buscando ideas de regalo para el grupo…',
+        'status.groupGiftsFound': { one: 'Se encontró 1 idea de regalo para el grupo.', other: 'Se encontraron {count} ideas de regalo para el grupo.' },
+        'status.queued.gifts': 'Estás sin conexión. La búsqueda de regalos se hará cuando vuelva la conexión.',
+        'status.queued.card': 'Estás sin conexión. El mensaje de la tarjeta se escribirá cuando vuelva la conexión.',
+        'status.queued.group': 'Estás sin conexión. La búsqueda de grupo se hará cuando vuelva la conexión.',
+
+        'actions.findGifts': 'Buscar regalos',
+        'actions.refresh': 'Nuevas ideas',
+        'actions.cardMessage': '✨ Escribir tarjeta',
+        'actions.stop': 'Detener',
+        'actions.back': 'Atrás',
+        'actions.forward': 'Adelante',
+        'actions.backTo': 'Volver a: {label}',
+        'actions.forwardTo': 'Ir a: {label}',
+
+        'errors.title': 'Error:',
+        'errors.gifts': 'No se encontraron ideas de regalo.',
+        'errors.card': 'No se pudo escribir la tarjeta.',
+        'errors.group': 'No se encontraron ideas de regalo para el grupo.',
+        'errors.link': 'No se pudieron mostrar las ideas de regalo compartidas.',
+        'errors.kind.quotaExceeded': 'El buscador de regalos ha agotado por ahora su cuota del modelo.',
+        'errors.kind.invalidKey': 'El buscador de regalos no está bien configurado (se rechazó la clave de API del modelo). Avisa al responsable del sitio.',
+        'errors.kind.safetyBlock': 'El modelo se negó a responder. Prueba a redactar de otra forma los intereses o los acontecimientos.',
+        'errors.kind.offline': 'Parece que no tienes conexión. Compruébala e inténtalo de nuevo.',
+        'errors.kind.network': 'No se pudo contactar con el servidor. Inténtalo de nuevo.',
+        'errors.kind.malformedOutput': 'La respuesta del modelo no se pudo leer. Volver a intentarlo suele funcionar.',
+        'errors.kind.timeout': 'El modelo tardó demasiado en responder.',
+        'errors.kind.rateLimited': 'Demasiadas solicitudes en poco tiempo.',
+        'errors.kind.unavailable': 'El modelo no está disponible en este momento.',
+        'errors.kind.damagedLink': 'Este enlace compartido está dañado.',
+        'errors.kind.unknown': 'Algo salió mal ({message}).',
+        'errors.retryIn': { one: 'Puedes volver a intentarlo en 1 segundo.', other: 'Puedes volver a intentarlo en {count} segundos.' },
+        'errors.retry': 'Reintentar',
+        'errors.edit': 'Cambiar los datos',
+
+        'mode.label': 'Buscar regalos para',
+        'mode.single': 'Una persona',
+        'mode.group': 'Un grupo',
+
+        'group.heading': 'Planifica regalos para un grupo',
+        'group.budget': 'Presupuesto total',
+        'group.person': 'Persona {number}',
+        'group.name': 'Nombre',
+        'group.remove': 'Quitar a {name}',
+        'group.add': 'Añadir una persona',
+        'group.addProfile': 'Añadir un destinatario guardado…',
+        'group.full': { one: 'Un grupo puede tener hasta 1 persona.', other: 'Un grupo puede tener hasta {count} personas.' },
+        'group.find': 'Buscar regalos para todos',
+        'group.needs': 'Elige una ocasión y un presupuesto total de al menos 1 por persona.',
+        'group.results': 'Ideas de regalo para el grupo:',
+        'group.budgetFor': 'Presupuesto: {amount}',
+        'group.summary': 'Resumen del presupuesto',
+        'group.summary.person': 'Persona',
+        'group.summary.budget': 'Presupuesto',
+        'group.summary.chosen': 'Elegidos',
+        'group.summary.total': 'Total',
+        'group.summary.all': 'Todos',
+        'group.summary.over': '{amount} de más',
+        'group.summary.left': 'Quedan {amount}',
+
+        'profiles.recipient': 'Para:',
+        'profiles.newSearch': 'Nueva búsqueda',
+        'profiles.namePlaceholder': 'p. ej. Mamá, Sam del trabajo',
+        'profiles.nameLabel': 'Nombre del perfil',
+        'profiles.save': 'Guardar',
+        'profiles.cancel': 'Cancelar',
+        'profiles.saveNew': 'Guardar como perfil nuevo',
+        'profiles.update': 'Actualizar perfil',
+        'profiles.delete': 'Eliminar',
+        'profiles.unavailable': 'Los destinatarios guardados no están disponibles en este navegador.',
+        'profiles.saveFailed': 'No se pudo guardar el perfil del destinatario.',
+        'profiles.confirmDelete': '¿Eliminar el perfil «{name}» y su historial de regalos?',
+
+        'results.title': 'Ideas de regalo únicas:',
+        'results.linkNote': 'Nota: los enlaces de compra los genera una IA y pueden estar desactualizados o llevar a una página de búsqueda general. Si un enlace no funciona, ajusta la búsqueda.',
+        'results.cached': 'Resultados guardados del {date}. Pulsa «{refresh}» para ver ideas nuevas.',
+        'results.sort': 'Ordenar',
+        'results.category': 'Categoría',
+        'results.allCategories': 'Todas',
+        'results.withinBudgetOnly': 'Solo dentro del presupuesto',
+        'results.noMatches': 'Ninguna idea coincide con estos filtros.',
+        'results.withinBudget': 'Dentro del presupuesto',
+        'results.purchase': 'Comprar aquí',
+        'results.noLink': 'No hay enlace de compra directo. Prueba a buscarlo en internet.',
+        'results.markPurchased': 'Marcar como comprado',
+        'results.purchasedFor': '✓ Comprado para {name}',
+        'feedback.like': 'Me gusta {name}',
+        'feedback.dislike': 'No me gusta {name}',
+        'feedback.likeTitle': 'Más ideas así al actualizar',
+        'feedback.dislikeTitle': 'Menos ideas así al actualizar',
+        'feedback.moreLikeThis': 'Más como esta',
+        'feedback.moreLikeThisNamed': 'Más ideas como {name}',
+        'feedback.why': '¿Por qué?',
+        'feedback.whyLiked': 'Por qué te gusta {name}',
+        'feedback.whyDisliked': 'Por qué no te gusta {name}',
+        'feedback.reason.fits-interests': 'Encaja con sus intereses',
+        'feedback.reason.good-value': 'Buena relación calidad-precio',
+        'feedback.reason.original': 'Original',
+        'feedback.reason.too-generic': 'Demasiado genérica',
+        'feedback.reason.over-budget': 'Supera el presupuesto',
+        'feedback.reason.already-owns': 'Ya lo tiene',
+        'feedback.reason.not-their-style': 'No es su estilo',
+
+        'analytics.bannerLabel': 'Estadísticas de uso',
+        'analytics.bannerText': '¿Podemos registrar estadísticas de uso anónimas? Nos dicen qué ocasiones y rangos de precio se buscan y en qué tiendas se compra, nunca lo que escribes. Puedes cambiarlo en cualquier momento al final de la página.',
+        'analytics.allow': 'Permitir',
+        'analytics.decline': 'No, gracias',
+        'analytics.settings': 'Privacidad',
+        'analytics.share': 'Compartir estadísticas de uso anónimas',
+        'analytics.doNotTrack': 'No rastrear',
+        'analytics.browserDoNotTrack': 'Tu navegador pide a los sitios que no te rastreen, así que no se registra nada.',
+
+        'sort.suggested': 'Orden sugerido',
+        'sort.price-asc': 'Precio: de menor a mayor',
+        'sort.price-desc': 'Precio: de mayor a menor',
+
+        'category.experience': 'experiencia',
+        'category.gadget': 'tecnología',
+        'category.handmade': 'artesanal',
+        'category.consumable': 'gastronomía',
+        'category.book': 'libro',
+        'category.clothing': 'ropa',
+        'category.home': 'hogar',
+        'category.hobby': 'afición',
+        'category.beauty': 'belleza',
+        'category.subscription': 'suscripción',
+        'category.other': 'otros',
+
+        'favorites.add': 'Añadir {name} a la lista',
+        'favorites.remove': 'Quitar {name} de la lista',
+        'favorites.addTitle': 'Añadir a la lista',
+        'favorites.removeTitle': 'Quitar de la lista',
+        'favorites.shortlist': '♡ Guardar',
+        'favorites.shortlisted': '♥ Guardado',
+
+        'shortlist.show': 'Comparar lista ({count})',
+        'shortlist.hide': 'Ocultar lista ({count})',
+        'shortlist.empty': 'Toca ♡ en una idea para guardarla.',
+        'shortlist.field': 'Campo',
+        'shortlist.actions': 'Acciones',
+        'shortlist.description': 'Descripción',
+        'shortlist.price': 'Precio estimado',
+        'shortlist.retailer': 'Tienda',
+        'shortlist.for': 'Para',
+        'shortlist.picked': '✓ Elegido el {date}',
+        'shortlist.pick': 'Me quedo con este',
+        'shortlist.remove': 'Quitar',
+
+        'giftLog.title': 'Historial de regalos de {name}',
+        'giftLog.note': 'Los regalos marcados como comprados no se volverán a sugerir para {name}.',
+        'giftLog.purchasedOn': 'Comprado el {date}',
+        'giftLog.suggestedOn': 'Sugerido el {date}',
+        'giftLog.purchased': 'Comprado',
+
+        'calendar.datesFor': 'Fechas de {name}',
+        'calendar.yearly': 'cada año',
+        'calendar.removeDate': 'Quitar la fecha de {occasion}',
+        'calendar.date': 'Fecha',
+        'calendar.everyYear': 'Cada año',
+        'calendar.leadDays': 'Días de antelación para empezar a buscar',
+        'calendar.addDate': 'Añadir fecha',
+        'calendar.show': 'Mostrar próximas ocasiones ({count})',
+        'calendar.hide': 'Ocultar próximas ocasiones ({count})',
+        'calendar.empty': 'Añade fechas a un destinatario guardado, como su cumpleaños, para verlas aquí.',
+        'calendar.enableReminders': 'Activar recordatorios',
+        'calendar.remindersOn': 'Los recordatorios están activados',
+        'calendar.remindersBlocked': 'Las notificaciones están bloqueadas en este navegador',
+        'calendar.download': 'Añadir al calendario (.ics)',
+        'calendar.today': 'hoy',
+        'calendar.inDays': { one: 'mañana', other: 'dentro de {count} días' },
+        'calendar.searchNow': 'Es hora de buscar un regalo',
+        'calendar.searchFrom': 'Empieza a buscar el {date}',
+        'calendar.find': 'Buscar regalos',
+        'calendar.event': '{occasion}: {name}',
+        'calendar.eventNote': 'Encuentra un regalo con el buscador de regalos.',
+        'calendar.reminder.title': '{occasion} de {name}',
+        'calendar.reminder.body': 'Es {when}. ¡Hora de encontrar un regalo!',
+
+        'share.copy': 'Copiar enlace para compartir',
+        'share.includeResults': 'Incluir estas ideas',
+        'share.copied': '¡Enlace copiado!',
+        'share.linkLabel': 'Enlace para compartir',
+        'share.sharedIdeas': 'Ideas de regalo compartidas',
+
+        'history.show': 'Ver historial de búsquedas ({count})',
+        'history.hide': 'Ocultar historial de búsquedas ({count})',
+        'history.searchPlaceholder': 'Buscar en búsquedas e ideas anteriores',
+        'history.searchLabel': 'Buscar en el historial',
+        'history.clearAll': 'Borrar todo',
+        'history.confirmClearAll': '¿Eliminar todas las búsquedas guardadas, también las fijadas?',
+        'history.empty': 'Aquí aparecerán tus búsquedas.',
+        'history.noMatches': 'Ninguna búsqueda coincide.',
+        'history.pinned': 'Fijada',
+        'history.restore': 'Restaurar',
+        'history.pin': 'Fijar',
+        'history.unpin': 'Soltar',
+        'history.delete': 'Eliminar',
+        'history.describe': '{occasion}: regalo para {relationship}',
+        'history.describeNoOccasion': 'Un regalo para {relationship}',
+        'history.someone': 'alguien',
+
+        'card.options': 'Opciones de la tarjeta',
+        'card.tone': 'Tono',
+        'card.length': 'Extensión',
+        'card.signature': 'Firma',
+        'card.signaturePlaceholder': 'p. ej. Alex y Jamie',
+        'card.variants': 'Versiones',
+        'card.insideJokes': 'Bromas internas o recuerdos compartidos',
+        'card.insideJokesPlaceholder': 'p. ej. la acampada en la que llovió toda la semana',
+        'card.tone.heartfelt': 'Sincero',
+        'card.tone.funny': 'Divertido',
+        'card.tone.sentimental': 'Emotivo',
+        'card.tone.formal': 'Formal',
+        'card.tone.poem': 'Poema con rima',
+        'card.tone.haiku': 'Haiku',
+        'card.length.short': 'Corta',
+        'card.length.medium': 'Media',
+        'card.length.long': 'Larga',
+        'card.title': 'Tu mensaje personalizado:',
+        'card.revised': { one: 'Revisado una vez: {steps}', other: 'Revisado {count} veces: {steps}' },
+        'card.refineLabel': '¿Qué quieres cambiar del mensaje elegido?',
+        'card.refinePlaceholder': 'p. ej. «menciona la excursión»',
+        'card.refine': 'Mejorar',
+        'card.suggestion.shorter': 'Más corto',
+        'card.suggestion.funnier': 'Más divertido',
+        'card.suggestion.personal': 'Más personal',
+        'card.suggestion.lessFormal': 'Menos formal',
+
+        'export.title': 'Imprimir o descargar',
+        'export.template': 'Plantilla',
+        'export.revealGift': 'Revelar el regalo',
+        'export.noGift': 'Sin revelar el regalo',
+        'export.pdf': 'Descargar PDF',
+        'export.png': 'Descargar PNG',
+        'export.print': 'Imprimir',
+        'export.failed': 'No se pudo exportar la tarjeta: {message}',
+        'export.previewAlt': '{page} de la tarjeta',
+        'export.template.folded-a5': 'Tarjeta doblada (A5)',
+        'export.template.postcard': 'Postal',
+        'export.template.gift-tag': 'Etiqueta de regalo',
+        'export.hint.folded-a5': 'Imprime las dos caras en una hoja A5 a doble cara y dóblala por la mitad.',
+        'export.hint.postcard': 'Imprime el anverso y el reverso a doble cara en cartulina A6.',
+        'export.hint.gift-tag': 'Recorta por el borde y perfora el agujero marcado.',
+        'export.page.outside': 'Exterior',
+        'export.page.inside': 'Interior',
+        'export.page.front': 'Anverso',
+        'export.page.back': 'Reverso',
+        'export.page.tag': 'Etiqueta',
+        'export.giftInsert': 'Tu regalo es…',
+        'export.headline.default': 'Para ti',
+        'export.headline.anniversary': 'Feliz aniversario',
+        'export.headline.baby shower': 'Bienvenido, pequeñín',
+        'export.headline.birthday': 'Feliz cumpleaños',
+        "export.headline.father's day": 'Feliz Día del Padre',
+        'export.headline.graduation': '¡Enhorabuena, graduado!',
+        'export.headline.holiday': 'Felices fiestas',
+        'export.headline.housewarming': 'Bienvenidos a casa',
+        'export.headline.just because': 'Pensando en ti',
+        "export.headline.mother's day": 'Feliz Día de la Madre',
+        'export.headline.retirement': 'Feliz jubilación',
+        'export.headline.thank you': 'Gracias',
+        "export.headline.valentine's": 'Feliz San Valentín',
+    },
+};
+
+export default es;
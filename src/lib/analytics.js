@@ -0,0 +1,207 @@
+import { LOCALES } from '../i18n/index.js';
+import { findRetailer } from './retailerLinks.js';
+
+const STORAGE_KEY = 'gift-finder:analytics';
+
+// The events the app records, the types the server accepts
+export { EVENT_TYPES } from '../../server/shared.js';
+
+// Where events go, by the name in VITE_ANALYTICS_SINK: 'file' posts them to the server, which appends them
+// to ANALYTICS_FILE, and 'http' to the collector at VITE_ANALYTICS_URL. Anything else turns analytics off.
+export const SINKS = ['console', 'file', 'http'];
+const FILE_ENDPOINT = '/api/events';
+
+// The form stores English values, so the English option lists are the known ones
+const { occasions, relationships, genders } = LOCALES.en;
+
+const AGE_BANDS = [[12, '0-12'], [17, '13-17'], [24, '18-24'], [34, '25-34'], [49, '35-49'], [64, '50-64']];
+const PRICE_BANDS = [[25, 'under-25'], [50, '25-50'], [100, '50-100'], [250, '100-250']];
+
+/**
+ * Puts an age into a band, so no exact age is recorded.
+ * @param {string|number} age - The age in years.
+ * @returns {string} The band, e.g. "25-34", "65+", or "unknown".
+ */
+export const bucketAge = (age) => {
+    if (age === '' || age === null || age === undefined || !Number.isFinite(Number(age))) return 'unknown';
+    return AGE_BANDS.find(([max]) => Number(age) <= max)?.[1] || '65+';
+};
+
+/**
+ * Puts an amount into a price band of the currency it is in.
+ * @param {string|number} amount - The amount.
+ * @returns {string} The band, e.g. "25-50", "250+", or "none" when there is no amount.
+ */
+export const bucketPrice = (amount) => {
+    if (amount === '' || amount === null || amount === undefined || !Number.isFinite(Number(amount))) return 'none';
+    return PRICE_BANDS.find(([max]) => Number(amount) < max)?.[1] || '250+';
+};
+
+// Keeps a value of one of the form's option lists, and nothing typed in by hand
+const known = (options, value, fallback) => value ? (Object.hasOwn(options, value) ? value : 'other') : fallback;
+
+/**
+ * Describes a single search for analytics: the options picked and bands of the numbers,
+ * never the free text (interests, notable events, names).
+ * @param {object} criteria - The form values.
+ * @returns {object} The event fields.
+ */
+export const describeSearch = ({ occasion, relationship, age, gender, interests, notableEvents, minPrice, maxPrice, currency }) => ({
+    occasion: known(occasions, occasion, 'none'),
+    relationship: known(relationships, relationship, 'none'),
+    gender: known(genders, gender, 'none'),
+    ageBand: bucketAge(age),
+    minPriceBand: bucketPrice(minPrice),
+    maxPriceBand: bucketPrice(maxPrice),
+    currency: currency || 'USD',
+    hasInterests: Boolean(interests?.trim()),
+    hasNotableEvents: Boolean(notableEvents?.trim()),
+});
+
+/**
+ * Describes a group search for analytics.
+ * @param {object} plan - The group plan: occasion, budget, currency and recipients.
+ * @returns {object} The event fields.
+ */
+export const describeGroupSearch = ({ occasion, budget, currency, recipients }) => ({
+    occasion: known(occasions, occasion, 'none'),
+    people: recipients.length,
+    // The share of each person, the budget a gift has to fit
+    budgetBand: bucketPrice(recipients.length > 0 ? Number(budget) / recipients.length : ''),
+    currency: currency || 'USD',
+});
+
+// The affiliate parameters a retailer's links can carry, from the retailer and its storefronts
+const affiliateParameters = (rule) => [rule.affiliate, ...Object.values(rule.storefronts || {}).map(storefront => storefront.affiliate)]
+    .filter(Boolean)
+    .flatMap(Object.keys);
+
+/**
+ * Describes a click on a purchase link: the retailer, whether the link carries our affiliate
+ * parameters, and the gift.
+ * @param {object} gift - The gift idea.
+ * @param {string} href - The link as processed by processRetailerLink.
+ * @param {object} [config] - The retailer configuration (defaults to src/config/retailers.json).
+ * @returns {object} The event fields.
+ */
+export const describePurchase = (gift, href, config) => {
+    let retailer = 'unknown';
+    let affiliate = false;
+    try {
+        const url = new URL(href);
+        const rule = findRetailer(url.hostname, config);
+        retailer = rule ? rule.id : url.hostname.replace(/^www\./, '');
+        affiliate = Boolean(rule) && affiliateParameters(rule).some(parameter => url.searchParams.get(parameter));
+    } catch {
+        // A link that is not a URL still counts as a click
+    }
+    return {
+        retailer,
+        affiliate,
+        gift: gift.name,
+        category: gift.category || 'other',
+        priceBand: bucketPrice(gift.estimatedPrice),
+        currency: gift.currency || 'USD',
+    };
+};
+
+/**
+ * Builds an event. Every field is a string, number or boolean.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {object} fields - What happened.
+ * @param {Date} [now] - The time.
+ * @returns {object} The event.
+ */
+export const createEvent = (type, fields = {}, now = new Date()) => ({ type, at: now.toISOString(), ...fields });
+
+/**
+ * Whether the browser asks sites not to track the user (Do Not Track or Global Privacy Control).
+ * @param {object} [nav] - The navigator.
+ * @param {object} [win] - The window.
+ * @returns {boolean} Whether it does.
+ */
+export const hasDoNotTrackSignal = (nav = navigator, win = window) =>
+    nav.doNotTrack === '1' || nav.doNotTrack === 'yes' || win.doNotTrack === '1' || nav.globalPrivacyControl === true;
+
+/**
+ * Reads the analytics settings: the answer to the consent banner and the do-not-track setting.
+ * @returns {{ consent: 'granted'|'denied'|null, doNotTrack: boolean }} The settings; consent is null until answered.
+ */
+export const loadAnalyticsSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return {
+            consent: ['granted', 'denied'].includes(stored?.consent) ? stored.consent : null,
+            doNotTrack: stored?.doNotTrack === true,
+        };
+    } catch {
+        return { consent: null, doNotTrack: false };
+    }
+};
+
+/**
+ * Stores the analytics settings.
+ * @param {{ consent: 'granted'|'denied'|null, doNotTrack: boolean }} settings - The settings.
+ */
+export const saveAnalyticsSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.error("Error saving analytics settings:", err);
+    }
+};
+
+/**
+ * A sink that logs events to the console, for development.
+ * @param {Console} [log] - Where to log.
+ * @returns {{ send: (event: object) => void }} The sink.
+ */
+export const createConsoleSink = (log = console) => ({
+    send: (event) => log.info('[analytics]', event),
+});
+
+/**
+ * A sink that posts each event as `{ events: [event] }` to a URL. Delivery is best effort:
+ * failures are ignored, and the request outlives the page when a link is opened.
+ * @param {string} url - The collector.
+ * @param {typeof fetch} [post] - The fetch function.
+ * @returns {{ send: (event: object) => void }} The sink.
+ */
+export const createHttpSink = (url, post = (...args) => fetch(...args)) => ({
+    send: (event) => {
+        post(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ events: [event] }),
+            keepalive: true,
+        }).catch(() => {});
+    },
+});
+
+/**
+ * Reads which sink the build was configured with.
+ * @param {object} [env] - The Vite environment.
+ * @returns {{ sink: string, url: string }} The sink name and the collector URL.
+ */
+export const getAnalyticsConfig = (env = import.meta.env) => ({
+    sink: SINKS.includes(env.VITE_ANALYTICS_SINK) ? env.VITE_ANALYTICS_SINK : '',
+    url: env.VITE_ANALYTICS_URL || '',
+});
+
+/**
+ * Creates the sink named in the configuration.
+ * @param {{ sink: string, url: string }} config - See getAnalyticsConfig.
+ * @returns {{ send: (event: object) => void }|null} The sink, or null when analytics is off.
+ */
+export const createSink = ({ sink, url }) => {
+    switch (sink) {
+        case 'console':
+            return createConsoleSink();
+        case 'file':
+            return createHttpSink(FILE_ENDPOINT);
+        case 'http':
+            return url ? createHttpSink(url) : null;
+        default:
+            return null;
+    }
+};
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    bucketAge, bucketPrice, describeSearch, describeGroupSearch, describePurchase, createEvent,
+    hasDoNotTrackSignal, createConsoleSink, createHttpSink, getAnalyticsConfig, createSink
+} from './analytics.js';
+import { createLinkProcessor } from './retailerLinks.js';
+
+describe('bucketAge', () => {
+    it.each([
+        ['', 'unknown'],
+        ['abc', 'unknown'],
+        ['8', '0-12'],
+        ['17', '13-17'],
+        [30, '25-34'],
+        ['64', '50-64'],
+        ['80', '65+'],
+    ])('puts %j in %s', (age, band) => {
+        expect(bucketAge(age)).toBe(band);
+    });
+});
+
+describe('bucketPrice', () => {
+    it.each([
+        ['', 'none'],
+        [null, 'none'],
+        ['10', 'under-25'],
+        ['25', '25-50'],
+        [99.99, '50-100'],
+        ['100', '100-250'],
+        ['1000', '250+'],
+    ])('puts %j in %s', (amount, band) => {
+        expect(bucketPrice(amount)).toBe(band);
+    });
+});
+
+describe('describeSearch', () => {
+    const criteria = {
+        occasion: 'birthday', relationship: 'sister-in-law', age: '31', gender: 'she',
+        interests: 'Jane loves hiking in Yosemite', notableEvents: '', minPrice: '20', maxPrice: '60', currency: 'EUR',
+    };
+
+    it('records the options and bands, never the text typed in', () => {
+        const fields = describeSearch(criteria);
+        expect(fields).toEqual({
+            occasion: 'birthday',
+            relationship: 'other',
+            gender: 'she',
+            ageBand: '25-34',
+            minPriceBand: 'under-25',
+            maxPriceBand: '50-100',
+            currency: 'EUR',
+            hasInterests: true,
+            hasNotableEvents: false,
+        });
+        expect(JSON.stringify(fields)).not.toMatch(/Jane|hiking|sister|31/);
+    });
+
+    it('marks what was left empty', () => {
+        expect(describeSearch({ occasion: "someone's promotion", relationship: '', age: '', gender: '' })).toMatchObject({
+            occasion: 'other', relationship: 'none', gender: 'none', ageBand: 'unknown', currency: 'USD', hasInterests: false,
+        });
+    });
+});
+
+describe('describeGroupSearch', () => {
+    it('records the size of the group and the band of each share', () => {
+        const recipients = [{ name: 'Ana', interests: 'chess' }, { name: 'Ben', interests: 'jazz' }];
+        expect(describeGroupSearch({ occasion: 'holiday', budget: '150', currency: 'USD', recipients }))
+            .toEqual({ occasion: 'holiday', people: 2, budgetBand: '50-100', currency: 'USD' });
+    });
+});
+
+describe('describePurchase', () => {
+    const gift = { name: 'Trail guide', category: 'books', estimatedPrice: 30, currency: 'USD' };
+    const processLink = createLinkProcessor({ locale: 'en-US' });
+
+    it.each([
+        ['an Amazon link with the affiliate tag', processLink('https://www.amazon.com/dp/B000', gift.name), 'amazon', true],
+        ['an Amazon link without it', 'https://www.amazon.com/dp/B000', 'amazon', false],
+        ['a retailer without an affiliate program', 'https://www.etsy.com/listing/1', 'etsy', false],
+        ['an unknown shop', 'https://www.example-shop.com/item', 'example-shop.com', false],
+        ['a link that is not a URL', 'not a link', 'unknown', false],
+    ])('tags %s', (_case, href, retailer, affiliate) => {
+        expect(describePurchase(gift, href)).toEqual({
+            retailer, affiliate, gift: 'Trail guide', category: 'books', priceBand: '25-50', currency: 'USD',
+        });
+    });
+});
+
+describe('createEvent', () => {
+    it('stamps an event with its type and time', () => {
+        expect(createEvent('search', { kind: 'new' }, new Date('2026-03-01T10:00:00Z')))
+            .toEqual({ type: 'search', at: '2026-03-01T10:00:00.000Z', kind: 'new' });
+    });
+});
+
+describe('hasDoNotTrackSignal', () => {
+    it.each([
+        [{ doNotTrack: '1' }, {}, true],
+        [{ doNotTrack: 'yes' }, {}, true],
+        [{}, { doNotTrack: '1' }, true],
+        [{ globalPrivacyControl: true }, {}, true],
+        [{ doNotTrack: '0' }, {}, false],
+        [{}, {}, false],
+    ])('reads %j and window %j as %s', (nav, win, expected) => {
+        expect(hasDoNotTrackSignal(nav, win)).toBe(expected);
+    });
+});
+
+describe('sinks', () => {
+    it('logs events to the console', () => {
+        const log = { info: vi.fn() };
+        createConsoleSink(log).send({ type: 'search' });
+        expect(log.info).toHaveBeenCalledWith('[analytics]', { type: 'search' });
+    });
+
+    it('posts events and ignores failures', () => {
+        const post = vi.fn().mockRejectedValue(new Error('offline'));
+        createHttpSink('https://collector.example/events', post).send({ type: 'card' });
+        expect(post).toHaveBeenCalledWith('https://collector.example/events', expect.objectContaining({
+            method: 'POST', keepalive: true, body: JSON.stringify({ events: [{ type: 'card' }] }),
+        }));
+    });
+
+    it.each([
+        [{}, ''],
+        [{ VITE_ANALYTICS_SINK: 'file' }, 'file'],
+        [{ VITE_ANALYTICS_SINK: 'somewhere' }, ''],
+    ])('reads the sink from %j', (env, sink) => {
+        expect(getAnalyticsConfig(env).sink).toBe(sink);
+    });
+
+    it.each([
+        ['console', '', true],
+        ['file', '', true],
+        ['http', 'https://collector.example/events', true],
+        ['http', '', false],
+        ['', '', false],
+    ])('creates the %j sink with url %j: %s', (sink, url, created) => {
+        expect(Boolean(createSink({ sink, url }))).toBe(created);
+    });
+});
@@ -0,0 +1,195 @@
+import { criteriaToSearch } from './urlState.js';
+
+// How many days before an occasion to suggest starting the search, unless the date says otherwise
+export const DEFAULT_LEAD_DAYS = 14;
+export const MAX_LEAD_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Dates are calendar days ("YYYY-MM-DD") with no time or zone; the arithmetic runs in UTC so
+// daylight saving changes never make a day 23 or 25 hours long
+const toUtc = (year, month, day) => Date.UTC(year, month - 1, day);
+const fromUtc = (time) => new Date(time).toISOString().slice(0, 10);
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Reads a "YYYY-MM-DD" date, rejecting days that do not exist such as 2025-02-30.
+ * @param {string} text - The date.
+ * @returns {{ year: number, month: number, day: number }|null} Its parts, or null if it is not a valid date.
+ */
+export const parseDate = (text) => {
+    const match = DATE_PATTERN.exec(text || '');
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    return fromUtc(toUtc(year, month, day)) === text ? { year, month, day } : null;
+};
+
+/**
+ * The calendar day of a moment in the browser's time zone.
+ * @param {Date} [date] - The moment, now by default.
+ * @returns {string} The day as "YYYY-MM-DD".
+ */
+export const localDate = (date = new Date()) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Counts the days from one date to another.
+ * @param {string} from - The start, "YYYY-MM-DD".
+ * @param {string} to - The end, "YYYY-MM-DD".
+ * @returns {number} The days between them, negative if `to` comes first.
+ */
+export const daysBetween = (from, to) => {
+    const a = parseDate(from);
+    const b = parseDate(to);
+    return Math.round((toUtc(b.year, b.month, b.day) - toUtc(a.year, a.month, a.day)) / DAY_MS);
+};
+
+/**
+ * Moves a date by a number of days.
+ * @param {string} date - The date, "YYYY-MM-DD".
+ * @param {number} days - Days to add, or subtract when negative.
+ * @returns {string} The new date.
+ */
+export const addDays = (date, days) => {
+    const { year, month, day } = parseDate(date);
+    return fromUtc(toUtc(year, month, day) + days * DAY_MS);
+};
+
+/**
+ * Finds the next time an occasion falls on or after a day. Yearly occasions on 29 February
+ * fall on the 28th in other years.
+ * @param {{ date: string, repeats: boolean }} occasionDate - The date, and whether it comes back every year.
+ * @param {string} today - The day to count from, "YYYY-MM-DD".
+ * @returns {string|null} The date, or null for a one-off occasion that has passed.
+ */
+export const nextOccurrence = ({ date, repeats }, today) => {
+    const parsed = parseDate(date);
+    if (!parsed) return null;
+    if (!repeats) return date >= today ? date : null;
+
+    const inYear = (year) => {
+        const lastDay = new Date(Date.UTC(year, parsed.month, 0)).getUTCDate();
+        return `${year}-${pad(parsed.month)}-${pad(Math.min(parsed.day, lastDay))}`;
+    };
+    const thisYear = Number(today.slice(0, 4));
+    // A yearly occasion starts with the date it was entered with, not earlier
+    const year = Math.max(thisYear, parsed.year);
+    const candidate = inYear(year);
+    return candidate >= today ? candidate : inYear(year + 1);
+};
+
+/**
+ * Lists the coming occasions of every saved recipient, soonest first.
+ * @param {Array<object>} profiles - The saved profiles, with their `dates`.
+ * @param {string} today - The current day, "YYYY-MM-DD".
+ * @returns {Array<{ key: string, profileId: string, name: string, occasion: string, date: string,
+ *   daysLeft: number, searchFrom: string, searchNow: boolean, search: string }>} The occasions. `key` names
+ *   this occurrence (so a reminder is sent once a year), `searchFrom` is when to start looking for a gift
+ *   and `search` is the query string of a search for it.
+ */
+export const upcomingOccasions = (profiles, today) => profiles
+    .flatMap(profile => (profile.dates || []).map(occasionDate => {
+        const date = nextOccurrence(occasionDate, today);
+        if (!date) return null;
+        const searchFrom = addDays(date, -occasionDate.leadDays);
+        return {
+            key: `${profile.id}:${occasionDate.id}:${date}`,
+            profileId: profile.id,
+            name: profile.name,
+            occasion: occasionDate.occasion,
+            date,
+            daysLeft: daysBetween(today, date),
+            searchFrom,
+            searchNow: searchFrom <= today,
+            search: criteriaToSearch({ ...profile.criteria, occasion: occasionDate.occasion }),
+        };
+    }))
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+
+/**
+ * Picks the occasions whose search should start now and that have not been reminded of yet.
+ * @param {Array<object>} upcoming - From upcomingOccasions().
+ * @param {string[]} sent - The keys of the reminders already sent.
+ * @returns {Array<object>} The occasions to remind about.
+ */
+export const dueReminders = (upcoming, sent) =>
+    upcoming.filter(event => event.searchNow && !sent.includes(event.key));
+
+// RFC 5545 text: backslash, semicolon, comma and newlines are escaped
+const escapeText = (text) => text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 bytes continue on the next line after a space; UTF-8 characters are not split
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const basicDate = (date) => date.replace(/-/g, '');
+
+/**
+ * Builds an iCalendar file with every saved occasion as an all-day event, yearly ones repeating,
+ * and an alarm on the day the search should start.
+ * @param {Array<object>} profiles - The saved profiles, with their `dates`.
+ * @param {object} options
+ * @param {(occasion: string, name: string) => string} options.summary - The event title, e.g. "Birthday: Mom".
+ * @param {string} options.description - The event notes, e.g. a reminder to look for a gift.
+ * @param {Date} [options.now] - The time the file is made, for DTSTAMP.
+ * @returns {string} The .ics file.
+ */
+export const toICS = (profiles, { summary, description, now = new Date() }) => {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const events = profiles.flatMap(profile => (profile.dates || [])
+        .filter(occasionDate => parseDate(occasionDate.date))
+        .map(occasionDate => {
+            const { month, day } = parseDate(occasionDate.date);
+            const lines = [
+                'BEGIN:VEVENT',
+                `UID:${profile.id}-${occasionDate.id}@gift-finder`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${basicDate(occasionDate.date)}`,
+                `DTEND;VALUE=DATE:${basicDate(addDays(occasionDate.date, 1))}`,
+                `SUMMARY:${escapeText(summary(occasionDate.occasion, profile.name))}`,
+                `DESCRIPTION:${escapeText(description)}`,
+                'TRANSP:TRANSPARENT',
+            ];
+            if (occasionDate.repeats) {
+                // A plain yearly rule skips 29 February in the years that have none
+                lines.push(month === 2 && day === 29 ? 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'RRULE:FREQ=YEARLY');
+            }
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(description)}`,
+                `TRIGGER;RELATED=START:-P${occasionDate.leadDays}D`,
+                'END:VALARM',
+                'END:VEVENT',
+            );
+            return lines;
+        }));
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Gift Finder//Occasions//EN',
+        'CALSCALE:GREGORIAN',
+        ...events.flat(),
+        'END:VCALENDAR',
+    ].map(foldLine).join('\r\n') + '\r\n';
+};
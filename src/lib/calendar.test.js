@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, daysBetween, nextOccurrence, upcomingOccasions, dueReminders, toICS } from './calendar.js';
+import { addOccasionDate } from './profiles.js';
+
+const PROFILES = [
+    {
+        id: 'p1',
+        name: 'Mom',
+        criteria: { occasion: '', relationship: 'parent', age: '62', gender: 'she', interests: 'gardening', notableEvents: '' },
+        dates: [
+            { id: 'd1', occasion: 'birthday', date: '1962-11-02', repeats: true, leadDays: 14 },
+            { id: 'd2', occasion: "mother's day", date: '2026-05-10', repeats: false, leadDays: 7 },
+        ],
+    },
+    {
+        id: 'p2',
+        name: 'Sam',
+        criteria: { occasion: '', relationship: 'friend', age: '', gender: '', interests: '', notableEvents: '' },
+        dates: [{ id: 'd3', occasion: 'graduation', date: '2026-10-25', repeats: false, leadDays: 10 }],
+    },
+    // Saved before profiles had dates
+    { id: 'p3', name: 'Lee', criteria: {} },
+];
+
+describe('parseDate', () => {
+    it.each([
+        ['2025-02-28', { year: 2025, month: 2, day: 28 }],
+        ['2024-02-29', { year: 2024, month: 2, day: 29 }],
+        ['2025-02-29', null],
+        ['2025-13-01', null],
+        ['25-1-1', null],
+        ['', null],
+    ])('reads %j', (text, expected) => {
+        expect(parseDate(text)).toEqual(expected);
+    });
+});
+
+describe('daysBetween', () => {
+    it('counts across months and years', () => {
+        expect(daysBetween('2025-12-30', '2026-01-02')).toBe(3);
+        expect(daysBetween('2026-03-28', '2026-03-30')).toBe(2);
+        expect(daysBetween('2026-01-02', '2025-12-30')).toBe(-3);
+    });
+});
+
+describe('nextOccurrence', () => {
+    it.each([
+        ['a yearly date later this year', { date: '1990-11-02', repeats: true }, '2026-10-19', '2026-11-02'],
+        ['a yearly date that has passed this year', { date: '1990-03-01', repeats: true }, '2026-10-19', '2027-03-01'],
+        ['a yearly date that is today', { date: '1990-10-19', repeats: true }, '2026-10-19', '2026-10-19'],
+        ['29 February in a common year', { date: '2000-02-29', repeats: true }, '2026-01-10', '2026-02-28'],
+        ['29 February in a leap year', { date: '2000-02-29', repeats: true }, '2028-01-10', '2028-02-29'],
+        ['a yearly date first entered for a later year', { date: '2028-06-01', repeats: true }, '2026-10-19', '2028-06-01'],
+        ['a one-off date to come', { date: '2026-12-01', repeats: false }, '2026-10-19', '2026-12-01'],
+        ['a one-off date that has passed', { date: '2026-01-01', repeats: false }, '2026-10-19', null],
+        ['an invalid date', { date: 'soon', repeats: true }, '2026-10-19', null],
+    ])('finds %s', (_name, occasionDate, today, expected) => {
+        expect(nextOccurrence(occasionDate, today)).toBe(expected);
+    });
+});
+
+describe('upcomingOccasions', () => {
+    it('lists the coming occasions soonest first, with when to start searching', () => {
+        expect(upcomingOccasions(PROFILES, '2026-10-19')).toEqual([
+            {
+                key: 'p2:d3:2026-10-25', profileId: 'p2', name: 'Sam', occasion: 'graduation', date: '2026-10-25',
+                daysLeft: 6, searchFrom: '2026-10-15', searchNow: true, search: '?occasion=graduation&relationship=friend',
+            },
+            {
+                key: 'p1:d1:2026-11-02', profileId: 'p1', name: 'Mom', occasion: 'birthday', date: '2026-11-02',
+                daysLeft: 14, searchFrom: '2026-10-19', searchNow: true,
+                search: '?occasion=birthday&relationship=parent&age=62&gender=she&interests=gardening',
+            },
+        ]);
+    });
+
+    it('names each yearly occurrence separately, so it is reminded of again next year', () => {
+        const [nextYear] = upcomingOccasions(PROFILES.slice(0, 1), '2027-10-19');
+        expect(nextYear).toMatchObject({ key: 'p1:d1:2027-11-02', daysLeft: 14 });
+    });
+});
+
+describe('dueReminders', () => {
+    it('picks the occasions to search for now that have not been reminded of', () => {
+        const upcoming = upcomingOccasions(PROFILES, '2026-10-19');
+        expect(dueReminders(upcoming, ['p2:d3:2026-10-25']).map(event => event.key)).toEqual(['p1:d1:2026-11-02']);
+        expect(dueReminders(upcomingOccasions(PROFILES, '2026-10-01'), [])).toEqual([]);
+    });
+});
+
+describe('toICS', () => {
+    const ics = toICS(PROFILES, {
+        summary: (occasion, name) => `${occasion}: ${name}`,
+        description: 'Find a gift, a card; and wrap it.',
+        now: new Date(Date.UTC(2026, 9, 19, 8, 30)),
+    });
+
+    it('writes an all-day event per date with an alarm when the search should start', () => {
+        const lines = ics.split('\r\n');
+        expect(lines.slice(0, 4)).toEqual(['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Gift Finder//Occasions//EN', 'CALSCALE:GREGORIAN']);
+        expect(lines.slice(4, 19)).toEqual([
+            'BEGIN:VEVENT',
+            'UID:p1-d1@gift-finder',
+            'DTSTAMP:20261019T083000Z',
+            'DTSTART;VALUE=DATE:19621102',
+            'DTEND;VALUE=DATE:19621103',
+            'SUMMARY:birthday: Mom',
+            'DESCRIPTION:Find a gift\\, a card\\; and wrap it.',
+            'TRANSP:TRANSPARENT',
+            'RRULE:FREQ=YEARLY',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'DESCRIPTION:Find a gift\\, a card\\; and wrap it.',
+            'TRIGGER;RELATED=START:-P14D',
+            'END:VALARM',
+            'END:VEVENT',
+        ]);
+        expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+        expect(ics.match(/RRULE/g)).toHaveLength(1);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('repeats 29 February on the last day of February', () => {
+        const profile = addOccasionDate({ id: 'p', name: 'Ana', dates: [] }, { occasion: 'birthday', date: '2000-02-29' });
+        expect(toICS([profile], { summary: () => 'Birthday', description: '' })).toContain('RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1');
+    });
+
+    it('folds long lines without splitting characters', () => {
+        const long = toICS([PROFILES[1]], { summary: () => 'é'.repeat(60), description: '' });
+        const lines = long.split('\r\n');
+        expect(lines.every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+        expect(long.replace(/\r\n /g, '')).toContain(`SUMMARY:${'é'.repeat(60)}`);
+    });
+});
+
+describe('addOccasionDate', () => {
+    it.each([
+        ['defaults to a yearly date two weeks ahead', {}, { repeats: true, leadDays: 14 }],
+        ['keeps a one-off date', { repeats: false, leadDays: '3' }, { repeats: false, leadDays: 3 }],
+        ['limits how far ahead to search', { leadDays: '400' }, { leadDays: 90 }],
+        ['ignores a lead that is not a number', { leadDays: '' }, { leadDays: 14 }],
+    ])('%s', (_name, fields, expected) => {
+        const { dates } = addOccasionDate({ id: 'p', name: 'Ana' }, { occasion: 'birthday', date: '1990-05-04', ...fields });
+        expect(dates).toEqual([expect.objectContaining({ id: expect.any(String), occasion: 'birthday', date: '1990-05-04', ...expected })]);
+    });
+
+    it('rejects dates that do not exist', () => {
+        expect(() => addOccasionDate({ id: 'p', name: 'Ana' }, { occasion: 'birthday', date: '2025-02-30' })).toThrow('Invalid occasion date');
+    });
+});
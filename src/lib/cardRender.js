@@ -0,0 +1,241 @@
+// Draws card layouts from cardTemplates.js onto canvases and exports them as PNG or PDF.
+
+const FONTS = {
+    serif: 'Georgia, "Times New Roman", serif',
+    sans: 'Avenir, Helvetica, Arial, sans-serif',
+};
+
+// Text is shrunk to fit its box, but never below this share of its intended size
+const MIN_TEXT_SCALE = 0.4;
+const LINE_HEIGHT = 1.3;
+// Gap between pages when they are stacked into one PNG, in millimetres
+const PNG_PAGE_GAP = 6;
+
+const fontFor = (element, size) =>
+    `${element.italic ? 'italic ' : ''}${element.weight === 'bold' ? 'bold ' : ''}${size}px ${FONTS[element.font] || FONTS.sans}`;
+
+/**
+ * Breaks text into lines no wider than maxWidth, keeping the author's line breaks.
+ * @param {CanvasRenderingContext2D} ctx - A context with the font already set.
+ * @param {string} text - The text.
+ * @param {number} maxWidth - The line width in pixels.
+ * @returns {string[]} The lines.
+ */
+const wrapText = (ctx, text, maxWidth) => text.split('\n').flatMap((paragraph) => {
+    const lines = [];
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    lines.push(line);
+    return lines;
+});
+
+/**
+ * Draws a text element, shrinking it until it fits its box.
+ */
+const drawText = (ctx, element, scale) => {
+    const boxWidth = element.w * scale;
+    const boxHeight = element.h * scale;
+    let size = element.size * scale;
+    let lines;
+    for (;;) {
+        ctx.font = fontFor(element, size);
+        lines = wrapText(ctx, element.text, boxWidth);
+        const fits = lines.length * size * LINE_HEIGHT <= boxHeight && lines.every(line => ctx.measureText(line).width <= boxWidth);
+        if (fits || size <= element.size * scale * MIN_TEXT_SCALE) break;
+        size *= 0.92;
+    }
+
+    ctx.fillStyle = element.color;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = element.align || 'left';
+    const x = element.x * scale + (element.align === 'center' ? boxWidth / 2 : element.align === 'right' ? boxWidth : 0);
+    const textHeight = lines.length * size * LINE_HEIGHT;
+    const top = element.y * scale + (element.valign === 'middle' ? Math.max(0, (boxHeight - textHeight) / 2) : 0);
+    lines.forEach((line, i) => ctx.fillText(line, x, top + i * size * LINE_HEIGHT, boxWidth));
+};
+
+const tracePath = {
+    heart: (ctx, r) => {
+        ctx.moveTo(0, r * 0.6);
+        ctx.bezierCurveTo(-r * 1.2, -r * 0.2, -r * 0.5, -r * 1.1, 0, -r * 0.4);
+        ctx.bezierCurveTo(r * 0.5, -r * 1.1, r * 1.2, -r * 0.2, 0, r * 0.6);
+    },
+    star: (ctx, r) => {
+        for (let i = 0; i < 10; i++) {
+            const radius = i % 2 === 0 ? r : r * 0.45;
+            const angle = (Math.PI / 5) * i - Math.PI / 2;
+            ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+        }
+    },
+    confetti: (ctx, r) => ctx.rect(-r, -r * 0.35, r * 2, r * 0.7),
+    dot: (ctx, r) => ctx.arc(0, 0, r * 0.6, 0, Math.PI * 2),
+    snow: (ctx, r) => ctx.arc(0, 0, r * 0.5, 0, Math.PI * 2),
+    ring: (ctx, r) => ctx.arc(0, 0, r, 0, Math.PI * 2),
+};
+
+const drawShape = (ctx, element, scale) => {
+    ctx.save();
+    ctx.translate(element.x * scale, element.y * scale);
+    ctx.rotate((element.rotation * Math.PI) / 180);
+    ctx.globalAlpha = element.opacity ?? 1;
+    ctx.beginPath();
+    (tracePath[element.shape] || tracePath.dot)(ctx, element.size * scale);
+    ctx.closePath();
+    if (element.shape === 'ring') {
+        ctx.strokeStyle = element.color;
+        ctx.lineWidth = 0.5 * scale;
+        ctx.stroke();
+    } else {
+        ctx.fillStyle = element.color;
+        ctx.fill();
+    }
+    ctx.restore();
+};
+
+const drawElement = (ctx, element, scale) => {
+    switch (element.type) {
+        case 'rect':
+            ctx.beginPath();
+            ctx.roundRect(element.x * scale, element.y * scale, element.w * scale, element.h * scale, (element.radius || 0) * scale);
+            ctx.fillStyle = element.color;
+            ctx.fill();
+            if (element.stroke) {
+                ctx.strokeStyle = element.stroke;
+                ctx.lineWidth = 0.4 * scale;
+                ctx.stroke();
+            }
+            break;
+        case 'line':
+            ctx.beginPath();
+            ctx.setLineDash((element.dash || []).map(length => length * scale));
+            ctx.moveTo(element.x1 * scale, element.y1 * scale);
+            ctx.lineTo(element.x2 * scale, element.y2 * scale);
+            ctx.strokeStyle = element.color;
+            ctx.lineWidth = 0.3 * scale;
+            ctx.stroke();
+            ctx.setLineDash([]);
+            break;
+        case 'text':
+            drawText(ctx, element, scale);
+            break;
+        case 'shape':
+            drawShape(ctx, element, scale);
+            break;
+    }
+};
+
+/**
+ * Draws every page of a card layout onto its own canvas.
+ * @param {{ width: number, height: number, pages: Array<{ elements: Array<object> }> }} layout - From layoutCard().
+ * @param {number} [dpi] - The resolution; 150 is enough for home printers.
+ * @returns {HTMLCanvasElement[]} One canvas per page.
+ */
+export const renderCardPages = (layout, dpi = 150) => {
+    const scale = dpi / 25.4;
+    return layout.pages.map((page) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(layout.width * scale);
+        canvas.height = Math.round(layout.height * scale);
+        const ctx = canvas.getContext('2d');
+        page.elements.forEach(element => drawElement(ctx, element, scale));
+        return canvas;
+    });
+};
+
+const downloadUrl = (url, fileName) => {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+};
+
+/**
+ * Downloads the card as one PNG, with the pages stacked top to bottom.
+ * @param {object} layout - From layoutCard().
+ * @param {string} fileName - The file name without an extension.
+ * @returns {Promise<void>}
+ */
+export const downloadCardPng = async (layout, fileName) => {
+    const pages = renderCardPages(layout, 200);
+    const gap = Math.round((PNG_PAGE_GAP / 25.4) * 200);
+    const sheet = document.createElement('canvas');
+    sheet.width = pages[0].width;
+    sheet.height = pages.reduce((total, page) => total + page.height, 0) + gap * (pages.length - 1);
+
+    const ctx = sheet.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, sheet.width, sheet.height);
+    pages.reduce((top, page) => {
+        ctx.drawImage(page, 0, top);
+        return top + page.height + gap;
+    }, 0);
+
+    const blob = await new Promise(resolve => sheet.toBlob(resolve, 'image/png'));
+    const url = URL.createObjectURL(blob);
+    downloadUrl(url, `${fileName}.png`);
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Downloads the card as a PDF with one page per card side, at the card's real size.
+ * jsPDF is only loaded when the first PDF is made.
+ * @param {object} layout - From layoutCard().
+ * @param {string} fileName - The file name without an extension.
+ * @returns {Promise<void>}
+ */
+export const downloadCardPdf = async (layout, fileName) => {
+    const { jsPDF } = await import('jspdf');
+    const orientation = layout.width > layout.height ? 'landscape' : 'portrait';
+    const pdf = new jsPDF({ orientation, unit: 'mm', format: [layout.width, layout.height] });
+
+    renderCardPages(layout, 300).forEach((canvas, index) => {
+        if (index > 0) pdf.addPage([layout.width, layout.height], orientation);
+        pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, layout.width, layout.height);
+    });
+    pdf.save(`${fileName}.pdf`);
+};
+
+/**
+ * Prints the card at its real size, one card side per sheet. The pages are added to the
+ * document only while printing; the print stylesheet in index.css hides everything else.
+ * @param {object} layout - From layoutCard().
+ * @returns {Promise<void>}
+ */
+export const printCard = async (layout) => {
+    const container = document.createElement('div');
+    container.className = 'card-print';
+    const images = renderCardPages(layout, 300).map((canvas) => {
+        const image = new Image();
+        image.src = canvas.toDataURL('image/png');
+        image.style.width = `${layout.width}mm`;
+        image.style.height = `${layout.height}mm`;
+        container.appendChild(image);
+        return image;
+    });
+    await Promise.all(images.map(image => image.decode()));
+
+    // @page cannot be scoped to an element, so the sheet size only exists while printing
+    const pageStyle = document.createElement('style');
+    pageStyle.textContent = `@page { size: ${layout.width}mm ${layout.height}mm; margin: 0; }`;
+    document.head.appendChild(pageStyle);
+    document.body.appendChild(container);
+    document.body.classList.add('printing-card');
+
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-card');
+        container.remove();
+        pageStyle.remove();
+    }, { once: true });
+    window.print();
+};
@@ -0,0 +1,28 @@
+// Tones and lengths offered by the card message studio; the server knows how to describe each one
+// to the model, and the labels are the card.tone.* and card.length.* messages
+export const CARD_TONES = ['heartfelt', 'funny', 'sentimental', 'formal', 'poem', 'haiku'];
+
+export const CARD_LENGTHS = ['short', 'medium', 'long'];
+
+export const DEFAULT_CARD_OPTIONS = {
+    tone: 'heartfelt',
+    length: 'medium',
+    signature: '',
+    insideJokes: '',
+    variants: 3,
+};
+
+// One-click follow-up instructions shown next to the refinement box, as card.suggestion.* message keys
+export const REFINE_SUGGESTIONS = ['shorter', 'funnier', 'personal', 'lessFormal'];
+
+/**
+ * Splits the streamed card text into its versions. The server asks the model to separate
+ * them with a line containing only "---"; while streaming, the last version is still growing.
+ * @param {string} text - The text received so far.
+ * @returns {string[]} The non-empty versions.
+ */
+export const splitVariants = (text) => text
+    .split(/^\s*---+\s*$/m)
+    .map(variant => variant.trim())
+    .filter(Boolean);
+
@@ -0,0 +1,209 @@
+// Card layouts are described in millimetres as plain lists of elements (rect, line, text, shape),
+// so they can be tested without a canvas and drawn at any resolution by cardRender.js.
+
+// Sizes of the printable templates; their names and printing hints are the export.template.* and export.hint.* messages
+export const CARD_TEMPLATES = {
+    'folded-a5': { width: 210, height: 148 },
+    postcard: { width: 148, height: 105 },
+    'gift-tag': { width: 55, height: 90 },
+};
+
+// Colours and background motif for each occasion in the form; the headlines are the export.headline.* messages
+const OCCASION_THEMES = {
+    'anniversary': { background: '#fdf0f3', accent: '#c2185b', ink: '#4a1030', motif: 'heart' },
+    'baby shower': { background: '#eef7fb', accent: '#5a9fc4', ink: '#234a5e', motif: 'dot' },
+    'birthday': { background: '#fff7e6', accent: '#e07b1a', ink: '#5a3a12', motif: 'confetti' },
+    "father's day": { background: '#eef3f8', accent: '#2c5d8a', ink: '#1d3550', motif: 'star' },
+    'graduation': { background: '#f3f1fa', accent: '#4b3f91', ink: '#2a2357', motif: 'star' },
+    'holiday': { background: '#f1f8f3', accent: '#2e7d4f', ink: '#1b4a2f', motif: 'snow' },
+    'housewarming': { background: '#fbf6ee', accent: '#a0673a', ink: '#4d3019', motif: 'dot' },
+    'just because': { background: '#f3faf8', accent: '#477d8f', ink: '#234552', motif: 'dot' },
+    "mother's day": { background: '#fbf0f6', accent: '#ba6b9c', ink: '#5a2a48', motif: 'heart' },
+    'retirement': { background: '#f5f8ee', accent: '#5f7f1f', ink: '#33450f', motif: 'confetti' },
+    'thank you': { background: '#f5eff7', accent: '#8e6a9a', ink: '#45304d', motif: 'dot' },
+    "valentine's": { background: '#fdeff1', accent: '#d81b45', ink: '#5c0d20', motif: 'heart' },
+};
+
+const DEFAULT_THEME = { background: '#f3faf8', accent: '#477d8f', ink: '#234552', motif: 'dot' };
+
+/**
+ * Returns the key of the occasion's theme, which also names its headline message.
+ * @param {string} occasion - The occasion from the form (any case).
+ * @returns {string} A key of OCCASION_THEMES, or 'default' for occasions without a theme.
+ */
+export const getThemeKey = (occasion) => {
+    const key = (occasion || '').trim().toLowerCase();
+    return Object.hasOwn(OCCASION_THEMES, key) ? key : 'default';
+};
+
+/**
+ * Returns the colours and motif for an occasion.
+ * @param {string} occasion - The occasion from the form (any case).
+ * @returns {{ background: string, accent: string, ink: string, motif: string }} The theme.
+ */
+export const getOccasionTheme = (occasion) => OCCASION_THEMES[getThemeKey(occasion)] || DEFAULT_THEME;
+
+/**
+ * Returns a deterministic pseudo-random generator, so a card looks the same every time it is drawn.
+ * @param {number} seed - The seed.
+ * @returns {() => number} A function returning numbers in [0, 1).
+ */
+const seededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+};
+
+/**
+ * Scatters motif shapes over an area, leaving its centre band free for text.
+ * @returns {Array<object>} The shape elements.
+ */
+const scatterMotif = (theme, { x, y, w, h }, count, seed) => {
+    const random = seededRandom(seed);
+    const shapes = [];
+    while (shapes.length < count) {
+        const px = x + random() * w;
+        const py = y + random() * h;
+        // Keep the middle third clear so the headline stays readable
+        if (Math.abs(py - (y + h / 2)) < h / 6) continue;
+        shapes.push({
+            type: 'shape',
+            shape: theme.motif,
+            x: px,
+            y: py,
+            size: 2 + random() * Math.min(w, h) * 0.04,
+            rotation: random() * 360,
+            color: random() < 0.5 ? theme.accent : theme.ink,
+            opacity: theme.motif === 'snow' ? 0.35 : 0.25 + random() * 0.3,
+        });
+    }
+    return shapes;
+};
+
+/**
+ * Builds the decorated front of a card: theme background, scattered motif and the headline.
+ */
+const coverElements = (theme, headline, area, seed) => [
+    { type: 'rect', ...area, color: theme.background },
+    ...scatterMotif(theme, area, Math.round((area.w * area.h) / 180), seed),
+    {
+        type: 'text', x: area.x + area.w * 0.1, y: area.y + area.h * 0.3, w: area.w * 0.8, h: area.h * 0.4,
+        text: headline, size: area.w * 0.11, font: 'serif', weight: 'bold', align: 'center', color: theme.ink,
+    },
+];
+
+/**
+ * Builds the "your gift is…" insert for the chosen gift.
+ */
+const giftInsertElements = (theme, { giftName, giftInsertLabel }, { x, y, w, h }) => [
+    { type: 'rect', x, y, w, h, color: '#ffffff', stroke: theme.accent, radius: 2 },
+    { type: 'text', x: x + 3, y: y + 2, w: w - 6, h: h * 0.35, text: giftInsertLabel, size: Math.min(h * 0.22, 5), font: 'sans', italic: true, align: 'center', color: theme.accent },
+    { type: 'text', x: x + 3, y: y + h * 0.4, w: w - 6, h: h * 0.55, text: giftName, size: Math.min(h * 0.3, 7), font: 'serif', weight: 'bold', align: 'center', color: theme.ink },
+];
+
+const messageElement = (theme, message, area, size) => ({
+    type: 'text', ...area, text: message, size, font: 'serif', align: 'center', color: theme.ink, valign: 'middle',
+});
+
+const layouts = {
+    // Outside: back on the left, cover on the right. Inside: gift insert on the left, message on the right.
+    'folded-a5': ({ width, height }, theme, content) => {
+        const half = width / 2;
+        const foldLine = { type: 'line', x1: half, y1: 0, x2: half, y2: height, color: '#c8c8c8', dash: [2, 2] };
+        return [
+            {
+                id: 'outside',
+                elements: [
+                    { type: 'rect', x: 0, y: 0, w: width, h: height, color: '#ffffff' },
+                    ...coverElements(theme, content.headline, { x: half, y: 0, w: half, h: height }, 7),
+                    foldLine,
+                ],
+            },
+            {
+                id: 'inside',
+                elements: [
+                    { type: 'rect', x: 0, y: 0, w: width, h: height, color: '#ffffff' },
+                    ...(content.giftName ? giftInsertElements(theme, content, { x: 15, y: height / 2 - 18, w: half - 30, h: 36 }) : []),
+                    messageElement(theme, content.message, { x: half + 10, y: 12, w: half - 20, h: height - 24 }, 6),
+                    foldLine,
+                ],
+            },
+        ];
+    },
+
+    // Front: full-bleed cover. Back: message on the left, gift insert and address lines on the right.
+    'postcard': ({ width, height }, theme, content) => {
+        const split = width * 0.58;
+        const addressLines = [0, 1, 2, 3].map(i => ({
+            type: 'line', x1: split + 6, y1: height * 0.55 + i * 10, x2: width - 8, y2: height * 0.55 + i * 10, color: '#b0b0b0',
+        }));
+        return [
+            { id: 'front', elements: coverElements(theme, content.headline, { x: 0, y: 0, w: width, h: height }, 11) },
+            {
+                id: 'back',
+                elements: [
+                    { type: 'rect', x: 0, y: 0, w: width, h: height, color: '#ffffff' },
+                    messageElement(theme, content.message, { x: 8, y: 8, w: split - 14, h: height - 16 }, 4.5),
+                    { type: 'line', x1: split, y1: 8, x2: split, y2: height - 8, color: theme.accent },
+                    ...(content.giftName ? giftInsertElements(theme, content, { x: split + 6, y: 8, w: width - split - 14, h: 26 }) : []),
+                    ...addressLines,
+                ],
+            },
+        ];
+    },
+
+    // A single tag with a punch hole at the top, the message, and the gift insert at the bottom
+    'gift-tag': ({ width, height }, theme, content) => {
+        const insertHeight = content.giftName ? 20 : 0;
+        return [
+            {
+                id: 'tag',
+                elements: [
+                    { type: 'rect', x: 0, y: 0, w: width, h: height, color: theme.background, stroke: theme.accent, radius: 4 },
+                    { type: 'shape', shape: 'ring', x: width / 2, y: 7, size: 3, rotation: 0, color: theme.accent, opacity: 1 },
+                    { type: 'text', x: 4, y: 13, w: width - 8, h: 10, text: content.headline, size: 5, font: 'serif', weight: 'bold', align: 'center', color: theme.ink },
+                    messageElement(theme, content.message, { x: 5, y: 25, w: width - 10, h: height - 31 - insertHeight }, 3.5),
+                    ...(content.giftName ? giftInsertElements(theme, content, { x: 4, y: height - insertHeight - 4, w: width - 8, h: insertHeight }) : []),
+                ],
+            },
+        ];
+    },
+};
+
+/**
+ * Lays out a card message on a template.
+ * @param {string} templateId - A key of CARD_TEMPLATES.
+ * @param {object} content
+ * @param {string} content.message - The card message.
+ * @param {string} [content.occasion] - The occasion, which picks the theme.
+ * @param {string} [content.headline] - The cover headline, in the user's language.
+ * @param {string} [content.giftName] - The gift to reveal in a "your gift is…" insert.
+ * @param {string} [content.giftInsertLabel] - The "your gift is…" text, in the user's language.
+ * @returns {{ width: number, height: number, pages: Array<{ id: string, elements: Array<object> }> }}
+ *   The page size in millimetres and the elements of each page; page ids name the export.page.* messages.
+ */
+export const layoutCard = (templateId, { message, occasion = '', headline = '', giftName = '', giftInsertLabel = '' }) => {
+    const template = CARD_TEMPLATES[templateId];
+    if (!template) throw new Error(`Unknown card template "${templateId}".`);
+
+    const theme = getOccasionTheme(occasion);
+    return {
+        width: template.width,
+        height: template.height,
+        pages: layouts[templateId](template, theme, { message: message.trim(), headline, giftName: giftName.trim(), giftInsertLabel }),
+    };
+};
+
+/**
+ * Builds a download file name such as "birthday-folded-a5-card".
+ * @param {string} templateId - The template.
+ * @param {string} [occasion] - The occasion.
+ * @returns {string} The file name without an extension.
+ */
+export const cardFileName = (templateId, occasion = '') =>
+    [occasion, templateId, 'card']
+        .map(part => part.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+        .filter(Boolean)
+        .join('-');
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { CARD_TEMPLATES, layoutCard, getThemeKey, cardFileName } from './cardTemplates.js';
+
+const GIFT_INSERT_LABEL = 'Your gift is…';
+
+const texts = (page) => page.elements.filter(element => element.type === 'text').map(element => element.text);
+const allTexts = (layout) => layout.pages.flatMap(texts);
+
+describe('layoutCard', () => {
+    it.each([
+        // [template, width, height, page ids]
+        ['folded-a5', 210, 148, ['outside', 'inside']],
+        ['postcard', 148, 105, ['front', 'back']],
+        ['gift-tag', 55, 90, ['tag']],
+    ])('lays out %s at its real size', (templateId, width, height, pageIds) => {
+        const layout = layoutCard(templateId, { message: 'Happy birthday!', occasion: 'birthday' });
+        expect(layout).toMatchObject({ width, height });
+        expect(layout.pages.map(page => page.id)).toEqual(pageIds);
+        expect(allTexts(layout)).toContain('Happy birthday!');
+    });
+
+    it.each(Object.keys(CARD_TEMPLATES))('keeps every element of %s on the page', (templateId) => {
+        const layout = layoutCard(templateId, { message: 'Hi', occasion: 'holiday', giftName: 'Camp Stove' });
+        for (const element of layout.pages.flatMap(page => page.elements)) {
+            const [x, y] = element.type === 'line' ? [element.x1, element.y1] : [element.x, element.y];
+            expect(x).toBeGreaterThanOrEqual(0);
+            expect(y).toBeGreaterThanOrEqual(0);
+            expect(x + (element.w || 0)).toBeLessThanOrEqual(layout.width);
+            expect(y + (element.h || 0)).toBeLessThanOrEqual(layout.height);
+        }
+    });
+
+    it.each(Object.keys(CARD_TEMPLATES))('adds the gift insert to %s only when a gift is chosen', (templateId) => {
+        expect(allTexts(layoutCard(templateId, { message: 'Hi', giftInsertLabel: GIFT_INSERT_LABEL }))).not.toContain(GIFT_INSERT_LABEL);
+
+        const withGift = allTexts(layoutCard(templateId, { message: 'Hi', giftName: ' Star Map ', giftInsertLabel: GIFT_INSERT_LABEL }));
+        expect(withGift).toContain(GIFT_INSERT_LABEL);
+        expect(withGift).toContain('Star Map');
+    });
+
+    it('themes the cover by occasion', () => {
+        const cover = layoutCard('postcard', { message: 'Hi', occasion: "Mother's Day", headline: 'Feliz Día de la Madre' }).pages[0];
+        expect(texts(cover)).toEqual(['Feliz Día de la Madre']);
+        expect(cover.elements.filter(element => element.type === 'shape').every(shape => shape.shape === 'heart')).toBe(true);
+    });
+
+    it('draws the same card every time', () => {
+        const content = { message: 'Hi', occasion: 'birthday' };
+        expect(layoutCard('folded-a5', content)).toEqual(layoutCard('folded-a5', content));
+    });
+
+    it('rejects unknown templates', () => {
+        expect(() => layoutCard('billboard', { message: 'Hi' })).toThrow('Unknown card template');
+    });
+});
+
+describe('getThemeKey', () => {
+    it.each([
+        ['birthday', 'birthday'],
+        ['  Graduation ', 'graduation'],
+        ['', 'default'],
+        ['bar mitzvah', 'default'],
+        ['constructor', 'default'],
+    ])('gives %j the theme %j', (occasion, key) => {
+        expect(getThemeKey(occasion)).toBe(key);
+    });
+});
+
+describe('cardFileName', () => {
+    it.each([
+        ['folded-a5', 'birthday', 'birthday-folded-a5-card'],
+        ['postcard', "Father's Day", 'father-s-day-postcard-card'],
+        ['gift-tag', '', 'gift-tag-card'],
+    ])('names %s for %j', (templateId, occasion, expected) => {
+        expect(cardFileName(templateId, occasion)).toBe(expected);
+    });
+});
@@ -0,0 +1,50 @@
+import { CRITERIA_FIELDS, NUMERIC_FIELDS, criteriaFromSearch } from './urlState.js';
+import { CURRENCIES } from './currency.js';
+
+/**
+ * Returns the form values to start with: those in the URL, so links and reloads restore the form.
+ * @param {string} search - The query string, e.g. window.location.search.
+ * @param {string} defaultCurrency - The currency used when the URL has none (or an unsupported one).
+ * @returns {object} The form values.
+ */
+export const initialCriteria = (search, defaultCurrency) => {
+    const criteria = criteriaFromSearch(search);
+    return { ...criteria, currency: CURRENCIES.includes(criteria.currency) ? criteria.currency : defaultCurrency };
+};
+
+/**
+ * Cleans a value typed into a field: numeric fields keep only their digits.
+ * @param {string} field - The field name.
+ * @param {string} value - The value typed.
+ * @returns {string} The value to store.
+ */
+const cleanValue = (field, value) => NUMERIC_FIELDS.includes(field) ? String(value).replace(/[^0-9]/g, '') : value;
+
+/**
+ * Reducer for the search form.
+ * - `{ type: 'set', field, value }` changes one field.
+ * - `{ type: 'apply', criteria }` writes saved criteria (a profile, a history entry) into the form.
+ *   Fields missing from the object are left unchanged, and an unsupported currency is ignored.
+ * @param {object} criteria - The current form values.
+ * @param {object} action - The change.
+ * @returns {object} The new form values.
+ */
+export const criteriaReducer = (criteria, action) => {
+    switch (action.type) {
+        case 'set':
+            if (!CRITERIA_FIELDS.includes(action.field)) return criteria;
+            if (action.field === 'currency' && !CURRENCIES.includes(action.value)) return criteria;
+            return { ...criteria, [action.field]: cleanValue(action.field, action.value) };
+        case 'apply': {
+            const next = { ...criteria };
+            CRITERIA_FIELDS.forEach(field => {
+                if (field === 'currency' || !(field in action.criteria)) return;
+                next[field] = cleanValue(field, action.criteria[field] || '');
+            });
+            if (CURRENCIES.includes(action.criteria.currency)) next.currency = action.criteria.currency;
+            return next;
+        }
+        default:
+            return criteria;
+    }
+};
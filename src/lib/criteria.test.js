@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { criteriaReducer, initialCriteria } from './criteria.js';
+
+const EMPTY = initialCriteria('', 'USD');
+
+describe('initialCriteria', () => {
+    it.each([
+        ['?occasion=birthday&age=4x2&currency=GBP', 'EUR', { occasion: 'birthday', age: '42', currency: 'GBP' }],
+        ['?currency=XYZ', 'EUR', { currency: 'EUR' }],
+        ['', 'USD', { occasion: '', interests: '', currency: 'USD' }],
+    ])('reads %j with %s as the default currency', (search, defaultCurrency, expected) => {
+        expect(initialCriteria(search, defaultCurrency)).toMatchObject(expected);
+    });
+});
+
+describe('criteriaReducer', () => {
+    it.each([
+        // [field, typed, stored]
+        ['interests', 'birds, 3D printing', 'birds, 3D printing'],
+        ['age', '4a2', '42'],
+        ['minPrice', '$20', '20'],
+        ['currency', 'CHF', 'CHF'],
+    ])('sets %s from %j', (field, value, expected) => {
+        expect(criteriaReducer(EMPTY, { type: 'set', field, value })[field]).toBe(expected);
+    });
+
+    it.each([
+        ['currency', 'XYZ'],
+        ['constructor', 'x'],
+    ])('ignores %s = %j', (field, value) => {
+        expect(criteriaReducer(EMPTY, { type: 'set', field, value })).toBe(EMPTY);
+    });
+
+    it('applies only the fields given', () => {
+        const filled = { ...EMPTY, occasion: 'birthday', interests: 'birds', minPrice: '20' };
+        expect(criteriaReducer(filled, { type: 'apply', criteria: { interests: 'chess', minPrice: null, currency: 'EUR' } }))
+            .toEqual({ ...filled, interests: 'chess', minPrice: '', currency: 'EUR' });
+    });
+
+    it('keeps the currency when the applied one is missing or unsupported', () => {
+        const euros = { ...EMPTY, currency: 'EUR' };
+        expect(criteriaReducer(euros, { type: 'apply', criteria: { currency: '' } }).currency).toBe('EUR');
+        expect(criteriaReducer(euros, { type: 'apply', criteria: { currency: 'XYZ' } }).currency).toBe('EUR');
+    });
+
+    it('returns the same state for an unknown action', () => {
+        expect(criteriaReducer(EMPTY, { type: 'reset' })).toBe(EMPTY);
+    });
+});
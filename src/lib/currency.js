@@ -0,0 +1,17 @@
+// Currencies offered next to the price range, the list the server accepts
+export { CURRENCIES } from '../../server/shared.js';
+
+/**
+ * Returns the short symbol a currency is written with in a language, e.g. "€" or "$".
+ * @param {string} currency - The ISO 4217 currency code.
+ * @param {string} [language] - The display language.
+ * @returns {string} The symbol, or the code when the browser has none.
+ */
+export const currencySymbol = (currency, language) => {
+    try {
+        const parts = new Intl.NumberFormat(language, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' }).formatToParts(0);
+        return parts.find(part => part.type === 'currency')?.value || currency;
+    } catch {
+        return currency;
+    }
+};
@@ -0,0 +1,75 @@
+const DB_NAME = 'gift-finder';
+
+// One entry per schema version; entry N upgrades the database from version N to N + 1.
+// Append new steps, never edit existing ones.
+const MIGRATIONS = [
+    (db) => db.createObjectStore('profiles', { keyPath: 'id' }),
+    (db) => db.createObjectStore('history', { keyPath: 'id' }),
+    (db) => db.createObjectStore('favorites', { keyPath: 'id' }),
+    (db) => db.createObjectStore('giftCache', { keyPath: 'key' }),
+];
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<any>} The request's result.
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and, on first use, creates or upgrades) the app's IndexedDB database.
+ * @returns {Promise<IDBDatabase>} The shared connection.
+ */
+export const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion; version < MIGRATIONS.length; version++) {
+                    MIGRATIONS[version](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((err) => {
+            // Let the next call try again instead of caching the failure forever
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs a single operation against one object store.
+ * @param {string} storeName - The object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Issues the request.
+ * @returns {Promise<any>} The request's result, once the transaction has committed.
+ */
+const withStore = async (storeName, mode, operation) => {
+    const db = await openDb();
+    const transaction = db.transaction(storeName, mode);
+    const result = promisify(operation(transaction.objectStore(storeName)));
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+export const getOne = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+export const putOne = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+export const deleteOne = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+export const clearStore = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
@@ -0,0 +1,43 @@
+// Kinds of failure for the codes of ApiError (src/api.js); each has an errors.kind.* message
+const KINDS_BY_CODE = {
+    quota_exceeded: 'quotaExceeded',
+    invalid_key: 'invalidKey',
+    safety_block: 'safetyBlock',
+    malformed_output: 'malformedOutput',
+    timeout: 'timeout',
+    rate_limited: 'rateLimited',
+    model_unavailable: 'unavailable',
+    model_error: 'unavailable',
+    offline: 'offline',
+    network: 'network',
+};
+
+// What the error panel offers for each kind: 'retry' the same request, 'edit' the criteria, or nothing
+// when only the site owner can fix it (a bad API key) or there is nothing to repeat (a damaged share link)
+export const RECOVERY_ACTIONS = {
+    quotaExceeded: 'retry',
+    invalidKey: null,
+    safetyBlock: 'edit',
+    malformedOutput: 'retry',
+    timeout: 'retry',
+    rateLimited: 'retry',
+    unavailable: 'retry',
+    offline: 'retry',
+    network: 'retry',
+    damagedLink: null,
+    unknown: 'retry',
+};
+
+/**
+ * Works out what kind of failure an error from the API was, for the error panel.
+ * @param {Error} err - The error, usually an ApiError.
+ * @returns {{ kind: string, retryAfterSeconds: number|null, detail: string }} The kind, how long to wait
+ *   before retrying (if the server said), and the technical message for the "unknown" kind.
+ */
+export const classifyError = (err) => {
+    let kind = KINDS_BY_CODE[err.code];
+    // Answers the client could not read, and servers too old to send a code
+    if (!kind && err.name === 'SyntaxError') kind = 'malformedOutput';
+    if (!kind && err.status >= 500) kind = 'unavailable';
+    return { kind: kind || 'unknown', retryAfterSeconds: err.retryAfterSeconds ?? null, detail: err.message };
+};
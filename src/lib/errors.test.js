@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { classifyError, RECOVERY_ACTIONS } from './errors.js';
+import { ApiError } from '../api.js';
+
+describe('classifyError', () => {
+    it.each([
+        // [error, kind]
+        [new ApiError('API error: 503', { status: 503, code: 'quota_exceeded', retryAfterSeconds: 30 }), 'quotaExceeded'],
+        [new ApiError('API error: 502', { status: 502, code: 'invalid_key' }), 'invalidKey'],
+        [new ApiError('API error: 422', { status: 422, code: 'safety_block' }), 'safetyBlock'],
+        [new ApiError('API error: 502', { status: 502, code: 'malformed_output' }), 'malformedOutput'],
+        [new ApiError('API error: 429', { status: 429, code: 'rate_limited' }), 'rateLimited'],
+        [new ApiError('API error: 502', { status: 502, code: 'model_error' }), 'unavailable'],
+        [new ApiError('API error: no answer', { code: 'timeout' }), 'timeout'],
+        [new ApiError('API error: unreachable', { code: 'offline' }), 'offline'],
+        [new ApiError('API error: unreachable', { code: 'network' }), 'network'],
+        [new ApiError('API error: 502 Bad Gateway', { status: 502 }), 'unavailable'],
+        [new SyntaxError('Unexpected end of JSON input'), 'malformedOutput'],
+        [new ApiError('API error: 400 Bad Request - Invalid criteria', { status: 400, code: 'brand_new' }), 'unknown'],
+        [new Error('Something else'), 'unknown'],
+    ])('classifies %s', (err, kind) => {
+        expect(classifyError(err).kind).toBe(kind);
+        expect(RECOVERY_ACTIONS).toHaveProperty(kind);
+    });
+
+    it('keeps the wait and the message', () => {
+        const err = new ApiError('API error: 503 - Quota exceeded', { status: 503, code: 'quota_exceeded', retryAfterSeconds: 30 });
+        expect(classifyError(err)).toEqual({ kind: 'quotaExceeded', retryAfterSeconds: 30, detail: 'API error: 503 - Quota exceeded' });
+        expect(classifyError(new Error('Oops')).retryAfterSeconds).toBeNull();
+    });
+});
@@ -0,0 +1,62 @@
+import { getAll, putOne, deleteOne } from './db.js';
+import { giftKey } from './gifts.js';
+
+const STORE = 'favorites';
+
+/**
+ * Identifies a shortlist entry by the gift and who and what it was saved for, so one gift can be
+ * shortlisted for several recipients and occasions, each with its own pick.
+ * @param {object} gift - The gift idea.
+ * @param {object} criteria - The form values the gift was generated for.
+ * @param {string} [profileName] - The saved recipient the search was for, if any.
+ * @returns {string} The id.
+ */
+export const favoriteId = (gift, criteria, profileName = '') =>
+    JSON.stringify([giftKey(gift.name), profileName, criteria.occasion || '', criteria.relationship || '']);
+
+/**
+ * Creates a shortlist entry for a gift idea, remembering where it came from.
+ * The id is derived from the gift and its recipient and occasion (see favoriteId), so saving the same idea twice for them is a no-op.
+ * @param {object} gift - The gift idea.
+ * @param {object} criteria - The form values the gift was generated for.
+ * @param {string} [profileName] - The saved recipient the search was for, if any.
+ * @returns {object} The favorite.
+ */
+export const createFavorite = (gift, criteria, profileName = '') => ({
+    id: favoriteId(gift, criteria, profileName),
+    gift: { ...gift },
+    occasion: criteria.occasion || '',
+    relationship: criteria.relationship || '',
+    profileName,
+    savedAt: new Date().toISOString(),
+    pickedAt: null,
+});
+
+/**
+ * Describes who and what a favorite was for, e.g. "Mom · birthday" or "parent · birthday".
+ * @param {object} favorite - The favorite.
+ * @returns {string} The description.
+ */
+export const describeRecipient = (favorite) =>
+    [favorite.profileName || favorite.relationship, favorite.occasion].filter(Boolean).join(' · ');
+
+/**
+ * Records "pick this one". Only one gift can be picked per recipient and occasion,
+ * so any earlier pick for the same pair is cleared.
+ * @param {Array<object>} favorites - All favorites.
+ * @param {string} id - The favorite being picked.
+ * @returns {Array<object>} The favorites that changed.
+ */
+export const pickFavorite = (favorites, id) => {
+    const picked = favorites.find(favorite => favorite.id === id);
+    if (!picked) return [];
+    const now = new Date().toISOString();
+    return favorites
+        .filter(favorite => favorite.id === id || (favorite.pickedAt && describeRecipient(favorite) === describeRecipient(picked)))
+        .map(favorite => ({ ...favorite, pickedAt: favorite.id === id ? now : null }));
+};
+
+export const loadFavorites = async () =>
+    (await getAll(STORE)).sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+export const saveFavorite = (favorite) => putOne(STORE, favorite);
+export const deleteFavorite = (id) => deleteOne(STORE, id);
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createFavorite, pickFavorite } from './favorites.js';
+
+const favorite = (id, recipient, pickedAt = null) => ({
+    id, gift: { name: id }, occasion: 'birthday', relationship: 'parent', profileName: '', savedAt: '2026-01-01T00:00:00.000Z', pickedAt, ...recipient,
+});
+
+const EARLIER = '2026-02-01T00:00:00.000Z';
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('pickFavorite', () => {
+    it('picks one gift and clears the earlier pick for the same recipient and occasion', () => {
+        const favorites = [
+            favorite('seed box', {}, EARLIER),
+            favorite('vinyl record', {}),
+            favorite('field guide', {}),
+        ];
+        expect(pickFavorite(favorites, 'vinyl record')).toEqual([
+            { ...favorites[0], pickedAt: null },
+            { ...favorites[1], pickedAt: '2026-03-01T10:00:00.000Z' },
+        ]);
+    });
+
+    it('leaves the picks for other recipients and occasions alone', () => {
+        const favorites = [
+            favorite('seed box', { occasion: 'holiday' }, EARLIER),
+            favorite('tea set', { profileName: 'Mom' }, EARLIER),
+            favorite('vinyl record', {}),
+        ];
+        expect(pickFavorite(favorites, 'vinyl record').map(({ id }) => id)).toEqual(['vinyl record']);
+    });
+
+    it('picks a gift again', () => {
+        const favorites = [favorite('seed box', {}, EARLIER)];
+        expect(pickFavorite(favorites, 'seed box')).toEqual([{ ...favorites[0], pickedAt: '2026-03-01T10:00:00.000Z' }]);
+    });
+
+    it('changes nothing for an unknown id', () => {
+        expect(pickFavorite([favorite('seed box', {}, EARLIER)], 'kite')).toEqual([]);
+    });
+});
+
+describe('createFavorite', () => {
+    const GIFT = { name: 'Seed box', description: 'Heirloom seeds.' };
+
+    it('keeps one gift apart for each recipient and occasion', () => {
+        const forMom = createFavorite(GIFT, { occasion: 'birthday', relationship: 'parent' }, 'Mom');
+        const forDad = createFavorite(GIFT, { occasion: 'birthday', relationship: 'parent' }, 'Dad');
+        const forChristmas = createFavorite(GIFT, { occasion: 'holiday', relationship: 'parent' }, 'Mom');
+        expect(new Set([forMom.id, forDad.id, forChristmas.id]).size).toBe(3);
+        expect(createFavorite({ name: 'seed-box!' }, { occasion: 'birthday', relationship: 'parent' }, 'Mom').id).toBe(forMom.id);
+
+        const picked = pickFavorite([forMom, forDad], forDad.id);
+        expect(picked.map(({ id }) => id)).toEqual([forDad.id]);
+        expect(pickFavorite([forMom, ...picked], forMom.id).map(({ id }) => id)).toEqual([forMom.id]);
+    });
+});
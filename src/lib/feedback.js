@@ -0,0 +1,66 @@
+import { giftKey } from './gifts.js';
+import { LIKE_REASONS, DISLIKE_REASONS } from '../../server/shared.js';
+
+// Reasons that can be picked for a liked or a disliked idea, the ones the server passes on to the model
+export { LIKE_REASONS, DISLIKE_REASONS };
+
+// Ideas sent as already shown, the most recent ones (the server keeps as many)
+const MAX_SHOWN = 50;
+
+// A search starts with no ideas shown and none rated
+export const INITIAL_FEEDBACK = { shown: [], ratings: {} };
+
+/**
+ * Reducer for the feedback on the ideas of one search, which steers its refreshes.
+ * - `{ type: 'reset', gifts }` starts a new search with these ideas shown.
+ * - `{ type: 'show', gifts }` adds the ideas of a refresh or "more like this".
+ * - `{ type: 'rate', gift, liked }` likes (true) or dislikes (false) an idea; the same rating again clears it.
+ * - `{ type: 'toggleReason', gift, reason }` adds or removes a reason for the idea's rating.
+ * @param {{ shown: string[], ratings: object }} state - The names shown so far, and the ratings by giftKey:
+ *   `{ name, liked, reasons }`.
+ * @param {object} action - The change.
+ * @returns {object} The new state.
+ */
+export const feedbackReducer = (state, action) => {
+    switch (action.type) {
+        case 'reset':
+            return { shown: action.gifts.map(gift => gift.name), ratings: {} };
+        case 'show': {
+            const known = new Set(state.shown.map(giftKey));
+            return { ...state, shown: [...state.shown, ...action.gifts.map(gift => gift.name).filter(name => !known.has(giftKey(name)))] };
+        }
+        case 'rate': {
+            const key = giftKey(action.gift.name);
+            const { [key]: current, ...ratings } = state.ratings;
+            if (current?.liked === action.liked) return { ...state, ratings };
+            return { ...state, ratings: { ...ratings, [key]: { name: action.gift.name, liked: action.liked, reasons: [] } } };
+        }
+        case 'toggleReason': {
+            const key = giftKey(action.gift.name);
+            const rating = state.ratings[key];
+            const allowed = rating?.liked ? LIKE_REASONS : DISLIKE_REASONS;
+            if (!rating || !allowed.includes(action.reason)) return state;
+            const reasons = rating.reasons.includes(action.reason)
+                ? rating.reasons.filter(reason => reason !== action.reason)
+                : [...rating.reasons, action.reason];
+            return { ...state, ratings: { ...state.ratings, [key]: { ...rating, reasons } } };
+        }
+        default:
+            return state;
+    }
+};
+
+/**
+ * Looks up the rating of an idea.
+ * @param {object} state - The feedback state.
+ * @param {object} gift - The gift idea.
+ * @returns {{ name: string, liked: boolean, reasons: string[] }|null} The rating, or null if it has none.
+ */
+export const getRating = (state, gift) => state.ratings[giftKey(gift.name)] || null;
+
+/**
+ * The part of a gift request that carries the feedback: the ideas already shown and the ratings.
+ * @param {object} state - The feedback state.
+ * @returns {{ shown: string[], feedback: Array<{ name: string, liked: boolean, reasons: string[] }> }} The fields to send.
+ */
+export const toFeedbackRequest = (state) => ({ shown: state.shown.slice(-MAX_SHOWN), feedback: Object.values(state.ratings) });
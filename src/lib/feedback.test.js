@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { feedbackReducer, getRating, toFeedbackRequest, INITIAL_FEEDBACK } from './feedback.js';
+
+const POTTERY = { name: 'Pottery class' };
+const GUIDE = { name: 'Field guide' };
+
+const apply = (...actions) => actions.reduce(feedbackReducer, INITIAL_FEEDBACK);
+
+describe('feedbackReducer', () => {
+    it.each([
+        ['rates an idea', [{ type: 'rate', gift: POTTERY, liked: true }], { name: 'Pottery class', liked: true, reasons: [] }],
+        ['clears a rating given again', [{ type: 'rate', gift: POTTERY, liked: true }, { type: 'rate', gift: POTTERY, liked: true }], null],
+        ['switches a rating and drops its reasons', [
+            { type: 'rate', gift: POTTERY, liked: true },
+            { type: 'toggleReason', gift: POTTERY, reason: 'original' },
+            { type: 'rate', gift: POTTERY, liked: false },
+        ], { name: 'Pottery class', liked: false, reasons: [] }],
+        ['toggles reasons', [
+            { type: 'rate', gift: POTTERY, liked: false },
+            { type: 'toggleReason', gift: POTTERY, reason: 'too-generic' },
+            { type: 'toggleReason', gift: POTTERY, reason: 'over-budget' },
+            { type: 'toggleReason', gift: POTTERY, reason: 'too-generic' },
+        ], { name: 'Pottery class', liked: false, reasons: ['over-budget'] }],
+        ['ignores a reason of the other rating', [
+            { type: 'rate', gift: POTTERY, liked: true },
+            { type: 'toggleReason', gift: POTTERY, reason: 'too-generic' },
+        ], { name: 'Pottery class', liked: true, reasons: [] }],
+        ['ignores a reason for an unrated idea', [{ type: 'toggleReason', gift: POTTERY, reason: 'original' }], null],
+        ['matches names loosely', [{ type: 'rate', gift: POTTERY, liked: true }, { type: 'rate', gift: { name: ' pottery CLASS ' }, liked: true }], null],
+    ])('%s', (_case, actions, expected) => {
+        expect(getRating(apply(...actions), POTTERY)).toEqual(expected);
+    });
+
+    it('keeps the shown ideas of a search and starts over with a new one', () => {
+        const state = apply(
+            { type: 'reset', gifts: [POTTERY] },
+            { type: 'rate', gift: POTTERY, liked: false },
+            { type: 'show', gifts: [{ name: 'pottery class' }, GUIDE] },
+        );
+        expect(state.shown).toEqual(['Pottery class', 'Field guide']);
+        expect(feedbackReducer(state, { type: 'reset', gifts: [GUIDE] })).toEqual({ shown: ['Field guide'], ratings: {} });
+    });
+});
+
+describe('toFeedbackRequest', () => {
+    it('sends the latest shown ideas and the ratings', () => {
+        const gifts = Array.from({ length: 60 }, (_, i) => ({ name: `Idea ${i}` }));
+        const request = toFeedbackRequest(apply({ type: 'reset', gifts }, { type: 'rate', gift: GUIDE, liked: true }));
+        expect(request.shown).toHaveLength(50);
+        expect(request.shown[0]).toBe('Idea 10');
+        expect(request.feedback).toEqual([{ name: 'Field guide', liked: true, reasons: [] }]);
+    });
+});
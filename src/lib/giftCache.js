@@ -0,0 +1,151 @@
+import { getAll, getOne, putOne, deleteOne } from './db.js';
+import { giftKey } from './gifts.js';
+import { CRITERIA_FIELDS, NUMERIC_FIELDS } from './urlState.js';
+import { streamGiftIdeas } from '../api.js';
+import { PROMPT_VERSIONS } from '../../server/promptVersions.js';
+
+const STORE = 'giftCache';
+
+// Part of every key, so a changed prompt doesn't reuse old answers
+export const GIFT_PROMPT_VERSION = PROMPT_VERSIONS['gift-ideas'];
+
+// How long generated gift ideas are reused for identical searches
+export const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the cache key of a gift request. Differences that don't change the prompt — case,
+ * extra spaces, leading zeros, the order of gifts to avoid or already shown — give the same key.
+ * @param {object} request - The request body: the form values, language, avoid list, and the
+ *   shown ideas, feedback and idea to vary of a refresh or "more like this".
+ * @returns {string} The key.
+ */
+export const giftCacheKey = (request) => {
+    const fields = CRITERIA_FIELDS.map(field => {
+        const value = String(request[field] ?? '').trim();
+        if (NUMERIC_FIELDS.includes(field)) return value ? String(Number(value)) : '';
+        return field === 'currency' ? value.toUpperCase() : value.toLowerCase().replace(/\s+/g, ' ');
+    });
+    const keys = (names) => [...new Set((names || []).map(giftKey))].sort();
+    const feedback = (request.feedback || [])
+        .map(({ name, liked, reasons }) => [giftKey(name), liked, [...(reasons || [])].sort()])
+        .sort((a, b) => a[0].localeCompare(b[0]));
+    return JSON.stringify([
+        GIFT_PROMPT_VERSION, request.language || 'en', ...fields, keys(request.avoid),
+        keys(request.shown), feedback, request.similarTo ? giftKey(request.similarTo.name) : null,
+    ]);
+};
+
+// The cache in IndexedDB: entries of `{ key, gifts, promptVersion, createdAt, expiresAt }`
+export const idbGiftCache = {
+    read: (key) => getOne(STORE, key),
+    write: (entry) => putOne(STORE, entry),
+    remove: (key) => deleteOne(STORE, key),
+};
+
+const abortError = () => new DOMException('The request was stopped.', 'AbortError');
+
+/**
+ * Creates a source of gift ideas that answers identical searches from the cache, and lets
+ * identical searches made while one is still running share that request instead of paying for another.
+ * @param {object} options
+ * @param {(request: object, options: { onGift: Function, signal: AbortSignal }) => Promise<{ promptVersion: string|null }>} options.stream -
+ *   Streams gift ideas from the API.
+ * @param {{ read: Function, write: Function, remove: Function }} options.cache - Where finished answers are kept (see idbGiftCache).
+ * @param {number} [options.ttl] - How long an answer is reused, in milliseconds.
+ * @param {() => number} [options.now] - The clock.
+ * @returns {(request: object, options: { onGift: (gift: object) => void, signal?: AbortSignal, refresh?: boolean }) => Promise<{ gifts: Array<object>, promptVersion: string|null, cachedAt: number|null }>}
+ *   Finds gift ideas, reporting each one through onGift. `refresh` skips the cache and any request
+ *   in flight. `promptVersion` is the prompt the ideas were made with, and `cachedAt` when a cached
+ *   answer was generated, or null for a new one.
+ */
+export const createGiftSource = ({ stream, cache, ttl = CACHE_TTL_MS, now = Date.now }) => {
+    const inFlight = new Map();
+
+    const start = (key, request) => {
+        const controller = new AbortController();
+        const shared = { gifts: [], listeners: new Set(), controller };
+        shared.promise = stream(request, {
+            signal: controller.signal,
+            onGift: (gift) => {
+                shared.gifts.push(gift);
+                shared.listeners.forEach(listener => listener(gift));
+            },
+        })
+            .then(async (done) => {
+                const answer = { gifts: shared.gifts, promptVersion: done?.promptVersion ?? null };
+                if (shared.gifts.length > 0) {
+                    const createdAt = now();
+                    await cache.write({ key, ...answer, createdAt, expiresAt: createdAt + ttl })
+                        .catch(err => console.error("Error caching gift ideas:", err));
+                }
+                return answer;
+            })
+            .finally(() => {
+                // A refresh may have replaced this request in the meantime
+                if (inFlight.get(key) === shared) inFlight.delete(key);
+            });
+        inFlight.set(key, shared);
+        return shared;
+    };
+
+    // Follows a shared request: replays the ideas it already has, then reports new ones.
+    // The request itself is only stopped once everyone following it has stopped.
+    const follow = (shared, { onGift, signal }) => new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+        // Each follower gets its own listener, even when two pass the same onGift
+        const listener = (gift) => onGift(gift);
+        const leave = () => {
+            shared.listeners.delete(listener);
+            if (shared.listeners.size === 0) shared.controller.abort();
+            reject(abortError());
+        };
+        shared.gifts.forEach(gift => onGift(gift));
+        shared.listeners.add(listener);
+        signal?.addEventListener('abort', leave, { once: true });
+        shared.promise.then(resolve, reject).finally(() => {
+            shared.listeners.delete(listener);
+            signal?.removeEventListener('abort', leave);
+        });
+    });
+
+    // Returns the cached answer for a key, or null when there is none or it has expired
+    const readCache = async (key) => {
+        const entry = await cache.read(key).catch(() => null);
+        if (!entry) return null;
+        if (entry.expiresAt <= now()) {
+            cache.remove(key).catch(() => {});
+            return null;
+        }
+        return entry;
+    };
+
+    return async (request, { onGift, signal, refresh = false }) => {
+        const key = giftCacheKey(request);
+        if (!refresh && !inFlight.has(key)) {
+            const cached = await readCache(key);
+            if (cached) {
+                cached.gifts.forEach(gift => onGift(gift));
+                // Entries cached before versions were recorded have none
+                return { gifts: cached.gifts, promptVersion: cached.promptVersion ?? null, cachedAt: cached.createdAt };
+            }
+        }
+        const shared = (!refresh && inFlight.get(key)) || start(key, request);
+        return { ...await follow(shared, { onGift, signal }), cachedAt: null };
+    };
+};
+
+// The app's gift source, shared so that identical searches anywhere in the app share a request
+export const findGiftIdeas = createGiftSource({ stream: streamGiftIdeas, cache: idbGiftCache });
+
+/**
+ * Removes expired answers from the cache.
+ * @returns {Promise<void>}
+ */
+export const pruneGiftCache = async () => {
+    const now = Date.now();
+    const expired = (await getAll(STORE)).filter(entry => entry.expiresAt <= now);
+    await Promise.all(expired.map(entry => deleteOne(STORE, entry.key)));
+};
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createGiftSource, giftCacheKey, CACHE_TTL_MS } from './giftCache.js';
+
+const REQUEST = { occasion: 'birthday', relationship: 'friend', age: '30', interests: 'birds', currency: 'USD', language: 'en', avoid: [] };
+const GIFTS = [{ name: 'Pottery class' }, { name: 'Field guide' }];
+
+// An in-memory stand-in for the IndexedDB cache
+const createMemoryCache = () => {
+    const entries = new Map();
+    return {
+        entries,
+        read: async (key) => entries.get(key),
+        write: async (entry) => { entries.set(entry.key, entry); },
+        remove: async (key) => { entries.delete(key); },
+    };
+};
+
+// A stream whose gifts and end are released by the test, to hold a request in flight
+const createControlledStream = () => {
+    const calls = [];
+    const stream = vi.fn((request, { onGift, signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        calls.push({ request, onGift, signal, resolve, reject });
+    }));
+    return { stream, calls };
+};
+
+const instantStream = (gifts) => vi.fn(async (request, { onGift }) => {
+    gifts.forEach(onGift);
+    return { promptVersion: 'gift-ideas@3' };
+});
+
+const setup = ({ stream = instantStream(GIFTS), now = () => 1000 } = {}) => {
+    const cache = createMemoryCache();
+    return { cache, stream, find: createGiftSource({ stream, cache, now }) };
+};
+
+describe('giftCacheKey', () => {
+    it.each([
+        ['case and spacing', { interests: '  Birds ', occasion: 'Birthday' }],
+        ['leading zeros', { age: '030' }],
+        ['the order of gifts to avoid', { avoid: ['Kite', 'Book'] }, { avoid: ['book', 'kite'] }],
+        ['the order of ideas shown and rated', {
+            shown: ['Kite', 'Book'],
+            feedback: [{ name: 'Kite', liked: false, reasons: ['over-budget', 'too-generic'] }, { name: 'Book', liked: true, reasons: [] }],
+        }, {
+            shown: ['book', 'kite'],
+            feedback: [{ name: 'book', liked: true, reasons: [] }, { name: 'kite', liked: false, reasons: ['too-generic', 'over-budget'] }],
+        }],
+    ])('ignores %s', (_case, change, base = {}) => {
+        expect(giftCacheKey({ ...REQUEST, ...change })).toBe(giftCacheKey({ ...REQUEST, ...base }));
+    });
+
+    it.each([
+        ['language', { language: 'de' }],
+        ['currency', { currency: 'EUR' }],
+        ['price range', { maxPrice: '50' }],
+        ['gifts to avoid', { avoid: ['Kite'] }],
+        ['ideas already shown', { shown: ['Kite'] }],
+        ['feedback', { feedback: [{ name: 'Kite', liked: false, reasons: [] }] }],
+        ['idea to vary', { similarTo: { name: 'Kite', description: 'A box kite.' } }],
+    ])('changes with the %s', (_case, change) => {
+        expect(giftCacheKey({ ...REQUEST, ...change })).not.toBe(giftCacheKey(REQUEST));
+    });
+});
+
+describe('createGiftSource', () => {
+    it('answers a repeated search from the cache', async () => {
+        const { find, stream } = setup();
+        await find(REQUEST, { onGift: () => {} });
+
+        const onGift = vi.fn();
+        await expect(find({ ...REQUEST, interests: 'Birds' }, { onGift })).resolves.toEqual({ gifts: GIFTS, promptVersion: 'gift-ideas@3', cachedAt: 1000 });
+        expect(onGift).toHaveBeenCalledTimes(2);
+        expect(stream).toHaveBeenCalledTimes(1);
+    });
+
+    it('asks again once the answer has expired', async () => {
+        let time = 1000;
+        const { find, stream, cache } = setup({ now: () => time });
+        await find(REQUEST, { onGift: () => {} });
+
+        time += CACHE_TTL_MS;
+        await expect(find(REQUEST, { onGift: () => {} })).resolves.toMatchObject({ cachedAt: null });
+        expect(stream).toHaveBeenCalledTimes(2);
+        expect([...cache.entries.values()][0].createdAt).toBe(time);
+    });
+
+    it('skips the cache on refresh', async () => {
+        const { find, stream } = setup();
+        await find(REQUEST, { onGift: () => {} });
+        await expect(find(REQUEST, { onGift: () => {}, refresh: true })).resolves.toMatchObject({ cachedAt: null });
+        expect(stream).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not cache a failed or empty answer', async () => {
+        const failing = vi.fn(async () => { throw new Error('API error: 502'); });
+        const { find, cache } = setup({ stream: failing });
+        await expect(find(REQUEST, { onGift: () => {} })).rejects.toThrow('API error: 502');
+
+        const { find: findNothing, cache: emptyCache } = setup({ stream: instantStream([]) });
+        await findNothing(REQUEST, { onGift: () => {} });
+        expect(cache.entries.size + emptyCache.entries.size).toBe(0);
+    });
+
+    it('shares one request between identical searches in flight', async () => {
+        const { stream, calls } = createControlledStream();
+        const { find } = setup({ stream });
+        const first = vi.fn();
+        const second = vi.fn();
+
+        const firstResult = find(REQUEST, { onGift: first });
+        await vi.waitFor(() => expect(calls).toHaveLength(1));
+        calls[0].onGift(GIFTS[0]);
+
+        // The second search gets the idea that already arrived, then the rest
+        const secondResult = find({ ...REQUEST }, { onGift: second });
+        await vi.waitFor(() => expect(second).toHaveBeenCalledTimes(1));
+        calls[0].onGift(GIFTS[1]);
+        calls[0].resolve({ promptVersion: 'gift-ideas@3' });
+
+        await expect(firstResult).resolves.toEqual({ gifts: GIFTS, promptVersion: 'gift-ideas@3', cachedAt: null });
+        await expect(secondResult).resolves.toEqual({ gifts: GIFTS, promptVersion: 'gift-ideas@3', cachedAt: null });
+        expect(first.mock.calls.map(([gift]) => gift)).toEqual(GIFTS);
+        expect(second.mock.calls.map(([gift]) => gift)).toEqual(GIFTS);
+        expect(stream).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps a shared request going until every search following it has stopped', async () => {
+        const { stream, calls } = createControlledStream();
+        const { find } = setup({ stream });
+        const firstController = new AbortController();
+        const secondController = new AbortController();
+
+        const firstResult = find(REQUEST, { onGift: () => {}, signal: firstController.signal });
+        await vi.waitFor(() => expect(calls).toHaveLength(1));
+        const secondResult = find(REQUEST, { onGift: () => {}, signal: secondController.signal });
+        await Promise.resolve();
+
+        firstController.abort();
+        await expect(firstResult).rejects.toMatchObject({ name: 'AbortError' });
+        expect(calls[0].signal.aborted).toBe(false);
+
+        secondController.abort();
+        await expect(secondResult).rejects.toMatchObject({ name: 'AbortError' });
+        expect(calls[0].signal.aborted).toBe(true);
+    });
+});
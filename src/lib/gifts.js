@@ -0,0 +1,74 @@
+// How gift names are compared, the same way as on the server
+export { giftKey } from '../../server/shared.js';
+
+// Orders of the results list; the labels are the sort.* messages
+export const SORT_OPTIONS = ['suggested', 'price-asc', 'price-desc'];
+
+/**
+ * Formats a gift's estimated price, e.g. 32 USD -> "$32".
+ * @param {number} amount - The price.
+ * @param {string} [currency] - The ISO 4217 currency code.
+ * @param {string} [language] - The display language; the browser's by default.
+ * @returns {string} The formatted price, or an empty string when there is no price.
+ */
+export const formatPrice = (amount, currency = 'USD', language = undefined) => {
+    if (!Number.isFinite(amount)) return '';
+    try {
+        return new Intl.NumberFormat(language, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+    } catch {
+        return `${amount} ${currency}`;
+    }
+};
+
+/**
+ * Checks a gift's estimated price against the price range typed by the user.
+ * @param {object} gift - The gift idea.
+ * @param {string} minPrice - The lower bound ('' when not set).
+ * @param {string} maxPrice - The upper bound ('' when not set).
+ * @param {string} [currency] - The currency of the range; prices in another currency cannot be compared.
+ * @returns {boolean|null} Whether the gift fits, or null when there is no range or no price to compare.
+ */
+export const isWithinBudget = (gift, minPrice, maxPrice, currency = 'USD') => {
+    if ((!minPrice && !maxPrice) || !Number.isFinite(gift.estimatedPrice)) return null;
+    if ((gift.currency || 'USD') !== currency) return null;
+    if (minPrice && gift.estimatedPrice < Number(minPrice)) return false;
+    if (maxPrice && gift.estimatedPrice > Number(maxPrice)) return false;
+    return true;
+};
+
+/**
+ * Lists the categories present in a set of gifts, for the category filter.
+ * @param {Array<object>} gifts - The gift ideas.
+ * @returns {string[]} The sorted, distinct categories.
+ */
+export const getCategories = (gifts) => [...new Set(gifts.map(gift => gift.category).filter(Boolean))].sort();
+
+/**
+ * Applies the results list's sort and filter controls.
+ * @param {Array<object>} gifts - The gift ideas in suggested order.
+ * @param {object} view
+ * @param {string} view.sort - One of the SORT_OPTIONS values.
+ * @param {string} view.category - The category to show, or '' for all.
+ * @param {boolean} view.withinBudgetOnly - Whether to hide gifts outside the price range.
+ * @param {string} view.minPrice - The lower bound of the price range.
+ * @param {string} view.maxPrice - The upper bound of the price range.
+ * @param {string} [view.currency] - The currency of the price range.
+ * @returns {Array<object>} The gifts to display.
+ */
+export const applyGiftView = (gifts, { sort, category, withinBudgetOnly, minPrice, maxPrice, currency }) => {
+    const filtered = gifts.filter(gift =>
+        (!category || gift.category === category) &&
+        (!withinBudgetOnly || isWithinBudget(gift, minPrice, maxPrice, currency) !== false)
+    );
+
+    if (sort === 'suggested') return filtered;
+
+    // Gifts without a price sink to the bottom in either direction
+    const direction = sort === 'price-desc' ? -1 : 1;
+    return [...filtered].sort((a, b) => {
+        const aPrice = Number.isFinite(a.estimatedPrice) ? a.estimatedPrice : null;
+        const bPrice = Number.isFinite(b.estimatedPrice) ? b.estimatedPrice : null;
+        if (aPrice === null || bPrice === null) return (aPrice === null) - (bPrice === null);
+        return (aPrice - bPrice) * direction;
+    });
+};
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { applyGiftView, isWithinBudget } from './gifts.js';
+
+const GIFTS = [
+    { name: 'Pottery class', estimatedPrice: 45, currency: 'USD', category: 'experience' },
+    { name: 'Field guide', estimatedPrice: 20, currency: 'USD', category: 'books' },
+    { name: 'Mystery box', category: 'other' },
+    { name: 'Star map', estimatedPrice: 80, currency: 'USD', category: 'home' },
+    { name: 'Poetry book', estimatedPrice: 15, currency: 'USD', category: 'books' },
+];
+
+const VIEW = { sort: 'suggested', category: '', withinBudgetOnly: false, minPrice: '', maxPrice: '', currency: 'USD' };
+
+const names = (gifts) => gifts.map(gift => gift.name);
+
+describe('isWithinBudget', () => {
+    it.each([
+        // [case, gift, min, max, currency, result]
+        ['a price inside the range', { estimatedPrice: 45 }, '20', '60', 'USD', true],
+        ['a price on the bounds', { estimatedPrice: 60 }, '20', '60', 'USD', true],
+        ['a price below the minimum', { estimatedPrice: 15 }, '20', '60', 'USD', false],
+        ['a price above the maximum', { estimatedPrice: 75 }, '20', '60', 'USD', false],
+        ['an empty minimum', { estimatedPrice: 5 }, '', '60', 'USD', true],
+        ['an empty maximum', { estimatedPrice: 500 }, '20', '', 'USD', true],
+        ['no range at all', { estimatedPrice: 45 }, '', '', 'USD', null],
+        ['a minimum above the maximum', { estimatedPrice: 45 }, '60', '20', 'USD', false],
+        ['a price given as text', { estimatedPrice: '45' }, '20', '60', 'USD', null],
+        ['a missing price', {}, '20', '60', 'USD', null],
+        ['a price in another currency', { estimatedPrice: 45, currency: 'EUR' }, '20', '60', 'USD', null],
+        ['a gift without a currency in dollars', { estimatedPrice: 45 }, '20', '60', undefined, true],
+    ])('judges %s', (_case, gift, minPrice, maxPrice, currency, result) => {
+        expect(isWithinBudget(gift, minPrice, maxPrice, currency)).toBe(result);
+    });
+});
+
+describe('applyGiftView', () => {
+    it('keeps the suggested order', () => {
+        expect(applyGiftView(GIFTS, VIEW)).toEqual(GIFTS);
+    });
+
+    it.each([
+        ['price-asc', ['Poetry book', 'Field guide', 'Pottery class', 'Star map', 'Mystery box']],
+        ['price-desc', ['Star map', 'Pottery class', 'Field guide', 'Poetry book', 'Mystery box']],
+    ])('sorts by %s, with gifts without a price last', (sort, expected) => {
+        expect(names(applyGiftView(GIFTS, { ...VIEW, sort }))).toEqual(expected);
+    });
+
+    it('does not reorder the list it was given', () => {
+        const gifts = [...GIFTS];
+        applyGiftView(gifts, { ...VIEW, sort: 'price-asc' });
+        expect(gifts).toEqual(GIFTS);
+    });
+
+    it('shows one category', () => {
+        expect(names(applyGiftView(GIFTS, { ...VIEW, category: 'books', sort: 'price-asc' }))).toEqual(['Poetry book', 'Field guide']);
+    });
+
+    it.each([
+        // [case, range, shown]
+        ['a full range', { minPrice: '18', maxPrice: '50' }, ['Pottery class', 'Field guide', 'Mystery box']],
+        ['an empty minimum', { minPrice: '', maxPrice: '30' }, ['Field guide', 'Mystery box', 'Poetry book']],
+        ['a minimum above the maximum', { minPrice: '60', maxPrice: '20' }, ['Mystery box']],
+        ['no range', { minPrice: '', maxPrice: '' }, names(GIFTS)],
+    ])('hides gifts outside %s, keeping those it cannot judge', (_case, range, shown) => {
+        expect(names(applyGiftView(GIFTS, { ...VIEW, withinBudgetOnly: true, ...range }))).toEqual(shown);
+    });
+
+    it('ignores the range unless asked to filter by it', () => {
+        expect(applyGiftView(GIFTS, { ...VIEW, minPrice: '60', maxPrice: '100' })).toEqual(GIFTS);
+    });
+
+    it('treats a price given as text as no price', () => {
+        const gifts = [{ name: 'Scarf', estimatedPrice: 'about 30' }, ...GIFTS.slice(0, 2)];
+        expect(names(applyGiftView(gifts, { ...VIEW, sort: 'price-asc' }))).toEqual(['Field guide', 'Pottery class', 'Scarf']);
+        expect(names(applyGiftView(gifts, { ...VIEW, withinBudgetOnly: true, maxPrice: '30' }))).toEqual(['Scarf', 'Field guide']);
+    });
+});
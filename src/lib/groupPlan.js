@@ -0,0 +1,63 @@
+import { giftKey } from './gifts.js';
+import { getPurchasedGiftNames } from './profiles.js';
+
+// People in one group search, as many as the server takes
+export { MAX_RECIPIENTS } from '../../server/shared.js';
+
+// What the group form asks about each person: the recipient fields of the single search, and a name
+export const RECIPIENT_FIELDS = ['name', 'relationship', 'age', 'gender', 'interests'];
+
+/**
+ * Creates a person for the group form.
+ * @param {object} [fields] - Starting values for RECIPIENT_FIELDS, and `avoid`: gifts they already have.
+ * @returns {object} The recipient.
+ */
+export const createRecipient = (fields = {}) => ({
+    id: crypto.randomUUID(),
+    ...Object.fromEntries(RECIPIENT_FIELDS.map(field => [field, fields[field] ?? ''])),
+    avoid: fields.avoid ?? [],
+});
+
+/**
+ * Adds a saved recipient profile to the group, leaving out the gifts already bought for them.
+ * @param {object} profile - The profile.
+ * @returns {object} The recipient.
+ */
+export const recipientFromProfile = (profile) =>
+    createRecipient({ ...profile.criteria, name: profile.name, avoid: getPurchasedGiftNames(profile) });
+
+/**
+ * Builds the body of a group gift request.
+ * @param {object} plan - The group form: occasion, budget, currency and recipients.
+ * @param {string} language - The interface language.
+ * @returns {object} The request body.
+ */
+export const toGroupRequest = ({ occasion, budget, currency, recipients }, language) => ({
+    occasion,
+    budget,
+    currency,
+    language,
+    recipients: recipients.map(recipient => ({
+        ...Object.fromEntries(RECIPIENT_FIELDS.map(field => [field, recipient[field]])),
+        avoid: recipient.avoid,
+    })),
+});
+
+/**
+ * Adds up the chosen gifts of each person and of the whole group, against their budgets.
+ * @param {Array<{ id: string, name: string, budget: number|null, gifts: Array<object>, chosen: string[] }>} results -
+ *   Each person's share of the budget (null until the server has planned it), ideas, and the giftKeys of the chosen ones.
+ * @param {number|string} budget - The overall budget.
+ * @returns {{ rows: Array<{ id: string, name: string, budget: number|null, count: number, total: number, over: boolean }>, total: number, remaining: number, over: boolean }}
+ *   A row per person, and the group's total, what is left of the budget, and whether it is exceeded.
+ */
+export const summarizeGroupPlan = (results, budget) => {
+    const rows = results.map(({ id, name, budget: share, gifts, chosen }) => {
+        const picked = gifts.filter(gift => chosen.includes(giftKey(gift.name)));
+        const total = picked.reduce((sum, gift) => sum + (Number.isFinite(gift.estimatedPrice) ? gift.estimatedPrice : 0), 0);
+        return { id, name, budget: share, count: picked.length, total, over: share !== null && total > share };
+    });
+    const total = rows.reduce((sum, row) => sum + row.total, 0);
+    const remaining = Number(budget) - total;
+    return { rows, total, remaining, over: remaining < 0 };
+};
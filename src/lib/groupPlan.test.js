@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { createRecipient, recipientFromProfile, toGroupRequest, summarizeGroupPlan } from './groupPlan.js';
+
+const gift = (name, estimatedPrice) => ({ name, estimatedPrice, currency: 'USD' });
+
+describe('recipientFromProfile', () => {
+    it('fills in the recipient fields and leaves out gifts already bought', () => {
+        const profile = {
+            name: 'Mom',
+            criteria: { occasion: 'birthday', relationship: 'parent', age: '62', gender: 'she', interests: 'gardening', notableEvents: 'retired' },
+            giftLog: [{ name: 'Trowel', purchasedAt: '2025-01-01T00:00:00.000Z' }, { name: 'Kite', purchasedAt: null }],
+        };
+        expect(recipientFromProfile(profile)).toEqual({
+            id: expect.any(String), name: 'Mom', relationship: 'parent', age: '62', gender: 'she', interests: 'gardening', avoid: ['Trowel'],
+        });
+    });
+});
+
+describe('toGroupRequest', () => {
+    it('sends the shared fields and each person without their form id', () => {
+        const recipients = [createRecipient({ name: 'Sam', age: '9' })];
+        expect(toGroupRequest({ occasion: 'holiday', budget: '50', currency: 'EUR', recipients }, 'de')).toEqual({
+            occasion: 'holiday', budget: '50', currency: 'EUR', language: 'de',
+            recipients: [{ name: 'Sam', relationship: '', age: '9', gender: '', interests: '', avoid: [] }],
+        });
+    });
+});
+
+describe('summarizeGroupPlan', () => {
+    const results = [
+        { id: 'a', name: 'Mom', budget: 50, gifts: [gift('Seed box', 30), gift('Apron', 25)], chosen: ['seed box', 'apron'] },
+        { id: 'b', name: 'Sam', budget: 50, gifts: [gift('Kite', 20), gift('Comic', 10)], chosen: ['kite'] },
+        { id: 'c', name: 'Lee', budget: null, gifts: [], chosen: [] },
+    ];
+
+    it('adds up the chosen gifts per person and for the group', () => {
+        expect(summarizeGroupPlan(results, '100')).toEqual({
+            rows: [
+                { id: 'a', name: 'Mom', budget: 50, count: 2, total: 55, over: true },
+                { id: 'b', name: 'Sam', budget: 50, count: 1, total: 20, over: false },
+                { id: 'c', name: 'Lee', budget: null, count: 0, total: 0, over: false },
+            ],
+            total: 75,
+            remaining: 25,
+            over: false,
+        });
+    });
+
+    it('reports an overall budget that is exceeded', () => {
+        expect(summarizeGroupPlan(results, '60')).toMatchObject({ total: 75, remaining: -15, over: true });
+    });
+});
@@ -0,0 +1,147 @@
+import { getAll, putOne, deleteOne } from './db.js';
+import { giftKey } from './gifts.js';
+import { DEFAULT_LEAD_DAYS, MAX_LEAD_DAYS, parseDate } from './calendar.js';
+
+const STORE = 'profiles';
+
+// Form fields a profile remembers
+export const PROFILE_FIELDS = ['occasion', 'relationship', 'age', 'gender', 'interests', 'notableEvents'];
+
+// Oldest log entries are dropped beyond this, purchases are always kept
+const MAX_GIFT_LOG = 200;
+
+/**
+ * Creates a new recipient profile.
+ * @param {string} name - The display name, e.g. "Mom" or "Sam from work".
+ * @param {object} criteria - The current form values.
+ * @returns {object} The profile.
+ */
+export const createProfile = (name, criteria) => {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        criteria: pickProfileFields(criteria),
+        giftLog: [],
+        dates: [],
+        createdAt: now,
+        updatedAt: now,
+    };
+};
+
+/**
+ * Keeps only the form fields a profile stores.
+ * @param {object} criteria - The form values.
+ * @returns {object} The profile criteria.
+ */
+export const pickProfileFields = (criteria) =>
+    Object.fromEntries(PROFILE_FIELDS.map(field => [field, criteria[field] ?? '']));
+
+/**
+ * Adds newly shown gift ideas to a profile's log, skipping ones already logged.
+ * @param {object} profile - The profile.
+ * @param {Array<object>} gifts - The gift ideas that were shown.
+ * @param {object} criteria - The form values the gifts were generated for.
+ * @returns {object} The updated profile.
+ */
+export const logShownGifts = (profile, gifts, criteria) => {
+    const known = new Set(profile.giftLog.map(entry => giftKey(entry.name)));
+    const shownAt = new Date().toISOString();
+    const added = gifts
+        .filter(gift => !known.has(giftKey(gift.name)))
+        .map(gift => ({
+            name: gift.name,
+            description: gift.description,
+            estimatedPrice: gift.estimatedPrice,
+            currency: gift.currency,
+            retailer: gift.retailer,
+            purchaseLink: gift.purchaseLink,
+            criteria: pickProfileFields(criteria),
+            shownAt,
+            purchasedAt: null,
+        }));
+
+    let giftLog = [...profile.giftLog, ...added];
+    while (giftLog.length > MAX_GIFT_LOG) {
+        const oldestUnpurchased = giftLog.findIndex(entry => !entry.purchasedAt);
+        if (oldestUnpurchased === -1) break;
+        giftLog = giftLog.filter((_, index) => index !== oldestUnpurchased);
+    }
+    return { ...profile, giftLog, updatedAt: shownAt };
+};
+
+/**
+ * Marks a gift as purchased, or clears the mark. A gift that is not in the log yet — restored from
+ * the history or a shared link, or found before the profile was picked — is logged first.
+ * @param {object} profile - The profile.
+ * @param {object} gift - The gift idea, or its log entry.
+ * @param {boolean} purchased - The new state.
+ * @param {object} [criteria] - The form values the gift was generated for, kept when it is logged.
+ * @returns {object} The updated profile.
+ */
+export const setGiftPurchased = (profile, gift, purchased, criteria = {}) => {
+    const key = giftKey(gift.name);
+    const logged = purchased ? logShownGifts(profile, [gift], criteria) : profile;
+    const now = new Date().toISOString();
+    return {
+        ...logged,
+        giftLog: logged.giftLog.map(entry =>
+            giftKey(entry.name) === key ? { ...entry, purchasedAt: purchased ? now : null } : entry
+        ),
+        updatedAt: now,
+    };
+};
+
+/**
+ * Lists the names of gifts already bought for this person.
+ * @param {object|null} profile - The profile.
+ * @returns {string[]} The gift names.
+ */
+export const getPurchasedGiftNames = (profile) =>
+    profile ? profile.giftLog.filter(entry => entry.purchasedAt).map(entry => entry.name) : [];
+
+/**
+ * Adds the date of an occasion to a profile, e.g. their birthday.
+ * @param {object} profile - The profile.
+ * @param {object} fields
+ * @param {string} fields.occasion - The occasion, as stored in the form.
+ * @param {string} fields.date - The date, "YYYY-MM-DD"; for a yearly occasion any year it fell on.
+ * @param {boolean} [fields.repeats] - Whether it comes back every year.
+ * @param {number|string} [fields.leadDays] - How many days ahead to start looking for a gift.
+ * @returns {object} The updated profile.
+ */
+export const addOccasionDate = (profile, { occasion, date, repeats = true, leadDays = DEFAULT_LEAD_DAYS }) => {
+    if (!occasion || !parseDate(date)) throw new Error(`Invalid occasion date "${date}".`);
+    const lead = Number.parseInt(leadDays, 10);
+    const occasionDate = {
+        id: crypto.randomUUID(),
+        occasion,
+        date,
+        repeats: Boolean(repeats),
+        leadDays: Number.isNaN(lead) ? DEFAULT_LEAD_DAYS : Math.min(Math.max(lead, 0), MAX_LEAD_DAYS),
+    };
+    // Profiles saved before dates existed have none
+    return { ...profile, dates: [...(profile.dates || []), occasionDate], updatedAt: new Date().toISOString() };
+};
+
+/**
+ * Removes an occasion date from a profile.
+ * @param {object} profile - The profile.
+ * @param {string} id - The date's id.
+ * @returns {object} The updated profile.
+ */
+export const removeOccasionDate = (profile, id) => ({
+    ...profile,
+    dates: (profile.dates || []).filter(occasionDate => occasionDate.id !== id),
+    updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Loads all saved profiles, sorted by name.
+ * @returns {Promise<Array<object>>} The profiles.
+ */
+export const loadProfiles = async () =>
+    (await getAll(STORE)).sort((a, b) => a.name.localeCompare(b.name));
+
+export const saveProfile = (profile) => putOne(STORE, profile);
+export const deleteProfile = (id) => deleteOne(STORE, id);
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { logShownGifts, setGiftPurchased, getPurchasedGiftNames } from './profiles.js';
+
+const CRITERIA = { occasion: 'birthday', relationship: 'parent', age: '62', gender: 'she', interests: 'gardening', notableEvents: '', minPrice: '20', currency: 'USD' };
+
+const GIFT = {
+    name: 'Pottery class', description: 'An evening at the wheel.', estimatedPrice: 45, currency: 'USD',
+    category: 'experience', retailer: 'Etsy', purchaseLink: 'https://www.etsy.com/search?q=pottery',
+};
+
+const profile = (giftLog = []) => ({ id: 'p1', name: 'Mom', criteria: {}, giftLog, dates: [], updatedAt: '2026-01-01T00:00:00.000Z' });
+
+const entry = (name, purchasedAt = null) => ({ name, shownAt: '2026-01-01T00:00:00.000Z', purchasedAt });
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('logShownGifts', () => {
+    it('logs a shown gift with the criteria it was found for', () => {
+        const updated = logShownGifts(profile(), [GIFT], CRITERIA);
+        expect(updated.giftLog).toEqual([{
+            name: 'Pottery class',
+            description: 'An evening at the wheel.',
+            estimatedPrice: 45,
+            currency: 'USD',
+            retailer: 'Etsy',
+            purchaseLink: 'https://www.etsy.com/search?q=pottery',
+            criteria: { occasion: 'birthday', relationship: 'parent', age: '62', gender: 'she', interests: 'gardening', notableEvents: '' },
+            shownAt: '2026-03-01T10:00:00.000Z',
+            purchasedAt: null,
+        }]);
+        expect(updated.updatedAt).toBe('2026-03-01T10:00:00.000Z');
+    });
+
+    it('skips gifts already in the log, however they are written', () => {
+        const logged = profile([entry('Pottery Class!')]);
+        const updated = logShownGifts(logged, [{ ...GIFT, name: 'pottery class' }, { ...GIFT, name: 'Field guide' }], CRITERIA);
+        expect(updated.giftLog.map(({ name }) => name)).toEqual(['Pottery Class!', 'Field guide']);
+    });
+
+    it('does not change the profile it was given', () => {
+        const original = profile([entry('Field guide')]);
+        logShownGifts(original, [GIFT], CRITERIA);
+        expect(original.giftLog).toHaveLength(1);
+    });
+
+    it('drops the oldest unpurchased gifts beyond 200, keeping every purchase', () => {
+        const giftLog = [
+            entry('Gift 0', '2026-01-02T00:00:00.000Z'),
+            ...Array.from({ length: 199 }, (_, i) => entry(`Gift ${i + 1}`)),
+        ];
+        const updated = logShownGifts(profile(giftLog), [{ ...GIFT, name: 'New 1' }, { ...GIFT, name: 'New 2' }], CRITERIA);
+        expect(updated.giftLog).toHaveLength(200);
+        expect(updated.giftLog.slice(0, 2).map(({ name }) => name)).toEqual(['Gift 0', 'Gift 3']);
+        expect(updated.giftLog.at(-1).name).toBe('New 2');
+    });
+
+    it('keeps a log of purchases only, even beyond 200', () => {
+        const giftLog = Array.from({ length: 200 }, (_, i) => entry(`Gift ${i}`, '2026-01-02T00:00:00.000Z'));
+        const updated = logShownGifts(profile(giftLog), [GIFT], CRITERIA);
+        expect(updated.giftLog).toHaveLength(200);
+        expect(updated.giftLog.some(({ name }) => name === 'Pottery class')).toBe(false);
+    });
+});
+
+describe('setGiftPurchased', () => {
+    it('marks a logged gift as purchased, matching its name loosely', () => {
+        const updated = setGiftPurchased(profile([entry('Pottery class'), entry('Field guide')]), { ...GIFT, name: 'pottery-class' }, true);
+        expect(updated.giftLog).toEqual([
+            { ...entry('Pottery class'), purchasedAt: '2026-03-01T10:00:00.000Z' },
+            entry('Field guide'),
+        ]);
+        expect(updated.updatedAt).toBe('2026-03-01T10:00:00.000Z');
+        expect(getPurchasedGiftNames(updated)).toEqual(['Pottery class']);
+    });
+
+    it('clears the mark', () => {
+        const updated = setGiftPurchased(profile([entry('Pottery class', '2026-01-02T00:00:00.000Z')]), GIFT, false);
+        expect(updated.giftLog[0].purchasedAt).toBeNull();
+        expect(getPurchasedGiftNames(updated)).toEqual([]);
+    });
+
+    it('logs a gift that was never shown, then marks it', () => {
+        const updated = setGiftPurchased(profile([entry('Field guide')]), GIFT, true, CRITERIA);
+        expect(updated.giftLog).toEqual([
+            entry('Field guide'),
+            expect.objectContaining({
+                name: 'Pottery class',
+                criteria: expect.objectContaining({ occasion: 'birthday', relationship: 'parent' }),
+                shownAt: '2026-03-01T10:00:00.000Z',
+                purchasedAt: '2026-03-01T10:00:00.000Z',
+            }),
+        ]);
+        expect(getPurchasedGiftNames(updated)).toEqual(['Pottery class']);
+    });
+
+    it('does not log a gift only to clear its mark', () => {
+        const logged = profile([entry('Field guide')]);
+        expect(setGiftPurchased(logged, GIFT, false).giftLog).toEqual(logged.giftLog);
+    });
+});
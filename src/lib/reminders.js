@@ -0,0 +1,68 @@
+const SENT_KEY = 'gift-finder:reminders';
+
+/**
+ * Registers the service worker (public/sw.js), which caches the app for offline use and shows reminders.
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null where service workers are unavailable.
+ */
+export const registerServiceWorker = async () => {
+    if (!('serviceWorker' in navigator)) return null;
+    return navigator.serviceWorker.register('/sw.js');
+};
+
+/**
+ * Whether reminders can be shown.
+ * @returns {'granted'|'denied'|'default'|'unsupported'} The notification permission, or 'unsupported'
+ *   when the browser has no notifications or service workers.
+ */
+export const getReminderPermission = () =>
+    typeof Notification === 'undefined' || !('serviceWorker' in navigator) ? 'unsupported' : Notification.permission;
+
+/**
+ * Asks for permission to show notifications. Must be called from a click.
+ * @returns {Promise<'granted'|'denied'|'default'>} The answer.
+ */
+export const requestReminderPermission = () => Notification.requestPermission();
+
+/**
+ * Reads the keys of the reminders already sent (see upcomingOccasions).
+ * @returns {string[]} The keys.
+ */
+export const loadSentReminders = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SENT_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Remembers which reminders have been sent, so each occurrence is reminded of once.
+ * Keys of occurrences no longer upcoming are dropped.
+ * @param {string[]} sent - The keys already stored.
+ * @param {string[]} added - The keys just sent.
+ * @param {string[]} upcomingKeys - The keys of every upcoming occasion.
+ */
+export const saveSentReminders = (sent, added, upcomingKeys) => {
+    const kept = [...sent, ...added].filter(key => upcomingKeys.includes(key));
+    try {
+        localStorage.setItem(SENT_KEY, JSON.stringify([...new Set(kept)]));
+    } catch (err) {
+        console.error("Error saving sent reminders:", err);
+    }
+};
+
+/**
+ * Shows a notification through the service worker, which works on mobile browsers where
+ * `new Notification()` does not. Clicking it opens `url`.
+ * @param {string} title - The title.
+ * @param {object} options
+ * @param {string} options.body - The text.
+ * @param {string} options.tag - Replaces an earlier notification with the same tag.
+ * @param {string} options.url - The page to open on click.
+ * @returns {Promise<void>}
+ */
+export const showReminder = async (title, { body, tag, url }) => {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification(title, { body, tag, data: { url }, icon: '/icon-192.png' });
+};
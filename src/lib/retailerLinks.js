@@ -0,0 +1,120 @@
+import defaultConfig from '../config/retailers.json';
+
+// Only these schemes may be used as purchase links; javascript:, data: and the like become '#'
+const SAFE_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Checks whether a host name belongs to a domain: the domain itself or any subdomain.
+ * "smile.amazon.com" belongs to "amazon.com"; "amazon.com.evil.example" does not.
+ * @param {string} hostname - The link's host name.
+ * @param {string} domain - The retailer domain.
+ * @returns {boolean} Whether it matches.
+ */
+const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+/**
+ * Finds the retailer rule for a host name.
+ * @param {string} hostname - The link's host name.
+ * @param {object} config - The retailer configuration.
+ * @returns {object|undefined} The rule.
+ */
+export const findRetailer = (hostname, config = defaultConfig) =>
+    config.retailers.find(retailer => retailer.domains.some(domain => matchesDomain(hostname.toLowerCase(), domain)));
+
+/**
+ * Works out the country part of a locale, e.g. "en-GB" -> "GB" and "de" -> "DE".
+ * @param {string} [locale] - A BCP 47 locale such as navigator.language.
+ * @returns {string} The region code, or '' when it cannot be determined.
+ */
+export const getRegion = (locale) => {
+    if (!locale) return '';
+    try {
+        return new Intl.Locale(locale).maximize().region || '';
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Picks the storefront a regional retailer's link should go to: the one for the
+ * user's region if the retailer has one, otherwise the storefront the link already
+ * points at, otherwise the retailer's default.
+ * @param {object} retailer - The retailer rule.
+ * @param {string} hostname - The link's host name.
+ * @param {string} region - The user's region code.
+ * @returns {object} The storefront (`{ host, affiliate? }`).
+ */
+const pickStorefront = (retailer, hostname, region) => {
+    const storefronts = retailer.storefronts;
+    if (storefronts[region]) return storefronts[region];
+    const linked = Object.values(storefronts).find(storefront => matchesDomain(hostname, storefront.host.replace(/^www\./, '')));
+    return linked || storefronts[retailer.defaultStorefront];
+};
+
+/**
+ * Builds a retailer search URL for a gift from the rule's template and affiliate parameters.
+ * Affiliate parameters are only added once every value is filled in, so a program can be
+ * listed in the config before its IDs are known.
+ * @param {object} retailer - The retailer rule.
+ * @param {string} hostname - The original link's host name.
+ * @param {string} giftName - The search term.
+ * @param {string} region - The user's region code.
+ * @returns {string} The search URL.
+ */
+const buildSearchUrl = (retailer, hostname, giftName, region) => {
+    const storefront = retailer.storefronts ? pickStorefront(retailer, hostname, region) : null;
+    const host = storefront ? storefront.host : hostname;
+    const url = new URL(retailer.searchUrl
+        .replace('{host}', host)
+        .replace('{query}', encodeURIComponent(giftName || '')));
+
+    const affiliate = storefront?.affiliate || retailer.affiliate;
+    if (affiliate && Object.values(affiliate).every(Boolean)) {
+        Object.entries(affiliate).forEach(([param, value]) => url.searchParams.set(param, value));
+    }
+    return url.toString();
+};
+
+/**
+ * Processes a model-generated purchase link. Links to known retailers are turned into a
+ * search for the gift on that retailer (product URLs from a model are often made up),
+ * with affiliate parameters where configured. Other http(s) links pass through unchanged;
+ * anything else is replaced by '#'.
+ * @param {string} originalLink - The original product or search URL.
+ * @param {string} giftName - The name of the gift to use as a search term.
+ * @param {object} [options]
+ * @param {string} [options.locale] - The user's locale, used to pick regional storefronts.
+ * @param {object} [options.config] - The retailer configuration (defaults to src/config/retailers.json).
+ * @returns {string} The processed URL, or '#' when the link is unusable.
+ */
+export const processRetailerLink = (originalLink, giftName, { locale, config = defaultConfig } = {}) => {
+    if (typeof originalLink !== 'string' || !originalLink.trim()) {
+        console.warn("Attempted to process an empty or non-string link:", originalLink);
+        return '#';
+    }
+
+    let url;
+    try {
+        url = new URL(originalLink.trim());
+    } catch (e) {
+        console.error("Invalid URL encountered during link processing:", originalLink, e);
+        return '#';
+    }
+
+    if (!SAFE_PROTOCOLS.includes(url.protocol)) {
+        console.warn("Rejected purchase link with unsafe scheme:", originalLink);
+        return '#';
+    }
+
+    const retailer = findRetailer(url.hostname, config);
+    if (!retailer) return originalLink.trim();
+    return buildSearchUrl(retailer, url.hostname, giftName, getRegion(locale));
+};
+
+/**
+ * Creates a link processor bound to a locale and configuration, for use as a callback.
+ * @param {object} [options] - See processRetailerLink.
+ * @returns {(originalLink: string, giftName: string) => string} The processor.
+ */
+export const createLinkProcessor = (options = {}) => (originalLink, giftName) =>
+    processRetailerLink(originalLink, giftName, options);
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { processRetailerLink, findRetailer, getRegion, createLinkProcessor } from './retailerLinks.js';
+
+beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('processRetailerLink', () => {
+    it.each([
+        // [description, link, gift name, locale, expected]
+        ['Amazon product link becomes a tagged search', 'https://www.amazon.com/dp/B000123', 'Pour Over Kettle', undefined, 'https://www.amazon.com/s?k=Pour+Over+Kettle&tag=realstory-20'],
+        ['Amazon keeps the linked storefront without a locale', 'https://www.amazon.co.uk/dp/B000123', 'Tea Set', undefined, 'https://www.amazon.co.uk/s?k=Tea%20Set'],
+        ['Amazon subdomains count as Amazon', 'https://smile.amazon.com/dp/B000123', 'Tea Set', undefined, 'https://www.amazon.com/s?k=Tea+Set&tag=realstory-20'],
+        ['the US locale keeps the tagged US storefront', 'https://www.amazon.co.uk/dp/B000123', 'Tea Set', 'en-US', 'https://www.amazon.com/s?k=Tea+Set&tag=realstory-20'],
+        ['locale picks the regional Amazon storefront', 'https://www.amazon.com/dp/B000123', 'Tea Set', 'en-GB', 'https://www.amazon.co.uk/s?k=Tea%20Set'],
+        ['language-only locale picks its likely region', 'https://www.amazon.com/dp/B000123', 'Tea Set', 'de', 'https://www.amazon.de/s?k=Tea%20Set'],
+        ['regions without their own storefront share a neighbour', 'https://www.amazon.com/dp/B000123', 'Tea Set', 'de-AT', 'https://www.amazon.de/s?k=Tea%20Set'],
+        ['unknown region keeps the linked storefront', 'https://www.amazon.ca/dp/B000123', 'Tea Set', 'pt-BR', 'https://www.amazon.ca/s?k=Tea%20Set'],
+        ['Etsy', 'https://www.etsy.com/listing/123/custom-map', 'Star Map', undefined, 'https://www.etsy.com/search?q=Star%20Map'],
+        ['Target', 'https://www.target.com/p/thing/-/A-1', 'Board Game', undefined, 'https://www.target.com/s?searchTerm=Board%20Game'],
+        ['Best Buy', 'https://www.bestbuy.com/site/item/123.p', 'Headphones', undefined, 'https://www.bestbuy.com/site/searchpage.jsp?st=Headphones'],
+        ['Walmart', 'https://www.walmart.com/ip/123', 'Air Fryer', undefined, 'https://www.walmart.com/search?q=Air%20Fryer'],
+        ['eBay keeps the regional host and skips an unfilled affiliate program', 'https://www.ebay.co.uk/itm/123', 'Vinyl Record', undefined, 'https://www.ebay.co.uk/sch/i.html?_nkw=Vinyl%20Record'],
+        ['Uncommon Goods', 'https://www.uncommongoods.com/product/thing', 'Puzzle', undefined, 'https://www.uncommongoods.com/search?q=Puzzle'],
+        ['REI', 'https://www.rei.com/product/123', 'Camp Stove', undefined, 'https://www.rei.com/search?q=Camp%20Stove'],
+        ['gift names are URL-encoded', 'https://www.etsy.com/listing/1', "Kid's Toy & Game #1", undefined, 'https://www.etsy.com/search?q=Kid%27s%20Toy%20%26%20Game%20%231'],
+        ['unknown retailers pass through unchanged', 'https://www.example-brand.com/products/mug', 'Mug', undefined, 'https://www.example-brand.com/products/mug'],
+        ['lookalike domains are not treated as Amazon', 'https://amazon.com.evil.example/dp/1', 'Mug', undefined, 'https://amazon.com.evil.example/dp/1'],
+        ['javascript: links are rejected', 'javascript:alert(1)', 'Mug', undefined, '#'],
+        ['data: links are rejected', 'data:text/html,<script>alert(1)</script>', 'Mug', undefined, '#'],
+        ['other schemes are rejected', 'ftp://files.example.com/gift', 'Mug', undefined, '#'],
+        ['malformed URLs are rejected', 'not a url', 'Mug', undefined, '#'],
+        ['empty links are rejected', '   ', 'Mug', undefined, '#'],
+        ['non-string links are rejected', null, 'Mug', undefined, '#'],
+    ])('%s', (_, link, giftName, locale, expected) => {
+        expect(processRetailerLink(link, giftName, { locale })).toBe(expected);
+    });
+
+    it('adds affiliate parameters once every value is configured', () => {
+        const config = {
+            retailers: [{
+                id: 'shop',
+                name: 'Shop',
+                domains: ['shop.example'],
+                searchUrl: 'https://shop.example/search?q={query}',
+                affiliate: { ref: 'realstory', campaign: 'gifts' },
+            }],
+        };
+        expect(processRetailerLink('https://shop.example/p/1', 'Mug', { config }))
+            .toBe('https://shop.example/search?q=Mug&ref=realstory&campaign=gifts');
+    });
+
+    it('lets a storefront override the retailer affiliate parameters', () => {
+        const config = {
+            retailers: [{
+                id: 'amazon',
+                name: 'Amazon',
+                domains: ['amazon.com', 'amazon.de'],
+                searchUrl: 'https://{host}/s?k={query}',
+                affiliate: { tag: 'realstory-20' },
+                storefronts: { US: { host: 'www.amazon.com' }, DE: { host: 'www.amazon.de', affiliate: { tag: 'realstory-21' } } },
+                defaultStorefront: 'US',
+            }],
+        };
+        expect(processRetailerLink('https://www.amazon.com/dp/1', 'Mug', { config, locale: 'de-DE' }))
+            .toBe('https://www.amazon.de/s?k=Mug&tag=realstory-21');
+    });
+});
+
+describe('createLinkProcessor', () => {
+    it('binds the locale', () => {
+        const process = createLinkProcessor({ locale: 'fr-FR' });
+        expect(process('https://www.amazon.com/dp/1', 'Mug')).toBe('https://www.amazon.fr/s?k=Mug');
+    });
+});
+
+describe('findRetailer', () => {
+    it.each([
+        ['www.amazon.com', 'amazon'],
+        ['AMAZON.DE', 'amazon'],
+        ['www.etsy.com', 'etsy'],
+        ['www.ebay.com.au', 'ebay'],
+        ['notetsy.com', undefined],
+        ['example.com', undefined],
+    ])('%s -> %s', (hostname, expected) => {
+        expect(findRetailer(hostname)?.id).toBe(expected);
+    });
+});
+
+describe('getRegion', () => {
+    it.each([
+        ['en-GB', 'GB'],
+        ['en', 'US'],
+        ['de', 'DE'],
+        ['es-MX', 'MX'],
+        ['', ''],
+        [undefined, ''],
+        ['not a locale!', ''],
+    ])('%s -> %s', (locale, expected) => {
+        expect(getRegion(locale)).toBe(expected);
+    });
+});
@@ -0,0 +1,82 @@
+import { getAll, putOne, deleteOne, clearStore } from './db.js';
+import { getOccasionLabel, getRelationshipForm } from '../i18n/index.js';
+
+const STORE = 'history';
+
+// Oldest unpinned searches are dropped beyond this
+const MAX_ENTRIES = 300;
+
+/**
+ * Creates a history entry for one generation.
+ * @param {object} criteria - The form values that produced the gifts.
+ * @param {Array<object>} gifts - The gift ideas.
+ * @param {object} [extra] - Extra context, e.g. `{ profileName }`.
+ * @returns {object} The entry.
+ */
+export const createHistoryEntry = (criteria, gifts, extra = {}) => ({
+    id: crypto.randomUUID(),
+    criteria: { ...criteria },
+    gifts,
+    createdAt: new Date().toISOString(),
+    pinned: false,
+    ...extra,
+});
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Summarizes the criteria behind a search in the interface language, e.g. "Birthday gift for parent, 62 · gardening".
+ * @param {{ locale: object, t: Function }} i18n - The current locale and translate function.
+ * @param {object} criteria - The form values.
+ * @returns {string} The summary.
+ */
+export const describeCriteria = ({ locale, t }, { occasion, relationship, gender, age, interests }) => {
+    const recipient = relationship ? getRelationshipForm(locale, relationship, gender || '').label : t('history.someone');
+    let label = occasion
+        ? t('history.describe', { occasion: capitalize(getOccasionLabel(locale, occasion)), relationship: recipient })
+        : t('history.describeNoOccasion', { relationship: recipient });
+    if (age) label += `, ${age}`;
+    if (interests) label += ` · ${interests}`;
+    return label;
+};
+
+/**
+ * Checks whether an entry matches a free-text search. Every word must appear somewhere in the
+ * criteria, their summary as the panel shows it, the recipient name or the gift names and descriptions.
+ * @param {{ locale: object, t: Function }} i18n - The current locale and translate function.
+ * @param {object} entry - The history entry.
+ * @param {string} query - The search text.
+ * @returns {boolean} Whether it matches.
+ */
+export const matchesQuery = (i18n, entry, query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const haystack = [
+        ...Object.values(entry.criteria),
+        describeCriteria(i18n, entry.criteria),
+        entry.profileName || '',
+        ...entry.gifts.flatMap(gift => [gift.name, gift.description]),
+    ].join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word));
+};
+
+/**
+ * Orders entries for display: pinned first, then newest first.
+ * @param {Array<object>} entries - The entries.
+ * @returns {Array<object>} A sorted copy.
+ */
+export const sortEntries = (entries) =>
+    [...entries].sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * Picks the unpinned entries that fall beyond the size limit.
+ * @param {Array<object>} entries - All entries.
+ * @returns {Array<object>} The entries to delete.
+ */
+export const findExpiredEntries = (entries) =>
+    sortEntries(entries).filter(entry => !entry.pinned).slice(MAX_ENTRIES);
+
+export const loadHistory = async () => sortEntries(await getAll(STORE));
+export const saveHistoryEntry = (entry) => putOne(STORE, entry);
+export const deleteHistoryEntry = (id) => deleteOne(STORE, id);
+export const clearHistory = () => clearStore(STORE);
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { describeCriteria, matchesQuery, findExpiredEntries } from './searchHistory.js';
+import { createI18n } from '../i18n/index.js';
+
+describe('describeCriteria', () => {
+    it.each([
+        // [language, criteria, summary]
+        ['en', { occasion: 'birthday', relationship: 'parent', age: '62', interests: 'gardening' }, 'Birthday gift for parent, 62 · gardening'],
+        ['en', { occasion: '', relationship: '' }, 'A gift for someone'],
+        ['en', { occasion: 'promotion', relationship: 'boss' }, 'Promotion gift for boss'],
+        ['de', { occasion: 'birthday', relationship: 'parent', gender: 'she', age: '62' }, 'Geburtstag: Geschenk für Mutter, 62'],
+        ['de', { occasion: '', relationship: '' }, 'Ein Geschenk für jemanden'],
+        ['es', { occasion: 'birthday', relationship: 'parent', gender: 'he' }, 'Cumpleaños: regalo para padre'],
+    ])('describes a search in %s', (language, criteria, summary) => {
+        expect(describeCriteria(createI18n(language), criteria)).toBe(summary);
+    });
+});
+
+describe('matchesQuery', () => {
+    const ENTRY = {
+        criteria: { occasion: 'birthday', relationship: 'parent', age: '62', interests: 'Gardening, jazz' },
+        profileName: 'Mom',
+        gifts: [{ name: 'Seed box', description: 'Heirloom tomato seeds.' }, { name: 'Vinyl record', description: 'A Coltrane classic.' }],
+    };
+
+    it.each([
+        // [query, matches]
+        ['', true],
+        ['   ', true],
+        ['jazz', true],
+        ['GARDENING', true],
+        ['mom', true],
+        ['vinyl', true],
+        ['coltrane', true],
+        ['tomato  birthday', true],
+        ['garden', true],
+        ['jazz wedding', false],
+        ['poetry', false],
+    ])('%j -> %s', (query, matches) => {
+        expect(matchesQuery(createI18n('en'), ENTRY, query)).toBe(matches);
+    });
+
+    it.each([
+        // [language, query, matches]
+        ['de', 'Geburtstag', true],
+        ['de', 'geschenk für mutter', true],
+        ['de', 'Hochzeit', false],
+        ['es', 'cumpleaños', true],
+    ])('finds the summary shown in %s for %j', (language, query, matches) => {
+        const entry = { ...ENTRY, criteria: { ...ENTRY.criteria, gender: 'she' } };
+        expect(matchesQuery(createI18n(language), entry, query)).toBe(matches);
+    });
+
+    it('matches an entry saved without a profile', () => {
+        const { profileName: _profileName, ...entry } = ENTRY;
+        expect(matchesQuery(createI18n('en'), entry, 'seed')).toBe(true);
+        expect(matchesQuery(createI18n('en'), entry, 'mom')).toBe(false);
+    });
+});
+
+describe('findExpiredEntries', () => {
+    // One entry a minute, the first the oldest
+    const entries = (count, pinned = false, offset = 0) => Array.from({ length: count }, (_, i) => ({
+        id: `${pinned ? 'pinned' : 'entry'}-${offset + i}`,
+        createdAt: new Date(Date.UTC(2026, 0, 1, 0, offset + i)).toISOString(),
+        pinned,
+    }));
+
+    it('keeps everything up to 300 entries', () => {
+        expect(findExpiredEntries(entries(300))).toEqual([]);
+    });
+
+    it('picks the oldest entries beyond 300', () => {
+        expect(findExpiredEntries(entries(303)).map(({ id }) => id)).toEqual(['entry-2', 'entry-1', 'entry-0']);
+    });
+
+    it('never picks pinned entries, nor counts them', () => {
+        const all = [...entries(2, true), ...entries(301, false, 2)];
+        expect(findExpiredEntries(all).map(({ id }) => id)).toEqual(['entry-2']);
+    });
+});
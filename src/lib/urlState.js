@@ -0,0 +1,108 @@
+// Form fields mirrored in the query string, in URL order
+export const CRITERIA_FIELDS = ['occasion', 'relationship', 'age', 'gender', 'interests', 'notableEvents', 'minPrice', 'maxPrice', 'currency'];
+// Fields that only hold digits
+export const NUMERIC_FIELDS = ['age', 'minPrice', 'maxPrice'];
+
+// Query parameter carrying a shared gift list
+export const RESULTS_PARAM = 'results';
+
+const MAX_FIELD_LENGTH = 200;
+const MAX_SHARED_GIFTS = 10;
+
+/**
+ * Serializes the form criteria into a query string, leaving out empty fields.
+ * @param {object} criteria - The form values.
+ * @returns {string} The query string including "?", or '' when every field is empty.
+ */
+export const criteriaToSearch = (criteria) => {
+    const params = new URLSearchParams();
+    CRITERIA_FIELDS.forEach(field => {
+        if (criteria[field]) params.set(field, criteria[field]);
+    });
+    const search = params.toString();
+    return search ? `?${search}` : '';
+};
+
+/**
+ * Reads form criteria from a query string. Unknown parameters are ignored and
+ * numeric fields are stripped to digits, as the inputs themselves do.
+ * @param {string} search - The query string, e.g. window.location.search.
+ * @returns {object} The form values, '' for anything missing.
+ */
+export const criteriaFromSearch = (search) => {
+    const params = new URLSearchParams(search);
+    return Object.fromEntries(CRITERIA_FIELDS.map(field => {
+        const value = (params.get(field) || '').slice(0, MAX_FIELD_LENGTH);
+        return [field, NUMERIC_FIELDS.includes(field) ? value.replace(/[^0-9]/g, '') : value];
+    }));
+};
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) =>
+    Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+const pipeBytes = async (bytes, transform) =>
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+/**
+ * Packs gift ideas into a URL-safe string. Uses deflate when the browser supports
+ * CompressionStream; the first character records which format was used.
+ * @param {Array<object>} gifts - The gift ideas.
+ * @returns {Promise<string>} The encoded list.
+ */
+export const encodeGifts = async (gifts) => {
+    const json = JSON.stringify(gifts.map(({ name, description, estimatedPrice, currency, category, retailer, purchaseLink }) =>
+        ({ name, description, estimatedPrice, currency, category, retailer, purchaseLink })
+    ));
+    const bytes = new TextEncoder().encode(json);
+    if (typeof CompressionStream === 'undefined') return `j${toBase64Url(bytes)}`;
+    return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+};
+
+/**
+ * Unpacks a list produced by encodeGifts. The input comes from a URL anyone can edit,
+ * so every item is checked and anything unexpected is dropped.
+ * @param {string} encoded - The encoded list.
+ * @returns {Promise<Array<object>>} The gift ideas.
+ */
+export const decodeGifts = async (encoded) => {
+    const format = encoded.charAt(0);
+    let bytes = fromBase64Url(encoded.slice(1));
+    if (format === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    else if (format !== 'j') throw new Error(`Unknown shared results format "${format}".`);
+
+    const parsed = JSON.parse(new TextDecoder().decode(bytes));
+    if (!Array.isArray(parsed)) throw new Error('Shared results are not a list.');
+
+    const text = (value) => typeof value === 'string' ? value.slice(0, 1000) : '';
+    return parsed
+        .filter(item => item && typeof item.name === 'string' && item.name.trim())
+        .slice(0, MAX_SHARED_GIFTS)
+        .map(item => ({
+            name: text(item.name),
+            description: text(item.description),
+            estimatedPrice: Number.isFinite(item.estimatedPrice) ? item.estimatedPrice : undefined,
+            currency: text(item.currency) || undefined,
+            category: text(item.category) || undefined,
+            retailer: text(item.retailer) || undefined,
+            purchaseLink: text(item.purchaseLink),
+        }));
+};
+
+/**
+ * Builds a link that reopens the search, optionally with its results.
+ * @param {object} criteria - The form values.
+ * @param {Array<object>} [gifts] - Gift ideas to embed, so the recipient sees them without a new request.
+ * @returns {Promise<string>} The absolute URL.
+ */
+export const buildShareUrl = async (criteria, gifts = []) => {
+    const params = new URLSearchParams(criteriaToSearch(criteria));
+    if (gifts.length > 0) params.set(RESULTS_PARAM, await encodeGifts(gifts));
+    const search = params.toString();
+    return `${window.location.origin}${window.location.pathname}${search ? `?${search}` : ''}`;
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { criteriaToSearch, criteriaFromSearch, encodeGifts, decodeGifts } from './urlState.js';
+
+const CRITERIA = {
+    occasion: "mother's day", relationship: 'parent', age: '62', gender: 'she', interests: 'gardening & jazz',
+    notableEvents: 'new house', minPrice: '20', maxPrice: '80', currency: 'EUR',
+};
+
+const GIFTS = [
+    { name: 'Seed box', description: 'Heirloom seeds.', estimatedPrice: 25, currency: 'EUR', category: 'home', retailer: 'Etsy', purchaseLink: 'https://www.etsy.com/search?q=seed+box', id: 'dropped' },
+    { name: 'Vinyl record', description: 'A jazz classic.', estimatedPrice: 30, currency: 'EUR', category: 'music', retailer: 'Amazon', purchaseLink: 'https://www.amazon.de/s?k=vinyl' },
+];
+
+const base64Url = (text) => btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Encodes anything as a plain-JSON ("j") list, the format of browsers without CompressionStream
+const plainList = (value) => `j${base64Url(JSON.stringify(value))}`;
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('criteria in the query string', () => {
+    it('survives a round trip', () => {
+        expect(criteriaFromSearch(criteriaToSearch(CRITERIA))).toEqual(CRITERIA);
+    });
+
+    it('leaves out empty fields', () => {
+        expect(criteriaToSearch({ occasion: 'birthday', relationship: '', age: '' })).toBe('?occasion=birthday');
+        expect(criteriaToSearch({})).toBe('');
+    });
+
+    it.each([
+        ['unknown parameters', '?occasion=birthday&utm_source=mail', { occasion: 'birthday' }],
+        ['letters typed into numbers', '?age=3o&minPrice=%2420&maxPrice=abc', { age: '3', minPrice: '20', maxPrice: '' }],
+        ['overlong values', `?interests=${'a'.repeat(500)}`, { interests: 'a'.repeat(200) }],
+        ['an empty query', '', {}],
+    ])('reads %s', (_case, search, expected) => {
+        const criteria = criteriaFromSearch(search);
+        expect(criteria).toMatchObject(expected);
+        expect(Object.values(criteria).every(value => typeof value === 'string')).toBe(true);
+    });
+});
+
+describe('shared gift lists', () => {
+    it('survive a round trip, keeping only the gift fields', async () => {
+        const encoded = await encodeGifts(GIFTS);
+        expect(encoded.charAt(0)).toBe('z');
+        expect(encoded).toMatch(/^[\w-]+$/);
+        const { id: _id, ...first } = GIFTS[0];
+        expect(await decodeGifts(encoded)).toEqual([first, GIFTS[1]]);
+    });
+
+    it('fall back to plain JSON without CompressionStream', async () => {
+        vi.stubGlobal('CompressionStream', undefined);
+        const encoded = await encodeGifts(GIFTS.slice(1));
+        expect(encoded.charAt(0)).toBe('j');
+        expect(await decodeGifts(encoded)).toEqual(GIFTS.slice(1));
+    });
+
+    it('clean up items edited by hand', async () => {
+        const gifts = await decodeGifts(plainList([
+            { name: 'Kite', estimatedPrice: '12', description: 7, purchaseLink: 'https://example.com', extra: true },
+            { name: ' ' },
+            null,
+            'Lamp',
+            ...Array.from({ length: 12 }, (_, i) => ({ name: `Gift ${i}` })),
+        ]));
+        expect(gifts[0]).toEqual({
+            name: 'Kite', description: '', estimatedPrice: undefined, currency: undefined, category: undefined, retailer: undefined, purchaseLink: 'https://example.com',
+        });
+        expect(gifts).toHaveLength(10);
+        expect(gifts.at(-1).name).toBe('Gift 8');
+    });
+
+    it.each([
+        ['an unknown format', `x${base64Url('[]')}`, 'Unknown shared results format "x".'],
+        ['something other than a list', plainList({ name: 'Kite' }), 'Shared results are not a list.'],
+        ['text that is not JSON', `j${base64Url('[{"name":')}`, SyntaxError],
+        ['text that is not base64', 'j%%%', Error],
+        ['a truncated compressed list', 'zq1YKzs9JUbJSCs7MS1ZSTrFSssrLL0', Error],
+    ])('reject %s', async (_case, encoded, error) => {
+        await expect(decodeGifts(encoded)).rejects.toThrow(error);
+    });
+});
@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import I18nProvider from './i18n/I18nProvider.jsx'
+import { registerServiceWorker } from './lib/reminders.js'
+
+// The service worker keeps the app working offline and shows occasion reminders; the app works without it
+registerServiceWorker().catch((err) => console.error('Error registering the service worker:', err))
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </StrictMode>,
 )
@@ -1,7 +1,11 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { giftFinderApi, precacheManifest } from './server/vitePlugin.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ mode }) => ({
+  // The API middleware reads server-only variables such as GEMINI_API_KEY,
+  // so load every variable rather than just the VITE_ ones
+  // precacheManifest lists the built files in the service worker for offline use
+  plugins: [react(), giftFinderApi(loadEnv(mode, process.cwd(), '')), precacheManifest()],
+}))